@@ -0,0 +1,266 @@
+// adaptation-planner.js
+// Home adaptation planner for Home Accessibility Score
+// The accessible-features score says which of the eight criteria a home misses, not
+// what it would take to put them right. For each missing criterion that building work
+// can fix, this suggests the usual adaptation (a stairlift, a ramp, a ground-floor wet
+// room), prices it from an editable table of indicative fitted costs, and rescores the
+// home as if the work were done. Some misses can't be fixed by the owner: a lift in a
+// block of flats is the freeholder's decision, and a garden can't be added.
+
+const { STAIRCASE_TYPES } = require('./stairlift-suitability');
+const { CRITERIA_KEYS, CRITERIA_LABELS, calculateWeightedCriteriaScore, calculateWeightedOverall } = require('./scoring-profiles');
+
+// Indicative fitted prices, including VAT and making good. Stairlift prices follow
+// the staircase types in stairlift-suitability.js. Users can change any of these on
+// the results page; their prices are saved with their account and the plan carries
+// the prices it used, so it can be repriced without a new analysis.
+const ADAPTATION_PRICES = {
+    stairlift: { label: 'Straight stairlift', min: STAIRCASE_TYPES.straight.costBand.min, max: STAIRCASE_TYPES.straight.costBand.max, unit: 'each' },
+    curvedStairlift: { label: 'Curved stairlift', min: STAIRCASE_TYPES.curved.costBand.min, max: STAIRCASE_TYPES.curved.costBand.max, unit: 'each' },
+    throughFloorLift: { label: 'Through-floor lift', min: 12000, max: 25000, unit: 'each' },
+    bedroomConversion: { label: 'Reception room to bedroom', min: 500, max: 3000, unit: 'each' },
+    downstairsWc: { label: 'Downstairs WC', min: 2500, max: 6000, unit: 'each' },
+    wetRoom: { label: 'Ground-floor wet room', min: 6000, max: 12000, unit: 'each' },
+    doorWidening: { label: 'Widened doorway', min: 800, max: 2000, unit: 'per door' },
+    ramp: { label: 'Ramp to the front door', min: 1500, max: 5000, unit: 'each' },
+    dropKerbDriveway: { label: 'Dropped kerb and driveway', min: 3000, max: 8000, unit: 'each' }
+};
+
+// Doorways between the front door, the new bedroom and the bathroom
+const DOORS_TO_WIDEN = 2;
+
+// An edited price above this is a typo, not a quote
+const MAX_ADAPTATION_PRICE = 250000;
+
+// Flats on these floors are entered at or near street level; anything else is an upper floor
+const LOWER_FLOOR_LEVELS = ['ground', 'garden level', 'lower ground', 'basement'];
+
+function formatCostRange(min, max) {
+    return min === max ? `£${min.toLocaleString('en-GB')}` : `£${min.toLocaleString('en-GB')}–£${max.toLocaleString('en-GB')}`;
+}
+
+/**
+ * The stairlift price that fits the staircase, or a through-floor lift where a stairlift won't go
+ * @param {Object|null} stairlift - From assessStairlift()
+ * @returns {string} Price key
+ */
+function liftPriceKey(stairlift) {
+    if (!stairlift || !stairlift.staircase) return 'stairlift';
+    if (stairlift.rating === 'Not suitable' || stairlift.staircase === 'spiral') return 'throughFloorLift';
+    return stairlift.staircase === 'straight' ? 'stairlift' : 'curvedStairlift';
+}
+
+/**
+ * Suggested adaptations for the criteria a home misses, their indicative cost, and the
+ * score the home would get with the work done
+ * @param {Object} input
+ * @param {Object} input.criteriaMet - Criteria key to boolean
+ * @param {Object} input.propertyType - { isFlat, isSingleLevel, isUpperFloorFlat, floorLevel, hasAnyLift } from calculateAccessibleFeaturesScore()
+ * @param {Object|null} [input.stairlift] - From assessStairlift()
+ * @param {Object} input.criteriaWeights - From the scoring profile
+ * @param {Object|null} [input.categoryScores] - Category key to score, for the projected overall
+ * @param {Object|null} [input.categoryWeights]
+ * @param {Object} [input.prices] - Price key to { label, min, max, unit }; ADAPTATION_PRICES by default
+ * @returns {Object} { propertyType, suggestions, notAdaptable, prices, totalMin, totalMax, totalText, currentScore, projectedScore, currentPercentage, projectedPercentage, currentOverall, projectedOverall, notes }
+ */
+function planAdaptations({
+    criteriaMet, propertyType, stairlift = null, criteriaWeights,
+    categoryScores = null, categoryWeights = null, prices = ADAPTATION_PRICES
+}) {
+    const type = propertyType || {};
+    const upperFloorFlat = !!type.isFlat && (type.floorLevel ? !LOWER_FLOOR_LEVELS.includes(type.floorLevel) : !!type.isUpperFloorFlat);
+    const missing = CRITERIA_KEYS.filter(key => !criteriaMet[key]);
+
+    const suggestions = [];
+    const notAdaptable = [];
+    const suggest = (criterion, priceKey, reason, notes = [], quantity = 1, alsoMeets = []) => {
+        const price = prices[priceKey];
+        suggestions.push({
+            key: priceKey,
+            criterion,
+            criterionLabel: criterion ? [criterion, ...alsoMeets].map(key => CRITERIA_LABELS[key]).join(' and ') : null,
+            alsoMeets,
+            label: price.label,
+            reason,
+            quantity,
+            unit: price.unit,
+            costMin: price.min * quantity,
+            costMax: price.max * quantity,
+            costText: formatCostRange(price.min * quantity, price.max * quantity),
+            notes
+        });
+    };
+    const cannot = (criterion, reason) => notAdaptable.push({ criterion, label: CRITERIA_LABELS[criterion], reason });
+
+    for (const criterion of missing) {
+        if (criterion === 'stepFreeOrLift') {
+            if (type.isFlat) {
+                cannot(criterion, upperFloorFlat
+                    ? 'A lift in a block of flats is for the freeholder to fit, not the owner of one flat.'
+                    : 'Internal steps in a flat are best checked on a viewing before planning work.');
+            } else if (!type.isSingleLevel) {
+                const priceKey = liftPriceKey(stairlift);
+                const notes = priceKey === 'throughFloorLift'
+                    ? ['The stairs won\'t take a stairlift; a through-floor lift needs a space above and below it and building regulations approval.']
+                    : stairlift?.staircase ? [] : ['The staircase shape isn\'t known; a turning staircase needs a curved stairlift, which costs more.'];
+                suggest(criterion, priceKey, 'Reach the upper floor without climbing the stairs', notes);
+            }
+        } else if (criterion === 'downstairsBedroom') {
+            if (type.isFlat) {
+                if (upperFloorFlat) cannot(criterion, 'The flat is above the ground floor.');
+            } else {
+                suggest(criterion, 'bedroomConversion', 'Sleep on the ground floor', ['Needs a spare reception room next to, or near, a ground-floor bathroom.']);
+            }
+        } else if (criterion === 'downstairsBathroom') {
+            if (type.isFlat) {
+                if (upperFloorFlat) cannot(criterion, 'The flat is above the ground floor.');
+            } else if (!criteriaMet.downstairsBedroom) {
+                // Living on the ground floor needs a shower there too, not just a WC
+                suggest(criterion, 'wetRoom', 'Wash on the same floor as the new bedroom', ['A level-access shower needs a floor drain; a utility room or extension is the usual space.']);
+            } else {
+                suggest(criterion, 'downstairsWc', 'A toilet without using the stairs', ['Often fits under the stairs or in part of a utility room.']);
+            }
+        } else if (criterion === 'groundFloorEntry') {
+            if (upperFloorFlat) {
+                cannot(criterion, 'The front door is on an upper floor of the building.');
+            } else if (type.isFlat && !type.floorLevel) {
+                cannot(criterion, 'The listing doesn\'t say which floor the flat is on; check on a viewing whether its front door is at street level.');
+            } else if (criteriaMet.externalLevelAccess) {
+                suggest(criterion, 'ramp', 'Reach the front door from street level', ['The entrance is raised above, or set below, the street; where a ramp won\'t fit, a step lift does the same job.']);
+            }
+            // Otherwise the ramp planned for level access below brings the entrance level too
+        } else if (criterion === 'privateParking') {
+            if (type.isFlat) {
+                cannot(criterion, 'Parking at a block of flats is for the freeholder or management company.');
+            } else {
+                suggest(criterion, 'dropKerbDriveway', 'Park next to the home', ['Needs a front garden deep enough for a car (about 4.8m) and the council\'s approval for the dropped kerb.']);
+            }
+        } else if (criterion === 'externalLevelAccess') {
+            if (upperFloorFlat) {
+                cannot(criterion, 'Access to the building is shared, so a ramp is for the freeholder to fit.');
+            } else {
+                const alsoMeets = !criteriaMet.groundFloorEntry && !(type.isFlat && !type.floorLevel) ? ['groundFloorEntry'] : [];
+                suggest(criterion, 'ramp', 'Get in and out without steps', ['A ramp needs a gentle slope (about 1 in 12), so every 15cm of step takes nearly 2m of path.'], 1, alsoMeets);
+            }
+        } else if (criterion === 'garden') {
+            cannot(criterion, 'A garden can\'t be added by adapting the home.');
+        } else if (criterion === 'balcony') {
+            cannot(criterion, 'A balcony needs planning permission and usually isn\'t practical to add.');
+        }
+    }
+
+    // Not a criterion, but a wheelchair can't use a ground-floor bedroom or bathroom it can't get through the door of
+    if (suggestions.some(suggestion => ['bedroomConversion', 'wetRoom'].includes(suggestion.key))) {
+        suggest(null, 'doorWidening', 'Room for a wheelchair through the doorways', ['Wheelchair users need doorways about 800mm wide; older homes often have 700mm or less.'], DOORS_TO_WIDEN);
+    }
+
+    const projectedMet = { ...criteriaMet };
+    for (const suggestion of suggestions) {
+        for (const criterion of suggestion.criterion ? [suggestion.criterion, ...suggestion.alsoMeets] : []) projectedMet[criterion] = true;
+    }
+    const current = calculateWeightedCriteriaScore(criteriaMet, criteriaWeights);
+    const projected = calculateWeightedCriteriaScore(projectedMet, criteriaWeights);
+
+    let currentOverall = null;
+    let projectedOverall = null;
+    if (categoryScores && categoryWeights) {
+        currentOverall = calculateWeightedOverall(categoryScores, categoryWeights);
+        projectedOverall = calculateWeightedOverall({
+            ...categoryScores,
+            accessibleFeatures: categoryScores.accessibleFeatures === null ? null : projected.score
+        }, categoryWeights);
+    }
+
+    const totalMin = suggestions.reduce((total, suggestion) => total + suggestion.costMin, 0);
+    const totalMax = suggestions.reduce((total, suggestion) => total + suggestion.costMax, 0);
+    const usedPrices = Object.fromEntries(suggestions.map(suggestion => [suggestion.key, prices[suggestion.key]]));
+    const round = score => (score === null ? null : Math.round(score * 10) / 10);
+
+    return {
+        propertyType: {
+            isFlat: !!type.isFlat,
+            isSingleLevel: !!type.isSingleLevel,
+            isUpperFloorFlat: upperFloorFlat,
+            floorLevel: type.floorLevel || null,
+            hasAnyLift: !!type.hasAnyLift
+        },
+        suggestions,
+        notAdaptable,
+        prices: usedPrices,
+        totalMin,
+        totalMax,
+        totalText: suggestions.length > 0 ? formatCostRange(totalMin, totalMax) : null,
+        currentScore: round(current.score),
+        projectedScore: round(projected.score),
+        currentPercentage: current.percentage,
+        projectedPercentage: projected.percentage,
+        currentOverall: round(currentOverall),
+        projectedOverall: round(projectedOverall),
+        notes: suggestions.length > 0
+            ? ['A Disabled Facilities Grant from the council can pay for much of this work for a disabled resident, after an occupational therapist\'s assessment.']
+            : []
+    };
+}
+
+/**
+ * Check the prices a user has edited. Only min and max can change; the label and unit stay ours.
+ * @param {Object|null|undefined} input - Price key to { min, max }
+ * @returns {{prices: Object}|{error: string}}
+ */
+function validateAdaptationPrices(input) {
+    if (input === undefined || input === null) return { prices: {} };
+    if (typeof input !== 'object' || Array.isArray(input)) return { error: 'Prices must be an object' };
+
+    const prices = {};
+    for (const [key, price] of Object.entries(input)) {
+        if (!Object.hasOwn(ADAPTATION_PRICES, key)) return { error: `Unknown adaptation: ${key}` };
+        if (!price || typeof price !== 'object') return { error: `${ADAPTATION_PRICES[key].label} needs a min and max price` };
+
+        const { min, max } = price;
+        for (const value of [min, max]) {
+            if (!Number.isInteger(value) || value < 0 || value > MAX_ADAPTATION_PRICE) {
+                return { error: `${ADAPTATION_PRICES[key].label} prices must be whole pounds from 0 to ${MAX_ADAPTATION_PRICE.toLocaleString('en-GB')}` };
+            }
+        }
+        if (min > max) return { error: `${ADAPTATION_PRICES[key].label}: the lower price is above the upper price` };
+        prices[key] = { min, max };
+    }
+    return { prices };
+}
+
+/**
+ * A plan at the user's own prices. Adaptations they haven't edited keep the price the plan used.
+ * @param {Object} plan - From planAdaptations()
+ * @param {Object} edited - From validateAdaptationPrices()
+ * @returns {Object} Same shape as planAdaptations()
+ */
+function repricePlan(plan, edited) {
+    if (!plan || !edited || Object.keys(edited).length === 0) return plan;
+
+    const prices = Object.fromEntries(Object.entries(plan.prices).map(([key, price]) =>
+        [key, Object.hasOwn(edited, key) ? { ...price, min: edited[key].min, max: edited[key].max } : price]));
+    const suggestions = plan.suggestions.map(suggestion => {
+        const price = prices[suggestion.key];
+        const costMin = price.min * suggestion.quantity;
+        const costMax = price.max * suggestion.quantity;
+        return { ...suggestion, costMin, costMax, costText: formatCostRange(costMin, costMax) };
+    });
+    const totalMin = suggestions.reduce((total, suggestion) => total + suggestion.costMin, 0);
+    const totalMax = suggestions.reduce((total, suggestion) => total + suggestion.costMax, 0);
+
+    return {
+        ...plan,
+        suggestions,
+        prices,
+        totalMin,
+        totalMax,
+        totalText: suggestions.length > 0 ? formatCostRange(totalMin, totalMax) : null
+    };
+}
+
+module.exports = {
+    ADAPTATION_PRICES,
+    planAdaptations,
+    validateAdaptationPrices,
+    repricePlan
+};
@@ -0,0 +1,235 @@
+// analysis-cache.js
+// Analysis caching for Home Accessibility Score
+// Two layers:
+//   1. Whole analyses, reused while the listing is unchanged. properties.scores_json is
+//      shared by every user, so it only ever holds the standard-profile analysis; a
+//      user's own scoring or buyer profile results live in user_property_analyses
+//   2. Sub-step results (geodata per coordinate, vision per image) in memory, backed by
+//      the analysis_cache table so they survive restarts and are shared between listings
+
+const crypto = require('crypto');
+const { DEFAULT_BUYER_PROFILE, sameBuyerProfile } = require('./property-tax');
+const { resolveScoringProfile } = require('./scoring-profiles');
+
+const MAX_MEMORY_ENTRIES = 1000;
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+/**
+ * Hash of the listing content that should invalidate a stored analysis when it changes
+ * @param {Object} property - Normalised property object
+ * @returns {string}
+ */
+function hashListingContent(property) {
+    const price = String(property.price || '').replace(/[^\d]/g, '');
+    const description = String(property.description || '').replace(/\s+/g, ' ').trim().toLowerCase();
+    return sha256(`${price}|${description}`);
+}
+
+/**
+ * Cache key for a coordinate pair, rounded to ~1m so tiny geocoding differences still hit
+ */
+function coordinateKey(lat, lng) {
+    return `${Number(lat).toFixed(5)},${Number(lng).toFixed(5)}`;
+}
+
+/**
+ * Cache key for an image - data URLs are hashed so uploads don't become huge keys
+ */
+function imageKey(imageUrl) {
+    return sha256(imageUrl || '');
+}
+
+function sameScoringProfile(a, b) {
+    if (!a || !b) return false;
+    return a.id === b.id &&
+        JSON.stringify(a.categoryWeights) === JSON.stringify(b.categoryWeights) &&
+        JSON.stringify(a.criteriaWeights) === JSON.stringify(b.criteriaWeights);
+}
+
+const STANDARD_PROFILE = resolveScoringProfile('standard');
+
+/**
+ * Whether an analysis used the standard scoring profile and the default buyer profile,
+ * and so can be shared through the properties table. Analyses saved before scoring
+ * profiles existed were standard.
+ * @param {Object} analysis - Analysis result, or scores_json
+ * @returns {boolean}
+ */
+function isStandardAnalysis(analysis) {
+    const profile = analysis?.scoringProfile;
+    return (!profile || sameScoringProfile(profile, STANDARD_PROFILE)) &&
+        sameBuyerProfile(analysis?.buyerProfile, DEFAULT_BUYER_PROFILE);
+}
+
+/**
+ * Whether a stored analysis can stand in for a fresh one
+ * @param {Object} stored - { scores_json, content_hash, analysed_at }
+ * @returns {boolean}
+ */
+function isUsable(stored, contentHash, scoringProfile, ttl, buyerProfile) {
+    const age = Date.now() - new Date(stored.analysed_at).getTime();
+    if (!(age >= 0 && age < ttl)) {
+        console.log(`🗄️ Stored analysis expired (${Math.round(age / 3600000)}h old)`);
+        return false;
+    }
+    if (stored.content_hash !== contentHash) {
+        console.log('🗄️ Listing price or description changed since last analysis');
+        return false;
+    }
+    if (!sameScoringProfile(stored.scores_json.scoringProfile, scoringProfile)) {
+        console.log('🗄️ Stored analysis used a different scoring profile');
+        return false;
+    }
+    if (!sameBuyerProfile(stored.scores_json.buyerProfile, buyerProfile)) {
+        console.log('🗄️ Stored analysis used a different buyer profile');
+        return false;
+    }
+    return true;
+}
+
+class AnalysisCache {
+    /**
+     * @param {Object} supabase - Supabase client
+     */
+    constructor(supabase) {
+        this.supabase = supabase;
+        this.memory = new Map();
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    /**
+     * Find a stored analysis for this listing that is still fresh
+     * @param {string} url - Listing URL (properties.rightmove_url)
+     * @param {string} contentHash - hashListingContent() of the freshly scraped listing
+     * @param {Object} scoringProfile - Profile the caller wants scores for
+     * @param {number} ttl - Maximum age in milliseconds
+     * @param {Object} [buyerProfile] - Buyer profile the caller wants property tax for
+     * @param {string|null} [userId] - Signed-in user, whose own profile results can be reused
+     * @returns {Promise<Object|null>} The properties row (with the user's scores_json for a
+     *     non-standard profile), or null if nothing usable
+     */
+    async getStoredAnalysis(url, contentHash, scoringProfile, ttl, buyerProfile, userId = null) {
+        try {
+            const { data: row, error } = await this.supabase
+                .from('properties')
+                .select('id, rightmove_id, scores_json, property_json, content_hash, analysed_at')
+                .eq('rightmove_url', url)
+                .maybeSingle();
+
+            if (error || !row || !row.property_json) return null;
+
+            let stored = row;
+            if (!isStandardAnalysis({ scoringProfile, buyerProfile })) {
+                if (!userId) return null;
+                const { data: own, error: ownError } = await this.supabase
+                    .from('user_property_analyses')
+                    .select('scores_json, content_hash, analysed_at')
+                    .eq('user_id', userId)
+                    .eq('property_id', row.rightmove_id)
+                    .maybeSingle();
+                if (ownError || !own) return null;
+                stored = { ...row, ...own };
+            }
+
+            if (!stored.scores_json || !isUsable(stored, contentHash, scoringProfile, ttl, buyerProfile)) return null;
+
+            console.log(`🗄️ Reusing stored analysis from ${stored.analysed_at}`);
+            return stored;
+        } catch (error) {
+            console.log('⚠️ Stored analysis lookup failed:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Return a cached sub-step result, or compute and cache it
+     * @param {string} kind - Sub-step name, e.g. 'gp' or 'vision-floorplan-rooms'
+     * @param {string} key - Cache key within that kind
+     * @param {number} ttl - Time to live in milliseconds
+     * @param {Function} compute - Async function producing the value
+     * @param {Function} [shouldCache] - Predicate; failed or empty results are not cached
+     * @returns {Promise<*>}
+     */
+    async remember(kind, key, ttl, compute, shouldCache = value => value !== null && value !== undefined) {
+        const cacheKey = `${kind}:${key}`;
+
+        const cached = await this.get(cacheKey);
+        if (cached !== undefined) {
+            this.hits++;
+            console.log(`🗄️ Cache hit: ${kind}`);
+            return cached;
+        }
+
+        this.misses++;
+        const value = await compute();
+        if (shouldCache(value)) {
+            await this.set(cacheKey, kind, value, ttl);
+        }
+        return value;
+    }
+
+    async get(cacheKey) {
+        const entry = this.memory.get(cacheKey);
+        if (entry) {
+            if (entry.expiresAt > Date.now()) return entry.value;
+            this.memory.delete(cacheKey);
+        }
+
+        try {
+            const { data } = await this.supabase
+                .from('analysis_cache')
+                .select('value, expires_at')
+                .eq('cache_key', cacheKey)
+                .maybeSingle();
+
+            if (data && new Date(data.expires_at).getTime() > Date.now()) {
+                this.setMemory(cacheKey, data.value, new Date(data.expires_at).getTime());
+                return data.value;
+            }
+        } catch (error) {
+            console.log('⚠️ Cache read failed:', error.message);
+        }
+
+        return undefined;
+    }
+
+    async set(cacheKey, kind, value, ttl) {
+        const expiresAt = Date.now() + ttl;
+        this.setMemory(cacheKey, value, expiresAt);
+
+        try {
+            const { error } = await this.supabase
+                .from('analysis_cache')
+                .upsert({
+                    cache_key: cacheKey,
+                    kind: kind,
+                    value: value,
+                    expires_at: new Date(expiresAt).toISOString()
+                }, { onConflict: 'cache_key' });
+
+            if (error) console.log('⚠️ Cache write failed:', error.message);
+        } catch (error) {
+            console.log('⚠️ Cache write failed:', error.message);
+        }
+    }
+
+    setMemory(cacheKey, value, expiresAt) {
+        // Map keeps insertion order, so the first key is the oldest
+        if (this.memory.size >= MAX_MEMORY_ENTRIES) {
+            this.memory.delete(this.memory.keys().next().value);
+        }
+        this.memory.set(cacheKey, { value, expiresAt });
+    }
+}
+
+module.exports = {
+    AnalysisCache,
+    isStandardAnalysis,
+    hashListingContent,
+    coordinateKey,
+    imageKey
+};
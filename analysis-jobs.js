@@ -0,0 +1,359 @@
+// analysis-jobs.js
+// Asynchronous analysis jobs for Home Accessibility Score
+// Creating an analysis returns a job id straight away. The pipeline reports each
+// step to its job, which streams progress to the browser over Server-Sent Events
+// and persists a summary of each step to the analysis_jobs table as it goes.
+// A job can only be read back by the account that started it, or with the access
+// key handed to whoever started it (EventSource can't send an Authorization header).
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+const ANALYSIS_STEPS = ['scrape', 'epc', 'gp', 'transport', 'photos', 'floorplans', 'features', 'stairlift', 'rooms', 'cost', 'summary'];
+
+const STEP_LABELS = {
+    scrape: 'Reading the listing',
+    epc: 'Checking energy efficiency',
+    gp: 'Finding nearby GP surgeries',
+    transport: 'Checking public transport',
+    photos: 'Looking for accessibility features in the photos',
+    floorplans: 'Reading the floorplans floor by floor',
+    features: 'Assessing accessible features and rooms',
+    stairlift: 'Checking whether the stairs could take a stairlift',
+    rooms: 'Measuring rooms for wheelchair space',
+    cost: 'Calculating property costs',
+    summary: 'Writing the summary'
+};
+
+// Finished jobs stay in memory this long; after that they're read back from the database
+const JOB_RETENTION = 60 * 60 * 1000;
+const HEARTBEAT_INTERVAL = 15000;
+// Step updates are written at most this often; starting and finishing are written straight away
+const PERSIST_INTERVAL = 2000;
+// Longest string kept in a persisted step summary
+const MAX_SUMMARY_STRING = 200;
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+/**
+ * Slim record of a step's result for the analysis_jobs row: short top-level values
+ * (scores, ratings, flags) and the length of any lists. Step results can hold
+ * data-URL uploads and whole vision responses, and the finished job stores the
+ * full result anyway.
+ * @param {*} value - Step result
+ * @returns {*}
+ */
+function summariseStep(value) {
+    const keep = field => typeof field === 'number' || typeof field === 'boolean' ||
+        (typeof field === 'string' && field.length <= MAX_SUMMARY_STRING);
+
+    if (value === null || value === undefined) return null;
+    if (Array.isArray(value)) return { count: value.length };
+    if (typeof value !== 'object') return keep(value) ? value : null;
+
+    const summary = {};
+    for (const [key, field] of Object.entries(value)) {
+        if (keep(field)) summary[key] = field;
+        else if (Array.isArray(field)) summary[key] = { count: field.length };
+    }
+    return summary;
+}
+
+/**
+ * Whether a reader may see a job: the account that started it, or anyone with its access key
+ * @param {{userId: string|null, accessKeyHash: string|null}} job
+ * @param {Object} reader
+ * @param {string|null} [reader.userId] - Signed-in users.id
+ * @param {string|null} [reader.accessKey] - Key returned by AnalysisJobStore.start()
+ * @returns {boolean}
+ */
+function canReadJob(job, { userId = null, accessKey = null } = {}) {
+    if (job.userId && userId && job.userId === userId) return true;
+    if (!job.accessKeyHash || typeof accessKey !== 'string' || accessKey.length === 0) return false;
+    return crypto.timingSafeEqual(Buffer.from(sha256(accessKey)), Buffer.from(job.accessKeyHash));
+}
+
+class StepTimeoutError extends Error {
+    constructor(step, ms) {
+        super(`${STEP_LABELS[step] || step} timed out after ${Math.round(ms / 1000)}s`);
+        this.name = 'StepTimeoutError';
+    }
+}
+
+class AnalysisJob extends EventEmitter {
+    /**
+     * @param {string} [id] - Job id; a throwaway job (no id) still runs steps but isn't stored
+     * @param {Object} [owner]
+     * @param {string|null} [owner.userId] - users.id of the account that started the job
+     * @param {string|null} [owner.accessKeyHash] - sha256 of the job's access key
+     */
+    constructor(id = null, { userId = null, accessKeyHash = null } = {}) {
+        super();
+        this.id = id;
+        this.userId = userId;
+        this.accessKeyHash = accessKeyHash;
+        this.status = 'queued';
+        this.steps = ANALYSIS_STEPS.reduce((steps, step) => ({
+            ...steps,
+            [step]: { label: STEP_LABELS[step], status: 'pending', error: null }
+        }), {});
+        this.partial = {};
+        this.result = null;
+        this.error = null;
+        this.createdAt = new Date().toISOString();
+        this.updatedAt = this.createdAt;
+    }
+
+    /**
+     * Run one pipeline step under its own timeout. If it fails or times out and a
+     * fallback is given, the step is marked unavailable and the job carries on.
+     * @param {string} step - One of ANALYSIS_STEPS
+     * @param {Function} compute - Function returning the step result (may be async)
+     * @param {Object} [options]
+     * @param {number} [options.timeout] - Milliseconds before the step is abandoned
+     * @param {*|Function} [options.fallback] - Value (or function of the error) to use instead
+     * @returns {Promise<*>}
+     */
+    async runStep(step, compute, { timeout, fallback } = {}) {
+        this.updateStep(step, 'running');
+
+        try {
+            let timer = null;
+            const work = Promise.resolve().then(compute);
+            const value = await (timeout
+                ? Promise.race([work, new Promise((_, reject) => {
+                    timer = setTimeout(() => reject(new StepTimeoutError(step, timeout)), timeout);
+                })])
+                : work
+            ).finally(() => clearTimeout(timer));
+
+            this.partial[step] = value;
+            this.updateStep(step, 'complete');
+            return value;
+        } catch (error) {
+            if (fallback === undefined) {
+                this.updateStep(step, 'failed', error.message);
+                throw error;
+            }
+
+            console.error(`⚠️ ${STEP_LABELS[step] || step} unavailable:`, error.message);
+            const value = typeof fallback === 'function' ? fallback(error) : fallback;
+            this.partial[step] = value;
+            this.updateStep(step, 'unavailable', error.message);
+            return value;
+        }
+    }
+
+    isUnavailable(step) {
+        return this.steps[step]?.status === 'unavailable';
+    }
+
+    updateStep(step, status, error = null) {
+        if (!this.steps[step]) return;
+        if (this.status === 'queued') this.status = 'running';
+        this.steps[step] = { ...this.steps[step], status, error };
+        this.touch('step', { step, ...this.steps[step] });
+    }
+
+    complete(result) {
+        // Steps a cached analysis didn't need to run
+        for (const step of ANALYSIS_STEPS) {
+            if (this.steps[step].status === 'pending') {
+                this.steps[step] = { ...this.steps[step], status: 'skipped' };
+            }
+        }
+        this.status = 'complete';
+        this.result = result;
+        this.touch('complete', { result });
+    }
+
+    fail(error) {
+        this.status = 'failed';
+        this.error = error.message || String(error);
+        this.touch('failed', { error: this.error });
+    }
+
+    get finished() {
+        return this.status === 'complete' || this.status === 'failed';
+    }
+
+    touch(type, data) {
+        this.updatedAt = new Date().toISOString();
+        this.emit('update', { type, data });
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            status: this.status,
+            steps: this.steps,
+            result: this.result,
+            error: this.error,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt
+        };
+    }
+}
+
+class AnalysisJobStore {
+    /**
+     * @param {Object} supabase - Supabase client
+     */
+    constructor(supabase) {
+        this.supabase = supabase;
+        this.jobs = new Map();
+    }
+
+    /**
+     * Create a job and start running the pipeline in the background
+     * @param {Function} pipeline - async (job) => result
+     * @param {Object} [meta] - { source, userId } stored alongside the job
+     * @returns {{job: AnalysisJob, accessKey: string}} The access key reads the job back
+     *     without signing in; only its hash is kept
+     */
+    start(pipeline, meta = {}) {
+        const accessKey = crypto.randomBytes(24).toString('hex');
+        const job = new AnalysisJob(crypto.randomUUID(), { userId: meta.userId || null, accessKeyHash: sha256(accessKey) });
+        this.jobs.set(job.id, job);
+
+        // Saves are chained so an older snapshot can't overwrite a newer one, and step
+        // updates within PERSIST_INTERVAL of each other share one write
+        let saving = Promise.resolve();
+        let pending = null;
+        const save = () => {
+            clearTimeout(pending);
+            pending = null;
+            saving = saving.then(() => this.persist(job, meta));
+        };
+        job.on('update', ({ type }) => {
+            if (type !== 'step') return save();
+            if (!pending) pending = setTimeout(save, PERSIST_INTERVAL);
+        });
+        save();
+
+        Promise.resolve()
+            .then(() => pipeline(job))
+            .then(result => job.complete(result))
+            .catch(error => {
+                console.error(`❌ Analysis job ${job.id} failed:`, error.message);
+                job.fail(error);
+            })
+            .finally(() => {
+                setTimeout(() => this.jobs.delete(job.id), JOB_RETENTION).unref();
+            });
+
+        return { job, accessKey };
+    }
+
+    /**
+     * Live job from memory, or a snapshot from the database for older jobs
+     * @param {string} id
+     * @param {Object} reader - { userId, accessKey }; see canReadJob()
+     * @returns {Promise<AnalysisJob|Object|null>} null if missing or not the reader's
+     */
+    async get(id, reader = {}) {
+        if (this.jobs.has(id)) {
+            const job = this.jobs.get(id);
+            return canReadJob(job, reader) ? job : null;
+        }
+
+        try {
+            const { data: row } = await this.supabase
+                .from('analysis_jobs')
+                .select('*')
+                .eq('id', id)
+                .maybeSingle();
+
+            if (!row || !canReadJob({ userId: row.user_id, accessKeyHash: row.access_key_hash }, reader)) return null;
+
+            // Not in memory but never finished - the server restarted mid-analysis
+            const interrupted = row.status !== 'complete' && row.status !== 'failed';
+            return {
+                id: row.id,
+                status: interrupted ? 'failed' : row.status,
+                steps: row.steps,
+                result: row.result,
+                error: interrupted ? 'Analysis was interrupted. Please try again.' : row.error,
+                createdAt: row.created_at,
+                updatedAt: row.updated_at,
+                finished: true
+            };
+        } catch (error) {
+            console.log('⚠️ Analysis job lookup failed:', error.message);
+            return null;
+        }
+    }
+
+    async persist(job, meta) {
+        try {
+            const { error } = await this.supabase
+                .from('analysis_jobs')
+                .upsert({
+                    id: job.id,
+                    source: meta.source || null,
+                    user_id: job.userId,
+                    access_key_hash: job.accessKeyHash,
+                    status: job.status,
+                    steps: job.steps,
+                    partial_result: Object.fromEntries(Object.entries(job.partial).map(([step, value]) => [step, summariseStep(value)])),
+                    result: job.result,
+                    error: job.error,
+                    created_at: job.createdAt,
+                    updated_at: job.updatedAt
+                }, { onConflict: 'id' });
+
+            if (error) console.log('⚠️ Analysis job save failed:', error.message);
+        } catch (error) {
+            console.log('⚠️ Analysis job save failed:', error.message);
+        }
+    }
+
+    /**
+     * Stream a job's progress as Server-Sent Events until it finishes
+     * @param {AnalysisJob|Object} job - Live job or database snapshot
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     */
+    stream(job, req, res) {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+
+        const send = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+        const snapshot = typeof job.toJSON === 'function' ? job.toJSON() : job;
+
+        send('snapshot', { ...snapshot, result: undefined });
+        if (job.finished) {
+            send(job.status === 'complete' ? 'complete' : 'failed', job.status === 'complete' ? { result: job.result } : { error: job.error });
+            return res.end();
+        }
+
+        const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_INTERVAL);
+        const onUpdate = ({ type, data }) => {
+            send(type, data);
+            if (type === 'complete' || type === 'failed') cleanup(true);
+        };
+        const cleanup = (end) => {
+            clearInterval(heartbeat);
+            job.off('update', onUpdate);
+            if (end) res.end();
+        };
+
+        job.on('update', onUpdate);
+        req.on('close', () => cleanup(false));
+    }
+}
+
+module.exports = {
+    ANALYSIS_STEPS,
+    STEP_LABELS,
+    summariseStep,
+    AnalysisJob,
+    AnalysisJobStore
+};
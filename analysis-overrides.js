@@ -0,0 +1,203 @@
+// analysis-overrides.js
+// User corrections to detected facts for Home Accessibility Score
+// When the scraper gets something wrong (a garden marked absent, the wrong floor
+// level, a misread EPC) the user can override it. Overrides are kept per user
+// alongside the facts we originally detected, so both stay visible in history.
+
+const { CRITERIA_KEYS, CRITERIA_LABELS } = require('./scoring-profiles');
+const { getCriteriaMet } = require('./property-comparison');
+
+const TENURES = ['Freehold', 'Leasehold', 'Share of Freehold', 'Commonhold'];
+const FLOOR_LEVELS = ['basement', 'lower ground', 'ground', 'first', 'second', 'third', 'fourth or above'];
+
+const OVERRIDE_FIELDS = {
+    ...CRITERIA_KEYS.reduce((fields, key) => ({
+        ...fields,
+        [key]: { label: CRITERIA_LABELS[key], type: 'boolean' }
+    }), {}),
+    bathrooms: { label: 'Bathrooms', type: 'count', max: 10 },
+    bedrooms: { label: 'Bedrooms', type: 'count', max: 20 },
+    epcRating: { label: 'EPC rating', type: 'choice', values: ['A', 'B', 'C', 'D', 'E', 'F', 'G'] },
+    councilTaxBand: { label: 'Council tax band', type: 'choice', values: ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I'] },
+    tenure: { label: 'Tenure', type: 'choice', values: TENURES },
+    floorLevel: { label: 'Floor level', type: 'choice', values: FLOOR_LEVELS }
+};
+
+// Labels calculateAccessibleFeaturesScore() adds to the features list for each criterion
+const FEATURE_LABELS = {
+    stepFreeOrLift: 'Step-free internal access',
+    downstairsBedroom: 'Downstairs bedroom',
+    downstairsBathroom: 'Downstairs bathroom/WC',
+    groundFloorEntry: 'Ground floor entry',
+    privateParking: 'Off-street/private parking',
+    garden: 'Garden access',
+    balcony: 'Balcony/terrace',
+    externalLevelAccess: 'External level/ramp access'
+};
+
+/**
+ * Check submitted overrides. A null value clears that field's override.
+ * @param {Object} input - { field: value }
+ * @returns {{overrides: Object}|{error: string}}
+ */
+function validateOverrides(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'Overrides must be an object of field: value pairs' };
+    }
+
+    const overrides = {};
+    for (const [field, value] of Object.entries(input)) {
+        if (!Object.hasOwn(OVERRIDE_FIELDS, field)) return { error: `Unknown field: ${field}` };
+        const definition = OVERRIDE_FIELDS[field];
+
+        if (value === null) {
+            overrides[field] = null;
+            continue;
+        }
+
+        if (definition.type === 'boolean') {
+            if (typeof value !== 'boolean') return { error: `${definition.label} must be true or false` };
+            overrides[field] = value;
+        } else if (definition.type === 'count') {
+            if (!Number.isInteger(value) || value < 0 || value > definition.max) {
+                return { error: `${definition.label} must be a whole number from 0 to ${definition.max}` };
+            }
+            overrides[field] = value;
+        } else {
+            const match = definition.values.find(option => option.toLowerCase() === String(value).trim().toLowerCase());
+            if (!match) return { error: `${definition.label} must be one of ${definition.values.join(', ')}` };
+            overrides[field] = match;
+        }
+    }
+
+    return { overrides };
+}
+
+/**
+ * Apply a set of changes to the saved overrides, dropping cleared fields
+ * @param {Object} existing - Saved overrides
+ * @param {Object} changes - From validateOverrides()
+ * @returns {Object}
+ */
+function mergeOverrides(existing = {}, changes = {}) {
+    const merged = { ...existing, ...changes };
+    for (const field of Object.keys(merged)) {
+        if (merged[field] === null) delete merged[field];
+    }
+    return merged;
+}
+
+function countRooms(roomsFound, prefix) {
+    const rooms = (roomsFound || []).filter(room => room.startsWith(prefix));
+    if (rooms.some(room => room.endsWith('3+'))) return 3;
+    return rooms.length;
+}
+
+function matchChoice(field, value) {
+    if (!value) return null;
+    const text = String(value).toLowerCase();
+    return OVERRIDE_FIELDS[field].values.find(option => text.includes(option.toLowerCase())) || null;
+}
+
+/**
+ * The facts as the analysis originally detected them
+ * @param {Object} analysis - Stored analysis (scores_json)
+ * @param {Object} [property] - Stored property (property_json)
+ * @returns {Object} One value per OVERRIDE_FIELDS key (null where unknown)
+ */
+function detectedFacts(analysis, property = {}) {
+    const criteriaMet = getCriteriaMet(analysis.accessibleFeatures);
+    const bedroomMatch = String(property.title || '').match(/(\d+)\s*bedroom/i);
+    const bandMatch = String(analysis.councilTax?.band || '').match(/Band\s+([A-I])\b/i);
+    const floorLevel = analysis.accessibleFeatures?.floorLevel === 'garden level' ? 'ground' : analysis.accessibleFeatures?.floorLevel;
+
+    return {
+        ...CRITERIA_KEYS.reduce((facts, key) => ({ ...facts, [key]: !!criteriaMet[key] }), {}),
+        bathrooms: property.bathrooms ?? countRooms(analysis.roomAccommodation?.roomsFound, 'Bathroom/toilet'),
+        bedrooms: property.bedrooms ?? (bedroomMatch ? parseInt(bedroomMatch[1]) : countRooms(analysis.roomAccommodation?.roomsFound, 'Bedroom')),
+        epcRating: analysis.epcRating?.actualRating ? String(analysis.epcRating.actualRating).toUpperCase() : null,
+        councilTaxBand: bandMatch ? bandMatch[1].toUpperCase() : null,
+        tenure: matchChoice('tenure', property.tenure || analysis.cost?.leaseholdInfo),
+        floorLevel: FLOOR_LEVELS.includes(floorLevel) ? floorLevel : null
+    };
+}
+
+/**
+ * Criteria a corrected floor level settles, unless the user overrode them directly.
+ * Basement and lower ground flats often have steps down, so they settle nothing.
+ * @param {string|null} floorLevel
+ * @returns {Object}
+ */
+function criteriaFromFloorLevel(floorLevel) {
+    if (floorLevel === 'ground') return { groundFloorEntry: true };
+    if (['first', 'second', 'third', 'fourth or above'].includes(floorLevel)) {
+        return { groundFloorEntry: false, downstairsBedroom: false };
+    }
+    return {};
+}
+
+/**
+ * Features list with one criterion switched on or off
+ * @param {string[]} features - accessibleFeatures.features
+ * @param {string} key - Criterion key
+ * @param {boolean} met
+ * @returns {string[]}
+ */
+function setFeature(features, key, met) {
+    const others = (features || []).filter(feature => !getCriteriaMet({ features: [feature] })[key]);
+    return met ? [...others, FEATURE_LABELS[key]] : others;
+}
+
+/**
+ * Room accommodation rebuilt with corrected bathroom and bedroom counts.
+ * Living room and kitchen are kept as detected; scoring matches calculateRoomScore().
+ * @param {string[]} roomsFound - Stored roomAccommodation.roomsFound
+ * @param {number} bathrooms
+ * @param {number} bedrooms
+ * @returns {{score: number, rawScore: number, maxPossible: number, roomsFound: string[]}}
+ */
+function rebuildRooms(roomsFound, bathrooms, bedrooms) {
+    const rooms = (roomsFound || []).filter(room => !room.startsWith('Bathroom/toilet') && !room.startsWith('Bedroom'));
+    let rawScore = rooms.length;
+
+    for (const [count, name] of [[bathrooms, 'Bathroom/toilet'], [bedrooms, 'Bedroom']]) {
+        if (count >= 1) { rawScore++; rooms.push(`${name} 1`); }
+        if (count >= 2) { rawScore++; rooms.push(`${name} 2`); }
+        if (count >= 3) rooms.push(`${name} 3+`);
+    }
+
+    return {
+        score: Math.round((rawScore * (5 / 6)) * 10) / 10,
+        rawScore,
+        maxPossible: 6,
+        roomsFound: rooms
+    };
+}
+
+/**
+ * Original and corrected value for each overridden field that differs
+ * @param {Object} facts - From detectedFacts()
+ * @param {Object} overrides - Saved overrides
+ * @returns {{field: string, label: string, original: *, corrected: *}[]}
+ */
+function describeCorrections(facts, overrides) {
+    return Object.entries(overrides)
+        .filter(([field, value]) => facts[field] !== value)
+        .map(([field, value]) => ({
+            field,
+            label: OVERRIDE_FIELDS[field].label,
+            original: facts[field] ?? null,
+            corrected: value
+        }));
+}
+
+module.exports = {
+    OVERRIDE_FIELDS,
+    validateOverrides,
+    mergeOverrides,
+    detectedFacts,
+    criteriaFromFloorLevel,
+    setFeature,
+    rebuildRooms,
+    describeCorrections
+};
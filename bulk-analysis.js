@@ -0,0 +1,341 @@
+// bulk-analysis.js
+// Bulk analysis for Team plan accounts
+// A Rightmove search-results URL or a CSV of listing URLs becomes a queue of
+// listings, analysed one at a time with a politeness delay between scrapes.
+// When the run finishes the results are ranked into a downloadable table.
+
+const crypto = require('crypto');
+const { fetchListingPage, getHostname } = require('./listing-sources');
+const { CATEGORY_KEYS, CATEGORY_LABELS } = require('./scoring-profiles');
+
+const MAX_BULK_LISTINGS = 100;
+const MAX_SEARCH_PAGES = 5;
+const SEARCH_RESULTS_PER_PAGE = 24;
+
+// Finished runs stay in memory this long; after that they're read back from the database
+const RUN_RETENTION = 24 * 60 * 60 * 1000;
+
+/**
+ * Is this a Rightmove search-results page (rather than a single listing)?
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isRightmoveSearchUrl(url) {
+    const hostname = getHostname(url);
+    if (hostname !== 'rightmove.co.uk' && !hostname?.endsWith('.rightmove.co.uk')) return false;
+    return /\/(property-for-sale|property-to-rent|new-homes-for-sale)\/|\/find\.html/i.test(new URL(url).pathname);
+}
+
+/**
+ * Collect listing URLs from a Rightmove search, following result pages up to the limit
+ * @param {string} searchUrl
+ * @param {number} [limit]
+ * @returns {Promise<string[]>}
+ */
+async function collectSearchResultUrls(searchUrl, limit = MAX_BULK_LISTINGS) {
+    const ids = new Set();
+
+    for (let page = 0; page < MAX_SEARCH_PAGES && ids.size < limit; page++) {
+        const pageUrl = new URL(searchUrl);
+        pageUrl.searchParams.set('index', String(page * SEARCH_RESULTS_PER_PAGE));
+
+        const html = await fetchListingPage(pageUrl.toString());
+        const before = ids.size;
+
+        // Property links appear in both the JSON model and the rendered cards
+        for (const match of String(html).matchAll(/\/properties\/(\d{6,})/g)) {
+            ids.add(match[1]);
+        }
+
+        console.log(`📋 Search page ${page + 1}: ${ids.size - before} new listings`);
+        if (ids.size === before) break;
+    }
+
+    return [...ids]
+        .slice(0, limit)
+        .map(id => `https://www.rightmove.co.uk/properties/${id}`);
+}
+
+/**
+ * Pull listing URLs out of an uploaded CSV. Any cell that looks like a URL counts,
+ * so a bare list, an export with a "url" column or a spreadsheet all work.
+ * @param {string} text - CSV contents
+ * @returns {string[]} Unique URLs in file order
+ */
+function parseListingCsv(text) {
+    const urls = [];
+
+    for (const line of String(text).split(/\r?\n/)) {
+        for (const cell of line.split(/[,;\t]/)) {
+            const value = cell.trim().replace(/^"|"$/g, '').trim();
+            if (/^https?:\/\/\S+$/i.test(value) && !urls.includes(value)) {
+                urls.push(value);
+            }
+        }
+    }
+
+    return urls;
+}
+
+// Only what the ranked table needs is kept, so a 100-listing run stays small in the database
+function slimResult(result) {
+    const { property, analysis } = result;
+    return {
+        propertyId: result.propertyId || null,
+        property: {
+            title: property.title,
+            location: property.location,
+            price: property.price
+        },
+        analysis: {
+            overall: analysis.overall,
+            ...CATEGORY_KEYS.reduce((scores, key) => ({
+                ...scores,
+                [key]: { score: analysis[key]?.score ?? null }
+            }), {}),
+            accessibleFeatures: {
+                score: analysis.accessibleFeatures?.score ?? null,
+                features: analysis.accessibleFeatures?.features || []
+            }
+        }
+    };
+}
+
+function formatScore(score) {
+    return typeof score === 'number' ? Math.round(score * 10) / 10 : null;
+}
+
+/**
+ * Rank a finished run's listings by overall score. Failed listings go last.
+ * @param {Object[]} items - Run items ({ url, status, result, error })
+ * @returns {Object[]} One row per listing
+ */
+function buildRankedTable(items) {
+    const analysed = items
+        .filter(item => item.status === 'complete' && item.result)
+        .sort((a, b) => (b.result.analysis.overall || 0) - (a.result.analysis.overall || 0));
+
+    const rows = analysed.map((item, index) => {
+        const { property, analysis } = item.result;
+        return {
+            rank: index + 1,
+            address: property.location || property.title || '',
+            price: property.price || '',
+            overall: formatScore(analysis.overall),
+            categories: CATEGORY_KEYS.reduce((scores, key) => ({
+                ...scores,
+                [key]: formatScore(analysis[key]?.score)
+            }), {}),
+            keyFeatures: analysis.accessibleFeatures?.features || [],
+            url: item.url,
+            error: null
+        };
+    });
+
+    const failed = items
+        .filter(item => item.status === 'failed')
+        .map(item => ({
+            rank: null,
+            address: '',
+            price: '',
+            overall: null,
+            categories: {},
+            keyFeatures: [],
+            url: item.url,
+            error: item.error
+        }));
+
+    return [...rows, ...failed];
+}
+
+// Text from listings (addresses, prices, features) could start a spreadsheet formula,
+// so a leading =, +, -, @, tab or CR is neutralised with an apostrophe. Scores are
+// numbers we produced and are left as numbers.
+function csvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Ranked table as CSV for download
+ * @param {Object[]} rows - From buildRankedTable()
+ * @returns {string}
+ */
+function rankedTableToCsv(rows) {
+    const header = [
+        'Rank',
+        'Address',
+        'Price',
+        'Overall Score',
+        ...CATEGORY_KEYS.map(key => CATEGORY_LABELS[key]),
+        'Key Features',
+        'Listing URL',
+        'Error'
+    ];
+
+    const lines = rows.map(row => [
+        row.rank,
+        row.address,
+        row.price,
+        row.overall,
+        ...CATEGORY_KEYS.map(key => row.categories[key]),
+        row.keyFeatures.join('; '),
+        row.url,
+        row.error
+    ].map(csvCell).join(','));
+
+    return [header.map(csvCell).join(','), ...lines].join('\r\n');
+}
+
+class BulkAnalysisStore {
+    /**
+     * @param {Object} supabase - Supabase client
+     */
+    constructor(supabase) {
+        this.supabase = supabase;
+        this.runs = new Map();
+    }
+
+    /**
+     * Queue a run and work through it in the background
+     * @param {string[]} urls - Listing URLs
+     * @param {Object} options
+     * @param {string} options.userId - Owner (users.id)
+     * @param {Function} options.analyze - async (url) => analysis result
+     * @param {Function} options.delay - () => milliseconds to wait between listings
+     * @returns {Object} The run
+     */
+    start(urls, { userId, analyze, delay }) {
+        const run = {
+            id: crypto.randomUUID(),
+            userId: userId,
+            status: 'running',
+            items: urls.map(url => ({ url, status: 'pending', result: null, error: null })),
+            createdAt: new Date().toISOString(),
+            completedAt: null
+        };
+        this.runs.set(run.id, run);
+        this.persist(run);
+
+        this.process(run, analyze, delay)
+            .catch(error => {
+                console.error(`❌ Bulk analysis ${run.id} failed:`, error.message);
+                run.status = 'failed';
+            })
+            .finally(() => {
+                run.completedAt = new Date().toISOString();
+                this.persist(run);
+                setTimeout(() => this.runs.delete(run.id), RUN_RETENTION).unref();
+            });
+
+        return run;
+    }
+
+    async process(run, analyze, delay) {
+        for (const [index, item] of run.items.entries()) {
+            if (index > 0) {
+                await new Promise(resolve => setTimeout(resolve, delay()));
+            }
+
+            item.status = 'running';
+            console.log(`📋 Bulk ${run.id}: ${index + 1}/${run.items.length} ${item.url}`);
+
+            try {
+                item.result = slimResult(await analyze(item.url));
+                item.status = 'complete';
+            } catch (error) {
+                console.log(`⚠️ Bulk listing failed (${item.url}):`, error.message);
+                item.status = 'failed';
+                item.error = error.message;
+            }
+
+            await this.persist(run);
+        }
+
+        run.status = 'complete';
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<Object|null>} The run, from memory or the database
+     */
+    async get(id) {
+        if (this.runs.has(id)) return this.runs.get(id);
+
+        try {
+            const { data: row } = await this.supabase
+                .from('bulk_analyses')
+                .select('*')
+                .eq('id', id)
+                .maybeSingle();
+
+            if (!row) return null;
+
+            // Not in memory but never finished - the server restarted mid-run
+            return {
+                id: row.id,
+                userId: row.user_id,
+                status: row.status === 'running' ? 'failed' : row.status,
+                items: row.items || [],
+                createdAt: row.created_at,
+                completedAt: row.completed_at
+            };
+        } catch (error) {
+            console.log('⚠️ Bulk analysis lookup failed:', error.message);
+            return null;
+        }
+    }
+
+    async persist(run) {
+        try {
+            const { error } = await this.supabase
+                .from('bulk_analyses')
+                .upsert({
+                    id: run.id,
+                    user_id: run.userId,
+                    status: run.status,
+                    items: run.items,
+                    created_at: run.createdAt,
+                    completed_at: run.completedAt
+                }, { onConflict: 'id' });
+
+            if (error) console.log('⚠️ Bulk analysis save failed:', error.message);
+        } catch (error) {
+            console.log('⚠️ Bulk analysis save failed:', error.message);
+        }
+    }
+}
+
+/**
+ * Progress summary for the status endpoint; the ranked table is included once finished
+ * @param {Object} run
+ * @returns {Object}
+ */
+function summariseRun(run) {
+    const count = status => run.items.filter(item => item.status === status).length;
+    const finished = run.status !== 'running';
+
+    return {
+        id: run.id,
+        status: run.status,
+        total: run.items.length,
+        completed: count('complete'),
+        failed: count('failed'),
+        pending: count('pending') + count('running'),
+        createdAt: run.createdAt,
+        completedAt: run.completedAt,
+        table: finished ? buildRankedTable(run.items) : null
+    };
+}
+
+module.exports = {
+    MAX_BULK_LISTINGS,
+    BulkAnalysisStore,
+    isRightmoveSearchUrl,
+    collectSearchResultUrls,
+    parseListingCsv,
+    buildRankedTable,
+    rankedTableToCsv,
+    summariseRun
+};
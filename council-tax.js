@@ -0,0 +1,244 @@
+// council-tax.js
+// Council tax for Home Accessibility Score
+// A band letter alone says little about the bill: each nation sets its own band ratios
+// (Wales has a ninth band, I), and the same band costs hundreds of pounds more in one
+// council than the next. The council is resolved from the postcode or coordinates
+// (postcodes.io), its charges come from an importable table (COUNCIL_TAX_DATASET), and
+// the single-person discount and Disability Reduction Scheme can be applied to the bill.
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { parseCsv } = require('./epc-register');
+
+const DEFAULT_POSTCODE_API_URL = 'https://api.postcodes.io';
+const REQUEST_TIMEOUT = 10000;
+
+// Each band as a fraction of Band D, and the average Band D charge for 2025-26
+const NATIONS = {
+    england: {
+        name: 'England',
+        bandD: 2280,
+        ratios: { A: 6 / 9, B: 7 / 9, C: 8 / 9, D: 1, E: 11 / 9, F: 13 / 9, G: 15 / 9, H: 18 / 9 }
+    },
+    wales: {
+        name: 'Wales',
+        bandD: 2170,
+        ratios: { A: 6 / 9, B: 7 / 9, C: 8 / 9, D: 1, E: 11 / 9, F: 13 / 9, G: 15 / 9, H: 18 / 9, I: 21 / 9 }
+    },
+    scotland: {
+        name: 'Scotland',
+        bandD: 1543,
+        ratios: { A: 240 / 360, B: 280 / 360, C: 320 / 360, D: 1, E: 473 / 360, F: 585 / 360, G: 705 / 360, H: 882 / 360 }
+    }
+};
+
+// One adult living alone pays three quarters of the bill, in every nation
+const SINGLE_PERSON_DISCOUNT = 0.25;
+
+// The Disability Reduction Scheme charges an adapted home one band lower; Band A,
+// having no band below, comes down by a ninth of Band D instead
+const BAND_A_DISABILITY_REDUCTION = 1 / 9;
+
+/**
+ * "Band C", "c" or "C" as a band letter the nation uses
+ * @param {string|null} band
+ * @param {string} [country]
+ * @returns {string|null}
+ */
+function normaliseBand(band, country = 'england') {
+    const letter = String(band || '').replace(/band/i, '').trim().toUpperCase();
+    return (NATIONS[country] || NATIONS.england).ratios[letter] ? letter : null;
+}
+
+function bandLetterKey(letter) {
+    return `band_${letter.toLowerCase()}`;
+}
+
+/**
+ * Yearly council tax for a band, with any discounts the household is entitled to
+ * @param {string|null} band - "Band C" or "C"
+ * @param {string} [country] - 'england', 'wales' or 'scotland'
+ * @param {Object} [options]
+ * @param {Object|null} [options.charges] - The council's charges, from CouncilTaxCharges.find()
+ * @param {boolean} [options.singlePerson] - One adult lives there
+ * @param {boolean} [options.disabilityReduction] - Eligible for the Disability Reduction Scheme
+ * @returns {Object|null} { band, chargedBand, annual, fullCharge, authority, basis, reductions, charges } or null when the band isn't one the nation uses
+ */
+function estimateCouncilTax(band, country = 'england', { charges = null, singlePerson = false, disabilityReduction = false } = {}) {
+    const nation = NATIONS[country] || NATIONS.england;
+    const letter = normaliseBand(band, country);
+    if (!letter) return null;
+
+    const bandD = charges?.bandD || nation.bandD;
+    // The council's own figure for a band wins; parish precepts make it differ from the ratio
+    const chargeFor = key => charges?.bands?.[key] || bandD * nation.ratios[key];
+    const fullCharge = chargeFor(letter);
+
+    const letters = Object.keys(nation.ratios);
+    const reductions = [];
+    let chargedBand = letter;
+    let annual = fullCharge;
+
+    if (disabilityReduction) {
+        if (letter === 'A') {
+            annual = fullCharge - bandD * BAND_A_DISABILITY_REDUCTION;
+            reductions.push('Disability Reduction: Band A less a ninth of Band D');
+        } else {
+            chargedBand = letters[letters.indexOf(letter) - 1];
+            annual = chargeFor(chargedBand);
+            reductions.push(`Disability Reduction: charged as Band ${chargedBand}`);
+        }
+    }
+    if (singlePerson) {
+        annual *= 1 - SINGLE_PERSON_DISCOUNT;
+        reductions.push('Single person discount: 25% off');
+    }
+
+    return {
+        band: letter,
+        chargedBand,
+        annual: Math.round(annual),
+        fullCharge: Math.round(fullCharge),
+        authority: charges?.authority || null,
+        basis: charges ? `${charges.authority} ${charges.year ? `${charges.year} ` : ''}charge` : `average Band ${letter} charge in ${nation.name}`,
+        reductions,
+        charges
+    };
+}
+
+/**
+ * The bill against the nation's average Band D, so a cheap council scores better than a dear one
+ * @param {Object} councilTax - From estimateCouncilTax()
+ * @param {string} [country]
+ * @returns {number}
+ */
+function billRatio(councilTax, country = 'england') {
+    return councilTax.annual / (NATIONS[country] || NATIONS.england).bandD;
+}
+
+// "Cheshire West and Chester" and "CHESHIRE WEST & CHESTER" are the same council
+function authorityKey(name) {
+    return String(name || '').toLowerCase().replace(/&/g, 'and').replace(/\b(?:council|borough|city|county|of|the)\b/g, '').replace(/[^a-z]+/g, '');
+}
+
+class CouncilTaxCharges {
+    /**
+     * @param {Object} options
+     * @param {string} [options.datasetDir] - Folder holding band-charges.csv
+     * @param {string} [options.postcodeApiUrl] - postcodes.io, or a stand-in speaking the same API
+     */
+    constructor({ datasetDir, postcodeApiUrl = DEFAULT_POSTCODE_API_URL } = {}) {
+        this.datasetDir = datasetDir || null;
+        this.postcodeApiUrl = postcodeApiUrl;
+        this.table = null;
+    }
+
+    isConfigured() {
+        return !!this.datasetDir;
+    }
+
+    /**
+     * The council for a home. A full postcode is exact; coordinates next; a postcode
+     * district only when it lies in a single council.
+     * @param {Object} location
+     * @param {string} [location.postcode] - Full postcode or district
+     * @param {{lat: number, lng: number}} [location.coordinates]
+     * @returns {Promise<{code: string|null, name: string}|null>}
+     */
+    async resolveAuthority({ postcode = null, coordinates = null }) {
+        const value = String(postcode || '').trim();
+        const get = (url, params) => axios.get(`${this.postcodeApiUrl}${url}`, { params, timeout: REQUEST_TIMEOUT })
+            .then(response => response.data?.result)
+            .catch(error => {
+                // postcodes.io answers 404 for a postcode it doesn't know
+                if (error.response?.status === 404) return null;
+                throw error;
+            });
+
+        if (/\d[A-Z]{2}$/i.test(value.replace(/\s+/g, ''))) {
+            const result = await get(`/postcodes/${encodeURIComponent(value)}`);
+            if (result?.admin_district) return { code: result.codes?.admin_district || null, name: result.admin_district };
+        }
+
+        if (coordinates?.lat && coordinates?.lng) {
+            const [nearest] = await get('/postcodes', { lon: coordinates.lng, lat: coordinates.lat, limit: 1 }) || [];
+            if (nearest?.admin_district) return { code: nearest.codes?.admin_district || null, name: nearest.admin_district };
+        }
+
+        if (value) {
+            const result = await get(`/outcodes/${encodeURIComponent(value.split(/\s+/)[0])}`);
+            const districts = result?.admin_district || [];
+            if (districts.length === 1) return { code: null, name: districts[0] };
+        }
+
+        return null;
+    }
+
+    /**
+     * The council's charges from the imported table
+     * @param {{code: string|null, name: string}} authority - From resolveAuthority()
+     * @returns {Promise<Object|null>} { authority, code, nation, year, bandD, bands } or null if the council isn't in the table
+     */
+    async find(authority) {
+        if (!this.isConfigured() || !authority) return null;
+        const table = await this.load();
+        return (authority.code && table.byCode.get(authority.code.toUpperCase())) || table.byName.get(authorityKey(authority.name)) || null;
+    }
+
+    // band-charges.csv: authority_code, authority, nation, year, band_d, and optionally
+    // band_a to band_i where the council's published figures differ from the ratios
+    async load() {
+        if (this.table) return this.table;
+
+        let rows = [];
+        try {
+            rows = parseCsv(await fs.promises.readFile(path.join(this.datasetDir, 'band-charges.csv'), 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            console.log('⚠️ Council tax charges: band-charges.csv not found');
+        }
+
+        const byCode = new Map();
+        const byName = new Map();
+        for (const raw of rows) {
+            const row = Object.fromEntries(Object.entries(raw).map(([key, value]) => [key.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_'), String(value ?? '').trim()]));
+            const amount = key => {
+                const number = parseFloat(String(row[key] || '').replace(/[£,]/g, ''));
+                return Number.isFinite(number) && number > 0 ? number : null;
+            };
+
+            const bands = {};
+            for (const letter of 'ABCDEFGHI') {
+                if (amount(bandLetterKey(letter))) bands[letter] = amount(bandLetterKey(letter));
+            }
+            const bandD = amount('band_d');
+            const name = row.authority || row.local_authority || row.name;
+            if (!bandD || !name) continue;
+
+            const charges = {
+                authority: name,
+                code: row.authority_code || row.code || null,
+                nation: row.nation || null,
+                year: row.year || null,
+                bandD: bandD,
+                bands: bands
+            };
+            if (charges.code) byCode.set(charges.code.toUpperCase(), charges);
+            byName.set(authorityKey(name), charges);
+        }
+
+        console.log(`📚 Council tax charges loaded for ${byName.size} councils`);
+        this.table = { byCode, byName };
+        return this.table;
+    }
+}
+
+module.exports = {
+    NATIONS,
+    SINGLE_PERSON_DISCOUNT,
+    normaliseBand,
+    estimateCouncilTax,
+    billRatio,
+    CouncilTaxCharges
+};
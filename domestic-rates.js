@@ -0,0 +1,93 @@
+// domestic-rates.js
+// Northern Ireland domestic rates for Home Accessibility Score
+// Northern Ireland has no council tax bands. Homes pay domestic rates instead: the
+// capital value Land & Property Services put on the home (what it would have sold for
+// on 1 January 2005) multiplied by the regional rate plus the district council's rate.
+// Listings often state the rates bill; otherwise the capital value is estimated by
+// taking the asking price back to 2005 prices.
+
+// Capital values above this are rated as if they were this
+const CAPITAL_VALUE_CAP = 400000;
+
+// Regional plus district rate for 2025-26 (£ per £ of capital value), averaged across
+// the 11 councils. A council's own rate can be about a tenth either side.
+const AVERAGE_RATE_POUNDAGE = 0.0092;
+
+// Northern Ireland house prices in January 2005 as a share of today's (NI House Price Index)
+const PRICE_TO_2005_VALUE = 0.63;
+
+// Disabled Persons Allowance: a quarter off for a home adapted for a disabled resident
+const DISABLED_PERSONS_ALLOWANCE = 0.25;
+
+// A stated bill outside this range is a misread (a monthly figure, a price, a typo)
+const MIN_STATED_RATES = 200;
+const MAX_STATED_RATES = 6000;
+
+// "Rates: £1,234.56 per annum", "Rates payable approx £1,102 pa", "Domestic rates £980"
+const STATED_RATES_PATTERN = /(?<!interest\s|mortgage\s)\b(?:domestic\s+)?rates(?:\s+payable)?\b[^£\d.]{0,30}£\s*([\d,]+(?:\.\d{1,2})?)/i;
+
+function formatPounds(amount) {
+    return `£${Math.round(amount).toLocaleString('en-GB')}`;
+}
+
+/**
+ * Annual rates bill stated in the listing
+ * @param {string} text - Description and key features
+ * @returns {number|null}
+ */
+function readStatedRates(text) {
+    const match = String(text || '').match(STATED_RATES_PATTERN);
+    if (!match) return null;
+
+    const amount = parseFloat(match[1].replace(/,/g, ''));
+    return amount >= MIN_STATED_RATES && amount <= MAX_STATED_RATES ? Math.round(amount) : null;
+}
+
+/**
+ * Yearly domestic rates for a Northern Ireland home
+ * @param {Object} input
+ * @param {number|null} input.price - Asking price (not rent)
+ * @param {string} [input.listingText] - Description and key features
+ * @param {number|null} [input.capitalValue] - LPS capital value, when known
+ * @param {boolean} [input.disabilityReduction] - Eligible for the Disabled Persons Allowance
+ * @param {boolean} [input.singlePerson] - One adult lives there
+ * @returns {{annual: number, fullCharge: number, source: string, capitalValue: number|null, capitalValueEstimated: boolean, basis: string, reductions: string[], notes: string[]}|null} null when there's nothing to go on
+ */
+function estimateDomesticRates({ price = null, listingText = '', capitalValue = null, disabilityReduction = false, singlePerson = false }) {
+    const withReliefs = rates => {
+        const reductions = [];
+        const notes = [];
+        let annual = rates.annual;
+        if (disabilityReduction) {
+            annual *= 1 - DISABLED_PERSONS_ALLOWANCE;
+            reductions.push('Disabled Persons Allowance: 25% off');
+        }
+        // Northern Ireland has no single person discount
+        if (singlePerson) notes.push('There is no single person discount on rates; Lone Pensioner Allowance takes 20% off for anyone 70 or over living alone.');
+        return { ...rates, annual: Math.round(annual), fullCharge: rates.annual, reductions, notes };
+    };
+
+    const stated = readStatedRates(listingText);
+    if (stated) {
+        return withReliefs({ annual: stated, source: 'listing', capitalValue: null, capitalValueEstimated: false, basis: 'stated in the listing' });
+    }
+
+    const value = capitalValue || (price ? Math.round(price * PRICE_TO_2005_VALUE / 1000) * 1000 : null);
+    if (!value) return null;
+
+    const rated = Math.min(value, CAPITAL_VALUE_CAP);
+    const estimated = !capitalValue;
+    return withReliefs({
+        annual: Math.round(rated * AVERAGE_RATE_POUNDAGE),
+        source: estimated ? 'estimate' : 'capital value',
+        capitalValue: value,
+        capitalValueEstimated: estimated,
+        basis: `${estimated ? 'estimated ' : ''}capital value ${formatPounds(value)}${value > CAPITAL_VALUE_CAP ? ` (rated at the ${formatPounds(CAPITAL_VALUE_CAP)} cap)` : ''}, average NI rate`
+    });
+}
+
+module.exports = {
+    CAPITAL_VALUE_CAP,
+    readStatedRates,
+    estimateDomesticRates
+};
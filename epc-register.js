@@ -0,0 +1,351 @@
+// epc-register.js
+// Domestic EPC register lookup for Home Accessibility Score
+// The official register holds every lodged certificate with its current and potential
+// rating, floor area, age band, heating and recommendations. A listing is matched to a
+// certificate by postcode and address; scraped EPC values are only used when there's
+// no confident match. For testing, the register can be a stand-in server speaking the
+// same API (EPC_REGISTER_URL) or a local copy of the bulk download (EPC_REGISTER_DATASET).
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const DEFAULT_REGISTER_URL = 'https://epc.opendatacommunities.org/api/v1';
+const REQUEST_TIMEOUT = 15000;
+const MAX_RESULTS = 500;
+
+// Share of the listing's address words a certificate must contain to count as a match
+const MIN_MATCH_SCORE = 0.6;
+
+const FULL_POSTCODE = /\b([A-Z]{1,2}\d[A-Z\d]?)\s*(\d[A-Z]{2})\b/i;
+const OUTCODE = /^[A-Z]{1,2}\d[A-Z\d]?$/i;
+
+const ADDRESS_ABBREVIATIONS = {
+    rd: 'road', st: 'street', ave: 'avenue', av: 'avenue', ln: 'lane', dr: 'drive', cl: 'close',
+    ct: 'court', cres: 'crescent', gdns: 'gardens', pl: 'place', sq: 'square', ter: 'terrace',
+    apt: 'flat', apartment: 'flat'
+};
+
+// Words that don't tell two addresses apart
+const ADDRESS_STOPWORDS = new Set(['the', 'and', 'of', 'uk', 'united', 'kingdom']);
+
+/**
+ * The postcode in an address, full if it has one, otherwise the outward code
+ * @param {string} text
+ * @returns {{postcode: string, full: boolean}|null}
+ */
+function findPostcode(text) {
+    const value = String(text || '');
+    const full = value.match(FULL_POSTCODE);
+    if (full) return { postcode: `${full[1]} ${full[2]}`.toUpperCase(), full: true };
+
+    // The outward code is the last postcode-shaped word (Rightmove shows "Flint, CH6")
+    const words = value.split(/[\s,]+/).reverse();
+    const outcode = words.find(word => OUTCODE.test(word));
+    return outcode ? { postcode: outcode.toUpperCase(), full: false } : null;
+}
+
+/**
+ * Is a certificate's postcode the one we're looking for? An outward code alone
+ * matches the whole district ("CH6" is not "CH65").
+ * @param {string} postcode - From the certificate
+ * @param {{postcode: string, full: boolean}} wanted - From findPostcode()
+ * @returns {boolean}
+ */
+function postcodeMatches(postcode, wanted) {
+    const value = String(postcode || '').toUpperCase().trim();
+    return wanted.full
+        ? value.replace(/\s+/g, '') === wanted.postcode.replace(/\s+/g, '')
+        : value.split(/\s+/)[0] === wanted.postcode;
+}
+
+/**
+ * Lowercased address words with common abbreviations expanded and the postcode removed
+ * @param {string} address
+ * @returns {string[]}
+ */
+function addressTokens(address) {
+    return String(address || '')
+        .replace(FULL_POSTCODE, ' ')
+        .toLowerCase()
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .split(/\s+/)
+        .filter(Boolean)
+        .map(word => (Object.hasOwn(ADDRESS_ABBREVIATIONS, word) ? ADDRESS_ABBREVIATIONS[word] : word))
+        .filter(word => !ADDRESS_STOPWORDS.has(word) && !/^[a-z]{1,2}\d[a-z\d]?$/.test(word));
+}
+
+/**
+ * How well a certificate's address matches the listing's, from 0 to 1.
+ * House and flat numbers in the listing must all appear, or it isn't the same home.
+ * @param {string[]} listingTokens - From addressTokens()
+ * @param {string} certificateAddress
+ * @returns {number}
+ */
+function scoreAddressMatch(listingTokens, certificateAddress) {
+    if (listingTokens.length === 0) return 0;
+    const certificateTokens = new Set(addressTokens(certificateAddress));
+
+    const numbers = listingTokens.filter(word => /\d/.test(word));
+    if (numbers.some(number => !certificateTokens.has(number))) return 0;
+
+    const matched = listingTokens.filter(word => certificateTokens.has(word)).length;
+    return matched / listingTokens.length;
+}
+
+/**
+ * Register rows use kebab-case keys over the API and UPPER_SNAKE in the bulk CSV
+ * @param {Object} row
+ * @returns {Object}
+ */
+function normaliseRowKeys(row) {
+    return Object.fromEntries(Object.entries(row).map(([key, value]) => [key.toLowerCase().replace(/_/g, '-'), value]));
+}
+
+function numberOrNull(value) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+function textOrNull(value) {
+    const text = String(value ?? '').trim();
+    return text && !/^(?:NO DATA!|INVALID!|N\/A)$/i.test(text) ? text : null;
+}
+
+function certificateAddress(row) {
+    return row.address || [row.address1, row.address2, row.address3].filter(Boolean).join(', ');
+}
+
+/**
+ * The fields the analysis uses from one certificate row
+ * @param {Object} row - Register row (normalised keys)
+ * @param {Object[]} recommendationRows - Register recommendation rows for the certificate
+ * @returns {Object}
+ */
+function toCertificate(row, recommendationRows) {
+    return {
+        lmkKey: row['lmk-key'],
+        address: certificateAddress(row),
+        postcode: row.postcode || null,
+        currentRating: textOrNull(row['current-energy-rating'])?.toUpperCase() || null,
+        potentialRating: textOrNull(row['potential-energy-rating'])?.toUpperCase() || null,
+        currentEfficiency: numberOrNull(row['current-energy-efficiency']),
+        potentialEfficiency: numberOrNull(row['potential-energy-efficiency']),
+        floorAreaSqM: numberOrNull(row['total-floor-area']),
+        ageBand: textOrNull(row['construction-age-band']),
+        propertyType: textOrNull(row['property-type']),
+        builtForm: textOrNull(row['built-form']),
+        heating: {
+            description: textOrNull(row['mainheat-description']),
+            fuel: textOrNull(row['main-fuel']),
+            controls: textOrNull(row['mainheatcont-description']),
+            hotWater: textOrNull(row['hotwater-description'])
+        },
+        lodgementDate: row['lodgement-date'] || null,
+        recommendations: recommendationRows
+            .map(normaliseRowKeys)
+            .sort((a, b) => (numberOrNull(a['improvement-item']) ?? 99) - (numberOrNull(b['improvement-item']) ?? 99))
+            .map(rec => ({
+                summary: textOrNull(rec['improvement-summary-text']) || textOrNull(rec['improvement-descr-text']),
+                description: textOrNull(rec['improvement-descr-text']),
+                indicativeCost: textOrNull(rec['indicative-cost'])
+            }))
+            .filter(rec => rec.summary)
+    };
+}
+
+/**
+ * Parse CSV text into objects keyed by the header row. Handles quoted fields,
+ * doubled quotes and line breaks inside quotes, as in the register's bulk files.
+ * @param {string} text
+ * @returns {Object[]}
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const [header, ...body] = rows.filter(cells => cells.some(cell => cell !== ''));
+    if (!header) return [];
+    return body.map(cells => Object.fromEntries(header.map((name, index) => [name, cells[index] ?? ''])));
+}
+
+class EpcRegister {
+    /**
+     * @param {Object} options
+     * @param {string} [options.baseUrl] - Register API, or a stand-in server with the same routes
+     * @param {string} [options.email] - Register account email (HTTP basic auth user)
+     * @param {string} [options.apiKey] - Register API key
+     * @param {string} [options.datasetDir] - Folder with certificates.csv and recommendations.csv from the bulk download
+     */
+    constructor({ baseUrl = DEFAULT_REGISTER_URL, email = null, apiKey = null, datasetDir = null } = {}) {
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.email = email;
+        this.apiKey = apiKey;
+        this.datasetDir = datasetDir;
+        this.dataset = null;
+        this.customServer = baseUrl !== DEFAULT_REGISTER_URL;
+    }
+
+    // The live register needs credentials; a stand-in server or local dataset doesn't
+    isConfigured() {
+        return !!(this.datasetDir || this.customServer || (this.email && this.apiKey));
+    }
+
+    /**
+     * Find the certificate for a home by address and postcode
+     * @param {Object} property
+     * @param {string} property.address - Address as listed
+     * @param {string} [property.postcode] - Full postcode if known separately
+     * @returns {Promise<Object|null>} Latest certificate for the best match, or null if none is confident
+     */
+    async lookup({ address, postcode = null }) {
+        if (!this.isConfigured()) return null;
+
+        const found = findPostcode(postcode) || findPostcode(address);
+        if (!found) return null;
+
+        const rows = (await this.search(found.postcode))
+            .map(normaliseRowKeys)
+            .filter(row => postcodeMatches(row.postcode, found));
+
+        const match = this.bestMatch(rows, addressTokens(address));
+        if (!match) return null;
+
+        const recommendations = await this.recommendations(match['lmk-key']).catch(error => {
+            console.log('⚠️ EPC recommendations lookup failed:', error.message);
+            return [];
+        });
+        return toCertificate(match, recommendations);
+    }
+
+    /**
+     * The latest certificate for the one address that matches best. Two different
+     * homes matching equally well (a street name with no house number) is no match.
+     * @param {Object[]} rows - Certificate rows (normalised keys)
+     * @param {string[]} listingTokens - From addressTokens()
+     * @returns {Object|null}
+     */
+    bestMatch(rows, listingTokens) {
+        let bestScore = 0;
+        let best = [];
+
+        for (const row of rows) {
+            const score = scoreAddressMatch(listingTokens, `${certificateAddress(row)} ${row.posttown || ''}`);
+            if (score > bestScore) {
+                bestScore = score;
+                best = [row];
+            } else if (score === bestScore && score > 0) {
+                best.push(row);
+            }
+        }
+
+        if (bestScore < MIN_MATCH_SCORE) return null;
+
+        const homes = new Set(best.map(row => row['building-reference-number'] || addressTokens(certificateAddress(row)).join(' ')));
+        if (homes.size > 1) {
+            console.log(`⚠️ EPC register: ${homes.size} homes match the address equally well, not guessing`);
+            return null;
+        }
+
+        return best.sort((a, b) => String(b['lodgement-date'] || '').localeCompare(String(a['lodgement-date'] || '')))[0];
+    }
+
+    async search(postcode) {
+        if (this.datasetDir) {
+            const { certificates } = await this.loadDataset();
+            const key = postcode.replace(/\s+/g, '');
+            // Narrowed to the exact postcode or district by lookup()
+            return certificates.filter(row => String(row.POSTCODE || '').replace(/\s+/g, '').toUpperCase().startsWith(key));
+        }
+
+        const response = await axios.get(`${this.baseUrl}/domestic/search`, {
+            params: { postcode: postcode, size: MAX_RESULTS },
+            headers: this.headers(),
+            timeout: REQUEST_TIMEOUT
+        });
+        // The register answers an empty 200 when nothing matches
+        return response.data?.rows || [];
+    }
+
+    async recommendations(lmkKey) {
+        if (this.datasetDir) {
+            const { recommendations } = await this.loadDataset();
+            return recommendations.filter(row => row.LMK_KEY === lmkKey);
+        }
+
+        const response = await axios.get(`${this.baseUrl}/domestic/recommendations/${encodeURIComponent(lmkKey)}`, {
+            headers: this.headers(),
+            timeout: REQUEST_TIMEOUT
+        });
+        return response.data?.rows || [];
+    }
+
+    headers() {
+        const headers = { 'Accept': 'application/json' };
+        if (this.email && this.apiKey) {
+            headers.Authorization = `Basic ${Buffer.from(`${this.email}:${this.apiKey}`).toString('base64')}`;
+        }
+        return headers;
+    }
+
+    // The bulk files are read once and kept in memory; meant for test and small regional extracts
+    async loadDataset() {
+        if (!this.dataset) {
+            const read = async file => {
+                try {
+                    return parseCsv(await fs.promises.readFile(path.join(this.datasetDir, file), 'utf8'));
+                } catch (error) {
+                    if (error.code === 'ENOENT') return [];
+                    throw error;
+                }
+            };
+            this.dataset = {
+                certificates: await read('certificates.csv'),
+                recommendations: await read('recommendations.csv')
+            };
+            console.log(`📚 EPC register dataset loaded: ${this.dataset.certificates.length} certificates`);
+        }
+        return this.dataset;
+    }
+}
+
+module.exports = {
+    EpcRegister,
+    findPostcode,
+    addressTokens,
+    scoreAddressMatch,
+    parseCsv
+};
@@ -0,0 +1,191 @@
+// feature-evidence.js
+// Evidence trail for accessible-feature decisions in Home Accessibility Score
+// Each criterion records where its decision came from (listing text, a structured
+// Rightmove section, floorplan or photo vision, or an inference rule), the sentence or
+// keyword that triggered it and how confident we are, so results can be explained.
+
+const EVIDENCE_SOURCES = {
+    listing: 'Listing text',
+    section: 'Rightmove listing section',
+    floorplan: 'Floorplan analysis',
+    photo: 'Listing photo analysis',
+    inference: 'Inference rule',
+    user: 'User correction'
+};
+
+const MAX_EXCERPT_LENGTH = 240;
+const MAX_KEYWORD_LENGTH = 60;
+
+/**
+ * First keyword found in the text
+ * @param {string} text - Lowercased text to search
+ * @param {string[]} keywords
+ * @returns {{keyword: string, index: number, length: number}|null}
+ */
+function findKeyword(text, keywords) {
+    for (const keyword of keywords) {
+        const index = text.indexOf(keyword);
+        if (index !== -1) return { keyword, index, length: keyword.length };
+    }
+    return null;
+}
+
+/**
+ * First pattern that matches the text. Proximity patterns can match across a
+ * paragraph, so long matches are shortened to their ends for display.
+ * @param {string} text
+ * @param {RegExp[]} patterns
+ * @returns {{keyword: string, index: number, length: number}|null}
+ */
+function findPattern(text, patterns) {
+    for (const pattern of patterns) {
+        pattern.lastIndex = 0;
+        const match = pattern.exec(text);
+        pattern.lastIndex = 0;
+        if (!match) continue;
+
+        const matched = match[0].replace(/\s+/g, ' ').trim();
+        const half = MAX_KEYWORD_LENGTH / 2;
+        return {
+            keyword: matched.length > MAX_KEYWORD_LENGTH ? `${matched.slice(0, half)} … ${matched.slice(-half)}` : matched,
+            index: match.index,
+            length: match[0].length
+        };
+    }
+    return null;
+}
+
+/**
+ * The sentence around a match, taken from the original (not lowercased) text
+ * @param {string} text - Original text the match positions refer to
+ * @param {{index: number, length: number}} match
+ * @returns {string}
+ */
+function excerptAround(text, match) {
+    const start = Math.max(
+        text.lastIndexOf('. ', match.index) + 1,
+        text.lastIndexOf('\n', match.index) + 1,
+        match.index - MAX_EXCERPT_LENGTH / 2,
+        0
+    );
+    const ends = ['. ', '\n']
+        .map(separator => text.indexOf(separator, match.index + match.length))
+        .filter(index => index !== -1);
+    const end = Math.min(
+        ends.length > 0 ? Math.min(...ends) + 1 : text.length,
+        start + MAX_EXCERPT_LENGTH
+    );
+
+    const excerpt = text.slice(start, end).replace(/\s+/g, ' ').trim();
+    return `${start > 0 ? '…' : ''}${excerpt}${end < text.length && !excerpt.endsWith('.') ? '…' : ''}`;
+}
+
+/**
+ * Builds evidence entries for one listing. Matches are found in the lowercased
+ * text the scorer searches; excerpts are cut from the original so they read as
+ * the agent wrote them.
+ * @param {string} originalText - Title, description and key features as written
+ * @returns {Object} Evidence helpers bound to the listing text
+ */
+function createEvidenceRecorder(originalText) {
+    // toLowerCase() can change the length of some characters; fall back to the lowercased text
+    const lowered = originalText.toLowerCase();
+    const excerptText = lowered.length === originalText.length ? originalText : lowered;
+
+    return {
+        /**
+         * Decision based on a keyword or phrase in the listing
+         * @param {{keyword: string, index: number, length: number}} match - From findKeyword() / findPattern()
+         * @param {string} [confidence]
+         */
+        fromListing(match, confidence = 'high') {
+            return {
+                source: 'listing',
+                keyword: match.keyword,
+                excerpt: excerptAround(excerptText, match),
+                confidence
+            };
+        },
+
+        /**
+         * Decision based on one of Rightmove's structured sections (Parking, Garden, ...)
+         * @param {string} section - Section name
+         * @param {string} value - Section contents
+         * @param {string} [confidence]
+         */
+        fromSection(section, value, confidence = 'high') {
+            return {
+                source: 'section',
+                keyword: section,
+                excerpt: String(value).slice(0, MAX_EXCERPT_LENGTH),
+                confidence
+            };
+        },
+
+        /**
+         * Decision based on Claude Vision reading the floorplan
+         * @param {string} finding - What was seen
+         * @param {string} [confidence]
+         */
+        fromFloorplan(finding, confidence = 'medium') {
+            return {
+                source: 'floorplan',
+                keyword: null,
+                excerpt: finding,
+                confidence
+            };
+        },
+
+        /**
+         * Decision based on Claude Vision reading one of the listing photos
+         * @param {Object} observation - From observeListingPhotos() ({ label, detail, confidence, image })
+         */
+        fromPhoto(observation) {
+            return {
+                source: 'photo',
+                keyword: observation.label,
+                excerpt: observation.detail,
+                image: observation.image,
+                confidence: observation.confidence
+            };
+        },
+
+        /**
+         * Decision inferred from other facts about the property
+         * @param {string} rule - The rule applied, in plain English
+         * @param {{keyword: string, index: number, length: number}|null} [basis] - Listing match the rule relied on
+         * @param {string} [confidence]
+         */
+        fromInference(rule, basis = null, confidence = 'medium') {
+            return {
+                source: 'inference',
+                rule,
+                keyword: basis?.keyword || null,
+                excerpt: basis ? excerptAround(excerptText, basis) : null,
+                confidence
+            };
+        }
+    };
+}
+
+/**
+ * Evidence for a criterion that wasn't met and has no specific reason recorded
+ * @returns {Object}
+ */
+function notMentioned() {
+    return {
+        source: null,
+        keyword: null,
+        excerpt: null,
+        rule: 'Not mentioned in the listing',
+        confidence: 'low'
+    };
+}
+
+module.exports = {
+    EVIDENCE_SOURCES,
+    findKeyword,
+    findPattern,
+    createEvidenceRecorder,
+    notMentioned
+};
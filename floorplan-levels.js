@@ -0,0 +1,103 @@
+// floorplan-levels.js
+// Floor-by-floor floorplan reading for Home Accessibility Score
+// Listings often carry several floorplans (ground floor, first floor, an outbuilding)
+// and one plan can show several floors. Every plan is read with Claude Vision and the
+// rooms are grouped by the floor they're labelled on, so the accessible-features
+// scorer can see what is actually on the ground floor rather than guess from wording.
+
+const { classifyRoom } = require('./room-dimensions');
+
+// order is storeys above the ground floor. First match wins, so an outbuilding is
+// caught before the floor it sits on and lower ground before ground.
+const FLOOR_LEVELS = [
+    { key: 'outbuilding', label: 'Outbuilding', order: null, pattern: /\b(?:outbuilding|annexe|annex|garden (?:room|studio|office)|detached garage)\b/i },
+    { key: 'basement', label: 'Basement', order: -2, pattern: /\b(?:basement|cellar)\b/i },
+    { key: 'lower-ground', label: 'Lower ground floor', order: -1, pattern: /\blower[\s-]ground\b/i },
+    { key: 'ground', label: 'Ground floor', order: 0, pattern: /\b(?:ground|gf)\b/i },
+    { key: 'first', label: 'First floor', order: 1, pattern: /\b(?:first|1st)\b/i },
+    { key: 'second', label: 'Second floor', order: 2, pattern: /\b(?:second|2nd)\b/i },
+    { key: 'third', label: 'Third floor', order: 3, pattern: /\b(?:third|3rd)\b/i },
+    { key: 'loft', label: 'Loft', order: 4, pattern: /\b(?:loft|attic)\b/i }
+];
+
+const UNLABELLED_LEVEL = { key: 'unlabelled', label: 'Floor not labelled', order: null };
+
+// Plans are read at the same time; listings rarely have more than a handful
+const MAX_FLOORPLANS = 6;
+
+/**
+ * Which floor a label like "Ground Floor", "First Floor Approx. 45 sq m" or "Annexe" means
+ * @param {string|null} label
+ * @returns {{key: string, label: string, order: number|null}}
+ */
+function readFloorLevel(label) {
+    const level = FLOOR_LEVELS.find(({ pattern }) => pattern.test(label || ''));
+    return level ? { key: level.key, label: level.label, order: level.order } : UNLABELLED_LEVEL;
+}
+
+/**
+ * Read every floorplan for a listing. A plan that fails is skipped; the rest still count.
+ * @param {{url: string, caption: string|null}[]} floorplans
+ * @param {Function} readPlan - async (url) => rooms from parseFloorplanRooms()
+ * @returns {Promise<Object[]>} Rooms with their level and the plan they came from ({ index, url, caption })
+ */
+async function readFloorplans(floorplans, readPlan) {
+    const plans = (floorplans || []).filter(plan => plan?.url).slice(0, MAX_FLOORPLANS);
+
+    const roomsPerPlan = await Promise.all(plans.map(async (plan, index) => {
+        try {
+            const rooms = await readPlan(plan.url);
+            return (rooms || []).map(room => ({
+                ...room,
+                // A plan of one floor often labels the plan, not each room
+                floor: room.floor || plan.caption || null,
+                level: readFloorLevel(room.floor || plan.caption),
+                plan: { index: index + 1, url: plan.url, caption: plan.caption || null }
+            }));
+        } catch (error) {
+            console.log(`⚠️ Floorplan ${index + 1} could not be read:`, error.message);
+            return [];
+        }
+    }));
+
+    return roomsPerPlan.flat();
+}
+
+/**
+ * Group floorplan rooms by floor and say what the ground floor has
+ * @param {Object[]} rooms - From readFloorplans()
+ * @returns {{plans: number, levels: Object[], multiLevel: boolean, groundFloor: Object|null}}
+ */
+function summariseFloorLevels(rooms) {
+    const levels = new Map();
+    for (const room of rooms) {
+        if (!levels.has(room.level.key)) levels.set(room.level.key, { ...room.level, rooms: [] });
+        levels.get(room.level.key).rooms.push({ name: room.name, type: classifyRoom(room.name) });
+    }
+
+    // Outbuildings and unlabelled plans come after the house's own floors
+    const sorted = [...levels.values()].sort((a, b) => (a.order ?? 99) - (b.order ?? 99));
+    const storeys = sorted.filter(level => level.order !== null);
+    const ground = levels.get('ground');
+    const firstOfType = type => ground?.rooms.find(room => room.type === type)?.name || null;
+
+    return {
+        plans: new Set(rooms.map(room => room.plan.url)).size,
+        levels: sorted,
+        multiLevel: storeys.length > 1,
+        groundFloor: ground ? {
+            rooms: ground.rooms.map(room => room.name),
+            bedroom: firstOfType('bedroom'),
+            bathroom: firstOfType('bathroom'),
+            kitchen: firstOfType('kitchen'),
+            living: firstOfType('living')
+        } : null
+    };
+}
+
+module.exports = {
+    FLOOR_LEVELS,
+    readFloorLevel,
+    readFloorplans,
+    summariseFloorLevels
+};
@@ -0,0 +1,282 @@
+// leasehold-risk.js
+// Leasehold risk analysis for Home Accessibility Score
+// The service charge, ground rent and lease length pulled off a listing say little on
+// their own. A lease under 80 years costs far more to extend and many lenders won't
+// touch one under 70; a ground rent that doubles can make a flat unsellable; and
+// retirement flats often take an event fee (a share of the sale price) when the home
+// is sold or sublet. This reads those terms from the description and leaseholdDetails
+// and flags the ones a buyer should raise with a solicitor.
+
+const { readAnnualCharge } = require('./running-costs');
+
+// Extending a lease under this many years adds marriage value to the premium, and
+// lenders start to refuse or shorten their terms
+const MORTGAGEABLE_LEASE_YEARS = 80;
+
+// Few lenders will lend at all on a lease this short
+const LENDER_MINIMUM_LEASE_YEARS = 70;
+
+// Lease extension is worth planning for well before it reaches 80 years
+const EXTEND_SOON_LEASE_YEARS = 100;
+
+// Ground rent above 0.1% of the price is treated as onerous by many lenders
+const ONEROUS_GROUND_RENT_SHARE = 0.001;
+
+// Yearly service charge as a share of the price
+const HIGH_SERVICE_CHARGE_SHARE = 0.01;
+const VERY_HIGH_SERVICE_CHARGE_SHARE = 0.02;
+
+// "1% event fee", "exit fee of 10%", "deferred management charge", "transfer fee"
+const EVENT_FEE_PATTERN = /\b(?:event|exit|transfer|deferred\s+management)\s+(?:fees?|charges?)\b/i;
+
+// The fee only counts when it is charged on a sale or assignment of the lease; a
+// "transfer fee" can just as well be for a parking permit or moving a deposit
+const EVENT_FEE_TRIGGER_PATTERN = /\b(?:re-?sale|sale|sells?|selling|sold|assign(?:s|ed|ing|ment)?|sublet(?:s|ting)?|transfer\s+of\s+(?:the\s+)?lease)\b/i;
+
+const RETIREMENT_PATTERN = /\bretirement\s+(?:flat|apartment|home|property|development|living|complex)|\bover[\s-]*(?:55|60|65|70)'?s\b|\bage[\s-]+restricted\b/i;
+
+const SEVERITY_ORDER = ['high', 'medium', 'low'];
+
+function numberOrNull(value) {
+    const number = parseFloat(String(value ?? '').replace(/[£,%]/g, ''));
+    return Number.isFinite(number) ? number : null;
+}
+
+function sentences(text) {
+    return String(text || '').split(/(?<=[.!?])\s+|\n+/).map(sentence => sentence.trim()).filter(Boolean);
+}
+
+/**
+ * Years left on the lease. A stated "years remaining" wins; "125 year lease from 1990"
+ * is counted down to today; the "N years remaining" from analyzeCostInformation() is last,
+ * as it can be the original term rather than what is left.
+ * @param {Object} input
+ * @param {string|number|null} [input.leaseYears] - From leaseholdDetails
+ * @param {string} [input.text] - Description and key features
+ * @param {string|null} [input.leaseholdInfo] - e.g. "136 years remaining"
+ * @param {Date} [input.asOf]
+ * @returns {{years: number, source: string}|null}
+ */
+function readLeaseYears({ leaseYears = null, text = '', leaseholdInfo = null, asOf = new Date() }) {
+    const stated = numberOrNull(leaseYears);
+    if (stated > 0) return { years: Math.round(stated), source: 'listing details' };
+
+    const value = String(text || '');
+    const remaining = value.match(/(\d{1,3})\s+years?\s+(?:remaining|left|unexpired|outstanding)/i)
+        || value.match(/(?:remaining|unexpired)\s+(?:lease\s+)?(?:term\s+)?(?:of\s+)?(?:approx(?:imately)?\.?\s+)?(\d{1,3})\s+years/i);
+    if (remaining) return { years: parseInt(remaining[1]), source: 'description' };
+
+    // "999 year lease from 1 January 1985", "125-year lease commencing 2004"
+    const term = value.match(/(\d{2,3})[\s-]+years?\s+(?:lease\s+)?(?:from|commencing|starting|granted\s+in)\s+(?:(?:\d{1,2}(?:st|nd|rd|th)?\s+)?[a-z]+\s+)?((?:19|20)\d{2})/i);
+    if (term) {
+        const years = parseInt(term[1]) - (asOf.getFullYear() - parseInt(term[2]));
+        if (years > 0) return { years, source: `${term[1]} year lease from ${term[2]}` };
+    }
+
+    const info = String(leaseholdInfo || '').match(/(\d{1,3})\s+years?\s+remaining/i);
+    return info ? { years: parseInt(info[1]), source: 'listing' } : null;
+}
+
+/**
+ * How the ground rent rises: doubling, index-linked or fixed steps, and how often
+ * @param {Object} input
+ * @param {string} [input.text] - Description and key features
+ * @param {string|null} [input.groundRent] - From analyzeCostInformation()
+ * @param {string|number|null} [input.reviewYears] - Rightmove's review period
+ * @param {string|number|null} [input.increasePercent] - Rightmove's increase at each review
+ * @returns {{type: string, periodYears: number|null, increasePercent: number|null, text: string|null}|null} type is 'doubling', 'index-linked', 'fixed-increase' or 'review'
+ */
+function readGroundRentReview({ text = '', groundRent = null, reviewYears = null, increasePercent = null }) {
+    const terms = sentences(`${groundRent || ''}. ${text || ''}`).filter(sentence => /ground\s*rent|rent\s+review/i.test(sentence));
+    const period = numberOrNull(reviewYears);
+    const increase = numberOrNull(increasePercent);
+
+    for (const sentence of terms) {
+        const every = sentence.match(/(?:every|each)\s+(\d{1,3})\s+years|(\d{1,3})[\s-]+year(?:ly)?\s+(?:rent\s+)?reviews?/i);
+        const periodYears = every ? parseInt(every[1] || every[2]) : period;
+        const percent = sentence.match(/(?:by|of|at)\s+(\d+(?:\.\d+)?)\s*%/i);
+
+        let type = null;
+        if (/doubl/i.test(sentence)) type = 'doubling';
+        else if (/\b(?:RPI|CPI|retail\s+prices?\s+index|consumer\s+prices?\s+index|inflation|index[\s-]+linked)\b/i.test(sentence)) type = 'index-linked';
+        else if (percent && /increas|ris(?:e|es|ing)|uplift|review/i.test(sentence)) type = 'fixed-increase';
+        else if (/\b(?:review|increas|escalat|ris(?:e|es|ing)\s+(?:to|by|every))/i.test(sentence) && !/no\s+(?:further\s+)?(?:review|increase)|fixed\s+for\s+the\s+(?:term|life)|will\s+not\s+(?:increase|rise)/i.test(sentence)) type = 'review';
+
+        if (type) {
+            return {
+                type,
+                periodYears: periodYears || null,
+                increasePercent: type === 'doubling' ? 100 : percent ? parseFloat(percent[1]) : increase,
+                text: sentence.length > 160 ? `${sentence.slice(0, 157)}...` : sentence
+            };
+        }
+    }
+
+    // Rightmove's structured review terms, when the description says nothing
+    if (increase > 0) {
+        return { type: increase >= 100 ? 'doubling' : 'fixed-increase', periodYears: period || null, increasePercent: increase, text: null };
+    }
+    return null;
+}
+
+/**
+ * Event, exit, transfer and deferred management fees charged on a sale or assignment,
+ * with the percentage when one is given
+ * @param {string} text - Description and key features
+ * @returns {{text: string, percent: number|null}[]}
+ */
+function readEventFees(text) {
+    return sentences(text)
+        .filter(sentence => EVENT_FEE_PATTERN.test(sentence) && EVENT_FEE_TRIGGER_PATTERN.test(sentence)
+            && !/\bno\s+(?:event|exit|transfer|deferred)/i.test(sentence))
+        .map(sentence => {
+            const percent = sentence.match(/(\d+(?:\.\d+)?)\s*%/);
+            return {
+                text: sentence.length > 160 ? `${sentence.slice(0, 157)}...` : sentence,
+                percent: percent ? parseFloat(percent[1]) : null
+            };
+        });
+}
+
+function isLeasehold(tenure, leaseholdInfo, leaseYears) {
+    const value = `${tenure || ''} ${leaseholdInfo || ''}`.toLowerCase();
+    if (/commonhold/.test(value)) return false;
+    if (/leasehold|share\s+of\s+freehold|years\s+remaining/.test(value) || leaseYears) return true;
+    return false;
+}
+
+function formatPounds(amount) {
+    return `£${Math.round(amount).toLocaleString('en-GB')}`;
+}
+
+/**
+ * Flag the lease terms a buyer should check: a short lease, rising ground rent,
+ * a high service charge and fees payable on resale
+ * @param {Object} input
+ * @param {string|null} [input.tenure] - "Leasehold", "Share of Freehold"
+ * @param {string|null} [input.leaseholdInfo] - From analyzeCostInformation()
+ * @param {Object|null} [input.leaseholdDetails] - { serviceCharge, groundRent, leaseYears, groundRentReviewYears, groundRentIncrease }
+ * @param {string|null} [input.serviceCharge] - From analyzeCostInformation(), e.g. "£1,200 per annum"
+ * @param {string|null} [input.groundRent]
+ * @param {number|null} [input.price] - Asking price
+ * @param {string} [input.listingText] - Description and key features
+ * @param {Date} [input.asOf]
+ * @returns {Object|null} { level, rating, leaseYears, leaseYearsSource, shareOfFreehold, retirement, groundRent, groundRentReview, serviceCharge, serviceChargePercent, eventFees, risks, notes } or null when the home isn't leasehold
+ */
+function assessLeaseholdRisk({
+    tenure = null, leaseholdInfo = null, leaseholdDetails = null, serviceCharge = null, groundRent = null,
+    price = null, listingText = '', asOf = new Date()
+}) {
+    const details = leaseholdDetails || {};
+    const lease = readLeaseYears({ leaseYears: details.leaseYears, text: listingText, leaseholdInfo, asOf });
+    if (!isLeasehold(tenure, leaseholdInfo, lease)) return null;
+
+    const shareOfFreehold = /share\s+of\s+(?:the\s+)?freehold/i.test(`${tenure || ''} ${listingText || ''}`);
+    const retirement = RETIREMENT_PATTERN.test(listingText || '');
+    const groundRentAnnual = readAnnualCharge(groundRent);
+    const serviceChargeAnnual = readAnnualCharge(serviceCharge);
+    const serviceChargePercent = serviceChargeAnnual && price ? Math.round(serviceChargeAnnual / price * 10000) / 100 : null;
+    const review = readGroundRentReview({
+        text: listingText,
+        groundRent,
+        reviewYears: details.groundRentReviewYears,
+        increasePercent: details.groundRentIncrease
+    });
+    const eventFees = readEventFees(listingText);
+
+    const risks = [];
+    const notes = [];
+    const flag = (key, severity, label, detail) => risks.push({ key, severity, label, detail });
+
+    if (lease) {
+        if (lease.years < LENDER_MINIMUM_LEASE_YEARS) {
+            flag('shortLease', 'high', `Lease under ${LENDER_MINIMUM_LEASE_YEARS} years`,
+                `${lease.years} years left. Most lenders won't lend on it, so it may need a cash buyer, and extending it will be expensive.`);
+        } else if (lease.years < MORTGAGEABLE_LEASE_YEARS) {
+            flag('shortLease', 'high', `Lease under ${MORTGAGEABLE_LEASE_YEARS} years`,
+                `${lease.years} years left. Lenders may refuse or shorten the mortgage, and marriage value is added to the cost of extending.`);
+        } else if (lease.years < EXTEND_SOON_LEASE_YEARS) {
+            flag('shortLease', 'low', `Lease under ${EXTEND_SOON_LEASE_YEARS} years`,
+                `${lease.years} years left. Extending before it drops below ${MORTGAGEABLE_LEASE_YEARS} years keeps the cost down.`);
+        }
+    } else {
+        notes.push('Lease length not given; ask the agent how many years are left.');
+    }
+
+    if (review) {
+        const every = review.periodYears ? ` every ${review.periodYears} years` : '';
+        if (review.type === 'doubling') {
+            flag('escalatingGroundRent', 'high', 'Doubling ground rent',
+                `Ground rent doubles${every}. Lenders often refuse these leases, and the rent can become unaffordable.`);
+        } else if (review.type === 'index-linked') {
+            flag('escalatingGroundRent', 'medium', 'Escalating ground rent', `Ground rent rises with inflation${every}.`);
+        } else if (review.type === 'fixed-increase') {
+            const by = review.increasePercent ? ` by ${review.increasePercent}%` : '';
+            flag('escalatingGroundRent', 'medium', 'Escalating ground rent', `Ground rent rises${by}${every}.`);
+        } else {
+            flag('escalatingGroundRent', 'low', 'Ground rent reviews', `Ground rent is reviewed${every}; ask how the new rent is set.`);
+        }
+    }
+
+    if (groundRentAnnual && price && groundRentAnnual > price * ONEROUS_GROUND_RENT_SHARE) {
+        flag('onerousGroundRent', 'medium', 'High ground rent',
+            `${formatPounds(groundRentAnnual)} a year is over 0.1% of the price, which many lenders treat as onerous.`);
+    }
+
+    if (serviceChargePercent !== null && serviceChargePercent / 100 > HIGH_SERVICE_CHARGE_SHARE) {
+        flag('highServiceCharge', serviceChargePercent / 100 > VERY_HIGH_SERVICE_CHARGE_SHARE ? 'high' : 'medium', 'High service charge',
+            `${formatPounds(serviceChargeAnnual)} a year is ${serviceChargePercent}% of the price; check what it covers and the reserve fund.`);
+    } else if (!serviceChargeAnnual) {
+        notes.push('Service charge not given; ask for the last three years of accounts.');
+    }
+
+    for (const fee of eventFees) {
+        const share = fee.percent ? `${fee.percent}% ` : '';
+        flag('eventFee', 'high', 'Event fee on resale',
+            `A ${share}fee is payable when the home is sold or sublet${price && fee.percent ? ` (about ${formatPounds(price * fee.percent / 100)} at today's price)` : ''}: "${fee.text}"`);
+    }
+    if (retirement && eventFees.length === 0) {
+        notes.push('Retirement properties often charge an event fee on resale; ask whether this lease has one.');
+    }
+    if (shareOfFreehold) {
+        notes.push('Share of freehold: the owners control the freehold, so extending the lease is usually cheap.');
+    }
+
+    risks.sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity));
+    const level = risks.length > 0 ? risks[0].severity : 'none';
+
+    return {
+        level,
+        rating: { high: 'High leasehold risk', medium: 'Some leasehold risk', low: 'Minor leasehold points', none: 'No leasehold risks found' }[level],
+        leaseYears: lease?.years ?? null,
+        leaseYearsSource: lease?.source || null,
+        shareOfFreehold,
+        retirement,
+        groundRent: groundRentAnnual,
+        groundRentReview: review,
+        serviceCharge: serviceChargeAnnual,
+        serviceChargePercent,
+        eventFees,
+        risks,
+        notes
+    };
+}
+
+/**
+ * The summary sentence for the risks worth raising with a solicitor; minor points are left out
+ * @param {Object|null} leaseholdRisk - From assessLeaseholdRisk()
+ * @returns {string} Empty when there is nothing to raise
+ */
+function describeLeaseholdRisks(leaseholdRisk) {
+    const risks = (leaseholdRisk?.risks || []).filter(risk => risk.severity !== 'low');
+    return risks.length > 0 ? `Leasehold risks to check with a solicitor: ${risks.map(risk => risk.label.toLowerCase()).join(', ')}. ` : '';
+}
+
+module.exports = {
+    MORTGAGEABLE_LEASE_YEARS,
+    readLeaseYears,
+    readGroundRentReview,
+    readEventFees,
+    assessLeaseholdRisk,
+    describeLeaseholdRisks
+};
@@ -0,0 +1,385 @@
+// listing-monitor.js
+// Saved listing change monitoring for Home Accessibility Score
+// Saved listings are re-scraped on a schedule and compared with a snapshot of the
+// last check: price, status (under offer, sold STC, removed), description and
+// floorplans. Changes that affect the analysis trigger a re-score, and everyone
+// who saved the listing is emailed what changed and how the score moved.
+
+const LISTING_STATUSES = {
+    'available': 'Available',
+    'under-offer': 'Under offer',
+    'sold-stc': 'Sold STC',
+    'let-agreed': 'Let agreed',
+    'removed': 'Removed'
+};
+
+// How often the scheduler looks for listings due a check, and how many it takes per run
+const TICK_INTERVAL = 60 * 60 * 1000;
+const FIRST_RUN_DELAY = 5 * 60 * 1000;
+const MAX_LISTINGS_PER_RUN = 50;
+// Saved rows are read a page at a time, and listing ids go to .in() in chunks short enough for a URL
+const SAVED_PAGE_SIZE = 1000;
+const ID_CHUNK_SIZE = 200;
+
+const MAX_SNAPSHOT_DESCRIPTION = 10000;
+const MAX_SENTENCES_PER_SIDE = 5;
+
+function parsePrice(price) {
+    const digits = String(price || '').replace(/[^\d]/g, '');
+    return digits ? parseInt(digits) : null;
+}
+
+function normaliseText(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+// Floorplan URLs gain resize parameters between page loads, so compare paths only
+function floorplanKey(url) {
+    return String(url).split('?')[0].replace(/_max_\d+x\d+/i, '');
+}
+
+/**
+ * The facts a re-check compares
+ * @param {Object} property - Normalised property from scrapeListing()
+ * @returns {{price: number|null, priceText: string|null, status: string|null, description: string, floorplans: string[], checkedAt: string}}
+ */
+function snapshotListing(property) {
+    const floorplans = (property.floorplans || []).map(plan => plan.url);
+    if (floorplans.length === 0 && property.floorplan) floorplans.push(property.floorplan);
+
+    return {
+        price: parsePrice(property.price),
+        priceText: property.price || null,
+        status: property.status || null,
+        description: normaliseText(property.description).slice(0, MAX_SNAPSHOT_DESCRIPTION),
+        floorplans: [...new Set(floorplans.map(floorplanKey))],
+        checkedAt: new Date().toISOString()
+    };
+}
+
+// Never-checked listings first, then the longest since their last check
+function byLastChecked(a, b) {
+    if (!a.listing_checked_at || !b.listing_checked_at) return (a.listing_checked_at ? 1 : 0) - (b.listing_checked_at ? 1 : 0);
+    return a.listing_checked_at < b.listing_checked_at ? -1 : a.listing_checked_at > b.listing_checked_at ? 1 : 0;
+}
+
+function splitSentences(text) {
+    return text.split(/(?<=[.!?])\s+/).map(sentence => sentence.trim()).filter(Boolean);
+}
+
+/**
+ * Sentences added to and removed from a description
+ * @param {string} before
+ * @param {string} after
+ * @returns {{added: string[], removed: string[]}}
+ */
+function diffDescription(before, after) {
+    const beforeSentences = splitSentences(before);
+    const afterSentences = splitSentences(after);
+    const beforeSet = new Set(beforeSentences.map(sentence => sentence.toLowerCase()));
+    const afterSet = new Set(afterSentences.map(sentence => sentence.toLowerCase()));
+
+    return {
+        added: afterSentences.filter(sentence => !beforeSet.has(sentence.toLowerCase())).slice(0, MAX_SENTENCES_PER_SIDE),
+        removed: beforeSentences.filter(sentence => !afterSet.has(sentence.toLowerCase())).slice(0, MAX_SENTENCES_PER_SIDE)
+    };
+}
+
+/**
+ * What changed between two checks. The first check has nothing to compare with.
+ * @param {Object|null} previous - Snapshot from the last check
+ * @param {Object} current - From snapshotListing()
+ * @returns {Object[]} One entry per change ({ type, before, after, ... })
+ */
+function diffSnapshots(previous, current) {
+    if (!previous) return [];
+    const changes = [];
+
+    if (previous.price && current.price && previous.price !== current.price) {
+        changes.push({
+            type: 'price',
+            before: previous.priceText || `£${previous.price.toLocaleString('en-GB')}`,
+            after: current.priceText || `£${current.price.toLocaleString('en-GB')}`,
+            difference: current.price - previous.price
+        });
+    }
+
+    if (previous.status && current.status && previous.status !== current.status) {
+        changes.push({ type: 'status', before: previous.status, after: current.status });
+    }
+
+    if (previous.description && current.description && previous.description !== current.description) {
+        const { added, removed } = diffDescription(previous.description, current.description);
+        if (added.length > 0 || removed.length > 0) {
+            changes.push({ type: 'description', added, removed });
+        }
+    }
+
+    const newFloorplans = current.floorplans.filter(url => !(previous.floorplans || []).includes(url));
+    if (newFloorplans.length > 0) {
+        changes.push({ type: 'floorplan', added: newFloorplans });
+    }
+
+    return changes;
+}
+
+/**
+ * Price feeds the cost score and the description and floorplans feed the
+ * accessible features; a status change alone doesn't move the score
+ * @param {Object[]} changes - From diffSnapshots()
+ * @returns {boolean}
+ */
+function needsRescore(changes) {
+    return changes.some(change => ['price', 'description', 'floorplan'].includes(change.type));
+}
+
+/**
+ * Plain-English heading and detail lines for one change, for the alert email
+ * @param {Object} change - From diffSnapshots()
+ * @returns {{title: string, lines: string[]}}
+ */
+function describeListingChange(change) {
+    switch (change.type) {
+        case 'price':
+            return {
+                title: change.difference < 0 ? 'Price reduced' : 'Price increased',
+                lines: [`${change.before} → ${change.after} (${change.difference < 0 ? '-' : '+'}£${Math.abs(change.difference).toLocaleString('en-GB')})`]
+            };
+        case 'status':
+            return {
+                title: change.after === 'removed' ? 'Listing removed' : 'Status changed',
+                lines: [`${LISTING_STATUSES[change.before] || change.before} → ${LISTING_STATUSES[change.after] || change.after}`]
+            };
+        case 'description':
+            return {
+                title: 'Description edited',
+                lines: [
+                    ...change.added.map(sentence => `+ ${sentence}`),
+                    ...change.removed.map(sentence => `− ${sentence}`)
+                ]
+            };
+        case 'floorplan':
+            return {
+                title: change.added.length === 1 ? 'New floorplan added' : `${change.added.length} new floorplans added`,
+                lines: []
+            };
+        default:
+            return { title: 'Listing changed', lines: [] };
+    }
+}
+
+/**
+ * Did the portal take the listing down? Only a 404 or 410 counts; other failures are retried next time.
+ * @param {string} url
+ * @param {Function} fetchPage - async (url) => page HTML
+ * @returns {Promise<boolean>}
+ */
+async function isListingGone(url, fetchPage) {
+    try {
+        await fetchPage(url);
+        return false;
+    } catch (error) {
+        return [404, 410].includes(error.response?.status);
+    }
+}
+
+class ListingMonitor {
+    /**
+     * @param {Object} supabase - Supabase client
+     * @param {Object} options
+     * @param {Function} options.scrape - async (url) => normalised property
+     * @param {Function} options.fetchPage - async (url) => page HTML, fetched the way the listing's source fetches it
+     * @param {Function} options.rescore - async (property, row) => new overall score
+     * @param {Function} options.notify - async (email, report) => void
+     * @param {Function} options.delay - () => milliseconds to wait between listings
+     * @param {number} options.recheckAfter - Milliseconds before the same listing is checked again
+     */
+    constructor(supabase, { scrape, fetchPage, rescore, notify, delay, recheckAfter }) {
+        this.supabase = supabase;
+        this.scrape = scrape;
+        this.fetchPage = fetchPage;
+        this.rescore = rescore;
+        this.notify = notify;
+        this.delay = delay;
+        this.recheckAfter = recheckAfter;
+        this.running = false;
+        this.timer = null;
+    }
+
+    // Check due listings every hour; the first run waits so startup isn't slowed
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.runDue(), TICK_INTERVAL);
+        this.timer.unref();
+        setTimeout(() => this.runDue(), FIRST_RUN_DELAY).unref();
+    }
+
+    async runDue() {
+        if (this.running) return;
+        this.running = true;
+
+        try {
+            const listings = await this.findDueListings();
+            if (listings.length > 0) console.log(`🔔 Re-checking ${listings.length} saved listings`);
+
+            for (const [index, row] of listings.entries()) {
+                if (index > 0) {
+                    await new Promise(resolve => setTimeout(resolve, this.delay()));
+                }
+                await this.checkListing(row);
+            }
+        } catch (error) {
+            console.log('⚠️ Listing re-check run failed:', error.message);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Every listing id someone has saved, read a page at a time
+     * @returns {Promise<string[]>}
+     */
+    async findSavedListingIds() {
+        const ids = new Set();
+
+        for (let from = 0; ; from += SAVED_PAGE_SIZE) {
+            const { data: saved, error } = await this.supabase
+                .from('saved_properties')
+                .select('property_id')
+                .order('property_id')
+                .order('user_id')
+                .range(from, from + SAVED_PAGE_SIZE - 1);
+            if (error) throw new Error(error.message);
+
+            for (const row of saved || []) ids.add(row.property_id);
+            if (!saved || saved.length < SAVED_PAGE_SIZE) break;
+        }
+
+        return [...ids];
+    }
+
+    /**
+     * Saved listings with a URL that haven't been checked within recheckAfter
+     * @returns {Promise<Object[]>} properties rows, longest unchecked first
+     */
+    async findDueListings() {
+        const ids = await this.findSavedListingIds();
+        const cutoff = new Date(Date.now() - this.recheckAfter).toISOString();
+        let due = [];
+
+        // The most overdue of each chunk, merged, are the most overdue overall
+        for (let start = 0; start < ids.length; start += ID_CHUNK_SIZE) {
+            const { data: properties, error } = await this.supabase
+                .from('properties')
+                .select('id, rightmove_id, rightmove_url, url, address, title, overall_score, scores_json, listing_snapshot, listing_checked_at')
+                .in('rightmove_id', ids.slice(start, start + ID_CHUNK_SIZE))
+                .or(`listing_checked_at.is.null,listing_checked_at.lt.${cutoff}`)
+                .order('listing_checked_at', { ascending: true, nullsFirst: true })
+                .limit(MAX_LISTINGS_PER_RUN);
+            if (error) throw new Error(error.message);
+
+            due = due
+                .concat((properties || []).filter(row => row.rightmove_url || row.url))
+                .sort(byLastChecked)
+                .slice(0, MAX_LISTINGS_PER_RUN);
+        }
+
+        return due;
+    }
+
+    /**
+     * Re-scrape one listing, record what changed and tell the users who saved it
+     * @param {Object} row - properties row
+     */
+    async checkListing(row) {
+        const url = row.rightmove_url || row.url;
+        const previous = row.listing_snapshot;
+        let property = null;
+        let current;
+
+        try {
+            property = await this.scrape(url);
+            current = snapshotListing(property);
+        } catch (error) {
+            if (!(await isListingGone(url, this.fetchPage))) {
+                console.log(`⚠️ Re-check failed for ${url}, will retry next time:`, error.message);
+                await this.supabase
+                    .from('properties')
+                    .update({ listing_checked_at: new Date().toISOString() })
+                    .eq('rightmove_id', row.rightmove_id);
+                return;
+            }
+            current = { ...(previous || { price: null, priceText: null, description: '', floorplans: [] }), status: 'removed', checkedAt: new Date().toISOString() };
+        }
+
+        const changes = diffSnapshots(previous, current);
+        const scoreBefore = row.overall_score;
+        let scoreAfter = scoreBefore;
+
+        if (property && row.scores_json && needsRescore(changes)) {
+            try {
+                scoreAfter = await this.rescore(property, row);
+            } catch (error) {
+                console.log(`⚠️ Re-score failed for ${url}:`, error.message);
+            }
+        }
+
+        const { error: updateError } = await this.supabase
+            .from('properties')
+            .update({ listing_snapshot: current, listing_checked_at: current.checkedAt })
+            .eq('rightmove_id', row.rightmove_id);
+        if (updateError) console.log('⚠️ Listing snapshot save failed:', updateError.message);
+
+        if (changes.length === 0) return;
+        console.log(`🔔 ${row.address || url}: ${changes.map(change => change.type).join(', ')} changed`);
+
+        const { error: changeError } = await this.supabase
+            .from('listing_changes')
+            .insert({
+                property_id: row.rightmove_id,
+                changes: changes,
+                score_before: scoreBefore,
+                score_after: scoreAfter,
+                detected_at: current.checkedAt
+            });
+        if (changeError) console.log('⚠️ Listing change save failed:', changeError.message);
+
+        const report = {
+            address: row.address || row.title || 'Your saved property',
+            url: url,
+            changes: changes,
+            scoreBefore: scoreBefore,
+            scoreAfter: scoreAfter
+        };
+
+        for (const email of await this.findSavers(row.rightmove_id)) {
+            await this.notify(email, report);
+        }
+    }
+
+    async findSavers(listingId) {
+        const { data: saved } = await this.supabase
+            .from('saved_properties')
+            .select('user_id')
+            .eq('property_id', listingId);
+
+        const userIds = (saved || []).map(s => s.user_id);
+        if (userIds.length === 0) return [];
+
+        const { data: users } = await this.supabase
+            .from('users')
+            .select('email')
+            .in('id', userIds);
+
+        return (users || []).map(user => user.email).filter(Boolean);
+    }
+}
+
+module.exports = {
+    LISTING_STATUSES,
+    snapshotListing,
+    diffSnapshots,
+    needsRescore,
+    describeListingChange,
+    ListingMonitor
+};
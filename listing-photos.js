@@ -0,0 +1,130 @@
+// listing-photos.js
+// Listing photo analysis for Home Accessibility Score
+// Listing photos often show what the description leaves out: steps up to the
+// front door, a stairlift, a walk-in shower, grab rails, a sloping garden.
+// Each photo is read by Claude Vision and the observations, with the photo they
+// came from, feed the accessible-features criteria as their own evidence source.
+
+// What the vision pass looks for. criterion/met say which accessible-features
+// criterion an observation supports or counts against (null: reported only).
+const PHOTO_FEATURES = {
+    stepsToEntrance: { label: 'Steps up to the entrance', criterion: 'externalLevelAccess', met: false },
+    levelEntrance: { label: 'Level or flush entrance threshold', criterion: 'externalLevelAccess', met: true },
+    ramp: { label: 'Access ramp', criterion: 'externalLevelAccess', met: true },
+    stairlift: { label: 'Stairlift', criterion: 'stepFreeOrLift', met: true },
+    internalStairs: { label: 'Internal staircase', criterion: 'stepFreeOrLift', met: false },
+    walkInShower: { label: 'Walk-in or level-access shower', criterion: null },
+    grabRails: { label: 'Grab rails', criterion: null },
+    levelGarden: { label: 'Level garden', criterion: 'garden', met: true },
+    slopingGarden: { label: 'Sloping or stepped garden', criterion: 'garden', met: true },
+    balcony: { label: 'Balcony or terrace', criterion: 'balcony', met: true },
+    driveway: { label: 'Driveway or garage', criterion: 'privateParking', met: true }
+};
+
+const CONFIDENCE_ORDER = ['low', 'medium', 'high'];
+
+// Cost and time limits for the vision pass
+const MAX_PHOTOS = 30;
+const PHOTO_CONCURRENCY = 3;
+
+const PHOTO_VISION_PROMPT = `You are an accessibility assessor looking at one photo from a UK property listing.
+
+Report only what is clearly visible in this photo from this list:
+${Object.entries(PHOTO_FEATURES).map(([key, feature]) => `- ${key}: ${feature.label}`).join('\n')}
+
+Do not guess at things outside the frame. A photo of a bedroom shows nothing about the entrance.
+
+Respond with JSON only, in this exact format:
+{"observations": [{"feature": "<key from the list>", "detail": "<one short sentence describing what you see>", "confidence": "high|medium|low"}]}
+
+If none of them are visible, respond with {"observations": []}`;
+
+/**
+ * Read the observations out of a vision response, dropping anything not in PHOTO_FEATURES
+ * @param {string} text - Raw model response
+ * @returns {{feature: string, detail: string, confidence: string}[]}
+ */
+function parsePhotoObservations(text) {
+    const json = String(text || '').match(/\{[\s\S]*\}/);
+    if (!json) return [];
+
+    let parsed;
+    try {
+        parsed = JSON.parse(json[0]);
+    } catch (error) {
+        console.log('⚠️ Could not parse photo observations:', error.message);
+        return [];
+    }
+
+    return (Array.isArray(parsed.observations) ? parsed.observations : [])
+        .filter(observation => observation && Object.hasOwn(PHOTO_FEATURES, observation.feature))
+        .map(observation => ({
+            feature: observation.feature,
+            detail: String(observation.detail || PHOTO_FEATURES[observation.feature].label).slice(0, 200),
+            confidence: CONFIDENCE_ORDER.includes(observation.confidence) ? observation.confidence : 'medium'
+        }));
+}
+
+/**
+ * Run the vision pass over a listing's photos, a few at a time.
+ * A photo that fails is skipped; the rest still count.
+ * @param {string[]} photos - Photo URLs in listing order
+ * @param {Function} analyzePhoto - async (url) => observations from parsePhotoObservations()
+ * @returns {Promise<Object[]>} Observations with label and the photo they came from ({ index, url })
+ */
+async function observeListingPhotos(photos, analyzePhoto) {
+    const queue = [...new Set(photos || [])].slice(0, MAX_PHOTOS).map((url, index) => ({ url, index }));
+    const results = [];
+
+    async function worker() {
+        while (queue.length > 0) {
+            const photo = queue.shift();
+            try {
+                const observations = await analyzePhoto(photo.url);
+                for (const observation of observations || []) {
+                    results.push({
+                        ...observation,
+                        label: PHOTO_FEATURES[observation.feature].label,
+                        image: { index: photo.index + 1, url: photo.url }
+                    });
+                }
+            } catch (error) {
+                console.log(`⚠️ Photo ${photo.index + 1} analysis failed:`, error.message);
+            }
+        }
+    }
+
+    await Promise.all(Array.from({ length: PHOTO_CONCURRENCY }, worker));
+    return results.sort((a, b) => a.image.index - b.image.index);
+}
+
+/**
+ * The strongest photo observation for and against each criterion
+ * @param {Object[]} observations - From observeListingPhotos()
+ * @returns {Object<string, {met: Object|null, notMet: Object|null}>}
+ */
+function photoSignalsByCriterion(observations) {
+    const signals = {};
+
+    for (const observation of observations || []) {
+        const feature = PHOTO_FEATURES[observation.feature];
+        if (!feature?.criterion) continue;
+
+        const signal = signals[feature.criterion] || (signals[feature.criterion] = { met: null, notMet: null });
+        const side = feature.met ? 'met' : 'notMet';
+        const current = signal[side];
+        if (!current || CONFIDENCE_ORDER.indexOf(observation.confidence) > CONFIDENCE_ORDER.indexOf(current.confidence)) {
+            signal[side] = observation;
+        }
+    }
+
+    return signals;
+}
+
+module.exports = {
+    PHOTO_FEATURES,
+    PHOTO_VISION_PROMPT,
+    parsePhotoObservations,
+    observeListingPhotos,
+    photoSignalsByCriterion
+};
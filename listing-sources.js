@@ -0,0 +1,660 @@
+// listing-sources.js
+// Listing source adapters for Home Accessibility Score
+// Each adapter turns a portal listing page into the normalised property object
+// that analyzePropertyAccessibility() scores, so the analysis is portal-agnostic
+
+const axios = require('axios');
+const cheerio = require('cheerio');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+
+const BROWSER_HEADERS = {
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36',
+    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8',
+    'Accept-Language': 'en-GB,en;q=0.9',
+    'Accept-Encoding': 'gzip, deflate, br',
+    'DNT': '1',
+    'Connection': 'keep-alive',
+    'Upgrade-Insecure-Requests': '1'
+};
+
+const LISTING_FETCH_TIMEOUT = 15000;
+
+// Agent sites can be on any host, so a pasted URL must not point the server at itself,
+// the private network or a cloud metadata endpoint (169.254.169.254)
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [prefix, bits] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+    BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv4');
+}
+for (const [prefix, bits] of [
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+    BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv6');
+}
+
+// Names that only mean something inside a network
+const INTERNAL_HOSTNAME = /(?:^|\.)(?:localhost|local|internal|intranet|lan|home\.arpa)$/i;
+
+// =============================================
+// PAGE PARSING HELPERS
+// =============================================
+
+/**
+ * Get the lowercased hostname of a URL, without a leading "www."
+ * @param {string} url
+ * @returns {string|null}
+ */
+function getHostname(url) {
+    try {
+        return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Whether an IP address is on the public internet (not loopback, private, link-local,
+ * carrier-grade NAT, multicast or reserved)
+ * @param {string} address
+ * @returns {boolean}
+ */
+function isPublicAddress(address) {
+    const family = net.isIP(address);
+    if (family === 0) return false;
+    // BlockList matches IPv4 rules against IPv4-mapped IPv6 addresses, so ::ffff:127.0.0.1 is caught by 127/8
+    return !BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Whether a URL may be fetched from an unknown site: https, and not an internal name
+ * or a private IP literal. Names are checked again when they resolve (publicLookup).
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isPublicUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return false;
+    }
+    const host = parsed.hostname.replace(/^\[|\]$/g, '');
+    if (parsed.protocol !== 'https:' || !host || INTERNAL_HOSTNAME.test(host)) return false;
+    return net.isIP(host) ? isPublicAddress(host) : host.includes('.');
+}
+
+/**
+ * dns.lookup() that fails when a name resolves to a non-public address. Used for the
+ * connection itself, so a name can't pass a check and then resolve somewhere else.
+ */
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        const blocked = addresses.find(entry => !isPublicAddress(entry.address));
+        if (blocked) return callback(new Error(`Refusing to fetch ${hostname}: it resolves to a private address`));
+        callback(null, addresses);
+    });
+}
+
+/**
+ * Fetch a listing page
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {boolean} [options.publicOnly] - For unknown hosts: https to public addresses only, redirects included
+ * @returns {Promise<string>}
+ */
+async function fetchListingPage(url, { publicOnly = false } = {}) {
+    if (publicOnly && !isPublicUrl(url)) {
+        throw new Error('Only public https listing pages can be analysed');
+    }
+
+    const response = await axios.get(url, {
+        headers: BROWSER_HEADERS,
+        timeout: LISTING_FETCH_TIMEOUT,
+        maxRedirects: 5,
+        ...(publicOnly ? {
+            lookup: publicLookup,
+            // An IP literal in a redirect never reaches the lookup, so check each hop
+            beforeRedirect: options => {
+                if (!isPublicUrl(options.href)) throw new Error('Refusing to follow a redirect to a non-public address');
+            }
+        } : {})
+    });
+    return response.data;
+}
+
+/**
+ * Collect every schema.org object from the page's JSON-LD blocks,
+ * flattening arrays and @graph containers
+ */
+function parseJsonLd($) {
+    const objects = [];
+    $('script[type="application/ld+json"]').each((i, script) => {
+        try {
+            const parsed = JSON.parse($(script).html());
+            const queue = Array.isArray(parsed) ? [...parsed] : [parsed];
+            while (queue.length > 0) {
+                const item = queue.shift();
+                if (!item || typeof item !== 'object') continue;
+                if (Array.isArray(item['@graph'])) queue.push(...item['@graph']);
+                objects.push(item);
+            }
+        } catch (error) {
+            console.log('⚠️ Skipping unparseable JSON-LD block:', error.message);
+        }
+    });
+    return objects;
+}
+
+function parseNextData($) {
+    const raw = $('script#__NEXT_DATA__').html();
+    if (!raw) return null;
+    try {
+        return JSON.parse(raw);
+    } catch (error) {
+        console.log('⚠️ Could not parse __NEXT_DATA__:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Depth-first search of a parsed JSON blob for the first usable value under any of the given keys
+ * @param {Object} obj - Parsed JSON to search
+ * @param {string[]} keys - Candidate key names, in order of preference
+ * @param {Function} [accept] - Predicate a value must pass to be returned
+ * @returns {*} The first accepted value, or null
+ */
+function findDeepValue(obj, keys, accept = value => value !== null && value !== undefined && value !== '') {
+    if (!obj || typeof obj !== 'object') return null;
+
+    const stack = [{ node: obj, depth: 0 }];
+    while (stack.length > 0) {
+        const { node, depth } = stack.shift();
+        if (!node || typeof node !== 'object' || depth > 12) continue;
+
+        if (!Array.isArray(node)) {
+            for (const key of keys) {
+                if (Object.prototype.hasOwnProperty.call(node, key) && accept(node[key])) {
+                    return node[key];
+                }
+            }
+        }
+
+        for (const child of Object.values(node)) {
+            if (child && typeof child === 'object') stack.push({ node: child, depth: depth + 1 });
+        }
+    }
+    return null;
+}
+
+/**
+ * Pull the first http(s) URL out of a string, array or object value
+ */
+function findFirstUrl(value) {
+    if (!value) return null;
+    if (typeof value === 'string') return /^https?:\/\//i.test(value) ? value : null;
+    if (Array.isArray(value)) {
+        for (const item of value) {
+            const url = findFirstUrl(item);
+            if (url) return url;
+        }
+        return null;
+    }
+    if (typeof value === 'object') {
+        for (const key of ['original', 'url', 'src', 'contentUrl', 'filename', 'large', 'medium']) {
+            const url = findFirstUrl(value[key]);
+            if (url) return url;
+        }
+    }
+    return null;
+}
+
+function collectUrls(value, limit = 20) {
+    const urls = [];
+    const items = Array.isArray(value) ? value : [value];
+    for (const item of items) {
+        const url = findFirstUrl(item);
+        if (url && !urls.includes(url)) urls.push(url);
+        if (urls.length >= limit) break;
+    }
+    return urls;
+}
+
+function toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = parseFloat(String(value).replace(/[^\d.-]/g, ''));
+    return isNaN(number) ? null : number;
+}
+
+function formatPrice(value) {
+    if (typeof value === 'string' && value.includes('£')) return value.trim();
+    const number = toNumber(value);
+    return number ? `£${Math.round(number).toLocaleString('en-GB')}` : 'Price not available';
+}
+
+function cleanText(value) {
+    if (!value) return '';
+    return cheerio.load(`<div>${value}</div>`)('div').text().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Extract the facts every portal states in free text, using the same patterns
+ * as the Rightmove scraper so scores stay comparable across sources
+ * @param {string} text - Combined title, description, features and page text
+ * @returns {{tenure: string|null, councilTaxBand: string|null, epcRating: string|null, leaseholdDetails: Object, bedrooms: number|null, bathrooms: number|null}}
+ */
+function extractListingFacts(text) {
+    const lower = (text || '').toLowerCase();
+
+    let tenure = null;
+    const tenureMatch = lower.match(/tenure[:\s]+(freehold|leasehold|share of freehold|commonhold)/i) ||
+        lower.match(/\b(share of freehold|freehold|leasehold|commonhold)\b/i);
+    if (tenureMatch) {
+        tenure = tenureMatch[1].replace(/\b\w/g, c => c.toUpperCase());
+    }
+
+    let councilTaxBand = null;
+    const councilTaxMatch = lower.match(/council\s+tax(?:\s+band)?[:\s-]+(?:band\s+)?([a-i])\b/i);
+    if (councilTaxMatch) {
+        councilTaxBand = `Band ${councilTaxMatch[1].toUpperCase()}`;
+    }
+
+    let epcRating = null;
+    const epcMatch = lower.match(/epc\s*(?:rating)?\s*[-:]?\s*(?:rating\s*)?([a-g])\b/i) ||
+        lower.match(/energy\s+(?:efficiency\s+)?rating\s*[-:]\s*([a-g])\b/i);
+    if (epcMatch) {
+        epcRating = epcMatch[1].toUpperCase();
+    }
+
+    const leaseholdDetails = { serviceCharge: null, groundRent: null, leaseYears: null };
+    const serviceMatch = lower.match(/service\s+charge[:\s]+£\s*([\d,]+)/i);
+    if (serviceMatch) leaseholdDetails.serviceCharge = serviceMatch[1].replace(/,/g, '');
+    const groundRentMatch = lower.match(/ground\s+rent[:\s]+£\s*([\d,]+)/i);
+    if (groundRentMatch) {
+        leaseholdDetails.groundRent = groundRentMatch[1].replace(/,/g, '');
+    } else if (/ground\s+rent[:\s]+ask\s+agent/i.test(lower)) {
+        leaseholdDetails.groundRent = 'Ask agent';
+    }
+    const leaseMatch = lower.match(/(\d{2,4})\s+years?\s+(?:remaining|left|unexpired)/i) ||
+        lower.match(/lease(?:\s+length)?[:\s]+(\d{2,4})\s+years/i);
+    if (leaseMatch) leaseholdDetails.leaseYears = leaseMatch[1];
+
+    const bedroomMatch = lower.match(/(\d+)\s*(?:bed|bedroom)s?\b/i);
+    const bathroomMatch = lower.match(/(\d+)\s*(?:bath|bathroom)s?\b/i);
+
+    return {
+        tenure,
+        councilTaxBand,
+        epcRating,
+        leaseholdDetails,
+        bedrooms: bedroomMatch ? parseInt(bedroomMatch[1]) : null,
+        bathrooms: bathroomMatch ? parseInt(bathroomMatch[1]) : null
+    };
+}
+
+/**
+ * Build the normalised property object from whatever a source adapter found.
+ * Missing fields fall back to the free-text facts so every adapter returns the same shape.
+ */
+function buildNormalisedProperty(source, fields) {
+    const title = (fields.title || '').trim();
+    const description = fields.description || 'No detailed description available';
+    const features = fields.features || [];
+    const fullPageText = fields.fullPageText || '';
+    const facts = extractListingFacts(`${title} ${description} ${features.join(' ')} ${fullPageText}`);
+
+    const epcRating = fields.epcRating || facts.epcRating;
+    const bathrooms = fields.bathrooms ?? facts.bathrooms;
+    const bedrooms = fields.bedrooms ?? facts.bedrooms;
+
+    if (bedrooms && !features.some(f => /bedroom/i.test(f))) {
+        features.unshift(`${bedrooms} bedroom${bedrooms > 1 ? 's' : ''}`);
+    }
+    if (bathrooms && !features.some(f => /bathroom/i.test(f))) {
+        features.push(`${bathrooms} bathroom${bathrooms > 1 ? 's' : ''}`);
+    }
+
+    return {
+        id: fields.id,
+        source: source,
+        title: title,
+        location: fields.location || fields.address || '',
+        price: formatPrice(fields.price),
+        description: description,
+        parkingInfo: fields.parkingInfo || '',
+        gardenInfo: fields.gardenInfo || '',
+        fullPageText: fullPageText,
+        features: features,
+        images: (fields.images || []).slice(0, 5),
+        photos: fields.images || [],
+        floorplan: fields.floorplan || fields.floorplans?.[0] || null,
+        // Every plan for the listing; a manual upload or single-plan portal gives one
+        floorplans: (fields.floorplans || (fields.floorplan ? [fields.floorplan] : [])).map(url => ({ url: url, caption: null })),
+        epc: {
+            rating: epcRating || null,
+            score: null,
+            confidence: fields.epcRating ? 90 : (epcRating ? 70 : 0),
+            reason: fields.epcRating ? `Structured listing data (${source})` : (epcRating ? 'Text pattern in listing' : 'Not found in listing'),
+            numericalScore: 0
+        },
+        epcRating: epcRating || null,
+        address: fields.address || fields.location || 'Address not found',
+        postcode: fields.postcode || null,
+        coordinates: fields.coordinates || null,
+        tenure: fields.tenure || facts.tenure,
+        leaseholdDetails: {
+            serviceCharge: fields.leaseholdDetails?.serviceCharge || facts.leaseholdDetails.serviceCharge,
+            groundRent: fields.leaseholdDetails?.groundRent || facts.leaseholdDetails.groundRent,
+            leaseYears: fields.leaseholdDetails?.leaseYears || facts.leaseholdDetails.leaseYears,
+            groundRentReviewYears: fields.leaseholdDetails?.groundRentReviewYears || null,
+            groundRentIncrease: fields.leaseholdDetails?.groundRentIncrease || null
+        },
+        councilTaxBand: fields.councilTaxBand || facts.councilTaxBand,
+        bedrooms: bedrooms,
+        bathrooms: bathrooms,
+        status: fields.status || null,
+        listingType: fields.listingType || null,
+        lettings: fields.lettings || null
+    };
+}
+
+function coordinatesFrom(lat, lng) {
+    const latitude = toNumber(lat);
+    const longitude = toNumber(lng);
+    if (latitude === null || longitude === null) return null;
+    if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+    return { lat: latitude, lng: longitude };
+}
+
+/**
+ * Read title, price, address, coordinates and images from schema.org JSON-LD
+ * and Open Graph meta tags. Used by every adapter as the baseline.
+ */
+function extractCommonFields($) {
+    const jsonLd = parseJsonLd($);
+    const listing = jsonLd.find(item => /Residence|House|Apartment|SingleFamilyResidence|Product|RealEstateListing|Offer/i.test([].concat(item['@type'] || []).join(' '))) || jsonLd[0] || {};
+
+    const geo = findDeepValue(jsonLd, ['geo']);
+    const offers = findDeepValue(jsonLd, ['offers']);
+    const addressValue = findDeepValue(jsonLd, ['address']);
+    const address = typeof addressValue === 'string'
+        ? addressValue
+        : addressValue
+            ? [addressValue.streetAddress, addressValue.addressLocality, addressValue.postalCode].filter(Boolean).join(', ')
+            : '';
+
+    const ogLat = $('meta[property="place:location:latitude"], meta[property="og:latitude"]').attr('content');
+    const ogLng = $('meta[property="place:location:longitude"], meta[property="og:longitude"]').attr('content');
+
+    return {
+        title: listing.name || $('meta[property="og:title"]').attr('content') || $('title').text().trim(),
+        description: cleanText(listing.description) || cleanText($('meta[property="og:description"]').attr('content')),
+        price: (Array.isArray(offers) ? offers[0]?.price : offers?.price) || null,
+        address: address,
+        coordinates: geo ? coordinatesFrom(geo.latitude, geo.longitude) : coordinatesFrom(ogLat, ogLng),
+        images: collectUrls(listing.image || $('meta[property="og:image"]').map((i, el) => $(el).attr('content')).get())
+    };
+}
+
+// =============================================
+// SOURCE ADAPTERS
+// =============================================
+
+class ListingSource {
+    /**
+     * @param {string} name - Short identifier stored alongside analyses (e.g. 'zoopla')
+     * @param {string} label - Human-readable portal name
+     * @param {string[]} hosts - Hostnames this adapter handles (subdomains match too)
+     */
+    constructor(name, label, hosts) {
+        this.name = name;
+        this.label = label;
+        this.hosts = hosts;
+    }
+
+    matches(url) {
+        const host = getHostname(url);
+        if (!host) return false;
+        return this.hosts.some(h => host === h || host.endsWith(`.${h}`));
+    }
+
+    /**
+     * Stable identifier for the listing, namespaced by source so IDs from
+     * different portals never collide in the properties table
+     */
+    getListingId(url) {
+        const match = url.match(/\/(?:details|property|properties)\/(\d+)/i);
+        if (match) return `${this.name}-${match[1]}`;
+        return `${this.name}-${crypto.createHash('md5').update(url.split(/[?#]/)[0]).digest('hex').substring(0, 12)}`;
+    }
+
+    /**
+     * Fetch the listing page. Portal hosts are fixed, so only adapters for
+     * arbitrary sites need to guard the fetch.
+     * @param {string} url
+     * @returns {Promise<string>}
+     */
+    fetchPage(url) {
+        return fetchListingPage(url);
+    }
+
+    async scrape(url) {
+        throw new Error(`${this.label} adapter does not implement scrape()`);
+    }
+}
+
+class ZooplaSource extends ListingSource {
+    constructor() {
+        super('zoopla', 'Zoopla', ['zoopla.co.uk']);
+    }
+
+    async scrape(url) {
+        console.log('🏠 Scraping Zoopla listing:', url);
+        const html = await this.fetchPage(url);
+        const $ = cheerio.load(html);
+        const common = extractCommonFields($);
+        const nextData = parseNextData($) || {};
+        const listing = findDeepValue(nextData, ['listingDetails', 'listing']) || nextData;
+
+        const location = findDeepValue(listing, ['location', 'coordinates'], v => v && typeof v === 'object' && ('latitude' in v || 'lat' in v));
+        const epc = findDeepValue(listing, ['epc', 'epcRating', 'energyPerformanceCertificate']);
+        const features = findDeepValue(listing, ['features', 'bullets', 'featureBullets'], Array.isArray) || [];
+
+        return buildNormalisedProperty(this.name, {
+            id: this.getListingId(url),
+            title: findDeepValue(listing, ['title', 'displayTitle']) || common.title,
+            description: cleanText(findDeepValue(listing, ['detailedDescription', 'description'])) || common.description,
+            price: findDeepValue(listing, ['price', 'priceUnformatted', 'pricing'], v => typeof v !== 'object') || common.price,
+            address: findDeepValue(listing, ['displayAddress', 'address'], v => typeof v === 'string') || common.address,
+            coordinates: location ? coordinatesFrom(location.latitude ?? location.lat, location.longitude ?? location.lng) : common.coordinates,
+            features: features.map(f => cleanText(typeof f === 'string' ? f : f.content || f.text || '')).filter(Boolean),
+            images: collectUrls(findDeepValue(listing, ['images', 'propertyImage', 'photos'], Array.isArray) || common.images),
+            floorplans: collectUrls(findDeepValue(listing, ['floorPlan', 'floorPlans', 'floorplans'])),
+            epcRating: typeof epc === 'string' && /^[a-g]$/i.test(epc.trim()) ? epc.trim().toUpperCase() : null,
+            tenure: findDeepValue(listing, ['tenure'], v => typeof v === 'string'),
+            councilTaxBand: (() => {
+                const band = findDeepValue(listing, ['councilTaxBand'], v => typeof v === 'string');
+                return band ? `Band ${band.replace(/band\s*/i, '').trim().toUpperCase()}` : null;
+            })(),
+            bedrooms: toNumber(findDeepValue(listing, ['numBedrooms', 'bedrooms', 'beds'])),
+            bathrooms: toNumber(findDeepValue(listing, ['numBathrooms', 'bathrooms', 'baths'])),
+            fullPageText: $('body').text()
+        });
+    }
+}
+
+class OnTheMarketSource extends ListingSource {
+    constructor() {
+        super('onthemarket', 'OnTheMarket', ['onthemarket.com']);
+    }
+
+    async scrape(url) {
+        console.log('🏠 Scraping OnTheMarket listing:', url);
+        const html = await this.fetchPage(url);
+        const $ = cheerio.load(html);
+        const common = extractCommonFields($);
+        const nextData = parseNextData($) || {};
+        const listing = findDeepValue(nextData, ['property', 'initialReduxState']) || nextData;
+
+        const location = findDeepValue(listing, ['location'], v => v && typeof v === 'object' && ('lat' in v || 'latitude' in v));
+        const features = findDeepValue(listing, ['features', 'keyFeatures'], Array.isArray) || [];
+
+        return buildNormalisedProperty(this.name, {
+            id: this.getListingId(url),
+            title: findDeepValue(listing, ['propertyTitle', 'title'], v => typeof v === 'string') || common.title,
+            description: cleanText(findDeepValue(listing, ['description', 'summary'], v => typeof v === 'string')) || common.description,
+            price: findDeepValue(listing, ['price', 'shortPrice'], v => typeof v !== 'object') || common.price,
+            address: findDeepValue(listing, ['displayAddress', 'address'], v => typeof v === 'string') || common.address,
+            coordinates: location ? coordinatesFrom(location.lat ?? location.latitude, location.lon ?? location.lng ?? location.longitude) : common.coordinates,
+            features: features.map(f => cleanText(typeof f === 'string' ? f : f.feature || f.text || '')).filter(Boolean),
+            images: collectUrls(findDeepValue(listing, ['images', 'photos'], Array.isArray) || common.images),
+            floorplans: collectUrls(findDeepValue(listing, ['floorplans', 'floorPlans', 'floorplan'])),
+            epcRating: (() => {
+                const rating = findDeepValue(listing, ['epcRating', 'currentEnergyRating'], v => typeof v === 'string');
+                return rating && /^[a-g]$/i.test(rating.trim()) ? rating.trim().toUpperCase() : null;
+            })(),
+            tenure: findDeepValue(listing, ['tenure'], v => typeof v === 'string'),
+            councilTaxBand: (() => {
+                const band = findDeepValue(listing, ['councilTaxBand', 'councilTax'], v => typeof v === 'string');
+                return band && /^(band\s*)?[a-i]$/i.test(band.trim()) ? `Band ${band.replace(/band\s*/i, '').trim().toUpperCase()}` : null;
+            })(),
+            bedrooms: toNumber(findDeepValue(listing, ['bedrooms'])),
+            bathrooms: toNumber(findDeepValue(listing, ['bathrooms'])),
+            fullPageText: $('body').text()
+        });
+    }
+}
+
+/**
+ * Fallback for independent estate agent websites. These have no common page
+ * model, so we rely on schema.org JSON-LD, Open Graph tags and the page text.
+ */
+class AgentSiteSource extends ListingSource {
+    constructor() {
+        super('agent', 'Estate agent website', []);
+    }
+
+    matches(url) {
+        return isPublicUrl(url);
+    }
+
+    fetchPage(url) {
+        return fetchListingPage(url, { publicOnly: true });
+    }
+
+    async scrape(url) {
+        console.log('🏠 Scraping agent website listing:', url);
+        const html = await this.fetchPage(url);
+        const $ = cheerio.load(html);
+        const common = extractCommonFields($);
+
+        const floorplans = [];
+        $('img, a').each((i, el) => {
+            const src = $(el).attr('src') || $(el).attr('data-src') || $(el).attr('href') || '';
+            const alt = ($(el).attr('alt') || $(el).text() || '').toLowerCase();
+            if (/floor\s*plan|floorplan/i.test(alt) || /floor[-_]?plan|flp/i.test(src)) {
+                try {
+                    const floorplan = new URL(src, url).href;
+                    // Floorplans are downloaded later, so the same rule applies to them
+                    if (isPublicUrl(floorplan) && !floorplans.includes(floorplan)) floorplans.push(floorplan);
+                } catch (error) {
+                    // Not a usable URL
+                }
+            }
+        });
+
+        let description = common.description;
+        if (!description || description.length < 200) {
+            const candidate = $('[class*="description"], [id*="description"], article, main').first().text().replace(/\s+/g, ' ').trim();
+            if (candidate.length > (description || '').length) description = candidate;
+        }
+
+        const features = $('[class*="feature"] li, [class*="bullet"] li').map((i, el) => $(el).text().trim()).get().filter(Boolean);
+        const pageText = $('body').text();
+
+        if (!common.title && !description) {
+            throw new Error('Could not find property details on this page');
+        }
+
+        return buildNormalisedProperty(this.name, {
+            id: this.getListingId(url),
+            title: common.title,
+            description: description,
+            price: common.price || (pageText.match(/£[\d,]{5,}/) || [])[0],
+            address: common.address,
+            coordinates: common.coordinates,
+            features: features.slice(0, 30),
+            images: common.images.filter(isPublicUrl),
+            floorplans: floorplans,
+            fullPageText: pageText
+        });
+    }
+}
+
+// =============================================
+// REGISTRY
+// =============================================
+
+class ListingSourceRegistry {
+    constructor() {
+        this.sources = [];
+        this.fallback = null;
+    }
+
+    register(source) {
+        this.sources.push(source);
+        return this;
+    }
+
+    setFallback(source) {
+        this.fallback = source;
+        return this;
+    }
+
+    /**
+     * Pick the adapter for a listing URL by host, falling back to the generic agent-site adapter
+     * @param {string} url
+     * @returns {ListingSource|null}
+     */
+    resolve(url) {
+        if (!url || !getHostname(url)) return null;
+        const source = this.sources.find(s => s.matches(url));
+        if (source) return source;
+        return this.fallback && this.fallback.matches(url) ? this.fallback : null;
+    }
+
+    get supportedPortals() {
+        return this.sources.map(s => s.label);
+    }
+}
+
+/**
+ * Create a registry with the built-in portal adapters. The Rightmove adapter
+ * is registered by server.js because it wraps the existing scraper there.
+ */
+function createListingSourceRegistry() {
+    return new ListingSourceRegistry()
+        .register(new ZooplaSource())
+        .register(new OnTheMarketSource())
+        .setFallback(new AgentSiteSource());
+}
+
+module.exports = {
+    ListingSource,
+    ListingSourceRegistry,
+    ZooplaSource,
+    OnTheMarketSource,
+    AgentSiteSource,
+    createListingSourceRegistry,
+    buildNormalisedProperty,
+    extractListingFacts,
+    fetchListingPage,
+    getHostname,
+    isPublicAddress,
+    isPublicUrl,
+    publicLookup
+};
@@ -0,0 +1,132 @@
+// manual-entry.js
+// Manual property entry for Home Accessibility Score
+// Off-market, private-sale and current homes have no listing to scrape, so the user
+// types the details in. The body comes straight from the browser, so every field is
+// checked for type as well as format before the analysis trusts it.
+
+const MAX_UPLOAD_BYTES = 8 * 1024 * 1024;
+const UK_POSTCODE_PATTERN = /^([A-Z]{1,2}\d[A-Z\d]?)\s*(\d[A-Z]{2})$/i;
+const TENURES = ['Freehold', 'Leasehold', 'Share of Freehold', 'Commonhold'];
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+const EPC_TYPES = ['application/pdf', ...IMAGE_TYPES];
+
+// Free-text fields and the most a form could reasonably send for each
+const TEXT_FIELDS = { address: 200, propertyType: 50, description: 20000 };
+
+/**
+ * Validate an uploaded file sent as a base64 data URL
+ * @param {string} dataUrl
+ * @param {string[]} allowedTypes - Accepted MIME types
+ * @returns {{mediaType: string, bytes: number}|null} null if the upload is unusable
+ */
+function parseUploadedFile(dataUrl, allowedTypes) {
+    const match = typeof dataUrl === 'string' && dataUrl.match(/^data:([a-z]+\/[a-z0-9.+-]+);base64,([A-Za-z0-9+/=]+)$/i);
+    if (!match) return null;
+
+    const mediaType = match[1].toLowerCase();
+    const bytes = Math.floor(match[2].length * 3 / 4);
+    if (!allowedTypes.includes(mediaType) || bytes > MAX_UPLOAD_BYTES) return null;
+
+    return { mediaType, bytes };
+}
+
+const isBlank = value => value === undefined || value === null || value === '';
+
+// A whole number sent as a number or as digits in a string
+function readCount(value) {
+    if (isBlank(value)) return { value: null };
+    const text = typeof value === 'number' ? String(value) : typeof value === 'string' ? value.trim() : null;
+    if (text === null || !/^\d{1,2}$/.test(text)) return { error: true };
+    return { value: parseInt(text, 10) };
+}
+
+/**
+ * Check a manual-entry request body and normalise its fields
+ * @param {*} input - Parsed JSON body
+ * @returns {{entry: Object}|{error: string}} entry has trimmed strings, a spaced upper-case
+ *     postcode and numeric bedrooms/bathrooms; scoringProfile and buyerProfile are left
+ *     for their own validators
+ */
+function validateManualEntry(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'Please send the property details as a JSON object' };
+    }
+
+    const postcodeMatch = typeof input.postcode === 'string' && input.postcode.trim().match(UK_POSTCODE_PATTERN);
+    if (!postcodeMatch) {
+        return { error: 'Please provide a valid UK postcode' };
+    }
+
+    const entry = {
+        postcode: `${postcodeMatch[1]} ${postcodeMatch[2]}`.toUpperCase(),
+        scoringProfile: input.scoringProfile,
+        buyerProfile: input.buyerProfile
+    };
+
+    for (const [field, maxLength] of Object.entries(TEXT_FIELDS)) {
+        const value = input[field];
+        if (isBlank(value)) {
+            entry[field] = null;
+        } else if (typeof value !== 'string' || value.length > maxLength) {
+            return { error: `${field} must be text of up to ${maxLength} characters` };
+        } else {
+            entry[field] = value.trim() || null;
+        }
+    }
+
+    if (isBlank(input.price)) {
+        entry.price = null;
+    } else if ((typeof input.price !== 'string' && typeof input.price !== 'number') || !/^£?\s*[\d,]+$/.test(String(input.price).trim())) {
+        return { error: 'Price must be a number' };
+    } else {
+        entry.price = String(input.price).trim();
+    }
+
+    for (const field of ['bedrooms', 'bathrooms']) {
+        const count = readCount(input[field]);
+        if (count.error) return { error: `${field} must be a whole number` };
+        entry[field] = count.value;
+    }
+
+    if (isBlank(input.tenure)) {
+        entry.tenure = null;
+    } else if (!TENURES.includes(input.tenure)) {
+        return { error: 'Unknown tenure' };
+    } else {
+        entry.tenure = input.tenure;
+    }
+
+    if (isBlank(input.councilTaxBand)) {
+        entry.councilTaxBand = null;
+    } else if (typeof input.councilTaxBand !== 'string' || !/^[A-I]$/i.test(input.councilTaxBand.trim())) {
+        return { error: 'Council tax band must be a single letter' };
+    } else {
+        entry.councilTaxBand = input.councilTaxBand.trim().toUpperCase();
+    }
+
+    if (isBlank(input.floorplan)) {
+        entry.floorplan = null;
+    } else if (!parseUploadedFile(input.floorplan, IMAGE_TYPES)) {
+        return { error: 'Floorplan must be a PNG, JPEG, WebP or GIF image under 8MB' };
+    } else {
+        entry.floorplan = input.floorplan;
+    }
+
+    if (isBlank(input.epcDocument)) {
+        entry.epcDocument = null;
+    } else if (!parseUploadedFile(input.epcDocument, EPC_TYPES)) {
+        return { error: 'EPC must be a PDF or image under 8MB' };
+    } else {
+        entry.epcDocument = input.epcDocument;
+    }
+
+    return { entry };
+}
+
+module.exports = {
+    MAX_UPLOAD_BYTES,
+    UK_POSTCODE_PATTERN,
+    EPC_TYPES,
+    parseUploadedFile,
+    validateManualEntry
+};
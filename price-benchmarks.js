@@ -0,0 +1,242 @@
+// price-benchmarks.js
+// Local price per square metre benchmarks for Home Accessibility Score
+// A price per sq m only means something against the local market: £5,000 is cheap in
+// much of London and dear in most of the north. Sold prices (a Land Registry price paid
+// extract) are joined to floor areas from the EPC register's bulk certificates, and each
+// property is ranked against recent sales in its postcode district, or its local
+// authority when the district has too few. The dataset lives in PRICE_BENCHMARK_DATASET.
+
+const fs = require('fs');
+const path = require('path');
+const { addressTokens, scoreAddressMatch, parseCsv } = require('./epc-register');
+
+// Fewer sales than this and the percentile is too noisy to trust
+const MIN_SALES = 20;
+
+// Only sales this recent, counted back from the newest sale in the dataset
+const MAX_SALE_AGE_YEARS = 5;
+
+// Structured price paid addresses are cleaner than listing addresses, so the join is stricter
+const JOIN_MATCH_SCORE = 0.8;
+
+// Outside these a sale is a data error, a plot of land or a mismatched certificate
+const MIN_FLOOR_AREA_SQM = 15;
+const MAX_FLOOR_AREA_SQM = 1000;
+const MIN_PRICE_PER_SQM = 300;
+const MAX_PRICE_PER_SQM = 50000;
+
+const OUTCODE = /^([A-Z]{1,2}\d[A-Z\d]?)(?:\s*\d[A-Z]{2})?$/i;
+
+/**
+ * Land Registry, EPC and hand-made files name their columns differently;
+ * "Price Paid", "PRICE_PAID" and "price-paid" all become price_paid
+ * @param {Object} row
+ * @returns {Object}
+ */
+function normaliseKeys(row) {
+    return Object.fromEntries(Object.entries(row).map(([key, value]) => [key.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_'), value]));
+}
+
+function numberOrNull(value) {
+    const number = parseFloat(String(value ?? '').replace(/[£,]/g, ''));
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * The postcode district ("CH6" from "CH6 5AB" or "ch65ab")
+ * @param {string} postcode
+ * @returns {string|null}
+ */
+function outcodeOf(postcode) {
+    const value = String(postcode || '').trim().toUpperCase();
+    const compact = value.replace(/\s+/g, '');
+    // Without a space the inward code is always the last three characters
+    const spaced = value.includes(' ') || compact.length <= 4 ? value : `${compact.slice(0, -3)} ${compact.slice(-3)}`;
+    return spaced.match(OUTCODE)?.[1] || null;
+}
+
+/**
+ * Attach a floor area to each sale by matching its address to an EPC certificate in the same postcode
+ * @param {Object[]} sales - Price paid rows (keys from normaliseKeys())
+ * @param {Object[]} certificates - EPC bulk certificate rows (keys from normaliseKeys())
+ * @returns {Object[]} Sales ({ price, postcode, floorAreaSqM, localAuthority, date })
+ */
+function joinFloorAreas(sales, certificates) {
+    const byPostcode = new Map();
+    for (const certificate of certificates) {
+        const key = String(certificate.postcode || '').replace(/\s+/g, '').toUpperCase();
+        if (!byPostcode.has(key)) byPostcode.set(key, []);
+        byPostcode.get(key).push(certificate);
+    }
+
+    const joined = [];
+    for (const sale of sales) {
+        const candidates = byPostcode.get(String(sale.postcode || '').replace(/\s+/g, '').toUpperCase()) || [];
+        const tokens = addressTokens([sale.saon, sale.paon, sale.street].filter(Boolean).join(' '));
+
+        let best = null;
+        let bestScore = 0;
+        for (const certificate of candidates) {
+            const address = [certificate.address1, certificate.address2, certificate.address3].filter(Boolean).join(' ') || certificate.address;
+            const score = scoreAddressMatch(tokens, address);
+            if (score < JOIN_MATCH_SCORE) continue;
+            // Equal scores: the later certificate reflects any extension
+            if (score > bestScore || (score === bestScore && String(certificate.lodgement_date) > String(best.lodgement_date))) {
+                best = certificate;
+                bestScore = score;
+            }
+        }
+
+        if (best) {
+            joined.push({
+                price: numberOrNull(sale.price_paid ?? sale.price),
+                postcode: sale.postcode,
+                floorAreaSqM: numberOrNull(best.total_floor_area),
+                localAuthority: sale.district || best.local_authority_label || null,
+                date: sale.deed_date || sale.date_of_transfer || sale.date || null
+            });
+        }
+    }
+    return joined;
+}
+
+/**
+ * Share of the sorted values below this one, as a whole percentage
+ * @param {number[]} sorted - Ascending
+ * @param {number} value
+ * @returns {number}
+ */
+function percentileRank(sorted, value) {
+    let below = 0;
+    while (below < sorted.length && sorted[below] < value) below++;
+    return Math.round(below / sorted.length * 100);
+}
+
+function quantile(sorted, fraction) {
+    return Math.round(sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))]);
+}
+
+class PriceBenchmarks {
+    /**
+     * @param {Object} options
+     * @param {string} [options.datasetDir] - Folder holding sales.csv, or price-paid.csv and certificates.csv
+     */
+    constructor({ datasetDir } = {}) {
+        this.datasetDir = datasetDir || null;
+        this.index = null;
+    }
+
+    isConfigured() {
+        return !!this.datasetDir;
+    }
+
+    /**
+     * Rank a price per sq m against recent local sales
+     * @param {number} pricePerSqM
+     * @param {string} postcode - Full postcode or district
+     * @returns {Promise<Object|null>} { area, areaType, sales, median, lowerQuartile, upperQuartile, percentile } or null without enough local sales
+     */
+    async compare(pricePerSqM, postcode) {
+        if (!this.isConfigured() || !pricePerSqM) return null;
+
+        const outcode = outcodeOf(postcode);
+        if (!outcode) return null;
+
+        const index = await this.load();
+        let area = { name: outcode, type: 'postcode district', values: index.districts.get(outcode) || [] };
+
+        // A thin district falls back to the council area most of its sales are in
+        if (area.values.length < MIN_SALES) {
+            const localAuthority = index.districtAuthorities.get(outcode);
+            const values = localAuthority ? index.authorities.get(localAuthority) || [] : [];
+            if (values.length < MIN_SALES) return null;
+            // Land Registry districts are in capitals ("CHESHIRE WEST AND CHESTER")
+            const name = localAuthority.toLowerCase().replace(/\b[a-z]/g, letter => letter.toUpperCase()).replace(/\b(And|Of|Upon|On)\b/g, word => word.toLowerCase());
+            area = { name: name, type: 'local authority', values: values };
+        }
+
+        return {
+            area: area.name,
+            areaType: area.type,
+            sales: area.values.length,
+            median: quantile(area.values, 0.5),
+            lowerQuartile: quantile(area.values, 0.25),
+            upperQuartile: quantile(area.values, 0.75),
+            percentile: percentileRank(area.values, pricePerSqM)
+        };
+    }
+
+    // The dataset is read once and kept as sorted £/sq m lists per district and per local authority
+    async load() {
+        if (this.index) return this.index;
+
+        const read = async file => {
+            try {
+                return parseCsv(await fs.promises.readFile(path.join(this.datasetDir, file), 'utf8')).map(normaliseKeys);
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        };
+
+        // A pre-joined sales.csv (price, postcode, floor_area, local_authority, date) wins;
+        // otherwise the price paid extract is joined to the EPC certificates here
+        let sales = (await read('sales.csv'))?.map(row => ({
+            price: numberOrNull(row.price ?? row.price_paid),
+            postcode: row.postcode,
+            floorAreaSqM: numberOrNull(row.floor_area ?? row.total_floor_area),
+            localAuthority: row.local_authority || row.district || null,
+            date: row.date || row.deed_date || null
+        }));
+        if (!sales) {
+            sales = joinFloorAreas(await read('price-paid.csv') || [], await read('certificates.csv') || []);
+        }
+
+        const newest = sales.reduce((latest, sale) => (sale.date && sale.date > latest ? sale.date : latest), '');
+        const cutoff = newest ? `${parseInt(newest.slice(0, 4)) - MAX_SALE_AGE_YEARS}${newest.slice(4)}` : '';
+
+        const districts = new Map();
+        const authorities = new Map();
+        const authorityCounts = new Map();
+        const add = (map, key, value) => {
+            if (!map.has(key)) map.set(key, []);
+            map.get(key).push(value);
+        };
+
+        let used = 0;
+        for (const sale of sales) {
+            const outcode = outcodeOf(sale.postcode);
+            if (!outcode || !sale.price || (cutoff && sale.date && sale.date < cutoff)) continue;
+            if (!(sale.floorAreaSqM >= MIN_FLOOR_AREA_SQM && sale.floorAreaSqM <= MAX_FLOOR_AREA_SQM)) continue;
+
+            const pricePerSqM = sale.price / sale.floorAreaSqM;
+            if (pricePerSqM < MIN_PRICE_PER_SQM || pricePerSqM > MAX_PRICE_PER_SQM) continue;
+
+            used++;
+            add(districts, outcode, pricePerSqM);
+            if (sale.localAuthority) {
+                const authority = sale.localAuthority.trim().toUpperCase();
+                add(authorities, authority, pricePerSqM);
+                const counts = authorityCounts.get(outcode) || new Map();
+                counts.set(authority, (counts.get(authority) || 0) + 1);
+                authorityCounts.set(outcode, counts);
+            }
+        }
+
+        for (const values of [...districts.values(), ...authorities.values()]) values.sort((a, b) => a - b);
+
+        const districtAuthorities = new Map([...authorityCounts].map(([outcode, counts]) =>
+            [outcode, [...counts].sort((a, b) => b[1] - a[1])[0][0]]));
+
+        console.log(`📚 Price benchmarks loaded: ${used} sales across ${districts.size} postcode districts`);
+        this.index = { districts, authorities, districtAuthorities };
+        return this.index;
+    }
+}
+
+module.exports = {
+    MIN_SALES,
+    PriceBenchmarks,
+    outcodeOf,
+    joinFloorAreas
+};
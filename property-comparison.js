@@ -0,0 +1,186 @@
+// property-comparison.js
+// Side-by-side comparison of saved properties for Home Accessibility Score
+// Builds one row per dimension (scores, accessible-feature criteria, costs and
+// journey times) from stored analyses and marks which property is best on each.
+
+const {
+    CATEGORY_KEYS,
+    CATEGORY_LABELS,
+    CRITERIA_KEYS,
+    CRITERIA_LABELS
+} = require('./scoring-profiles');
+
+const MIN_COMPARE = 2;
+const MAX_COMPARE = 5;
+
+// Feature labels from calculateAccessibleFeaturesScore(), for analyses stored before criteriaMet
+const FEATURE_CRITERIA = [
+    ['Step-free internal access', 'stepFreeOrLift'],
+    ['Stairlift', 'stepFreeOrLift'],
+    ['Lift', 'stepFreeOrLift'],
+    ['Downstairs bedroom', 'downstairsBedroom'],
+    ['Downstairs bathroom', 'downstairsBathroom'],
+    ['Ground floor entry', 'groundFloorEntry'],
+    ['Off-street/private parking', 'privateParking'],
+    ['Garden access', 'garden'],
+    ['Balcony/terrace', 'balcony'],
+    ['External level/ramp access', 'externalLevelAccess']
+];
+
+const PERIODS_PER_YEAR = { annum: 1, year: 1, quarter: 4, month: 12, week: 52 };
+
+/**
+ * Which accessibility criteria a stored analysis met
+ * @param {Object} [accessibleFeatures] - analysis.accessibleFeatures
+ * @returns {Object<string, boolean>}
+ */
+function getCriteriaMet(accessibleFeatures = {}) {
+    if (accessibleFeatures.criteriaMet) return accessibleFeatures.criteriaMet;
+
+    const criteriaMet = {};
+    for (const feature of accessibleFeatures.features || []) {
+        const match = FEATURE_CRITERIA.find(([label]) => feature.startsWith(label));
+        if (match) criteriaMet[match[1]] = true;
+    }
+    return criteriaMet;
+}
+
+/**
+ * Annual amount from strings like "£1,200 per annum" or "£95 per month"
+ * @param {string|null} text
+ * @returns {number|null}
+ */
+function parseAnnualAmount(text) {
+    const match = String(text || '').match(/£\s*([\d,]+(?:\.\d+)?)(?:\s*per\s*(\w+))?/i);
+    if (!match) return null;
+    const amount = parseFloat(match[1].replace(/,/g, ''));
+    const perYear = PERIODS_PER_YEAR[(match[2] || 'annum').toLowerCase()] || 1;
+    return Math.round(amount * perYear);
+}
+
+function parseMinutes(value) {
+    if (typeof value === 'number') return value;
+    const match = String(value || '').match(/(\d+)\s*min/i);
+    return match ? parseInt(match[1]) : null;
+}
+
+// Band A is cheapest, so a lower index is better
+function councilTaxBandIndex(band) {
+    const match = String(band || '').match(/Band\s+([A-I])\b/i);
+    return match ? match[1].toUpperCase().charCodeAt(0) - 65 : null;
+}
+
+/**
+ * Flatten a stored properties row into the values the comparison needs
+ * @param {Object} row - properties row with scores_json
+ * @returns {Object}
+ */
+function summariseProperty(row) {
+    const analysis = row.scores_json || {};
+    const gp = (analysis.gpProximity?.nearestGPs || [])[0];
+    const bus = (analysis.publicTransport?.busStops || [])[0];
+    const train = (analysis.publicTransport?.trainStations || [])[0];
+    const criteriaMet = getCriteriaMet(analysis.accessibleFeatures);
+
+    return {
+        id: row.rightmove_id,
+        propertyId: row.id,
+        address: row.address || row.title || 'Unknown address',
+        title: row.title || null,
+        url: row.rightmove_url || row.url || null,
+        analysedAt: row.analysed_at || null,
+        hasAnalysis: !!row.scores_json,
+        values: {
+            overall: analysis.overall ?? row.overall_score ?? null,
+            ...CATEGORY_KEYS.reduce((values, key) => ({
+                ...values,
+                [key]: analysis[key]?.score ?? null
+            }), {}),
+            ...CRITERIA_KEYS.reduce((values, key) => ({
+                ...values,
+                [`criteria.${key}`]: row.scores_json ? !!criteriaMet[key] : null
+            }), {}),
+            price: row.price ?? null,
+            councilTax: analysis.councilTax?.band || analysis.cost?.councilTax || null,
+            serviceCharge: parseAnnualAmount(analysis.cost?.serviceCharge),
+            stampDuty: analysis.stampDuty?.amount ?? null,
+            gpMinutes: gp ? parseMinutes(gp.adjustedTime) : null,
+            busMinutes: bus ? parseMinutes(bus.walkingTime) : null,
+            trainMinutes: train ? parseMinutes(train.walkingTime) : null
+        },
+        details: {
+            gpName: gp?.name || null,
+            busStopName: bus?.name || null,
+            trainStationName: train?.name || null,
+            stampDutyName: analysis.stampDuty?.taxName || 'Stamp Duty'
+        }
+    };
+}
+
+// Every row of the comparison: which group it's in, how to label it, and which way is better
+function comparisonDimensions() {
+    return [
+        { key: 'overall', group: 'scores', label: 'Overall Score', better: 'higher' },
+        ...CATEGORY_KEYS.map(key => ({ key, group: 'scores', label: CATEGORY_LABELS[key], better: 'higher' })),
+        ...CRITERIA_KEYS.map(key => ({ key: `criteria.${key}`, group: 'features', label: CRITERIA_LABELS[key], better: 'higher' })),
+        { key: 'price', group: 'costs', label: 'Price', better: 'lower' },
+        { key: 'councilTax', group: 'costs', label: 'Council Tax', better: 'lower', rank: councilTaxBandIndex },
+        { key: 'serviceCharge', group: 'costs', label: 'Service Charge (per year)', better: 'lower' },
+        { key: 'stampDuty', group: 'costs', label: 'Stamp Duty', better: 'lower' },
+        { key: 'gpMinutes', group: 'journeys', label: 'Nearest GP (walk, mins)', better: 'lower' },
+        { key: 'busMinutes', group: 'journeys', label: 'Nearest bus stop (walk, mins)', better: 'lower' },
+        { key: 'trainMinutes', group: 'journeys', label: 'Nearest train station (walk, mins)', better: 'lower' }
+    ];
+}
+
+/**
+ * Ids of the properties that are best on one dimension. Nothing is highlighted
+ * when fewer than two properties have a value or they're all the same.
+ */
+function findBest(properties, dimension) {
+    const ranked = properties
+        .map(property => {
+            const value = property.values[dimension.key];
+            const rank = dimension.rank ? dimension.rank(value) : typeof value === 'boolean' ? Number(value) : value;
+            return { id: property.id, rank };
+        })
+        .filter(entry => typeof entry.rank === 'number');
+
+    if (ranked.length < 2) return [];
+
+    const ranks = ranked.map(entry => entry.rank);
+    const best = dimension.better === 'lower' ? Math.min(...ranks) : Math.max(...ranks);
+    if (ranks.every(rank => rank === best)) return [];
+
+    return ranked.filter(entry => entry.rank === best).map(entry => entry.id);
+}
+
+/**
+ * Build the comparison for a set of stored properties
+ * @param {Object[]} rows - properties rows, in the order to display them
+ * @returns {{properties: Object[], dimensions: Object[]}}
+ */
+function buildComparison(rows) {
+    const properties = rows.map(summariseProperty);
+    const dimensions = comparisonDimensions().map(dimension => ({
+        key: dimension.key,
+        group: dimension.group,
+        label: dimension.label,
+        better: dimension.better,
+        best: findBest(properties, dimension)
+    }));
+
+    // Count of dimensions each property wins, for the headline
+    for (const property of properties) {
+        property.wins = dimensions.filter(dimension => dimension.best.includes(property.id)).length;
+    }
+
+    return { properties, dimensions };
+}
+
+module.exports = {
+    MIN_COMPARE,
+    MAX_COMPARE,
+    getCriteriaMet,
+    buildComparison
+};
@@ -0,0 +1,300 @@
+// property-tax.js
+// Property transaction tax for Home Accessibility Score
+// Stamp Duty Land Tax (England and Northern Ireland), Land Transaction Tax (Wales) and Land
+// and Buildings Transaction Tax (Scotland) depend on who is buying as much as on the price: first-time
+// buyers get relief, a second home (including one kept for a carer) pays the higher rates
+// or Scotland's Additional Dwelling Supplement, and non-UK residents pay a surcharge in
+// England. Rates are held with the date they took effect, so a completion date picks them.
+
+const BUYER_TYPES = {
+    standard: 'Moving home',
+    'first-time': 'First-time buyer',
+    // Second homes, buy-to-lets and a home bought for a carer or relative while keeping your own
+    additional: 'Additional property'
+};
+
+const TAX_NAMES = {
+    england: { taxName: 'Stamp Duty', taxNameFull: 'Stamp Duty Land Tax' },
+    'northern-ireland': { taxName: 'Stamp Duty', taxNameFull: 'Stamp Duty Land Tax' },
+    wales: { taxName: 'LTT', taxNameFull: 'Land Transaction Tax' },
+    scotland: { taxName: 'LBTT', taxNameFull: 'Land and Buildings Transaction Tax' }
+};
+
+// Higher rates and the ADS don't apply to homes bought for less than this
+const ADDITIONAL_DWELLING_MIN_PRICE = 40000;
+
+// Bands are [upper limit, rate]. Each table applies to completions on or after `from`;
+// the latest table that has started wins. Northern Ireland shares England's SDLT tables.
+const RATE_TABLES = {
+    england: [
+        {
+            from: '2022-09-23',
+            bands: [[250000, 0], [925000, 0.05], [1500000, 0.10], [Infinity, 0.12]],
+            firstTimeBuyer: { maxPrice: 625000, bands: [[425000, 0], [625000, 0.05]] },
+            higherRates: 0.03,
+            nonResident: 0.02
+        },
+        {
+            from: '2024-10-31',
+            bands: [[250000, 0], [925000, 0.05], [1500000, 0.10], [Infinity, 0.12]],
+            firstTimeBuyer: { maxPrice: 625000, bands: [[425000, 0], [625000, 0.05]] },
+            higherRates: 0.05,
+            nonResident: 0.02
+        },
+        {
+            from: '2025-04-01',
+            bands: [[125000, 0], [250000, 0.02], [925000, 0.05], [1500000, 0.10], [Infinity, 0.12]],
+            firstTimeBuyer: { maxPrice: 500000, bands: [[300000, 0], [500000, 0.05]] },
+            higherRates: 0.05,
+            nonResident: 0.02
+        }
+    ],
+    // Wales has no first-time buyer relief or non-resident surcharge; the higher rates
+    // are a separate table charged on the whole price
+    wales: [
+        {
+            from: '2022-10-10',
+            bands: [[225000, 0], [400000, 0.06], [750000, 0.075], [1500000, 0.10], [Infinity, 0.12]],
+            higherRatesBands: [[180000, 0.04], [250000, 0.075], [400000, 0.09], [750000, 0.115], [1500000, 0.14], [Infinity, 0.16]]
+        },
+        {
+            from: '2024-12-11',
+            bands: [[225000, 0], [400000, 0.06], [750000, 0.075], [1500000, 0.10], [Infinity, 0.12]],
+            higherRatesBands: [[180000, 0.05], [250000, 0.085], [400000, 0.10], [750000, 0.125], [1500000, 0.15], [Infinity, 0.17]]
+        }
+    ],
+    // First-time buyers in Scotland get a higher nil rate band; the ADS is a flat share of the price
+    scotland: [
+        {
+            from: '2021-04-01',
+            bands: [[145000, 0], [250000, 0.02], [325000, 0.05], [750000, 0.10], [Infinity, 0.12]],
+            firstTimeBuyer: { maxPrice: Infinity, bands: [[175000, 0], [250000, 0.02], [325000, 0.05], [750000, 0.10], [Infinity, 0.12]] },
+            additionalDwellingSupplement: 0.04
+        },
+        {
+            from: '2022-12-16',
+            bands: [[145000, 0], [250000, 0.02], [325000, 0.05], [750000, 0.10], [Infinity, 0.12]],
+            firstTimeBuyer: { maxPrice: Infinity, bands: [[175000, 0], [250000, 0.02], [325000, 0.05], [750000, 0.10], [Infinity, 0.12]] },
+            additionalDwellingSupplement: 0.06
+        },
+        {
+            from: '2024-12-05',
+            bands: [[145000, 0], [250000, 0.02], [325000, 0.05], [750000, 0.10], [Infinity, 0.12]],
+            firstTimeBuyer: { maxPrice: Infinity, bands: [[175000, 0], [250000, 0.02], [325000, 0.05], [750000, 0.10], [Infinity, 0.12]] },
+            additionalDwellingSupplement: 0.08
+        }
+    ]
+};
+
+// Who is buying and who will live there. The household flags set council tax discounts.
+const DEFAULT_BUYER_PROFILE = { buyerType: 'standard', nonResident: false, completionDate: null, singlePerson: false, disabilityReduction: false };
+
+const BOOLEAN_FIELDS = {
+    nonResident: 'Non-resident',
+    singlePerson: 'Single person discount',
+    disabilityReduction: 'Disability Reduction'
+};
+
+function formatPounds(amount) {
+    return `£${Math.round(amount).toLocaleString('en-GB')}`;
+}
+
+function formatRate(rate) {
+    return `${Math.round(rate * 1000) / 10}%`;
+}
+
+// Date.parse() rolls 2025-02-30 over to 2 March, so the parts must come back unchanged
+function isCalendarDate(text) {
+    if (typeof text !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(text)) return false;
+    const date = new Date(`${text}T00:00:00Z`);
+    return !isNaN(date) && date.toISOString().slice(0, 10) === text;
+}
+
+/**
+ * Check a buyer profile sent with an analysis request. Missing fields take the defaults.
+ * @param {Object|undefined} input - { buyerType, nonResident, completionDate, singlePerson, disabilityReduction }
+ * @returns {{buyerProfile: Object}|{error: string}}
+ */
+function validateBuyerProfile(input) {
+    if (input === undefined || input === null) return { buyerProfile: { ...DEFAULT_BUYER_PROFILE } };
+    if (typeof input !== 'object' || Array.isArray(input)) return { error: 'Buyer profile must be an object' };
+
+    // A misnamed field would otherwise be dropped and the buyer taxed on the defaults
+    const unknownField = Object.keys(input).find(field => !Object.hasOwn(DEFAULT_BUYER_PROFILE, field));
+    if (unknownField) return { error: `Unknown buyer profile field: ${unknownField}` };
+
+    const buyerType = input.buyerType || 'standard';
+    if (typeof buyerType !== 'string' || !Object.hasOwn(BUYER_TYPES, buyerType)) return { error: `Buyer type must be one of ${Object.keys(BUYER_TYPES).join(', ')}` };
+    for (const [field, label] of Object.entries(BOOLEAN_FIELDS)) {
+        if (input[field] !== undefined && typeof input[field] !== 'boolean') return { error: `${label} must be true or false` };
+    }
+
+    const completionDate = input.completionDate || null;
+    if (completionDate && !isCalendarDate(completionDate)) {
+        return { error: 'Completion date must be a date (YYYY-MM-DD)' };
+    }
+
+    return {
+        buyerProfile: {
+            buyerType,
+            nonResident: !!input.nonResident,
+            completionDate,
+            singlePerson: !!input.singlePerson,
+            disabilityReduction: !!input.disabilityReduction
+        }
+    };
+}
+
+/**
+ * Same buyer profile? Analyses saved before profiles existed count as the default.
+ * @param {Object|undefined} a
+ * @param {Object|undefined} b
+ * @returns {boolean}
+ */
+function sameBuyerProfile(a, b) {
+    const left = { ...DEFAULT_BUYER_PROFILE, ...a };
+    const right = { ...DEFAULT_BUYER_PROFILE, ...b };
+    return Object.keys(DEFAULT_BUYER_PROFILE).every(field => left[field] === right[field]);
+}
+
+/**
+ * Rate table in force on a date
+ * @param {string} country - 'england', 'wales', 'scotland' or 'northern-ireland'
+ * @param {string} date - YYYY-MM-DD
+ * @returns {{table: Object, beforeEarliest: boolean}}
+ */
+function ratesOn(country, date) {
+    const tables = RATE_TABLES[country] || RATE_TABLES.england;
+    const started = tables.filter(table => table.from <= date);
+    return started.length > 0
+        ? { table: started[started.length - 1], beforeEarliest: false }
+        : { table: tables[0], beforeEarliest: true };
+}
+
+/**
+ * Slice a price across bands
+ * @param {number} price
+ * @param {Array<[number, number]>} bands - [upper limit, rate]
+ * @param {number} [surcharge] - Added to every band's rate
+ * @returns {{from: number, to: number|null, rate: number, taxable: number, tax: number}[]}
+ */
+function applyBands(price, bands, surcharge = 0) {
+    const slices = [];
+    let lower = 0;
+    for (const [upper, rate] of bands) {
+        if (price <= lower) break;
+        const taxable = Math.min(price, upper) - lower;
+        slices.push({ from: lower, to: Number.isFinite(upper) ? upper : null, rate: rate + surcharge, taxable, tax: taxable * (rate + surcharge) });
+        lower = upper;
+    }
+    return slices;
+}
+
+function sumTax(slices) {
+    return slices.reduce((total, slice) => total + slice.tax, 0);
+}
+
+/**
+ * Transaction tax for a price, nation and buyer profile, with the working shown
+ * @param {number} price - Purchase price in GBP
+ * @param {string} country - 'england', 'wales', 'scotland' or 'northern-ireland'
+ * @param {Object} [buyerProfile] - From validateBuyerProfile()
+ * @returns {{amount: number, country: string, taxName: string, taxNameFull: string, buyerType: string, buyerLabel: string, nonResident: boolean, ratesFrom: string, bands: Object[], supplements: Object[], reliefs: Object[], notes: string[]}}
+ */
+function calculateTransactionTax(price, country, buyerProfile = DEFAULT_BUYER_PROFILE) {
+    const nation = RATE_TABLES[country] ? country : 'england';
+    const profile = { ...DEFAULT_BUYER_PROFILE, ...buyerProfile };
+    const date = profile.completionDate || new Date().toISOString().slice(0, 10);
+    const { table, beforeEarliest } = ratesOn(nation, date);
+
+    const notes = [];
+    const supplements = [];
+    const reliefs = [];
+    if (beforeEarliest) notes.push(`Rates before ${table.from} aren't held; the ${table.from} rates are used.`);
+
+    const standardBands = applyBands(price, table.bands);
+    let bands = standardBands;
+    const additional = profile.buyerType === 'additional' && price >= ADDITIONAL_DWELLING_MIN_PRICE;
+    if (profile.buyerType === 'additional' && !additional) {
+        notes.push(`Higher rates don't apply below ${formatPounds(ADDITIONAL_DWELLING_MIN_PRICE)}.`);
+    }
+
+    // First-time buyer relief
+    if (profile.buyerType === 'first-time') {
+        if (!table.firstTimeBuyer) {
+            notes.push(`${TAX_NAMES[nation].taxNameFull} has no first-time buyer relief.`);
+        } else if (price > table.firstTimeBuyer.maxPrice) {
+            notes.push(`First-time buyer relief doesn't apply above ${formatPounds(table.firstTimeBuyer.maxPrice)}, so the standard rates are used.`);
+        } else {
+            bands = applyBands(price, table.firstTimeBuyer.bands);
+            reliefs.push({ label: 'First-time buyer relief', saving: Math.round(sumTax(standardBands) - sumTax(bands)) });
+        }
+    }
+
+    // Additional dwellings: England adds a surcharge to every band, Wales has its own
+    // table and Scotland charges the ADS on the whole price
+    if (additional && nation === 'england') {
+        supplements.push({ label: 'Higher rates for additional dwellings', rate: table.higherRates, amount: Math.round(price * table.higherRates) });
+    } else if (additional && nation === 'wales') {
+        bands = applyBands(price, table.higherRatesBands);
+        notes.push('The higher residential rates apply to the whole price.');
+    } else if (additional && nation === 'scotland') {
+        supplements.push({ label: 'Additional Dwelling Supplement', rate: table.additionalDwellingSupplement, amount: Math.round(price * table.additionalDwellingSupplement) });
+    }
+
+    // Non-UK residents pay a surcharge in England only
+    if (profile.nonResident) {
+        if (table.nonResident) {
+            supplements.push({ label: 'Non-UK resident surcharge', rate: table.nonResident, amount: Math.round(price * table.nonResident) });
+        } else {
+            notes.push(`There is no non-resident surcharge on ${TAX_NAMES[nation].taxNameFull}.`);
+        }
+    }
+
+    const amount = Math.round(sumTax(bands) + supplements.reduce((total, supplement) => total + supplement.amount, 0));
+    return {
+        amount,
+        country: nation,
+        ...TAX_NAMES[nation],
+        buyerType: profile.buyerType,
+        buyerLabel: BUYER_TYPES[profile.buyerType],
+        nonResident: profile.nonResident,
+        completionDate: date,
+        ratesFrom: table.from,
+        bands: bands.map(band => ({ ...band, tax: Math.round(band.tax) })),
+        supplements,
+        reliefs,
+        notes
+    };
+}
+
+/**
+ * One line per band, supplement and relief, e.g. { label: "£125,001–£250,000 at 2%", value: "£2,500" }
+ * @param {Object} breakdown - From calculateTransactionTax()
+ * @returns {{label: string, value: string}[]}
+ */
+function describeTaxBreakdown(breakdown) {
+    const lines = breakdown.bands.map(band => ({
+        label: `${band.to === null ? `Over ${formatPounds(band.from)}` : `${formatPounds(band.from === 0 ? 0 : band.from + 1)}–${formatPounds(band.to)}`} at ${formatRate(band.rate)}`,
+        value: formatPounds(band.tax)
+    }));
+    for (const supplement of breakdown.supplements) {
+        lines.push({ label: `${supplement.label} (${formatRate(supplement.rate)} of the price)`, value: formatPounds(supplement.amount) });
+    }
+    for (const relief of breakdown.reliefs) {
+        lines.push({ label: relief.label, value: `saves ${formatPounds(relief.saving)}` });
+    }
+    return lines;
+}
+
+RATE_TABLES['northern-ireland'] = RATE_TABLES.england;
+
+module.exports = {
+    BUYER_TYPES,
+    DEFAULT_BUYER_PROFILE,
+    TAX_NAMES,
+    validateBuyerProfile,
+    sameBuyerProfile,
+    calculateTransactionTax,
+    describeTaxBreakdown
+};
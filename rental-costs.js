@@ -0,0 +1,192 @@
+// rental-costs.js
+// Rental listing costs for Home Accessibility Score
+// Homes to let are priced per month (or per week) and tenants pay a capped deposit
+// rather than stamp duty, so rentals get their own cost pathway: monthly rent,
+// the legal deposit and holding-deposit caps for the nation, and the letting terms
+// (furnishing, available date, minimum term) a tenant needs before viewing.
+
+const WEEKS_PER_YEAR = 52;
+
+// Above this annual rent the Tenant Fees Act 2019 allows six weeks' deposit instead of five
+const HIGHER_DEPOSIT_THRESHOLD = 50000;
+
+// Deposit rules per nation. Null caps mean the law sets no general limit.
+const DEPOSIT_RULES = {
+    england: {
+        law: 'Tenant Fees Act 2019',
+        depositWeeks: annualRent => (annualRent >= HIGHER_DEPOSIT_THRESHOLD ? 6 : 5),
+        depositMonths: null,
+        holdingDepositWeeks: 1
+    },
+    wales: {
+        law: 'Renting Homes (Fees etc.) (Wales) Act 2019',
+        depositWeeks: null,
+        depositMonths: null,
+        holdingDepositWeeks: 1
+    },
+    scotland: {
+        law: 'Rent (Scotland) Act 1984',
+        depositWeeks: null,
+        depositMonths: 2,
+        holdingDepositWeeks: null
+    },
+    'northern-ireland': {
+        law: 'Private Tenancies Act (Northern Ireland) 2022',
+        depositWeeks: null,
+        depositMonths: 1,
+        holdingDepositWeeks: null
+    }
+};
+
+const RENT_PERIOD_PATTERNS = [
+    { period: 'week', pattern: /\b(?:pw|p\/w|per\s+week|weekly)\b/i },
+    { period: 'month', pattern: /\b(?:pcm|p\/m|per\s+(?:calendar\s+)?month|monthly)\b/i },
+    { period: 'year', pattern: /\b(?:pa|per\s+(?:annum|year)|annually)\b/i }
+];
+
+/**
+ * Is this a home to let? Rightmove's page model says so directly; other
+ * portals only show it in the price ("£1,250 pcm", "£288 pw").
+ * @param {Object} property - Normalised property
+ * @returns {boolean}
+ */
+function isRentalListing(property) {
+    if (property.listingType) return property.listingType === 'rent';
+    return RENT_PERIOD_PATTERNS.slice(0, 2).some(({ pattern }) => pattern.test(String(property.price || '')));
+}
+
+function roundPounds(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+// Caps are rounded down to the penny so the figure shown is never above the legal limit
+function capAmount(annualRent, fractionOfYear) {
+    return Math.floor(Math.round(annualRent * fractionOfYear * 10000) / 100) / 100;
+}
+
+/**
+ * Read the rent from a price string and convert it to monthly, weekly and annual figures
+ * @param {string} price - e.g. "£1,250 pcm" or "£288 pw"
+ * @returns {{monthly: number, weekly: number, annual: number, period: string}|null} null if there's no amount
+ */
+function parseRent(price) {
+    const match = String(price || '').replace(/,/g, '').match(/£\s*(\d+(?:\.\d{1,2})?)/);
+    if (!match) return null;
+
+    const amount = parseFloat(match[1]);
+    if (!amount) return null;
+
+    // Rightmove shows rentals per calendar month unless it says otherwise
+    const period = RENT_PERIOD_PATTERNS.find(({ pattern }) => pattern.test(price))?.period || 'month';
+    const annual = period === 'week' ? amount * WEEKS_PER_YEAR : period === 'year' ? amount : amount * 12;
+
+    return {
+        monthly: roundPounds(annual / 12),
+        weekly: roundPounds(annual / WEEKS_PER_YEAR),
+        annual: roundPounds(annual),
+        period
+    };
+}
+
+/**
+ * The most a landlord may take as a tenancy deposit and a holding deposit.
+ * Weekly rent is the annual rent over 52, as the Tenant Fees Act guidance sets out.
+ * @param {{weekly: number, monthly: number, annual: number}} rent - From parseRent()
+ * @param {string} [country] - 'england', 'wales', 'scotland' or 'northern-ireland'
+ * @returns {{depositCap: number|null, depositRule: string|null, holdingDepositCap: number|null, law: string, country: string}}
+ */
+function calculateDepositCaps(rent, country = 'england') {
+    const rules = DEPOSIT_RULES[country] || DEPOSIT_RULES.england;
+    const depositWeeks = rules.depositWeeks ? rules.depositWeeks(rent.annual) : null;
+
+    let depositCap = null;
+    let depositRule = null;
+    if (depositWeeks) {
+        depositCap = capAmount(rent.annual, depositWeeks / WEEKS_PER_YEAR);
+        depositRule = `${depositWeeks} weeks' rent`;
+    } else if (rules.depositMonths) {
+        depositCap = capAmount(rent.annual, rules.depositMonths / 12);
+        depositRule = `${rules.depositMonths} months' rent`;
+    }
+
+    return {
+        depositCap,
+        depositRule,
+        holdingDepositCap: rules.holdingDepositWeeks ? capAmount(rent.annual, rules.holdingDepositWeeks / WEEKS_PER_YEAR) : null,
+        law: rules.law,
+        country: DEPOSIT_RULES[country] ? country : 'england'
+    };
+}
+
+function readFurnishing(text) {
+    if (/furnished\s*(?:or|\/)\s*unfurnished|unfurnished\s*(?:or|\/)\s*furnished/i.test(text)) return 'Furnished or unfurnished';
+    if (/\bpart(?:ly|\s|-)?\s*furnished\b/i.test(text)) return 'Part furnished';
+    if (/\bunfurnished\b/i.test(text)) return 'Unfurnished';
+    if (/\bfurnished\b/i.test(text)) return 'Furnished';
+    return null;
+}
+
+function readAvailableFrom(text) {
+    const match = text.match(/(?:let\s+available\s+date|available)\s*(?:from|:)?\s*:?\s*(now|immediately|\d{1,2}\/\d{1,2}\/\d{2,4}|\d{1,2}(?:st|nd|rd|th)?\s+(?:of\s+)?[a-z]{3,9}\s+\d{4}|(?:early|mid|late|end of)\s+[a-z]{3,9}(?:\s+\d{4})?)/i);
+    if (!match) return null;
+    const value = match[1].trim();
+    return /^(?:now|immediately)$/i.test(value) ? 'Now' : value;
+}
+
+/**
+ * Letting terms from the portal's structured data, falling back to the listing text
+ * @param {Object} property - Normalised property (lettings from the Rightmove page model when present)
+ * @returns {{availableFrom: string|null, furnishing: string|null, advertisedDeposit: number|null, minimumTermMonths: number|null, letType: string|null}}
+ */
+function readLettingTerms(property) {
+    const lettings = property.lettings || {};
+    const text = `${property.description || ''} ${(property.features || []).join(' ')} ${property.fullPageText || ''}`;
+    const depositMatch = text.match(/\bdeposit\s*:?\s*£\s*([\d,]+(?:\.\d{2})?)/i);
+    const termMatch = text.match(/min(?:imum)?\.?\s+(?:tenancy|term|let)\s*(?:of|:)?\s*(\d{1,2})\s*months?/i);
+
+    return {
+        availableFrom: lettings.availableFrom || readAvailableFrom(text),
+        furnishing: lettings.furnishing || readFurnishing(text),
+        advertisedDeposit: lettings.deposit ?? (depositMatch ? parseFloat(depositMatch[1].replace(/,/g, '')) : null),
+        minimumTermMonths: lettings.minimumTermMonths ?? (termMatch ? parseInt(termMatch[1]) : null),
+        letType: lettings.letType || null
+    };
+}
+
+function formatRentAmount(amount) {
+    return `£${amount.toLocaleString('en-GB', { minimumFractionDigits: Number.isInteger(amount) ? 0 : 2, maximumFractionDigits: 2 })}`;
+}
+
+/**
+ * Everything the cost card and summary show for a home to let
+ * @param {Object} property - Normalised property
+ * @param {string} [country] - From detectCountryFromPostcode()
+ * @returns {Object|null} null when the rent can't be read from the price
+ */
+function analyzeRentalCosts(property, country = 'england') {
+    const rent = parseRent(property.price);
+    if (!rent) return null;
+
+    const caps = calculateDepositCaps(rent, country);
+    const terms = readLettingTerms(property);
+
+    return {
+        monthlyRent: rent.monthly,
+        weeklyRent: rent.weekly,
+        annualRent: rent.annual,
+        rentText: `${formatRentAmount(rent.monthly)} pcm`,
+        ...caps,
+        ...terms,
+        depositAboveCap: caps.depositCap !== null && terms.advertisedDeposit !== null && terms.advertisedDeposit > caps.depositCap + 1
+    };
+}
+
+module.exports = {
+    DEPOSIT_RULES,
+    isRentalListing,
+    parseRent,
+    calculateDepositCaps,
+    readLettingTerms,
+    analyzeRentalCosts,
+    formatRentAmount
+};
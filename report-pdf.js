@@ -0,0 +1,552 @@
+// report-pdf.js
+// Server-side PDF accessibility report for Home Accessibility Score
+// Renders a stored analysis onto A4 pages with node-canvas's PDF backend, so the
+// layout is the same in every browser and the file can be attached to emails.
+// Team accounts can brand the header and footer with their logo and details.
+
+const { createCanvas, loadImage } = require('canvas');
+const {
+    CATEGORY_KEYS,
+    CATEGORY_LABELS,
+    CRITERIA_KEYS,
+    CRITERIA_LABELS
+} = require('./scoring-profiles');
+const { getCriteriaMet } = require('./property-comparison');
+const { EVIDENCE_SOURCES } = require('./feature-evidence');
+
+// A4 in PDF points
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 48;
+const HEADER_HEIGHT = 64;
+const FOOTER_HEIGHT = 40;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+
+const COLOURS = {
+    primary: '#1e3a5f',
+    accent: '#e8985e',
+    text: '#2c3e50',
+    light: '#5d6d7e',
+    border: '#e5e7eb',
+    panel: '#f8fafc',
+    good: '#22c55e',
+    fair: '#f59e0b',
+    poor: '#ef4444',
+    missing: '#9ca3af'
+};
+
+const FONT_FAMILY = 'Helvetica, Arial, sans-serif';
+
+function font(size, weight = 'normal') {
+    return `${weight} ${size}px ${FONT_FAMILY}`;
+}
+
+function scoreColour(score) {
+    if (score === null || score === undefined) return COLOURS.missing;
+    if (score >= 3.5) return COLOURS.good;
+    if (score >= 2) return COLOURS.fair;
+    return COLOURS.poor;
+}
+
+function formatScore(score) {
+    return typeof score === 'number' ? `${(Math.round(score * 10) / 10).toFixed(1)} / 5` : 'Not available';
+}
+
+function formatMoney(amount) {
+    return typeof amount === 'number' ? `£${Math.round(amount).toLocaleString('en-GB')}` : null;
+}
+
+// "£475 a month (energy, council tax, service charge)"
+function runningCostsText(runningCosts) {
+    if (!runningCosts) return 'Not available';
+    return `${formatMoney(runningCosts.totalMonthly)} a month (${runningCosts.items.map(item => item.label.toLowerCase()).join(', ')})`;
+}
+
+// Council tax band, or the domestic rates bill in Northern Ireland
+function councilTaxRow(councilTax, cost) {
+    if (cost.country === 'northern-ireland') {
+        const rates = cost.domesticRates;
+        return ['Domestic rates', rates ? `${formatMoney(rates.annual)} a year (${rates.source === 'listing' ? 'stated in the listing' : rates.basis})` : 'Not known'];
+    }
+    const band = councilTax?.band || cost.councilTax || 'Not specified';
+    const estimate = cost.councilTaxEstimate;
+    return ['Council tax', estimate
+        ? `${band}: ${formatMoney(estimate.annual)} a year (${[estimate.basis, ...estimate.reductions.map(reduction => reduction.split(':')[0].toLowerCase())].join(', ')})`
+        : band];
+}
+
+// Property tax amount, then a row per band, supplement and relief
+function propertyTaxRows(stampDuty, breakdown) {
+    const label = stampDuty.taxNameFull || 'Stamp Duty Land Tax';
+    if (!breakdown) return [[label, formatMoney(stampDuty.amount) || 'Not available']];
+    const buyer = [breakdown.buyerLabel, breakdown.nonResident ? 'non-UK resident' : null].filter(Boolean).join(', ');
+    return [
+        [label, `${formatMoney(breakdown.amount)} (${buyer}, rates from ${breakdown.ratesFrom})`],
+        ...breakdown.lines.map(line => [`   ${line.label}`, line.value])
+    ];
+}
+
+// Leasehold rating, then a row per flagged risk
+function leaseholdRiskRows(leasehold) {
+    if (!leasehold) return [];
+    const lease = leasehold.leaseYears !== null ? `, ${leasehold.leaseYears} years left` : '';
+    return [
+        ['Leasehold risk', `${leasehold.rating}${lease}`],
+        ...leasehold.risks.map(risk => [`   ${risk.label}`, risk.detail])
+    ];
+}
+
+/**
+ * Lays content out top to bottom, starting a new page (with header and footer)
+ * whenever the next block won't fit
+ */
+class ReportWriter {
+    constructor(branding = {}, logo = null) {
+        this.canvas = createCanvas(PAGE_WIDTH, PAGE_HEIGHT, 'pdf');
+        this.ctx = this.canvas.getContext('2d');
+        this.branding = branding;
+        this.logo = logo;
+        this.pageNumber = 1;
+        this.startPage();
+    }
+
+    startPage() {
+        const { ctx } = this;
+
+        ctx.fillStyle = COLOURS.primary;
+        ctx.fillRect(0, 0, PAGE_WIDTH, HEADER_HEIGHT);
+
+        ctx.fillStyle = '#ffffff';
+        ctx.font = font(15, 'bold');
+        ctx.textBaseline = 'middle';
+        ctx.fillText(this.branding.agencyName || 'Home Accessibility Score', MARGIN, HEADER_HEIGHT / 2 - 6);
+        ctx.font = font(9);
+        ctx.fillText('Accessibility Report', MARGIN, HEADER_HEIGHT / 2 + 10);
+
+        if (this.logo) {
+            // Fit the logo in the right of the header, keeping its aspect ratio
+            const maxHeight = HEADER_HEIGHT - 20;
+            const maxWidth = 140;
+            const scale = Math.min(maxHeight / this.logo.height, maxWidth / this.logo.width);
+            const width = this.logo.width * scale;
+            const height = this.logo.height * scale;
+            ctx.drawImage(this.logo, PAGE_WIDTH - MARGIN - width, (HEADER_HEIGHT - height) / 2, width, height);
+        }
+
+        ctx.textBaseline = 'alphabetic';
+        this.y = HEADER_HEIGHT + 28;
+    }
+
+    drawFooter() {
+        const { ctx } = this;
+        const top = PAGE_HEIGHT - FOOTER_HEIGHT;
+
+        ctx.strokeStyle = COLOURS.border;
+        ctx.lineWidth = 0.5;
+        ctx.beginPath();
+        ctx.moveTo(MARGIN, top);
+        ctx.lineTo(PAGE_WIDTH - MARGIN, top);
+        ctx.stroke();
+
+        const contact = [this.branding.address, this.branding.phone, this.branding.email, this.branding.website]
+            .filter(Boolean)
+            .join(' · ');
+
+        ctx.fillStyle = COLOURS.light;
+        ctx.font = font(7.5);
+        ctx.fillText(this.fitText(contact || 'Home Accessibility Score · homeaccessibilityscore.co.uk', CONTENT_WIDTH - 60), MARGIN, top + 14);
+        ctx.fillText('Based on the property listing. For informational purposes only - check details with the agent.', MARGIN, top + 25);
+
+        ctx.textAlign = 'right';
+        ctx.fillText(`Page ${this.pageNumber}`, PAGE_WIDTH - MARGIN, top + 14);
+        ctx.textAlign = 'left';
+    }
+
+    newPage() {
+        this.drawFooter();
+        this.ctx.addPage(PAGE_WIDTH, PAGE_HEIGHT);
+        this.pageNumber++;
+        this.startPage();
+    }
+
+    ensureSpace(height) {
+        if (this.y + height > PAGE_HEIGHT - FOOTER_HEIGHT - 16) {
+            this.newPage();
+        }
+    }
+
+    fitText(text, maxWidth) {
+        const value = String(text ?? '');
+        if (this.ctx.measureText(value).width <= maxWidth) return value;
+
+        let end = value.length;
+        while (end > 0 && this.ctx.measureText(`${value.slice(0, end)}…`).width > maxWidth) end--;
+        return `${value.slice(0, end)}…`;
+    }
+
+    wrapLines(text, maxWidth) {
+        const lines = [];
+        for (const paragraph of String(text ?? '').split(/\n+/)) {
+            let line = '';
+            for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+                const candidate = line ? `${line} ${word}` : word;
+                if (line && this.ctx.measureText(candidate).width > maxWidth) {
+                    lines.push(line);
+                    line = word;
+                } else {
+                    line = candidate;
+                }
+            }
+            if (line) lines.push(line);
+        }
+        return lines;
+    }
+
+    heading(text) {
+        this.ensureSpace(40);
+        const { ctx } = this;
+
+        this.y += 8;
+        ctx.fillStyle = COLOURS.primary;
+        ctx.font = font(14, 'bold');
+        ctx.fillText(text, MARGIN, this.y);
+
+        this.y += 6;
+        ctx.fillStyle = COLOURS.accent;
+        ctx.fillRect(MARGIN, this.y, 32, 2);
+        this.y += 16;
+    }
+
+    paragraph(text, { size = 10, colour = COLOURS.text, weight = 'normal', indent = 0, gap = 6 } = {}) {
+        const { ctx } = this;
+        ctx.font = font(size, weight);
+        const lineHeight = size * 1.45;
+
+        for (const line of this.wrapLines(text, CONTENT_WIDTH - indent)) {
+            this.ensureSpace(lineHeight);
+            ctx.font = font(size, weight);
+            ctx.fillStyle = colour;
+            ctx.fillText(line, MARGIN + indent, this.y);
+            this.y += lineHeight;
+        }
+        this.y += gap;
+    }
+
+    scoreRow(label, score, note) {
+        this.ensureSpace(30);
+        const { ctx } = this;
+        const barX = MARGIN + 170;
+        const barWidth = 200;
+
+        ctx.fillStyle = COLOURS.text;
+        ctx.font = font(10, 'bold');
+        ctx.fillText(label, MARGIN, this.y);
+
+        ctx.fillStyle = COLOURS.border;
+        ctx.fillRect(barX, this.y - 8, barWidth, 8);
+        if (typeof score === 'number') {
+            ctx.fillStyle = scoreColour(score);
+            ctx.fillRect(barX, this.y - 8, barWidth * Math.max(0, Math.min(score, 5)) / 5, 8);
+        }
+
+        ctx.fillStyle = COLOURS.text;
+        ctx.font = font(10);
+        ctx.fillText(formatScore(score), barX + barWidth + 12, this.y);
+
+        this.y += 13;
+        if (note) {
+            ctx.fillStyle = COLOURS.light;
+            ctx.font = font(8);
+            ctx.fillText(this.fitText(note, CONTENT_WIDTH), MARGIN, this.y);
+            this.y += 13;
+        }
+        this.y += 4;
+    }
+
+    checkRow(label, met, note) {
+        this.ensureSpace(note ? 30 : 18);
+        const { ctx } = this;
+
+        ctx.fillStyle = met ? COLOURS.good : COLOURS.missing;
+        ctx.beginPath();
+        ctx.arc(MARGIN + 5, this.y - 4, 4, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.fillStyle = met ? COLOURS.text : COLOURS.light;
+        ctx.font = font(10, met ? 'bold' : 'normal');
+        ctx.fillText(label, MARGIN + 16, this.y);
+
+        ctx.font = font(9);
+        ctx.fillStyle = COLOURS.light;
+        ctx.fillText(met ? 'Found' : 'Not found - ask agent', MARGIN + 230, this.y);
+        this.y += 16;
+
+        if (note) {
+            ctx.font = font(8);
+            ctx.fillText(this.fitText(note, CONTENT_WIDTH - 16), MARGIN + 16, this.y - 4);
+            this.y += 10;
+        }
+    }
+
+    /**
+     * @param {{label: string, width: number}[]} columns - Widths as fractions of the content width
+     * @param {Array[]} rows
+     */
+    table(columns, rows) {
+        const { ctx } = this;
+        const rowHeight = 18;
+        const drawHeader = () => {
+            ctx.fillStyle = COLOURS.panel;
+            ctx.fillRect(MARGIN, this.y - 12, CONTENT_WIDTH, rowHeight);
+            ctx.fillStyle = COLOURS.primary;
+            ctx.font = font(9, 'bold');
+            let x = MARGIN + 6;
+            for (const column of columns) {
+                ctx.fillText(column.label, x, this.y);
+                x += column.width * CONTENT_WIDTH;
+            }
+            this.y += rowHeight;
+        };
+
+        this.ensureSpace(rowHeight * 2);
+        drawHeader();
+
+        for (const row of rows) {
+            if (this.y + rowHeight > PAGE_HEIGHT - FOOTER_HEIGHT - 16) {
+                this.newPage();
+                drawHeader();
+            }
+
+            ctx.fillStyle = COLOURS.text;
+            ctx.font = font(9);
+            let x = MARGIN + 6;
+            row.forEach((cell, index) => {
+                const width = columns[index].width * CONTENT_WIDTH - 10;
+                ctx.fillText(this.fitText(cell ?? '-', width), x, this.y);
+                x += columns[index].width * CONTENT_WIDTH;
+            });
+
+            ctx.strokeStyle = COLOURS.border;
+            ctx.lineWidth = 0.5;
+            ctx.beginPath();
+            ctx.moveTo(MARGIN, this.y + 6);
+            ctx.lineTo(PAGE_WIDTH - MARGIN, this.y + 6);
+            ctx.stroke();
+
+            this.y += rowHeight;
+        }
+        this.y += 8;
+    }
+
+    image(img, width, height) {
+        this.ensureSpace(height + 10);
+        this.ctx.drawImage(img, MARGIN, this.y, width, height);
+        this.y += height + 10;
+    }
+
+    finish() {
+        this.drawFooter();
+        return this.canvas.toBuffer('application/pdf', {
+            title: 'Accessibility Report',
+            creator: this.branding.agencyName || 'Home Accessibility Score'
+        });
+    }
+}
+
+async function loadOptionalImage(source, description) {
+    if (!source) return null;
+    try {
+        return await loadImage(source);
+    } catch (error) {
+        console.log(`⚠️ Report ${description} could not be loaded:`, error.message);
+        return null;
+    }
+}
+
+// One line on where a criterion's decision came from, e.g. "Listing text: driveway"
+function describeEvidence(entry) {
+    if (!entry || !entry.source) return null;
+    const detail = ['inference', 'user'].includes(entry.source) ? entry.rule
+        : entry.source === 'photo' ? `${entry.keyword}, photo ${entry.image?.index}`
+        : entry.keyword || entry.excerpt;
+    return `${EVIDENCE_SOURCES[entry.source]}${detail ? `: ${detail}` : ''} (${entry.confidence})`;
+}
+
+/**
+ * Render a stored analysis as a paginated PDF
+ * @param {Object} options
+ * @param {Object} options.property - Stored property (properties.property_json)
+ * @param {Object} options.analysis - Stored analysis (properties.scores_json)
+ * @param {string} [options.analysedAt] - When the analysis was run
+ * @param {Buffer} [options.mapImage] - Static map PNG
+ * @param {Object} [options.branding] - { agencyName, address, phone, email, website, logo (data URL) }
+ * @returns {Promise<Buffer>} PDF file
+ */
+async function renderAccessibilityReport({ property, analysis, analysedAt = null, mapImage = null, branding = {} }) {
+    const [logo, map] = await Promise.all([
+        loadOptionalImage(branding.logo, 'logo'),
+        loadOptionalImage(mapImage, 'map')
+    ]);
+
+    const report = new ReportWriter(branding, logo);
+
+    // Property and overall score
+    report.paragraph(property.location || property.title || 'Property', { size: 18, weight: 'bold', colour: COLOURS.primary, gap: 2 });
+    report.paragraph([property.title, property.price].filter(Boolean).join(' · '), { size: 11, colour: COLOURS.light, gap: 2 });
+    report.paragraph([
+        analysedAt ? `Analysed ${new Date(analysedAt).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' })}` : null,
+        analysis.scoringProfile ? `${analysis.scoringProfile.name} scoring profile` : null,
+        property.url
+    ].filter(Boolean).join(' · '), { size: 8, colour: COLOURS.light, gap: 12 });
+
+    report.scoreRow('Overall Score', analysis.overall, null);
+
+    // Score breakdown
+    report.heading('Score Breakdown');
+    for (const key of CATEGORY_KEYS) {
+        const category = analysis[key] || {};
+        report.scoreRow(CATEGORY_LABELS[key], category.score ?? null, category.details || null);
+    }
+
+    // Accessible features
+    report.heading('Accessible Features');
+    const criteriaMet = getCriteriaMet(analysis.accessibleFeatures);
+    const evidence = analysis.accessibleFeatures?.evidence || {};
+    for (const key of CRITERIA_KEYS) {
+        report.checkRow(CRITERIA_LABELS[key], !!criteriaMet[key], describeEvidence(evidence[key]));
+    }
+    const features = analysis.accessibleFeatures?.features || [];
+    if (features.length > 0) {
+        report.y += 4;
+        report.paragraph(`Found in the listing: ${features.join(', ')}`, { size: 9, colour: COLOURS.light });
+    }
+    const stairlift = analysis.stairlift;
+    if (stairlift?.applicable) {
+        report.y += 4;
+        report.paragraph(`Stairlift suitability: ${stairlift.rating} (${stairlift.staircaseLabel.toLowerCase()} staircase)${stairlift.costText ? ` · indicative cost ${stairlift.costText}` : ''}`, { size: 10, weight: 'bold', gap: 2 });
+        for (const note of stairlift.notes || []) {
+            report.paragraph(note, { size: 9, colour: COLOURS.light, gap: 2 });
+        }
+    }
+
+    // Adaptations, at the user's own prices where they have set them
+    const plan = analysis.adaptationPlan;
+    if (plan?.suggestions.length > 0) {
+        report.heading('Adaptation Plan');
+        report.table(
+            [{ label: 'Adaptation', width: 0.35 }, { label: 'For', width: 0.4 }, { label: 'Indicative cost', width: 0.25 }],
+            [
+                ...plan.suggestions.map(suggestion => [
+                    suggestion.quantity > 1 ? `${suggestion.label} × ${suggestion.quantity}` : suggestion.label,
+                    suggestion.criterionLabel || suggestion.reason,
+                    suggestion.costText
+                ]),
+                ['Total', '', plan.totalText]
+            ]
+        );
+        const overall = plan.projectedOverall !== null ? `, ${plan.projectedOverall.toFixed(1)}/5 overall` : '';
+        report.paragraph(`Projected score with this work: ${plan.projectedScore.toFixed(1)}/5 on accessible features${overall}`, { size: 10, weight: 'bold', gap: 2 });
+        for (const item of plan.notAdaptable) {
+            report.paragraph(`${item.label}: ${item.reason}`, { size: 9, colour: COLOURS.light, gap: 2 });
+        }
+    }
+
+    // Room sizes
+    const rooms = analysis.roomDimensions?.rooms || [];
+    if (rooms.length > 0) {
+        report.heading('Room Sizes');
+        report.table(
+            [{ label: 'Room', width: 0.3 }, { label: 'Floor', width: 0.2 }, { label: 'Size', width: 0.2 }, { label: 'Wheelchair space', width: 0.3 }],
+            rooms.map(room => [
+                room.name,
+                room.floor || '',
+                `${(room.lengthMm / 1000).toFixed(2)} × ${(room.widthMm / 1000).toFixed(2)} m`,
+                [
+                    room.checks.turningCircle === false && 'No turning circle',
+                    room.checks.bedTransfer === false && 'No bed transfer space',
+                    room.checks.hallwayWidth === false && 'Under 900mm wide'
+                ].filter(Boolean).join(', ') || 'OK'
+            ])
+        );
+    }
+
+    // Map
+    if (map) {
+        report.heading('Location');
+        report.image(map, 240, 240);
+        report.paragraph('Red: property · Blue: nearest GP · Green: nearest bus stop · Orange: nearest train station', { size: 8, colour: COLOURS.light });
+    }
+
+    // GP surgeries
+    report.heading('Nearest GP Surgeries');
+    const gps = (analysis.gpProximity?.nearestGPs || []).slice(0, 3);
+    if (gps.length > 0) {
+        report.table(
+            [{ label: 'Surgery', width: 0.5 }, { label: 'Walking time', width: 0.25 }, { label: 'Distance', width: 0.25 }],
+            gps.map(gp => [gp.name, gp.adjustedTime || gp.walkingTime, gp.distance])
+        );
+    } else {
+        report.paragraph(analysis.gpProximity?.details || 'GP information not available', { size: 9, colour: COLOURS.light });
+    }
+
+    // Public transport
+    report.heading('Public Transport');
+    const stops = [
+        ...(analysis.publicTransport?.busStops || []).slice(0, 3).map(stop => ['Bus', stop]),
+        ...(analysis.publicTransport?.trainStations || []).slice(0, 3).map(stop => ['Train', stop])
+    ];
+    if (stops.length > 0) {
+        report.table(
+            [{ label: 'Type', width: 0.12 }, { label: 'Stop / station', width: 0.48 }, { label: 'Walking time', width: 0.2 }, { label: 'Distance', width: 0.2 }],
+            stops.map(([type, stop]) => [
+                type,
+                stop.name,
+                typeof stop.walkingTime === 'number' ? `${stop.walkingTime} mins` : 'Too far to walk',
+                stop.distance
+            ])
+        );
+    } else {
+        report.paragraph('Transport information not available', { size: 9, colour: COLOURS.light });
+    }
+
+    // Costs
+    report.heading('Costs');
+    const cost = analysis.cost || {};
+    const stampDuty = analysis.stampDuty || {};
+    const rental = cost.isRental ? cost.rental : null;
+    report.table(
+        [{ label: 'Item', width: 0.4 }, { label: 'Amount', width: 0.6 }],
+        rental ? [
+            ['Rent', rental.rentText],
+            ['Rent per sq m', analysis.pricePerSqM?.value || 'Not available'],
+            councilTaxRow(analysis.councilTax, cost),
+            ['Deposit cap', rental.depositCap !== null ? `${formatMoney(rental.depositCap)} (${rental.depositRule})` : 'No legal cap'],
+            ['Holding deposit cap', formatMoney(rental.holdingDepositCap) || 'No legal cap'],
+            ['Running costs', runningCostsText(cost.runningCosts)],
+            ['Furnishing', rental.furnishing || 'Ask agent'],
+            ['Available from', rental.availableFrom || 'Ask agent']
+        ] : [
+            ['Price', property.price || cost.price || 'Not specified'],
+            ['Price per sq m', analysis.pricePerSqM?.value || 'Not available'],
+            ['Local median per sq m', analysis.pricePerSqM?.benchmark
+                ? `${formatMoney(analysis.pricePerSqM.benchmark.median)} (${analysis.pricePerSqM.benchmark.area}, ${analysis.pricePerSqM.benchmark.sales} sales)`
+                : 'No local sales data'],
+            councilTaxRow(analysis.councilTax, cost),
+            ['Service charge', cost.serviceCharge || 'Not specified'],
+            ['Ground rent', cost.groundRent || 'Not specified'],
+            ...leaseholdRiskRows(cost.leaseholdRisk),
+            ...propertyTaxRows(stampDuty, analysis.propertyCost?.stampDutyBreakdown),
+            ['Running costs', runningCostsText(cost.runningCosts)]
+        ]
+    );
+
+    // Summary
+    report.heading('Summary');
+    report.paragraph(analysis.summary || 'No summary available.');
+
+    return report.finish();
+}
+
+module.exports = {
+    renderAccessibilityReport
+};
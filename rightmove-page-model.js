@@ -0,0 +1,216 @@
+// rightmove-page-model.js
+// Structured Rightmove extraction for Home Accessibility Score
+// Rightmove renders listing pages from a JSON model embedded as window.PAGE_MODEL.
+// It carries the same facts the page shows (key features, rooms, floorplans, EPC
+// graphs, tenure and living costs) without the markup, so
+// scrapeRightmoveProperty() reads fields from here first and only falls back to
+// its HTML heuristics for the ones the model doesn't have.
+
+const cheerio = require('cheerio');
+
+// Values recorded in property.fieldSources
+const FIELD_SOURCES = {
+    pageModel: 'pageModel',
+    heuristic: 'heuristic'
+};
+
+const TENURE_TYPES = {
+    FREEHOLD: 'Freehold',
+    LEASEHOLD: 'Leasehold',
+    SHARE_OF_FREEHOLD: 'Share of Freehold',
+    COMMONHOLD: 'Commonhold'
+};
+
+/**
+ * Read one JSON object literal out of a script, matching braces outside strings
+ * @param {string} text
+ * @param {number} start - Index of the opening brace
+ * @returns {string|null} The object's source, or null if it never closes
+ */
+function readJsonObjectAt(text, start) {
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+
+    for (let i = start; i < text.length; i++) {
+        const char = text[i];
+        if (inString) {
+            if (escaped) escaped = false;
+            else if (char === '\\') escaped = true;
+            else if (char === '"') inString = false;
+        } else if (char === '"') {
+            inString = true;
+        } else if (char === '{') {
+            depth++;
+        } else if (char === '}') {
+            depth--;
+            if (depth === 0) return text.slice(start, i + 1);
+        }
+    }
+    return null;
+}
+
+/**
+ * Find and parse window.PAGE_MODEL in a Rightmove listing page
+ * @param {string} html - Raw page HTML
+ * @returns {Object|null} The parsed model, or null if the page doesn't have one
+ */
+function extractPageModel(html) {
+    const page = String(html || '');
+    const marker = page.search(/window\.PAGE_MODEL\s*=\s*\{/);
+    if (marker === -1) return null;
+
+    const json = readJsonObjectAt(page, page.indexOf('{', marker));
+    if (!json) return null;
+
+    try {
+        return JSON.parse(json);
+    } catch (error) {
+        console.log('⚠️ Could not parse PAGE_MODEL:', error.message);
+        return null;
+    }
+}
+
+function htmlToText(html) {
+    if (!html) return null;
+    const text = cheerio.load(String(html).replace(/<br\s*\/?>/gi, '\n').replace(/<\/p>/gi, '\n\n')).root().text();
+    return text.replace(/[ \t]+/g, ' ').replace(/\n{3,}/g, '\n\n').trim() || null;
+}
+
+function amountOrNull(value) {
+    if (value === null || value === undefined || value === '') return null;
+    return String(value);
+}
+
+function displayTexts(items) {
+    const texts = (items || []).map(item => (typeof item === 'string' ? item : item?.displayText)).filter(Boolean);
+    return texts.length > 0 ? texts.join(', ') : null;
+}
+
+/**
+ * Listing status from the model's publication flags and tags
+ * @param {Object} data - PAGE_MODEL.propertyData
+ * @returns {string|null} 'available', 'under-offer', 'sold-stc', 'let-agreed', 'removed' or null if unknown
+ */
+function readListingStatus(data) {
+    if (data.status?.archived || data.status?.published === false) return 'removed';
+
+    const tags = (data.tags || []).map(tag => String(tag).toUpperCase().replace(/[\s-]+/g, '_'));
+    if (tags.some(tag => tag.startsWith('SOLD'))) return 'sold-stc';
+    if (tags.includes('UNDER_OFFER')) return 'under-offer';
+    if (tags.includes('LET_AGREED')) return 'let-agreed';
+    return data.status ? 'available' : null;
+}
+
+/**
+ * Letting terms Rightmove shows under "Letting details"
+ * @param {Object} lettings - PAGE_MODEL.propertyData.lettings
+ * @returns {Object|null} Null for homes for sale
+ */
+function readLettings(lettings) {
+    if (!lettings || typeof lettings !== 'object') return null;
+    const deposit = Number(lettings.deposit);
+    const minimumTerm = Number(lettings.minimumTermInMonths);
+
+    return {
+        availableFrom: lettings.letAvailableDate || null,
+        deposit: Number.isFinite(deposit) && deposit > 0 ? deposit : null,
+        furnishing: lettings.furnishType || null,
+        letType: lettings.letType || null,
+        minimumTermMonths: Number.isInteger(minimumTerm) && minimumTerm > 0 ? minimumTerm : null
+    };
+}
+
+function formatTenure(tenureType) {
+    if (!tenureType) return null;
+    return TENURE_TYPES[tenureType] || tenureType.toLowerCase().replace(/_/g, ' ').replace(/^\w/, c => c.toUpperCase());
+}
+
+/**
+ * The fields scrapeRightmoveProperty() needs, read from PAGE_MODEL.propertyData.
+ * Every key is present; anything the model doesn't carry is null (or an empty list).
+ * @param {Object|null} pageModel - From extractPageModel()
+ * @returns {Object|null} Null when there's no usable model
+ */
+function readPageModelFields(pageModel) {
+    const data = pageModel?.propertyData;
+    if (!data || typeof data !== 'object') return null;
+
+    const livingCosts = data.livingCosts || {};
+    const tenure = data.tenure || {};
+    const latitude = Number(data.location?.latitude);
+    const longitude = Number(data.location?.longitude);
+    const phrase = data.text?.propertyPhrase || data.text?.pageTitle || '';
+
+    return {
+        listingType: data.channel === 'RES_LET' || data.transactionType === 'RENT' ? 'rent'
+            : (data.channel || data.transactionType ? 'sale' : null),
+        lettings: readLettings(data.lettings),
+        title: phrase.replace(/\s+(?:for sale|to rent)\b.*$/i, '').trim() || null,
+        price: data.prices?.primaryPrice || null,
+        address: data.address?.displayAddress || null,
+        postcode: [data.address?.outcode, data.address?.incode].filter(Boolean).join(' ') || null,
+        coordinates: Number.isFinite(latitude) && Number.isFinite(longitude) && (latitude !== 0 || longitude !== 0)
+            ? { lat: latitude, lng: longitude }
+            : null,
+        description: htmlToText(data.text?.description),
+        keyFeatures: (data.keyFeatures || []).filter(feature => typeof feature === 'string' && feature.trim()),
+        bedrooms: Number.isInteger(data.bedrooms) ? data.bedrooms : null,
+        bathrooms: Number.isInteger(data.bathrooms) ? data.bathrooms : null,
+        rooms: (data.rooms || []).map(room => ({
+            name: room.name || null,
+            description: htmlToText(room.description),
+            width: room.width ?? null,
+            length: room.length ?? null,
+            unit: room.unit || null,
+            dimension: room.dimension || null
+        })),
+        images: (data.images || []).map(image => image.url).filter(Boolean),
+        floorplans: (data.floorplans || []).filter(plan => plan.url).map(plan => ({ url: plan.url, caption: plan.caption || null })),
+        epcGraphs: (data.epcGraphs || []).map(graph => graph.url).filter(Boolean),
+        tenure: formatTenure(tenure.tenureType),
+        leaseholdDetails: {
+            serviceCharge: amountOrNull(livingCosts.annualServiceCharge),
+            groundRent: amountOrNull(livingCosts.annualGroundRent),
+            leaseYears: amountOrNull(tenure.yearsRemainingOnLease),
+            groundRentReviewYears: amountOrNull(livingCosts.groundRentReviewPeriodInYears),
+            groundRentIncrease: amountOrNull(livingCosts.groundRentPercentageIncrease)
+        },
+        councilTaxBand: /^[A-I]$/i.test(livingCosts.councilTaxBand || '') ? `Band ${livingCosts.councilTaxBand.toUpperCase()}` : null,
+        status: readListingStatus(data),
+        parkingInfo: displayTexts(data.features?.parking),
+        gardenInfo: displayTexts(data.features?.garden)
+    };
+}
+
+/**
+ * Split EPC graph URLs into the { pdfs, images } shape extractEPCFromRightmoveDropdown() returns
+ * @param {string[]} urls
+ * @returns {{pdfs: string[], images: string[]}}
+ */
+function splitEpcUrls(urls) {
+    return {
+        pdfs: urls.filter(url => /\.pdf(?:$|\?)/i.test(url)),
+        images: urls.filter(url => !/\.pdf(?:$|\?)/i.test(url))
+    };
+}
+
+/**
+ * Note which path filled a field: the page model, the HTML heuristics, or neither (null)
+ * @param {Object} sources - Field name to source, returned as property.fieldSources
+ * @param {string} field
+ * @param {*} value - The value the field ended up with
+ * @param {boolean} fromModel - Whether that value came from PAGE_MODEL
+ */
+function recordFieldSource(sources, field, value, fromModel) {
+    const found = value !== null && value !== undefined && value !== '' && !(Array.isArray(value) && value.length === 0);
+    sources[field] = found ? (fromModel ? FIELD_SOURCES.pageModel : FIELD_SOURCES.heuristic) : null;
+}
+
+module.exports = {
+    FIELD_SOURCES,
+    extractPageModel,
+    readPageModelFields,
+    splitEpcUrls,
+    recordFieldSource
+};
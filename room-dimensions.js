@@ -0,0 +1,220 @@
+// room-dimensions.js
+// Room sizes and wheelchair space checks for Home Accessibility Score
+// Each room's name, floor and dimensions come from the floorplan (read with Claude
+// Vision) or, failing that, the room list in the listing. Rooms are then checked
+// against wheelchair housing guidance: a 1500mm turning circle, space beside and at
+// the foot of a bed to transfer from a wheelchair, and hallways at least 900mm wide.
+
+// Clear space a wheelchair user needs to turn round
+const TURNING_CIRCLE_MM = 1500;
+
+// Minimum clear passage width in Approved Document M, volume 1 (M4(2))
+const MIN_HALLWAY_WIDTH_MM = 900;
+
+// A standard UK double bed, with a clear transfer zone along one side and at the foot
+const BED_WIDTH_MM = 1350;
+const BED_LENGTH_MM = 1900;
+const TRANSFER_ZONE_MM = 1000;
+
+// First match wins, so "kitchen/diner" is a kitchen and "en-suite bathroom" a bathroom
+const ROOM_TYPES = [
+    ['storage', /\b(?:cupboard|store|storage|wardrobe|airing|pantry|larder)\b/i],
+    ['outdoor', /\b(?:garden|garage|balcony|terrace|patio|car ?port|workshop|shed)\b/i],
+    ['hallway', /\b(?:hall|hallway|corridor|landing|passage|lobby|vestibule|porch)\b/i],
+    ['bathroom', /\b(?:bath|bathroom|shower|en[\s-]?suite|wc|toilet|cloakroom)\b/i],
+    ['kitchen', /\bkitchen/i],
+    ['bedroom', /\b(?:bed|bedroom|master|nursery)\b/i],
+    ['living', /\b(?:living|lounge|sitting|reception|family|dining|snug|study|office|conservatory|utility)\b/i]
+];
+
+const UNIT_TO_MM = { mm: 1, cm: 10, m: 1000, metre: 1000, metres: 1000, meter: 1000, meters: 1000 };
+
+const METRIC_DIMENSION = /(\d+(?:\.\d+)?)\s*(mm|cm|m|metres?|meters?)?\.?\s*(?:\([^)]*\)\s*)?(?:x|×|by)\s*(\d+(?:\.\d+)?)\s*(mm|cm|m|metres?|meters?)\b/i;
+const IMPERIAL_DIMENSION = /(\d+)\s*(?:'|’|′|ft)\s*(?:(\d+)\s*(?:"|”|″|''|in)?)?\s*(?:\([^)]*\)\s*)?(?:x|×|by)\s*(\d+)\s*(?:'|’|′|ft)\s*(?:(\d+)\s*(?:"|”|″|''|in)?)?/i;
+
+const FLOORPLAN_ROOMS_PROMPT = `You are reading a UK property floorplan.
+
+List every labelled room on the plan. For each one give:
+- name: the room's label as written (e.g. "Bedroom 2", "Kitchen/Diner", "Landing")
+- floor: the floor it is on as labelled (e.g. "Ground Floor", "First Floor", "Outbuilding"), or null if the plan doesn't say
+- dimensions: the dimensions exactly as written, metric if both are given (e.g. "3.45m x 2.90m"), or null if none are written
+
+Do not estimate sizes for rooms without written dimensions.
+
+Respond with JSON only, in this exact format:
+{"rooms": [{"name": "...", "floor": "...", "dimensions": "..."}]}
+
+If no rooms are labelled on the plan, respond with {"rooms": []}`;
+
+function feetToMm(feet, inches) {
+    return Math.round((parseInt(feet) * 12 + (parseInt(inches) || 0)) * 25.4);
+}
+
+/**
+ * Read "3.45m x 2.90m", "345cm x 290cm" or "11'4" x 9'6"" into millimetres.
+ * Metric is preferred when a listing gives both.
+ * @param {string} text
+ * @returns {{widthMm: number, lengthMm: number, text: string}|null} widthMm is always the shorter side
+ */
+function parseDimensionText(text) {
+    const value = String(text || '');
+    let first = null;
+    let second = null;
+    let match = value.match(METRIC_DIMENSION);
+
+    if (match) {
+        const secondUnit = UNIT_TO_MM[match[4].toLowerCase()];
+        const firstUnit = match[2] ? UNIT_TO_MM[match[2].toLowerCase()] : secondUnit;
+        first = parseFloat(match[1]) * firstUnit;
+        second = parseFloat(match[3]) * secondUnit;
+    } else if ((match = value.match(IMPERIAL_DIMENSION))) {
+        first = feetToMm(match[1], match[2]);
+        second = feetToMm(match[3], match[4]);
+    }
+
+    // Anything under 0.5m or over 30m is a misread, not a room
+    if (!first || !second || Math.min(first, second) < 500 || Math.max(first, second) > 30000) return null;
+
+    return {
+        widthMm: Math.round(Math.min(first, second)),
+        lengthMm: Math.round(Math.max(first, second)),
+        text: match[0].trim()
+    };
+}
+
+/**
+ * @param {string} name - Room name as labelled
+ * @returns {string} 'bedroom', 'bathroom', 'kitchen', 'living', 'hallway', 'storage', 'outdoor' or 'other'
+ */
+function classifyRoom(name) {
+    const match = ROOM_TYPES.find(([, pattern]) => pattern.test(name || ''));
+    return match ? match[0] : 'other';
+}
+
+function bedFitsWithTransferSpace(widthMm, lengthMm) {
+    const needShort = BED_WIDTH_MM + TRANSFER_ZONE_MM;
+    const needLong = BED_LENGTH_MM + TRANSFER_ZONE_MM;
+    return (widthMm >= needShort && lengthMm >= needLong) || (widthMm >= needLong && lengthMm >= needShort);
+}
+
+/**
+ * Run the wheelchair space checks on one room. A check that doesn't apply to the room type is null.
+ * @param {{name: string, floor: string|null, widthMm: number, lengthMm: number, text: string, source: string}} room
+ * @returns {Object} The room with type, area, checks and plain-English flags
+ */
+function checkRoom(room) {
+    const type = classifyRoom(room.name);
+    const checked = !['storage', 'outdoor'].includes(type);
+    const checks = {
+        turningCircle: checked && type !== 'hallway' ? room.widthMm >= TURNING_CIRCLE_MM : null,
+        bedTransfer: type === 'bedroom' ? bedFitsWithTransferSpace(room.widthMm, room.lengthMm) : null,
+        hallwayWidth: type === 'hallway' ? room.widthMm >= MIN_HALLWAY_WIDTH_MM : null
+    };
+
+    const flags = [];
+    if (checks.turningCircle === false) flags.push(`Too small for a ${TURNING_CIRCLE_MM}mm wheelchair turning circle`);
+    if (checks.bedTransfer === false) flags.push(`No room for a double bed with ${TRANSFER_ZONE_MM}mm transfer space`);
+    if (checks.hallwayWidth === false) flags.push(`Narrower than ${MIN_HALLWAY_WIDTH_MM}mm`);
+
+    return {
+        name: room.name,
+        floor: room.floor || null,
+        type,
+        widthMm: room.widthMm,
+        lengthMm: room.lengthMm,
+        areaSqM: Math.round(room.widthMm * room.lengthMm / 10000) / 100,
+        dimensions: room.text,
+        source: room.source,
+        checks,
+        flags
+    };
+}
+
+/**
+ * Rooms from the listing itself: Rightmove's room list, else "Kitchen 3.2m x 2.4m" lines in the description
+ * @param {Object} property - Normalised property
+ * @returns {Object[]} Rooms ready for checkRoom()
+ */
+function extractListedRooms(property) {
+    const rooms = [];
+
+    for (const room of property.rooms || []) {
+        const size = parseDimensionText(room.dimension)
+            || (room.width && room.length ? parseDimensionText(`${room.width}${room.unit || 'm'} x ${room.length}${room.unit || 'm'}`) : null)
+            || parseDimensionText(room.description);
+        if (room.name && size) rooms.push({ name: room.name.trim(), floor: null, ...size, source: 'listing' });
+    }
+    if (rooms.length > 0) return rooms;
+
+    const pattern = new RegExp(`([A-Za-z][A-Za-z/&'\\- ]{2,40}?)\\s*[:\\-–]?\\s*(?:${METRIC_DIMENSION.source}|${IMPERIAL_DIMENSION.source})`, 'gi');
+    for (const match of String(property.description || '').matchAll(pattern)) {
+        const name = match[1].trim().split(/\s+/).slice(-3).join(' ');
+        const size = parseDimensionText(match[0].slice(match[1].length));
+        if (size && classifyRoom(name) !== 'other') {
+            rooms.push({ name, floor: null, ...size, source: 'listing' });
+        }
+    }
+    return rooms;
+}
+
+/**
+ * Rooms from a floorplan vision response. Rooms without written dimensions are kept,
+ * with null sizes, because floorplan-levels.js still needs to know which floor they're on.
+ * @param {string} text - Raw model response ({"rooms": [{ name, floor, dimensions }]})
+ * @returns {Object[]} Rooms ({ name, floor, widthMm, lengthMm, text, source })
+ */
+function parseFloorplanRooms(text) {
+    const json = String(text || '').match(/\{[\s\S]*\}/);
+    if (!json) return [];
+
+    let parsed;
+    try {
+        parsed = JSON.parse(json[0]);
+    } catch (error) {
+        console.log('⚠️ Could not parse floorplan rooms:', error.message);
+        return [];
+    }
+
+    return (Array.isArray(parsed.rooms) ? parsed.rooms : [])
+        .filter(room => room?.name)
+        .map(room => ({
+            name: String(room.name).trim(),
+            floor: room.floor ? String(room.floor).trim() : null,
+            ...(parseDimensionText(room.dimensions) || { widthMm: null, lengthMm: null, text: null }),
+            source: 'floorplan'
+        }));
+}
+
+/**
+ * Measured rooms and what failed, preferring the floorplan because it also gives each room's floor
+ * @param {Object[]} floorplanRooms - From parseFloorplanRooms()
+ * @param {Object[]} listedRooms - From extractListedRooms()
+ * @returns {{source: string|null, rooms: Object[], summary: Object}}
+ */
+function buildRoomDimensions(floorplanRooms, listedRooms) {
+    const measuredFloorplanRooms = floorplanRooms.filter(room => room.widthMm);
+    const source = measuredFloorplanRooms.length > 0 ? 'floorplan' : listedRooms.length > 0 ? 'listing' : null;
+    const rooms = (source === 'floorplan' ? measuredFloorplanRooms : listedRooms).map(checkRoom);
+
+    return {
+        source,
+        rooms,
+        summary: {
+            roomsMeasured: rooms.length,
+            tooSmallToTurn: rooms.filter(room => room.checks.turningCircle === false).length,
+            bedroomsWithoutTransferSpace: rooms.filter(room => room.checks.bedTransfer === false).length,
+            narrowHallways: rooms.filter(room => room.checks.hallwayWidth === false).length
+        }
+    };
+}
+
+module.exports = {
+    TURNING_CIRCLE_MM,
+    MIN_HALLWAY_WIDTH_MM,
+    FLOORPLAN_ROOMS_PROMPT,
+    parseDimensionText,
+    classifyRoom,
+    extractListedRooms,
+    parseFloorplanRooms,
+    buildRoomDimensions
+};
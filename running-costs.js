@@ -0,0 +1,249 @@
+// running-costs.js
+// Monthly running costs for Home Accessibility Score
+// Buyers and tenants on fixed incomes need one monthly figure, not a list of bands and
+// charges. Energy is estimated from the EPC rating, floor area and heating fuel, council
+// tax comes from council-tax.js (domestic rates in Northern Ireland), and any service
+// charge and ground rent are brought to a monthly amount. Mortgage and rent are left out: this is what the home
+// costs to run.
+
+// Space heating and hot water, kWh per sq m per year, by EPC band. Indicative figures
+// for a typical household; real use depends on occupancy and how warm the home is kept.
+const HEATING_KWH_PER_SQM = { A: 40, B: 70, C: 110, D: 160, E: 210, F: 270, G: 340 };
+
+// Lights and appliances are the same whatever the rating (Ofgem's typical electricity use)
+const APPLIANCE_KWH = 2700;
+
+// Heat pumps deliver about three units of heat per unit of electricity over a year
+const HEAT_PUMP_EFFICIENCY = 3;
+
+// Unit rates (£/kWh) and standing charges (£/day). Ofgem price cap for direct debit
+// customers, October to December 2025; heating oil is an average delivered price.
+const ENERGY_PRICES = {
+    electricity: { unit: 0.2635, standing: 0.5368 },
+    gas: { unit: 0.0629, standing: 0.3403 },
+    oil: { unit: 0.07, standing: 0 }
+};
+
+// When the EPC is missing, assume the most common rating in England and Wales
+const ASSUMED_EPC_RATING = 'D';
+
+// Floor area when neither the floorplan nor the EPC gives one
+const TYPICAL_FLOOR_AREA_BY_BEDROOMS = [45, 50, 70, 90, 115, 140];
+
+const FUEL_PATTERNS = [
+    ['heat-pump', /\b(?:air|ground)[\s-]source\b|\bheat\s+pump\b/i],
+    ['oil', /\boil[\s-](?:fired|central|boiler|heating)\b|\bheating\s+oil\b/i],
+    ['electric', /\b(?:electric(?:ity)?\s+(?:heating|radiators|heaters|boiler|storage)|storage\s+heaters?|electric\s+central\s+heating)\b/i],
+    ['gas', /\bgas\b/i]
+];
+
+const FUEL_LABELS = {
+    gas: 'mains gas',
+    electric: 'electric heating',
+    'heat-pump': 'a heat pump',
+    oil: 'heating oil'
+};
+
+const PERIODS_PER_YEAR = { annum: 1, annual: 1, year: 1, quarter: 4, month: 12, week: 52 };
+
+const COUNCIL_TAX_MISSING_NOTE = 'Council tax band not known, so council tax is not included.';
+
+function roundPounds(amount) {
+    return Math.round(amount);
+}
+
+/**
+ * How the home is heated, from the EPC's heating description first, then the listing text.
+ * Mains gas is assumed when nothing says otherwise, except in Northern Ireland where most
+ * homes burn heating oil.
+ * @param {string} certificateHeating - EPC main heating and fuel
+ * @param {string} listingText - Description and key features
+ * @param {string} [country]
+ * @returns {{fuel: string, assumed: boolean}}
+ */
+function readHeatingFuel(certificateHeating, listingText, country = 'england') {
+    for (const text of [certificateHeating, listingText]) {
+        const match = FUEL_PATTERNS.find(([, pattern]) => pattern.test(text || ''));
+        if (match) return { fuel: match[0], assumed: false };
+    }
+    return { fuel: country === 'northern-ireland' ? 'oil' : 'gas', assumed: true };
+}
+
+/**
+ * Estimated yearly energy bill
+ * @param {Object} input
+ * @param {string|null} input.epcRating - A to G
+ * @param {number} input.floorAreaSqM
+ * @param {string} input.fuel - From readHeatingFuel()
+ * @returns {{annual: number, heatingKwh: number, electricityKwh: number}}
+ */
+function estimateEnergyCost({ epcRating, floorAreaSqM, fuel }) {
+    const heatingKwh = floorAreaSqM * HEATING_KWH_PER_SQM[epcRating];
+    const { electricity, gas, oil } = ENERGY_PRICES;
+
+    let electricityKwh = APPLIANCE_KWH;
+    let annual = electricity.standing * 365;
+    if (fuel === 'gas') {
+        annual += heatingKwh * gas.unit + gas.standing * 365;
+    } else if (fuel === 'oil') {
+        annual += heatingKwh * oil.unit;
+    } else {
+        electricityKwh += fuel === 'heat-pump' ? heatingKwh / HEAT_PUMP_EFFICIENCY : heatingKwh;
+    }
+    annual += electricityKwh * electricity.unit;
+
+    return { annual: roundPounds(annual), heatingKwh: Math.round(heatingKwh), electricityKwh: Math.round(electricityKwh) };
+}
+
+/**
+ * "£1,200 per annum", "£95 per month", "Peppercorn ground rent" as a yearly amount
+ * @param {string|null} text - From analyzeCostInformation()
+ * @returns {number|null} null when there's no usable amount ("Ask agent")
+ */
+function readAnnualCharge(text) {
+    const value = String(text || '');
+    if (/peppercorn/i.test(value)) return 0;
+
+    const match = value.replace(/,/g, '').match(/£\s*(\d+(?:\.\d{1,2})?)/);
+    if (!match) return null;
+
+    const period = Object.keys(PERIODS_PER_YEAR).find(key => new RegExp(`\\b${key}`, 'i').test(value)) || 'annum';
+    return roundPounds(parseFloat(match[1]) * PERIODS_PER_YEAR[period]);
+}
+
+/**
+ * Monthly cost of running the home: energy, council tax (or NI domestic rates), service charge and ground rent
+ * @param {Object} input
+ * @param {string|null} input.epcRating - Current EPC rating
+ * @param {number|null} input.floorAreaSqM - From the floorplan or listing
+ * @param {number|null} [input.certificateFloorAreaSqM] - From the EPC register
+ * @param {number|null} [input.bedrooms]
+ * @param {string} [input.certificateHeating] - EPC main heating description and fuel
+ * @param {string} [input.listingText] - Description and key features
+ * @param {Object|null} [input.councilTax] - From estimateCouncilTax() in council-tax.js
+ * @param {string} [input.country] - 'england', 'wales', 'scotland' or 'northern-ireland'
+ * @param {Object|null} [input.domesticRates] - Northern Ireland, from estimateDomesticRates()
+ * @param {string|null} [input.serviceCharge] - e.g. "£1,200 per annum"
+ * @param {string|null} [input.groundRent]
+ * @param {boolean} [input.isRental] - Tenants don't pay service charge or ground rent
+ * @returns {Object} { totalMonthly, totalAnnual, items, energy, councilTax, notes }
+ */
+function estimateRunningCosts({
+    epcRating, floorAreaSqM, certificateFloorAreaSqM = null, bedrooms = null, certificateHeating = '', listingText = '',
+    councilTax = null, country = 'england', domesticRates = null, serviceCharge = null, groundRent = null, isRental = false
+}) {
+    const notes = [];
+    const items = [];
+
+    // Energy
+    const rating = HEATING_KWH_PER_SQM[String(epcRating || '').toUpperCase()] ? String(epcRating).toUpperCase() : null;
+    let area = floorAreaSqM || certificateFloorAreaSqM || null;
+    const areaEstimated = !area;
+    if (!area) {
+        area = TYPICAL_FLOOR_AREA_BY_BEDROOMS[Math.min(bedrooms ?? 2, TYPICAL_FLOOR_AREA_BY_BEDROOMS.length - 1)];
+        notes.push(`Floor area not known; energy is based on a typical ${area} sq m ${bedrooms === 0 ? 'studio' : `${bedrooms ?? 2}-bedroom home`}.`);
+    }
+    if (!rating) notes.push(`No EPC rating; energy assumes a typical band ${ASSUMED_EPC_RATING} home.`);
+
+    const heating = readHeatingFuel(certificateHeating, listingText, country);
+    if (heating.assumed) notes.push(`Heating fuel not stated; ${FUEL_LABELS[heating.fuel]} assumed.`);
+    if (country === 'northern-ireland') notes.push('Northern Ireland isn\'t covered by the Ofgem price cap; Great Britain prices are used.');
+
+    const energyCost = estimateEnergyCost({ epcRating: rating || ASSUMED_EPC_RATING, floorAreaSqM: area, fuel: heating.fuel });
+    const energy = {
+        ...energyCost,
+        monthly: roundPounds(energyCost.annual / 12),
+        epcRating: rating || ASSUMED_EPC_RATING,
+        epcAssumed: !rating,
+        floorAreaSqM: Math.round(area),
+        floorAreaEstimated: areaEstimated,
+        fuel: heating.fuel,
+        fuelLabel: FUEL_LABELS[heating.fuel]
+    };
+    items.push(energyItem(energy));
+
+    // Council tax, or domestic rates in Northern Ireland
+    if (country === 'northern-ireland') {
+        if (domesticRates) {
+            items.push({ key: 'domesticRates', label: 'Domestic rates', annual: domesticRates.annual, detail: [domesticRates.basis, ...(domesticRates.reductions || [])].join(', ') });
+            notes.push(...(domesticRates.notes || []));
+        } else {
+            notes.push('Domestic rates not known, so they are not included.');
+        }
+    } else if (councilTax) {
+        items.push(councilTaxItem(councilTax));
+    } else {
+        notes.push(COUNCIL_TAX_MISSING_NOTE);
+    }
+
+    // Leasehold charges fall to the owner, not a tenant
+    if (!isRental) {
+        const serviceChargeAnnual = readAnnualCharge(serviceCharge);
+        const groundRentAnnual = readAnnualCharge(groundRent);
+        if (serviceChargeAnnual) items.push({ key: 'serviceCharge', label: 'Service charge', annual: serviceChargeAnnual, detail: serviceCharge });
+        if (groundRentAnnual) items.push({ key: 'groundRent', label: 'Ground rent', annual: groundRentAnnual, detail: groundRent });
+        if (serviceCharge && serviceChargeAnnual === null) notes.push('Service charge amount not given; ask the agent.');
+        if (groundRent && groundRentAnnual === null) notes.push('Ground rent amount not given; ask the agent.');
+    }
+
+    return totalRunningCosts(items, energy, councilTax, notes);
+}
+
+/**
+ * Re-estimate after the user corrects the EPC rating or council tax band.
+ * Floor area, heating fuel and leasehold charges are kept from the first estimate.
+ * @param {Object} runningCosts - From estimateRunningCosts()
+ * @param {Object} corrections
+ * @param {string} [corrections.epcRating]
+ * @param {Object} [corrections.councilTax] - Re-estimated for the corrected band
+ * @returns {Object} Same shape as estimateRunningCosts()
+ */
+function reviseRunningCosts(runningCosts, { epcRating = null, councilTax: revisedCouncilTax = null }) {
+    let { energy, councilTax, notes } = runningCosts;
+
+    const rating = String(epcRating || '').toUpperCase();
+    if (HEATING_KWH_PER_SQM[rating]) {
+        const energyCost = estimateEnergyCost({ epcRating: rating, floorAreaSqM: energy.floorAreaSqM, fuel: energy.fuel });
+        energy = { ...energy, ...energyCost, monthly: roundPounds(energyCost.annual / 12), epcRating: rating, epcAssumed: false };
+        notes = notes.filter(note => !note.startsWith('No EPC rating'));
+    }
+
+    if (revisedCouncilTax) {
+        councilTax = revisedCouncilTax;
+        notes = notes.filter(note => note !== COUNCIL_TAX_MISSING_NOTE);
+    }
+
+    const items = [energyItem(energy), ...(councilTax ? [councilTaxItem(councilTax)] : [])]
+        .concat(runningCosts.items.filter(item => !['energy', 'councilTax'].includes(item.key)));
+    return totalRunningCosts(items, energy, councilTax, notes);
+}
+
+function energyItem(energy) {
+    return { key: 'energy', label: 'Energy', annual: energy.annual, detail: `EPC ${energy.epcRating}, ${energy.floorAreaSqM} sq m, ${energy.fuelLabel}` };
+}
+
+function councilTaxItem(councilTax) {
+    const detail = [`Band ${councilTax.band}`, councilTax.basis, ...(councilTax.reductions || []).map(reduction => reduction.split(':')[0].toLowerCase())];
+    return { key: 'councilTax', label: 'Council tax', annual: councilTax.annual, detail: detail.join(', ') };
+}
+
+function totalRunningCosts(items, energy, councilTax, notes) {
+    const totalAnnual = items.reduce((sum, item) => sum + item.annual, 0);
+    return {
+        totalMonthly: roundPounds(totalAnnual / 12),
+        totalAnnual: totalAnnual,
+        items: items.map(item => ({ ...item, monthly: roundPounds(item.annual / 12) })),
+        energy,
+        councilTax,
+        notes
+    };
+}
+
+module.exports = {
+    ENERGY_PRICES,
+    readHeatingFuel,
+    estimateEnergyCost,
+    readAnnualCharge,
+    estimateRunningCosts,
+    reviseRunningCosts
+};
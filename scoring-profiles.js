@@ -0,0 +1,251 @@
+// scoring-profiles.js
+// Scoring profiles for Home Accessibility Score
+// A profile weights the six score categories and the eight accessible-features
+// criteria to match the buyer's needs. 'standard' reproduces the flat average.
+
+const CATEGORY_KEYS = [
+    'gpProximity',
+    'accessibleFeatures',
+    'publicTransport',
+    'roomAccommodation',
+    'epcRating',
+    'propertyCost'
+];
+
+// Same keys as applicableCriteria in calculateAccessibleFeaturesScore()
+const CRITERIA_KEYS = [
+    'stepFreeOrLift',
+    'downstairsBedroom',
+    'downstairsBathroom',
+    'groundFloorEntry',
+    'privateParking',
+    'garden',
+    'balcony',
+    'externalLevelAccess'
+];
+
+const MAX_WEIGHT = 5;
+
+const CATEGORY_LABELS = {
+    gpProximity: 'GP Proximity',
+    accessibleFeatures: 'Accessible Features',
+    publicTransport: 'Public Transport',
+    roomAccommodation: 'Room Breakdown',
+    epcRating: 'Energy Efficiency',
+    propertyCost: 'Property Costs'
+};
+
+const CRITERIA_LABELS = {
+    stepFreeOrLift: 'Step-free internal access or lift',
+    downstairsBedroom: 'Downstairs bedroom',
+    downstairsBathroom: 'Downstairs bathroom/WC',
+    groundFloorEntry: 'Ground floor entry',
+    privateParking: 'Off-street/private parking',
+    garden: 'Garden access',
+    balcony: 'Balcony/terrace',
+    externalLevelAccess: 'External level/ramp access'
+};
+
+function evenWeights(keys) {
+    return keys.reduce((weights, key) => ({ ...weights, [key]: 1 }), {});
+}
+
+const SCORING_PROFILES = {
+    standard: {
+        name: 'Standard',
+        description: 'Every category and feature counts equally',
+        categoryWeights: evenWeights(CATEGORY_KEYS),
+        criteriaWeights: evenWeights(CRITERIA_KEYS)
+    },
+    wheelchair: {
+        name: 'Wheelchair user',
+        description: 'Prioritises level access, lifts and ground floor living',
+        categoryWeights: {
+            gpProximity: 1,
+            accessibleFeatures: 3,
+            publicTransport: 1,
+            roomAccommodation: 1.5,
+            epcRating: 0.5,
+            propertyCost: 0.5
+        },
+        criteriaWeights: {
+            stepFreeOrLift: 4,
+            downstairsBedroom: 2,
+            downstairsBathroom: 3,
+            groundFloorEntry: 3,
+            privateParking: 2,
+            garden: 0.5,
+            balcony: 0.5,
+            externalLevelAccess: 4
+        }
+    },
+    olderAdult: {
+        name: 'Older adult',
+        description: 'Prioritises GP proximity, a downstairs bathroom and manageable running costs',
+        categoryWeights: {
+            gpProximity: 2.5,
+            accessibleFeatures: 2,
+            publicTransport: 1.5,
+            roomAccommodation: 1,
+            epcRating: 1,
+            propertyCost: 1
+        },
+        criteriaWeights: {
+            stepFreeOrLift: 2,
+            downstairsBedroom: 2,
+            downstairsBathroom: 3,
+            groundFloorEntry: 1.5,
+            privateParking: 1,
+            garden: 1,
+            balcony: 0.5,
+            externalLevelAccess: 1.5
+        }
+    },
+    visualImpairment: {
+        name: 'Visual impairment',
+        description: 'Prioritises public transport, nearby services and step-free routes indoors and out',
+        categoryWeights: {
+            gpProximity: 2,
+            accessibleFeatures: 1.5,
+            publicTransport: 3,
+            roomAccommodation: 1,
+            epcRating: 0.5,
+            propertyCost: 1
+        },
+        criteriaWeights: {
+            stepFreeOrLift: 2,
+            downstairsBedroom: 1,
+            downstairsBathroom: 1.5,
+            groundFloorEntry: 1.5,
+            privateParking: 0,
+            garden: 1,
+            balcony: 0.5,
+            externalLevelAccess: 2
+        }
+    }
+};
+
+/**
+ * Check user-supplied custom weights
+ * @param {Object} customWeights - { categoryWeights: {...}, criteriaWeights: {...} }
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateCustomWeights(customWeights) {
+    if (!customWeights || typeof customWeights !== 'object') {
+        return 'Custom weights are required for a custom profile';
+    }
+
+    const groups = [
+        ['categoryWeights', CATEGORY_KEYS],
+        ['criteriaWeights', CRITERIA_KEYS]
+    ];
+
+    for (const [group, keys] of groups) {
+        const weights = customWeights[group] || {};
+        for (const [key, value] of Object.entries(weights)) {
+            if (!keys.includes(key)) return `Unknown weight: ${group}.${key}`;
+            if (typeof value !== 'number' || isNaN(value) || value < 0 || value > MAX_WEIGHT) {
+                return `${group}.${key} must be a number between 0 and ${MAX_WEIGHT}`;
+            }
+        }
+        if (keys.every(key => (weights[key] ?? 1) === 0)) {
+            return `At least one ${group === 'categoryWeights' ? 'category' : 'feature'} must have a weight above 0`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Resolve a profile id (and custom weights, for 'custom') to a full profile
+ * @param {string} profileId - One of SCORING_PROFILES or 'custom'
+ * @param {Object} [customWeights] - Partial weights; missing keys default to 1
+ * @returns {{id: string, name: string, categoryWeights: Object, criteriaWeights: Object}}
+ */
+function resolveScoringProfile(profileId, customWeights = null) {
+    if (profileId === 'custom' && customWeights && !validateCustomWeights(customWeights)) {
+        return {
+            id: 'custom',
+            name: 'Custom',
+            categoryWeights: { ...evenWeights(CATEGORY_KEYS), ...(customWeights.categoryWeights || {}) },
+            criteriaWeights: { ...evenWeights(CRITERIA_KEYS), ...(customWeights.criteriaWeights || {}) }
+        };
+    }
+
+    const id = Object.hasOwn(SCORING_PROFILES, profileId) ? profileId : 'standard';
+    const profile = SCORING_PROFILES[id];
+    return {
+        id: id,
+        name: profile.name,
+        categoryWeights: { ...profile.categoryWeights },
+        criteriaWeights: { ...profile.criteriaWeights }
+    };
+}
+
+/**
+ * Weighted average of category scores. Null scores (data not available) are
+ * left out rather than counted as zero, as in the flat average.
+ * @param {Object} scores - Category key to score (0-5) or null
+ * @param {Object} weights - Category key to weight
+ * @returns {number|null}
+ */
+function calculateWeightedOverall(scores, weights) {
+    let total = 0;
+    let totalWeight = 0;
+
+    for (const [key, score] of Object.entries(scores)) {
+        if (score === null || score === undefined) continue;
+        const weight = weights[key] ?? 1;
+        total += score * weight;
+        totalWeight += weight;
+    }
+
+    return totalWeight > 0 ? total / totalWeight : null;
+}
+
+/**
+ * Weighted accessible-features score from which of the eight criteria were met
+ * @param {Object} criteriaMet - Criteria key to boolean
+ * @param {Object} weights - Criteria key to weight
+ * @returns {{score: number, percentage: number}} score is 0-5
+ */
+function calculateWeightedCriteriaScore(criteriaMet, weights) {
+    let achieved = 0;
+    let possible = 0;
+
+    for (const key of CRITERIA_KEYS) {
+        const weight = weights[key] ?? 1;
+        possible += weight;
+        if (criteriaMet[key]) achieved += weight;
+    }
+
+    const fraction = possible > 0 ? achieved / possible : 0;
+    return {
+        score: Math.min(5, fraction * 5),
+        percentage: Math.round(fraction * 100)
+    };
+}
+
+function listScoringProfiles() {
+    return Object.entries(SCORING_PROFILES).map(([id, profile]) => ({
+        id: id,
+        name: profile.name,
+        description: profile.description,
+        categoryWeights: profile.categoryWeights,
+        criteriaWeights: profile.criteriaWeights
+    }));
+}
+
+module.exports = {
+    CATEGORY_KEYS,
+    CRITERIA_KEYS,
+    CATEGORY_LABELS,
+    CRITERIA_LABELS,
+    MAX_WEIGHT,
+    SCORING_PROFILES,
+    validateCustomWeights,
+    resolveScoringProfile,
+    calculateWeightedOverall,
+    calculateWeightedCriteriaScore,
+    listScoringProfiles
+};
@@ -5,6 +5,7 @@ const express = require('express');
 const cors = require('cors');
 const axios = require('axios');
 const cheerio = require('cheerio');
+const crypto = require('crypto');
 require('dotenv').config();
 
 const BASE_URL = process.env.BASE_URL || 'http://localhost:3002';
@@ -15,6 +16,59 @@ const { Resend } = require('resend');
 const resend = new Resend(process.env.RESEND_API_KEY);
 
 const { createClient } = require('@supabase/supabase-js');
+const { AnalysisCache, isStandardAnalysis, hashListingContent, coordinateKey, imageKey } = require('./analysis-cache');
+const { AnalysisJob, AnalysisJobStore } = require('./analysis-jobs');
+const {
+    MAX_BULK_LISTINGS,
+    BulkAnalysisStore,
+    isRightmoveSearchUrl,
+    collectSearchResultUrls,
+    parseListingCsv,
+    rankedTableToCsv,
+    buildRankedTable,
+    summariseRun
+} = require('./bulk-analysis');
+const { MIN_COMPARE, MAX_COMPARE, getCriteriaMet, buildComparison } = require('./property-comparison');
+const { findKeyword, findPattern, createEvidenceRecorder, notMentioned } = require('./feature-evidence');
+const {
+    OVERRIDE_FIELDS,
+    validateOverrides,
+    mergeOverrides,
+    detectedFacts,
+    criteriaFromFloorLevel,
+    setFeature,
+    rebuildRooms,
+    describeCorrections
+} = require('./analysis-overrides');
+const { extractPageModel, readPageModelFields, splitEpcUrls, recordFieldSource } = require('./rightmove-page-model');
+const { isRentalListing, analyzeRentalCosts, parseRent, formatRentAmount } = require('./rental-costs');
+const { PHOTO_VISION_PROMPT, parsePhotoObservations, observeListingPhotos, photoSignalsByCriterion } = require('./listing-photos');
+const { FLOORPLAN_ROOMS_PROMPT, parseFloorplanRooms, extractListedRooms, buildRoomDimensions } = require('./room-dimensions');
+const { readFloorplans, summariseFloorLevels } = require('./floorplan-levels');
+const { STAIRS_VISION_PROMPT, parseStairsObservation, assessStairlift } = require('./stairlift-suitability');
+const { ADAPTATION_PRICES, planAdaptations, validateAdaptationPrices, repricePlan } = require('./adaptation-planner');
+const { EpcRegister } = require('./epc-register');
+const { PriceBenchmarks } = require('./price-benchmarks');
+const { estimateRunningCosts, reviseRunningCosts } = require('./running-costs');
+const { estimateDomesticRates } = require('./domestic-rates');
+const { normaliseBand, estimateCouncilTax, billRatio, CouncilTaxCharges } = require('./council-tax');
+const { assessLeaseholdRisk, describeLeaseholdRisks } = require('./leasehold-risk');
+const { DEFAULT_BUYER_PROFILE, TAX_NAMES, validateBuyerProfile, calculateTransactionTax, describeTaxBreakdown } = require('./property-tax');
+const { describeListingChange, ListingMonitor } = require('./listing-monitor');
+const { ListingSource, createListingSourceRegistry, buildNormalisedProperty } = require('./listing-sources');
+const { EPC_TYPES, parseUploadedFile, validateManualEntry } = require('./manual-entry');
+const {
+    SCORING_PROFILES,
+    CATEGORY_LABELS,
+    CRITERIA_KEYS,
+    CRITERIA_LABELS,
+    MAX_WEIGHT,
+    validateCustomWeights,
+    resolveScoringProfile,
+    calculateWeightedOverall,
+    calculateWeightedCriteriaScore,
+    listScoringProfiles
+} = require('./scoring-profiles');
 
 // Supabase client
 const supabase = createClient(
@@ -43,7 +97,19 @@ const supabaseAdmin = createClient(
 const API_TIMEOUT_SHORT = 5000;
 const API_TIMEOUT_STANDARD = 15000;
 const API_TIMEOUT_LONG = 30000;
-const ANALYSIS_TIMEOUT = 60000;
+
+// Each analysis step gets its own budget; a slow step is marked unavailable instead of failing the job
+const ANALYSIS_STEP_TIMEOUT = API_TIMEOUT_LONG;
+const SCRAPE_STEP_TIMEOUT = 90000;
+const PHOTO_STEP_TIMEOUT = 120000;
+
+// Analysis cache lifetimes (milliseconds)
+const ANALYSIS_CACHE_TTL = (parseFloat(process.env.ANALYSIS_CACHE_TTL_HOURS) || 72) * 60 * 60 * 1000;
+const GEODATA_CACHE_TTL = 30 * 24 * 60 * 60 * 1000;
+const VISION_CACHE_TTL = 90 * 24 * 60 * 60 * 1000;
+
+// How often saved listings are re-scraped for changes (milliseconds)
+const LISTING_RECHECK_INTERVAL = (parseFloat(process.env.LISTING_RECHECK_HOURS) || 24) * 60 * 60 * 1000;
 
 // Rate Limiting
 const SCRAPE_DELAY_MIN = 2000;
@@ -128,11 +194,18 @@ function calculateEPCScore(epcRating) {
 }
 
 /**
- * Calculate council tax score based on band
- * @param {string|null} councilTaxBand - Council tax band (A-H) or null
+ * Calculate council tax score from the estimated yearly bill against the nation's average
+ * Band D, so the same band scores better in a cheaper council; domestic rates in Northern Ireland
+ * @param {string|null} councilTaxBand - Council tax band (A-H, or A-I in Wales) or null
+ * @param {string} [country] - From detectCountryFromPostcode()
+ * @param {Object|null} [estimate] - From estimateCouncilTax(), or estimateDomesticRates() in Northern Ireland
  * @returns {{score: number|null, rating: string, description: string}}
  */
-function calculateCouncilTaxScore(councilTaxBand) {
+function calculateCouncilTaxScore(councilTaxBand, country = 'england', estimate = null) {
+    if (country === 'northern-ireland') {
+        return calculateDomesticRatesScore(estimate);
+    }
+
     if (!councilTaxBand || councilTaxBand.includes('TBC')) {
         return {
             score: null,
@@ -141,49 +214,74 @@ function calculateCouncilTaxScore(councilTaxBand) {
         };
     }
     
-    const band = councilTaxBand.replace('Band ', '').trim().toUpperCase();
-    
-    switch (band) {
-        case 'A':
-            return {
-                score: 5,
-                rating: 'Cheapest band',
-                description: 'Council tax Band A - the cheapest band, which helps keep ongoing costs low.'
-            };
-        case 'B':
-        case 'C':
-        case 'D':
-            return {
-                score: 4,
-                rating: 'Average band',
-                description: `Council tax Band ${band} - an average band with reasonable ongoing costs.`
-            };
-        case 'E':
-            return {
-                score: 3,
-                rating: 'Above average band',
-                description: 'Council tax Band E - an above average band with moderately higher costs.'
-            };
-        case 'F':
-        case 'G':
-            return {
-                score: 2,
-                rating: 'Expensive band',
-                description: `Council tax Band ${band} - an expensive band which will add significantly to ongoing costs.`
-            };
-        case 'H':
-            return {
-                score: 1,
-                rating: 'Most expensive band',
-                description: 'Council tax Band H - the most expensive band, which will substantially increase ongoing costs.'
-            };
-        default:
-            return {
-                score: null,
-                rating: 'Unknown',
-                description: 'Council tax band not available - ask agent for details'
-            };
+    const band = normaliseBand(councilTaxBand, country);
+    const councilTax = band ? estimate || estimateCouncilTax(band, country) : null;
+    if (!councilTax) {
+        return {
+            score: null,
+            rating: 'Unknown',
+            description: 'Council tax band not available - ask agent for details'
+        };
+    }
+
+    const ratio = billRatio(councilTax, country);
+    let score, rating, cost;
+    if (ratio <= 0.72) {
+        [score, rating, cost] = [5, 'Low council tax', 'which helps keep ongoing costs low'];
+    } else if (ratio <= 1.1) {
+        [score, rating, cost] = [4, 'Average council tax', 'reasonable ongoing costs'];
+    } else if (ratio <= 1.33) {
+        [score, rating, cost] = [3, 'Above average council tax', 'moderately higher ongoing costs'];
+    } else if (ratio <= 1.8) {
+        [score, rating, cost] = [2, 'High council tax', 'which will add significantly to ongoing costs'];
+    } else {
+        [score, rating, cost] = [1, 'Very high council tax', 'which will substantially increase ongoing costs'];
+    }
+
+    const where = councilTax.authority ? ` in ${councilTax.authority}` : '';
+    const reduced = councilTax.reductions.length > 0 ? ` after ${councilTax.reductions.map(reduction => reduction.split(':')[0].toLowerCase()).join(' and ')}` : '';
+    return {
+        score,
+        rating,
+        description: `Council tax Band ${band}${where} - about £${councilTax.annual.toLocaleString()} a year${reduced}, ${cost}.`
+    };
+}
+
+/**
+ * Northern Ireland has domestic rates instead of council tax bands, so the yearly bill is
+ * scored on the same 1-5 scale, with bands set around the NI average bill
+ * @param {Object|null} domesticRates - From estimateDomesticRates()
+ * @returns {{score: number|null, rating: string, description: string}}
+ */
+function calculateDomesticRatesScore(domesticRates) {
+    if (!domesticRates) {
+        return {
+            score: null,
+            rating: 'Unknown',
+            description: 'Domestic rates not known - ask the agent for the annual rates bill'
+        };
+    }
+
+    const bill = `£${domesticRates.annual.toLocaleString()} a year`;
+    const basis = domesticRates.source === 'listing' ? 'as stated in the listing' : `estimated from the ${domesticRates.basis}`;
+    let score, rating, cost;
+    if (domesticRates.annual <= 700) {
+        [score, rating, cost] = [5, 'Cheapest rates', 'well below the Northern Ireland average'];
+    } else if (domesticRates.annual <= 1200) {
+        [score, rating, cost] = [4, 'Average rates', 'around the Northern Ireland average'];
+    } else if (domesticRates.annual <= 1600) {
+        [score, rating, cost] = [3, 'Above average rates', 'above the Northern Ireland average'];
+    } else if (domesticRates.annual <= 2400) {
+        [score, rating, cost] = [2, 'Expensive rates', 'well above the Northern Ireland average'];
+    } else {
+        [score, rating, cost] = [1, 'Most expensive rates', 'among the highest in Northern Ireland'];
     }
+
+    return {
+        score,
+        rating,
+        description: `Domestic rates of about ${bill} (${basis}) - ${cost}.`
+    };
 }
 
 /**
@@ -201,19 +299,26 @@ function getValueRating(score) {
 }
 
 /**
- * Calculate price per square meter score based on UK market percentiles
+ * Calculate price per square meter score against recent local sales, or UK market
+ * percentiles when there is no local benchmark
  * @param {number|null} pricePerSqM - Price per square meter in GBP
- * @returns {{score: number|null, rating: string, description: string, percentile: string|null}}
+ * @param {Object|null} [benchmark] - From PriceBenchmarks.compare()
+ * @returns {{score: number|null, rating: string, description: string, percentile: string|null, benchmark: Object|null}}
  */
-function calculatePricePerSqMScore(pricePerSqM) {
+function calculatePricePerSqMScore(pricePerSqM, benchmark = null) {
     if (!pricePerSqM || typeof pricePerSqM !== 'number') {
         return {
             score: null,
             rating: 'Unknown',
             description: 'Price per square meter not available',
-            percentile: null
+            percentile: null,
+            benchmark: null
         };
     }
+
+    if (benchmark) {
+        return scorePricePerSqMLocally(pricePerSqM, benchmark);
+    }
     
     let score, percentile, description;
     
@@ -243,6 +348,84 @@ function calculatePricePerSqMScore(pricePerSqM) {
         description = `At £${pricePerSqM.toLocaleString()} per sq m, this property is more expensive than 90% of properties on the market - very expensive.`;
     }
     
+    return {
+        score,
+        rating: getValueRating(score),
+        description,
+        percentile,
+        benchmark: null
+    };
+}
+
+// Same bands as the national ladder, read from where the property sits among local sales
+const LOCAL_PRICE_BANDS = [
+    { upTo: 10, score: 5, percentile: '10th', verdict: 'excellent value' },
+    { upTo: 25, score: 4, percentile: '25th', verdict: 'good value' },
+    { upTo: 50, score: 3, percentile: '50th', verdict: 'average for the area' },
+    { upTo: 75, score: 2, percentile: '50th', verdict: 'above average for the area' },
+    { upTo: 90, score: 1, percentile: '75th', verdict: 'premium pricing for the area' },
+    { upTo: 100, score: 0, percentile: '90th', verdict: 'very expensive for the area' }
+];
+
+function scorePricePerSqMLocally(pricePerSqM, benchmark) {
+    const band = LOCAL_PRICE_BANDS.find(({ upTo }) => benchmark.percentile <= upTo);
+    const comparison = benchmark.percentile < 50
+        ? `cheaper than ${100 - benchmark.percentile}% of`
+        : `more expensive than ${benchmark.percentile}% of`;
+
+    return {
+        score: band.score,
+        rating: getValueRating(band.score),
+        description: `At £${pricePerSqM.toLocaleString()} per sq m, this property is ${comparison} ${benchmark.sales} recent sales in ${benchmark.area} (median £${benchmark.median.toLocaleString()} per sq m) - ${band.verdict}.`,
+        percentile: band.percentile,
+        benchmark: benchmark
+    };
+}
+
+/**
+ * Calculate rent per square meter score based on UK private rental percentiles
+ * @param {number|null} rentPerSqM - Monthly rent per square meter in GBP
+ * @returns {{score: number|null, rating: string, description: string, percentile: string|null}}
+ */
+function calculateRentPerSqMScore(rentPerSqM) {
+    if (!rentPerSqM || typeof rentPerSqM !== 'number') {
+        return {
+            score: null,
+            rating: 'Unknown',
+            description: 'Rent per square meter not available',
+            percentile: null
+        };
+    }
+
+    const rentText = `${formatRentAmount(rentPerSqM)} per sq m per month`;
+    let score, percentile, description;
+
+    if (rentPerSqM <= 10) {
+        score = 5;
+        percentile = '10th';
+        description = `At ${rentText}, this rent is cheaper than 90% of homes to let - excellent value.`;
+    } else if (rentPerSqM <= 12.5) {
+        score = 4;
+        percentile = '25th';
+        description = `At ${rentText}, this rent is cheaper than 75% of homes to let - good value.`;
+    } else if (rentPerSqM <= 16) {
+        score = 3;
+        percentile = '50th';
+        description = `At ${rentText}, this rent is cheaper than 50% of homes to let - average market rent.`;
+    } else if (rentPerSqM <= 22) {
+        score = 2;
+        percentile = '50th';
+        description = `At ${rentText}, this rent is more expensive than 50% of homes to let - above average cost.`;
+    } else if (rentPerSqM <= 32) {
+        score = 1;
+        percentile = '75th';
+        description = `At ${rentText}, this rent is more expensive than 75% of homes to let - premium pricing.`;
+    } else {
+        score = 0;
+        percentile = '90th';
+        description = `At ${rentText}, this rent is more expensive than 90% of homes to let - very expensive.`;
+    }
+
     return {
         score,
         rating: getValueRating(score),
@@ -251,10 +434,39 @@ function calculatePricePerSqMScore(pricePerSqM) {
     };
 }
 
+/**
+ * Calculate running cost score from the estimated monthly cost of running the home.
+ * A typical three-bedroom home with gas heating and a Band C or D council tax bill
+ * costs roughly £300-£350 a month in energy and council tax.
+ * @param {Object|null} runningCosts - From estimateRunningCosts()
+ * @returns {{score: number|null, rating: string, description: string}}
+ */
+function calculateRunningCostScore(runningCosts) {
+    if (!runningCosts || !runningCosts.totalMonthly) {
+        return { score: null, rating: 'Unknown', description: 'Running costs not available' };
+    }
+
+    const monthly = runningCosts.totalMonthly;
+    let score;
+    if (monthly <= 250) score = 5;
+    else if (monthly <= 325) score = 4;
+    else if (monthly <= 400) score = 3;
+    else if (monthly <= 500) score = 2;
+    else if (monthly <= 650) score = 1;
+    else score = 0;
+
+    const included = runningCosts.items.map(item => item.label.toLowerCase()).join(', ').replace(/, ([^,]*)$/, ' and $1');
+    return {
+        score,
+        rating: getValueRating(score),
+        description: `About £${monthly.toLocaleString()} a month (£${runningCosts.totalAnnual.toLocaleString()} a year) for ${included}.`
+    };
+}
+
 /**
  * Detect which UK nation a property is in based on postcode
  * @param {string|null} postcode - UK postcode
- * @returns {string} 'england', 'wales', or 'scotland'
+ * @returns {string} 'england', 'wales', 'scotland' or 'northern-ireland'
  */
 function detectCountryFromPostcode(postcode) {
     if (!postcode) return 'england'; // Default to England
@@ -265,6 +477,9 @@ function detectCountryFromPostcode(postcode) {
     
     if (!prefix) return 'england';
     
+    // Northern Irish postcodes are all BT
+    if (prefix === 'BT') return 'northern-ireland';
+    
     // Scottish postcodes
     const scottishPrefixes = ['AB', 'DD', 'DG', 'EH', 'FK', 'G', 'HS', 'IV', 'KA', 'KW', 'KY', 'ML', 'PA', 'PH', 'TD', 'ZE'];
     if (scottishPrefixes.includes(prefix)) return 'scotland';
@@ -293,116 +508,56 @@ function detectCountryFromPostcode(postcode) {
         return 'england';
     }
     
-    return 'england'; // England + Northern Ireland use SDLT
+    return 'england';
 }
 
 /**
- * Calculate England/NI Stamp Duty Land Tax (SDLT)
+ * Calculate England/NI Stamp Duty Land Tax (SDLT) at today's standard rates
  * @param {number} propertyPrice - Property price in GBP
  * @returns {number} SDLT amount
  */
 function calculateEnglandSDLT(propertyPrice) {
     if (!propertyPrice || propertyPrice <= 0) return 0;
-    
-    let tax = 0;
-    
-    // SDLT bands (as of 2024)
-    if (propertyPrice <= 125000) {
-        tax = 0;
-    } else if (propertyPrice <= 250000) {
-        tax = (propertyPrice - 125000) * 0.02;
-    } else if (propertyPrice <= 925000) {
-        tax = (125000 * 0.02) + (propertyPrice - 250000) * 0.05;
-    } else if (propertyPrice <= 1500000) {
-        tax = (125000 * 0.02) + (675000 * 0.05) + (propertyPrice - 925000) * 0.10;
-    } else {
-        tax = (125000 * 0.02) + (675000 * 0.05) + (575000 * 0.10) + (propertyPrice - 1500000) * 0.12;
-    }
-    
-    return Math.round(tax);
+    return calculateTransactionTax(propertyPrice, 'england').amount;
 }
 
 /**
- * Calculate Wales Land Transaction Tax (LTT)
+ * Calculate Wales Land Transaction Tax (LTT) at today's standard rates
  * @param {number} propertyPrice - Property price in GBP
  * @returns {number} LTT amount
  */
 function calculateWalesLTT(propertyPrice) {
     if (!propertyPrice || propertyPrice <= 0) return 0;
-    
-    let tax = 0;
-    
-    // Wales LTT bands (as of 2024)
-    if (propertyPrice <= 225000) {
-        tax = 0;
-    } else if (propertyPrice <= 400000) {
-        tax = (propertyPrice - 225000) * 0.06;
-    } else if (propertyPrice <= 750000) {
-        tax = (175000 * 0.06) + (propertyPrice - 400000) * 0.075;
-    } else if (propertyPrice <= 1500000) {
-        tax = (175000 * 0.06) + (350000 * 0.075) + (propertyPrice - 750000) * 0.10;
-    } else {
-        tax = (175000 * 0.06) + (350000 * 0.075) + (750000 * 0.10) + (propertyPrice - 1500000) * 0.12;
-    }
-    
-    return Math.round(tax);
+    return calculateTransactionTax(propertyPrice, 'wales').amount;
 }
 
 /**
- * Calculate Scotland Land and Buildings Transaction Tax (LBTT)
+ * Calculate Scotland Land and Buildings Transaction Tax (LBTT) at today's standard rates
  * @param {number} propertyPrice - Property price in GBP
  * @returns {number} LBTT amount
  */
 function calculateScotlandLBTT(propertyPrice) {
     if (!propertyPrice || propertyPrice <= 0) return 0;
-    
-    let tax = 0;
-    
-    // Scotland LBTT bands (as of 2024)
-    if (propertyPrice <= 145000) {
-        tax = 0;
-    } else if (propertyPrice <= 250000) {
-        tax = (propertyPrice - 145000) * 0.02;
-    } else if (propertyPrice <= 325000) {
-        tax = (105000 * 0.02) + (propertyPrice - 250000) * 0.05;
-    } else if (propertyPrice <= 750000) {
-        tax = (105000 * 0.02) + (75000 * 0.05) + (propertyPrice - 325000) * 0.10;
-    } else {
-        tax = (105000 * 0.02) + (75000 * 0.05) + (425000 * 0.10) + (propertyPrice - 750000) * 0.12;
-    }
-    
-    return Math.round(tax);
+    return calculateTransactionTax(propertyPrice, 'scotland').amount;
 }
 
 /**
- * Calculate property transaction tax based on location
+ * Calculate property transaction tax based on location and who is buying
  * @param {number} propertyPrice - Property price in GBP
  * @param {string|null} postcode - UK postcode to determine which tax applies
- * @returns {{amount: number, taxName: string, taxNameFull: string, country: string}}
+ * @param {Object} [buyerProfile] - { buyerType, nonResident, completionDate } from validateBuyerProfile()
+ * @returns {{amount: number, taxName: string, taxNameFull: string, country: string, breakdown: Object|null}}
  */
-function calculatePropertyTax(propertyPrice, postcode) {
+function calculatePropertyTax(propertyPrice, postcode, buyerProfile = DEFAULT_BUYER_PROFILE) {
     const country = detectCountryFromPostcode(postcode);
-    
-    let amount, taxName, taxNameFull;
-    
-    switch (country) {
-        case 'scotland':
-            amount = calculateScotlandLBTT(propertyPrice);
-            taxName = 'LBTT';
-            taxNameFull = 'Land and Buildings Transaction Tax';
-            break;
-        case 'wales':
-            amount = calculateWalesLTT(propertyPrice);
-            taxName = 'LTT';
-            taxNameFull = 'Land Transaction Tax';
-            break;
-        default: // england (includes Northern Ireland)
-            amount = calculateEnglandSDLT(propertyPrice);
-            taxName = 'Stamp Duty';
-            taxNameFull = 'Stamp Duty Land Tax';
+    const { taxName, taxNameFull } = TAX_NAMES[country] || TAX_NAMES.england;
+
+    if (!propertyPrice || propertyPrice <= 0) {
+        return { amount: 0, taxName, taxNameFull, country, breakdown: null };
     }
-    
-    return { amount, taxName, taxNameFull, country };
+
+    const breakdown = calculateTransactionTax(propertyPrice, country, buyerProfile);
+    return { amount: breakdown.amount, taxName, taxNameFull, country, breakdown };
 }
 
 /**
@@ -420,9 +575,10 @@ function calculateStampDuty(propertyPrice) {
  * Calculate property tax score (supports England SDLT, Wales LTT, Scotland LBTT)
  * @param {number|null} propertyPrice - Property price in GBP
  * @param {string|null} postcode - UK postcode to determine which tax applies
- * @returns {{score: number|null, rating: string, description: string, amount: number|null, percentage: string|null, taxName: string, taxNameFull: string, country: string}}
+ * @param {Object} [buyerProfile] - { buyerType, nonResident, completionDate } from validateBuyerProfile()
+ * @returns {{score: number|null, rating: string, description: string, amount: number|null, percentage: string|null, taxName: string, taxNameFull: string, country: string, breakdown: Object|null}}
  */
-function calculatePropertyTaxScore(propertyPrice, postcode = null) {
+function calculatePropertyTaxScore(propertyPrice, postcode = null, buyerProfile = DEFAULT_BUYER_PROFILE) {
     if (!propertyPrice || propertyPrice <= 0) {
         return {
             score: null,
@@ -432,11 +588,12 @@ function calculatePropertyTaxScore(propertyPrice, postcode = null) {
             percentage: null,
             taxName: 'Stamp Duty',
             taxNameFull: 'Stamp Duty Land Tax',
-            country: 'england'
+            country: 'england',
+            breakdown: null
         };
     }
     
-    const { amount, taxName, taxNameFull, country } = calculatePropertyTax(propertyPrice, postcode);
+    const { amount, taxName, taxNameFull, country, breakdown } = calculatePropertyTax(propertyPrice, postcode, buyerProfile);
     
     let score, rating, description;
     
@@ -466,6 +623,12 @@ function calculatePropertyTaxScore(propertyPrice, postcode = null) {
         description = `Extremely high ${taxName} cost`;
     }
     
+    // Say whose rates these are when they aren't a home mover's
+    const buyer = [breakdown.buyerType !== 'standard' ? breakdown.buyerLabel : null, breakdown.nonResident ? 'non-UK resident' : null].filter(Boolean);
+    if (buyer.length > 0) {
+        description += ` (${buyer.join(', ').toLowerCase()})`;
+    }
+    
     return {
         score,
         rating,
@@ -474,7 +637,8 @@ function calculatePropertyTaxScore(propertyPrice, postcode = null) {
         percentage: ((amount / propertyPrice) * 100).toFixed(2),
         taxName,
         taxNameFull,
-        country
+        country,
+        breakdown
     };
 }
 
@@ -520,7 +684,7 @@ async function calculateRoomScore(property) {
     // If living room or kitchen not found in description, try floor plan
     let floorPlanRooms = null;
     if ((!hasLivingFromText || !hasKitchenFromText) && property.floorplan) {
-        floorPlanRooms = await analyzeFloorPlanForRooms(property.floorplan);
+        floorPlanRooms = await cachedVision('floorplan-rooms', property.floorplan, analyzeFloorPlanForRooms);
     }
     
     // Living room - must be separate from kitchen (1 point)
@@ -621,6 +785,15 @@ app.use(cors());
 app.use((req, res, next) => {
     if (req.originalUrl === '/api/stripe-webhook') {
         next();
+    } else if (req.originalUrl === '/api/analyze/manual') {
+        // Floorplan and EPC uploads are sent inline as data URLs
+        express.json({ limit: '20mb' })(req, res, next);
+    } else if (req.originalUrl === '/api/bulk-analyze') {
+        // CSV uploads are sent inline as text
+        express.json({ limit: '2mb' })(req, res, next);
+    } else if (req.originalUrl === '/api/teams/branding') {
+        // Report logos are sent inline as data URLs
+        express.json({ limit: '1mb' })(req, res, next);
     } else {
         express.json()(req, res, next);
     }
@@ -1561,6 +1734,67 @@ app.get('/api/properties/saved', async (req, res) => {
     res.json({ saved: result });
 });
 
+// Compare 2-5 saved properties side by side from their stored analyses
+app.get('/api/properties/compare', async (req, res) => {
+    const authHeader = req.headers.authorization;
+    if (!authHeader) return res.status(401).json({ error: 'Not authenticated' });
+    
+    const token = authHeader.replace('Bearer ', '');
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+    if (authError || !user) return res.status(401).json({ error: 'Invalid token' });
+
+    const ids = [...new Set(String(req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean))];
+    if (ids.length < MIN_COMPARE || ids.length > MAX_COMPARE) {
+        return res.status(400).json({ error: `Choose between ${MIN_COMPARE} and ${MAX_COMPARE} saved properties to compare` });
+    }
+    
+    const { data: dbUser } = await supabase
+        .from('users')
+        .select('id')
+        .eq('email', user.email)
+        .single();
+
+    if (!dbUser) return res.status(404).json({ error: 'User not found' });
+
+    // Only the user's own saved properties can be compared
+    const { data: saved } = await supabase
+        .from('saved_properties')
+        .select('property_id')
+        .eq('user_id', dbUser.id)
+        .in('property_id', ids);
+
+    const savedIds = new Set((saved || []).map(s => s.property_id));
+    const missing = ids.filter(id => !savedIds.has(id));
+    if (missing.length > 0) {
+        return res.status(404).json({ error: 'Some properties are not in your saved list' });
+    }
+
+    const { data: properties, error } = await supabase
+        .from('properties')
+        .select('id, rightmove_id, rightmove_url, url, address, title, price, overall_score, scores_json, analysed_at')
+        .in('rightmove_id', ids);
+
+    if (error) {
+        console.log('❌ Comparison lookup failed:', error.message);
+        return res.status(500).json({ error: 'Failed to load properties' });
+    }
+
+    // Keep the order the user picked, with the user's own profile and corrections applied
+    const overrides = await loadAnalysisOverrides(dbUser.id, ids);
+    const ownAnalyses = await loadUserAnalyses(dbUser.id, ids);
+    const rows = ids
+        .map(id => properties?.find(p => p.rightmove_id === id))
+        .filter(Boolean)
+        .map(row => ({ ...row, ...ownAnalyses.get(row.rightmove_id) }))
+        .map(row => {
+            if (!row.scores_json || !overrides.has(row.rightmove_id)) return row;
+            const { analysis } = applyAnalysisOverrides(row.scores_json, { title: row.title }, overrides.get(row.rightmove_id));
+            return { ...row, scores_json: analysis, overall_score: analysis.overall };
+        });
+
+    res.json(buildComparison(rows));
+});
+
 // =============================================
 // SEARCH HISTORY ENDPOINTS
 // =============================================
@@ -1598,71 +1832,673 @@ app.get('/api/properties/history', async (req, res) => {
         .select('*')
         .in('rightmove_id', propertyIds);
     
+    // Corrections the user made, with the original and corrected values
+    const { data: overrideRows } = await supabase
+        .from('analysis_overrides')
+        .select('property_id, overrides, original_facts, original_overall, corrected_overall, updated_at')
+        .eq('user_id', dbUser.id)
+        .in('property_id', propertyIds);
+
     // Merge data
-    const result = history.map(h => ({
-        searched_at: h.searched_at,
-        property_id: h.property_id,
-        properties: properties?.find(p => p.rightmove_id === h.property_id) || { rightmove_id: h.property_id, address: 'Property data not available' }
-    }));
+    const result = history.map(h => {
+        const correction = overrideRows?.find(o => o.property_id === h.property_id);
+        return {
+            searched_at: h.searched_at,
+            property_id: h.property_id,
+            properties: properties?.find(p => p.rightmove_id === h.property_id) || { rightmove_id: h.property_id, address: 'Property data not available' },
+            correction: correction ? {
+                originalOverall: correction.original_overall,
+                correctedOverall: correction.corrected_overall,
+                changes: describeCorrections(correction.original_facts || {}, correction.overrides || {}),
+                updatedAt: correction.updated_at
+            } : null
+        };
+    });
 
     res.json({ history: result });
 });
 
-// Store for caching results
-const cache = new Map();
+// =============================================
+// ANALYSIS OVERRIDES
+// =============================================
 
-// Helper function for EPC image conversion
-async function convertImageToBase64(imageUrl) {
-    try {
-        console.log('🔍 Converting to base64:', imageUrl.substring(0, 100));
-        console.log('🔍 File type:', imageUrl.split('.').pop());
-        
-        const response = await axios.get(imageUrl, { 
-            responseType: 'arraybuffer',
-            timeout: 10000
+// Users can correct detected facts. The shared stored analysis is never changed;
+// each user's overrides are applied on top of it whenever they view the property.
+
+/**
+ * Rescore a stored analysis with a user's overrides, without re-scraping
+ * @param {Object} analysis - Stored analysis (scores_json)
+ * @param {Object} property - Stored property (property_json)
+ * @param {Object} overrides - Saved overrides for this user and property
+ * @returns {{analysis: Object, property: Object, corrections: Object}}
+ */
+function applyAnalysisOverrides(analysis, property, overrides) {
+    if (Object.keys(overrides).length === 0) {
+        return { analysis, property, corrections: { changes: [], originalOverall: analysis.overall } };
+    }
+
+    const corrected = JSON.parse(JSON.stringify(analysis));
+    const correctedProperty = { ...property };
+    const facts = detectedFacts(analysis, property);
+    const has = field => overrides[field] !== undefined;
+
+    // Accessible features: explicit overrides win over what a corrected floor level implies
+    const criteriaChanges = {
+        ...(has('floorLevel') ? criteriaFromFloorLevel(overrides.floorLevel) : {}),
+        ...CRITERIA_KEYS.reduce((changes, key) => has(key) ? { ...changes, [key]: overrides[key] } : changes, {})
+    };
+
+    if (Object.keys(criteriaChanges).length > 0) {
+        const features = corrected.accessibleFeatures || {};
+        const criteriaMet = { ...getCriteriaMet(features), ...criteriaChanges };
+        const weighted = calculateWeightedCriteriaScore(
+            criteriaMet,
+            corrected.scoringProfile?.criteriaWeights || SCORING_PROFILES.standard.criteriaWeights
+        );
+
+        let featureList = features.features || [];
+        for (const [key, met] of Object.entries(criteriaChanges)) {
+            featureList = setFeature(featureList, key, met);
+        }
+
+        const evidence = { ...(features.evidence || {}) };
+        for (const [key, met] of Object.entries(criteriaChanges)) {
+            evidence[key] = {
+                met,
+                source: 'user',
+                keyword: null,
+                excerpt: null,
+                rule: has(key) ? 'Corrected by you' : `Follows from your corrected floor level (${overrides.floorLevel})`,
+                confidence: 'high'
+            };
+        }
+
+        corrected.accessibleFeatures = {
+            ...features,
+            score: weighted.score,
+            rating: getScoreRating(weighted.score),
+            details: `${weighted.percentage}% - ${weighted.score} out of 5 accessible features found`,
+            features: featureList,
+            percentage: weighted.percentage,
+            criteriaMet,
+            evidence,
+            floorLevel: has('floorLevel') ? overrides.floorLevel : features.floorLevel
+        };
+    }
+
+    // Rooms
+    if (has('bathrooms') || has('bedrooms')) {
+        const bathrooms = has('bathrooms') ? overrides.bathrooms : facts.bathrooms;
+        const bedrooms = has('bedrooms') ? overrides.bedrooms : facts.bedrooms;
+        const rooms = rebuildRooms(corrected.roomAccommodation?.roomsFound, bathrooms, bedrooms);
+
+        corrected.roomAccommodation = {
+            score: rooms.score,
+            rating: getScoreRating(rooms.score),
+            details: `${rooms.rawScore}/${rooms.maxPossible} essential rooms found`,
+            roomsFound: rooms.roomsFound
+        };
+        correctedProperty.bathrooms = bathrooms;
+    }
+
+    // EPC
+    if (has('epcRating')) {
+        const epc = calculateEPCScore(overrides.epcRating);
+        corrected.epcRating = {
+            score: epc.score || 0,
+            rating: getScoreRating(epc.score || 0),
+            details: epc.description,
+            actualRating: overrides.epcRating,
+            confidence: 100,
+            method: 'User correction'
+        };
+        correctedProperty.epcRating = overrides.epcRating;
+    }
+
+    // Council tax, and the property cost score it feeds. Northern Ireland pays domestic
+    // rates rather than a band, so a band correction there is ignored.
+    // The council's charges and the household's discounts carry over to the corrected band.
+    const country = corrected.cost?.country || corrected.stampDuty?.country || 'england';
+    const correctsBand = has('councilTaxBand') && country !== 'northern-ireland';
+    let councilTaxEstimate = null;
+    if (correctsBand) {
+        const band = `Band ${overrides.councilTaxBand}`;
+        councilTaxEstimate = estimateCouncilTax(band, country, {
+            charges: corrected.cost?.councilTaxEstimate?.charges || null,
+            singlePerson: !!corrected.buyerProfile?.singlePerson,
+            disabilityReduction: !!corrected.buyerProfile?.disabilityReduction
         });
-        
-        console.log('🔍 Image downloaded successfully, size:', response.data.byteLength, 'bytes');
-        
-        const base64 = Buffer.from(response.data, 'binary').toString('base64');
-        console.log('🔍 Base64 conversion successful, length:', base64.length);
-        
-        return base64;
-    } catch (error) {
-        console.log('❌ Image conversion failed:', error.message);
-        throw new Error(`Failed to fetch image: ${error.message}`);
+        const councilTax = calculateCouncilTaxScore(band, country, councilTaxEstimate);
+        corrected.councilTax = {
+            score: councilTax.score,
+            rating: councilTax.score !== null ? getScoreRating(councilTax.score) : 'Unknown',
+            details: councilTax.description,
+            band,
+            estimate: councilTaxEstimate
+        };
+        corrected.cost = { ...corrected.cost, councilTax: band, councilTaxEstimate };
+        corrected.propertyCost = { ...corrected.propertyCost, councilTaxRating: councilTax.rating };
     }
-}
 
-// 🔧 LAZY LOAD EPC Vision Extractor with correct model
-// Add this validation function at the top of your file (before the Vision API call)
-function validateEPCFromDescription(visionText) {
-    console.log('🔍 Validating EPC from Vision API description:', visionText);
-    
-    // Extract information from the description
-    const currentMatch = visionText.match(/current rating[:\s]*([a-g])\s*(?:band\s*)?(?:with\s*score\s*)?(\d+)?/i);
-    const scoreMatch = visionText.match(/(?:score|points?)[:\s]*(\d+)/i);
-    const orangeArrowMatch = visionText.match(/orange arrow.*?([a-g])\s*band/i);
-    const fBandMatch = visionText.match(/([a-g])\s*band.*?(\d+)/i);
-    
-    // Try to extract rating from various patterns
-    let detectedRating = null;
-    let detectedScore = null;
-    
-    if (currentMatch) {
-        detectedRating = currentMatch[1].toUpperCase();
-        detectedScore = currentMatch[2] ? parseInt(currentMatch[2]) : null;
-    } else if (orangeArrowMatch) {
-        detectedRating = orangeArrowMatch[1].toUpperCase();
-    } else if (scoreMatch) {
-        detectedScore = parseInt(scoreMatch[1]);
+    // A corrected EPC or band changes the energy and council tax in the running costs
+    if ((has('epcRating') || correctsBand) && corrected.cost?.runningCosts) {
+        corrected.cost.runningCosts = reviseRunningCosts(corrected.cost.runningCosts, {
+            epcRating: has('epcRating') ? overrides.epcRating : null,
+            councilTax: councilTaxEstimate
+        });
+        const runningCost = calculateRunningCostScore(corrected.cost.runningCosts);
+        corrected.propertyCost = {
+            ...corrected.propertyCost,
+            runningCostMonthly: corrected.cost.runningCosts.totalMonthly,
+            runningCostScore: runningCost.score,
+            runningCostDetails: runningCost.description
+        };
     }
-    
-    if (!detectedScore && scoreMatch) {
-        detectedScore = parseInt(scoreMatch[1]);
+
+    if (correctsBand || has('epcRating')) {
+        const costScores = [corrected.councilTax?.score, corrected.pricePerSqM?.score, corrected.stampDuty?.score, corrected.propertyCost?.runningCostScore]
+            .filter(score => typeof score === 'number');
+        const propertyCostScore = costScores.length > 0 ? costScores.reduce((a, b) => a + b, 0) / costScores.length : null;
+        corrected.propertyCost = {
+            ...corrected.propertyCost,
+            score: propertyCostScore,
+            rating: propertyCostScore !== null ? getScoreRating(propertyCostScore) : 'Unknown'
+        };
     }
-    
-    // Score-based rating detection
+
+    // Tenure doesn't feed a score yet, but is shown with the property
+    if (has('tenure')) {
+        correctedProperty.tenure = overrides.tenure;
+        // A home corrected to freehold has no lease to assess
+        const leaseholdRisk = /^(?:freehold|commonhold)$/i.test(String(overrides.tenure).trim()) ? null : corrected.cost?.leaseholdRisk ?? null;
+        corrected.cost = { ...corrected.cost, leaseholdInfo: overrides.tenure, leaseholdRisk };
+        // and the summary no longer warns about its lease
+        if (!leaseholdRisk && typeof corrected.summary === 'string') {
+            const sentence = describeLeaseholdRisks(analysis.cost?.leaseholdRisk);
+            if (sentence) corrected.summary = corrected.summary.replace(sentence, '');
+        }
+    }
+
+    // Overall, leaving out steps that were unavailable when the analysis ran
+    const unavailable = new Set(corrected.unavailableSteps || []);
+    const categoryScores = {
+        gpProximity: unavailable.has('gp') ? null : corrected.gpProximity?.score || 0,
+        accessibleFeatures: unavailable.has('features') ? null : corrected.accessibleFeatures?.score || 0,
+        publicTransport: unavailable.has('transport') ? null : corrected.publicTransport?.score || 0,
+        roomAccommodation: unavailable.has('features') ? null : corrected.roomAccommodation?.score || 0,
+        epcRating: corrected.epcRating?.actualRating ? corrected.epcRating.score : null,
+        propertyCost: corrected.propertyCost?.score ?? null
+    };
+    const overall = calculateWeightedOverall(
+        categoryScores,
+        corrected.scoringProfile?.categoryWeights || SCORING_PROFILES.standard.categoryWeights
+    ) || 0;
+    corrected.overall = Math.round(overall * 10) / 10;
+
+    // Replan against the corrected criteria and floor level
+    if (corrected.adaptationPlan) {
+        const propertyType = corrected.adaptationPlan.propertyType;
+        corrected.adaptationPlan = planAdaptations({
+            criteriaMet: getCriteriaMet(corrected.accessibleFeatures),
+            propertyType: has('floorLevel') ? { ...propertyType, floorLevel: overrides.floorLevel } : propertyType,
+            stairlift: corrected.stairlift,
+            criteriaWeights: corrected.scoringProfile?.criteriaWeights || SCORING_PROFILES.standard.criteriaWeights,
+            categoryScores,
+            categoryWeights: corrected.scoringProfile?.categoryWeights || SCORING_PROFILES.standard.categoryWeights
+        });
+    }
+
+    const corrections = {
+        changes: describeCorrections(facts, overrides),
+        originalOverall: analysis.overall
+    };
+    corrected.corrections = corrections;
+
+    return { analysis: corrected, property: correctedProperty, corrections };
+}
+
+/**
+ * A user's saved overrides for some properties
+ * @param {string} userId - users.id
+ * @param {string[]} listingIds - properties.rightmove_id values
+ * @returns {Promise<Map<string, Object>>} listing id → overrides
+ */
+async function loadAnalysisOverrides(userId, listingIds) {
+    if (!userId || listingIds.length === 0) return new Map();
+
+    const { data, error } = await supabase
+        .from('analysis_overrides')
+        .select('property_id, overrides')
+        .eq('user_id', userId)
+        .in('property_id', listingIds);
+
+    if (error) {
+        console.log('⚠️ Override lookup failed:', error.message);
+        return new Map();
+    }
+
+    return new Map((data || []).map(row => [row.property_id, row.overrides]));
+}
+
+/**
+ * A user's own-profile analyses for some properties
+ * @param {string} userId - users.id
+ * @param {string[]} listingIds - properties.rightmove_id values
+ * @returns {Promise<Map<string, Object>>} listing id → { scores_json, overall_score, analysed_at }
+ */
+async function loadUserAnalyses(userId, listingIds) {
+    if (!userId || listingIds.length === 0) return new Map();
+
+    const { data, error } = await supabase
+        .from('user_property_analyses')
+        .select('property_id, scores_json, overall_score, analysed_at')
+        .eq('user_id', userId)
+        .in('property_id', listingIds);
+
+    if (error) {
+        console.log('⚠️ Profile analysis lookup failed:', error.message);
+        return new Map();
+    }
+
+    return new Map((data || []).map(({ property_id, ...analysis }) => [property_id, analysis]));
+}
+
+// A properties row showing the user's own-profile analysis in place of the shared one
+async function withUserAnalysis(userId, row) {
+    if (!row) return row;
+    const own = (await loadUserAnalyses(userId, [row.rightmove_id])).get(row.rightmove_id);
+    return own ? { ...row, ...own } : row;
+}
+
+// Signed-in user's id from the request, or null
+async function getRequestUserId(req) {
+    const authHeader = req?.headers.authorization;
+    if (!authHeader) return null;
+
+    const token = authHeader.replace('Bearer ', '');
+    const { data: { user } } = await supabase.auth.getUser(token);
+    if (!user) return null;
+
+    const { data: dbUser } = await supabase
+        .from('users')
+        .select('id')
+        .eq('email', user.email)
+        .single();
+
+    return dbUser?.id || null;
+}
+
+// Stored analysis plus the user's overrides for one property, or an error response
+async function loadPropertyForOverrides(req) {
+    const userId = await getRequestUserId(req);
+    if (!userId) return { status: 401, error: 'Not authenticated' };
+
+    const { data: stored } = await supabase
+        .from('properties')
+        .select('rightmove_id, title, address, scores_json, property_json, overall_score')
+        .eq('rightmove_id', req.params.listingId)
+        .maybeSingle();
+    const row = await withUserAnalysis(userId, stored);
+
+    if (!row?.scores_json) {
+        return { status: 404, error: 'No stored analysis for this property. Please analyse it first.' };
+    }
+
+    const overrides = (await loadAnalysisOverrides(userId, [row.rightmove_id])).get(row.rightmove_id) || {};
+    return { userId, row, property: row.property_json || { title: row.title, location: row.address }, overrides };
+}
+
+function overridesResponse(row, property, overrides) {
+    const corrected = applyAnalysisOverrides(row.scores_json, property, overrides);
+    return {
+        fields: OVERRIDE_FIELDS,
+        detected: detectedFacts(row.scores_json, property),
+        overrides,
+        corrections: corrected.corrections,
+        analysis: corrected.analysis,
+        property: corrected.property
+    };
+}
+
+// Current overrides, the detected facts and the corrected analysis
+app.get('/api/properties/:listingId/overrides', async (req, res) => {
+    try {
+        const loaded = await loadPropertyForOverrides(req);
+        if (loaded.error) return res.status(loaded.status).json({ error: loaded.error });
+
+        res.json(overridesResponse(loaded.row, loaded.property, loaded.overrides));
+    } catch (error) {
+        console.error('Override lookup error:', error.message);
+        res.status(500).json({ error: 'Failed to load corrections' });
+    }
+});
+
+// Correct detected facts and rescore. A null value removes that correction.
+app.put('/api/properties/:listingId/overrides', async (req, res) => {
+    try {
+        const loaded = await loadPropertyForOverrides(req);
+        if (loaded.error) return res.status(loaded.status).json({ error: loaded.error });
+
+        const { overrides: changes, error: validationError } = validateOverrides(req.body?.overrides);
+        if (validationError) return res.status(400).json({ error: validationError });
+
+        const { userId, row, property } = loaded;
+        const overrides = mergeOverrides(loaded.overrides, changes);
+
+        if (Object.keys(overrides).length === 0) {
+            await supabase
+                .from('analysis_overrides')
+                .delete()
+                .eq('user_id', userId)
+                .eq('property_id', row.rightmove_id);
+        } else {
+            const { analysis } = applyAnalysisOverrides(row.scores_json, property, overrides);
+            const { error } = await supabase
+                .from('analysis_overrides')
+                .upsert({
+                    user_id: userId,
+                    property_id: row.rightmove_id,
+                    overrides,
+                    original_facts: detectedFacts(row.scores_json, property),
+                    original_overall: row.scores_json.overall,
+                    corrected_overall: analysis.overall,
+                    updated_at: new Date().toISOString()
+                }, { onConflict: 'user_id,property_id' });
+
+            if (error) {
+                console.log('❌ Error saving overrides:', error.message);
+                return res.status(500).json({ error: 'Failed to save corrections' });
+            }
+        }
+
+        console.log(`✏️ Corrections saved for ${row.rightmove_id}:`, Object.keys(overrides).join(', ') || 'none');
+        res.json(overridesResponse(row, property, overrides));
+    } catch (error) {
+        console.error('Override save error:', error.message);
+        res.status(500).json({ error: 'Failed to save corrections' });
+    }
+});
+
+// Remove all of the user's corrections for a property
+app.delete('/api/properties/:listingId/overrides', async (req, res) => {
+    try {
+        const loaded = await loadPropertyForOverrides(req);
+        if (loaded.error) return res.status(loaded.status).json({ error: loaded.error });
+
+        await supabase
+            .from('analysis_overrides')
+            .delete()
+            .eq('user_id', loaded.userId)
+            .eq('property_id', loaded.row.rightmove_id);
+
+        res.json(overridesResponse(loaded.row, loaded.property, {}));
+    } catch (error) {
+        console.error('Override delete error:', error.message);
+        res.status(500).json({ error: 'Failed to remove corrections' });
+    }
+});
+
+// =============================================
+// SCORING PROFILE ENDPOINTS
+// =============================================
+
+// Profile for an analysis: explicit choice in the request, else the account's saved profile, else standard
+async function getScoringProfileForRequest(req) {
+    const requested = req.body?.scoringProfile;
+    if (requested && requested.profileId) {
+        return resolveScoringProfile(requested.profileId, requested.customWeights);
+    }
+
+    const authHeader = req.headers.authorization;
+    if (!authHeader) return resolveScoringProfile('standard');
+
+    try {
+        const token = authHeader.replace('Bearer ', '');
+        const { data: { user } } = await supabase.auth.getUser(token);
+        if (!user) return resolveScoringProfile('standard');
+
+        const { data: dbUser } = await supabase
+            .from('users')
+            .select('scoring_profile, scoring_weights')
+            .eq('email', user.email)
+            .single();
+
+        return resolveScoringProfile(dbUser?.scoring_profile, dbUser?.scoring_weights);
+    } catch (error) {
+        console.log('⚠️ Could not load scoring profile:', error.message);
+        return resolveScoringProfile('standard');
+    }
+}
+
+// Error message if a requested profile can't be used, otherwise null
+function validateRequestedProfile(requested) {
+    if (!requested || !requested.profileId) return null;
+    if (requested.profileId === 'custom') return validateCustomWeights(requested.customWeights);
+    if (!Object.hasOwn(SCORING_PROFILES, requested.profileId)) return 'Unknown scoring profile';
+    return null;
+}
+
+// List built-in profiles, plus the signed-in user's saved choice
+app.get('/api/scoring-profiles', async (req, res) => {
+    let current = null;
+
+    const authHeader = req.headers.authorization;
+    if (authHeader) {
+        const token = authHeader.replace('Bearer ', '');
+        const { data: { user } } = await supabase.auth.getUser(token);
+        if (user) {
+            const { data: dbUser } = await supabase
+                .from('users')
+                .select('scoring_profile, scoring_weights')
+                .eq('email', user.email)
+                .single();
+            if (dbUser) {
+                current = {
+                    profileId: dbUser.scoring_profile || 'standard',
+                    customWeights: dbUser.scoring_weights || null
+                };
+            }
+        }
+    }
+
+    res.json({
+        profiles: listScoringProfiles(),
+        categoryLabels: CATEGORY_LABELS,
+        criteriaLabels: CRITERIA_LABELS,
+        maxWeight: MAX_WEIGHT,
+        current: current
+    });
+});
+
+// Save the signed-in user's scoring profile
+app.put('/api/scoring-profile', async (req, res) => {
+    const authHeader = req.headers.authorization;
+    if (!authHeader) return res.status(401).json({ error: 'Not authenticated' });
+    
+    const token = authHeader.replace('Bearer ', '');
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+    if (authError || !user) return res.status(401).json({ error: 'Invalid token' });
+
+    const { profileId, customWeights } = req.body;
+    if (!profileId) return res.status(400).json({ error: 'Profile ID required' });
+
+    const validationError = validateRequestedProfile({ profileId, customWeights });
+    if (validationError) return res.status(400).json({ error: validationError });
+
+    const { error } = await supabase
+        .from('users')
+        .update({
+            scoring_profile: profileId,
+            scoring_weights: profileId === 'custom' ? customWeights : null
+        })
+        .eq('email', user.email);
+
+    if (error) {
+        console.log('❌ Error saving scoring profile:', error.message);
+        return res.status(500).json({ error: 'Failed to save scoring profile' });
+    }
+
+    console.log(`⚖️ Scoring profile for ${user.email} set to ${profileId}`);
+    res.json({ success: true, profile: resolveScoringProfile(profileId, customWeights) });
+});
+
+// =============================================
+// ADAPTATION PRICE ENDPOINTS
+// =============================================
+
+// The signed-in user's edited adaptation prices, or {} if they use the defaults
+async function loadAdaptationPrices(userId) {
+    if (!userId) return {};
+
+    const { data, error } = await supabase
+        .from('users')
+        .select('adaptation_prices')
+        .eq('id', userId)
+        .maybeSingle();
+
+    if (error) {
+        console.log('⚠️ Adaptation price lookup failed:', error.message);
+        return {};
+    }
+    // Saved prices that no longer validate, say for an adaptation since removed, fall back to the defaults
+    return validateAdaptationPrices(data?.adaptation_prices).prices || {};
+}
+
+// Default prices and the user's edits to them
+app.get('/api/adaptation-prices', async (req, res) => {
+    try {
+        const userId = await getRequestUserId(req);
+        if (!userId) return res.status(401).json({ error: 'Not authenticated' });
+
+        res.json({ defaults: ADAPTATION_PRICES, prices: await loadAdaptationPrices(userId) });
+    } catch (error) {
+        console.error('Adaptation price lookup error:', error.message);
+        res.status(500).json({ error: 'Failed to load adaptation prices' });
+    }
+});
+
+// Replace the user's edited prices; {} or null goes back to the defaults
+app.put('/api/adaptation-prices', async (req, res) => {
+    try {
+        const userId = await getRequestUserId(req);
+        if (!userId) return res.status(401).json({ error: 'Not authenticated' });
+
+        const { prices, error: validationError } = validateAdaptationPrices(req.body?.prices);
+        if (validationError) return res.status(400).json({ error: validationError });
+
+        const { error } = await supabase
+            .from('users')
+            .update({ adaptation_prices: Object.keys(prices).length > 0 ? prices : null })
+            .eq('id', userId);
+
+        if (error) {
+            console.log('❌ Error saving adaptation prices:', error.message);
+            return res.status(500).json({ error: 'Failed to save adaptation prices' });
+        }
+
+        console.log(`🔧 Adaptation prices saved for ${userId}:`, Object.keys(prices).join(', ') || 'defaults');
+        res.json({ defaults: ADAPTATION_PRICES, prices });
+    } catch (error) {
+        console.error('Adaptation price save error:', error.message);
+        res.status(500).json({ error: 'Failed to save adaptation prices' });
+    }
+});
+
+// Stored analyses and sub-step results (geodata, vision)
+const analysisCache = new AnalysisCache(supabase);
+
+// Official EPC register: the open data API, or a local dataset or stand-in server
+const epcRegister = new EpcRegister({
+    baseUrl: process.env.EPC_REGISTER_URL || undefined,
+    email: process.env.EPC_REGISTER_EMAIL,
+    apiKey: process.env.EPC_REGISTER_API_KEY,
+    datasetDir: process.env.EPC_REGISTER_DATASET
+});
+
+// Sold prices joined to floor areas, for local price per sq m benchmarks
+const priceBenchmarks = new PriceBenchmarks({ datasetDir: process.env.PRICE_BENCHMARK_DATASET });
+
+// Council tax band charges by local authority (band-charges.csv in COUNCIL_TAX_DATASET)
+const councilTaxCharges = new CouncilTaxCharges({
+    datasetDir: process.env.COUNCIL_TAX_DATASET,
+    postcodeApiUrl: process.env.POSTCODE_API_URL || undefined
+});
+
+// Vision calls are cached per image so re-analysing a listing doesn't repeat them
+function cachedVision(kind, imageUrl, analyze, shouldCache) {
+    return analysisCache.remember(`vision-${kind}`, imageKey(imageUrl), VISION_CACHE_TTL, () => analyze(imageUrl), shouldCache);
+}
+
+// Helper function for EPC image conversion
+async function convertImageToBase64(imageUrl) {
+    // Uploaded images arrive as data URLs - no download needed
+    const dataUrlMatch = imageUrl.match(/^data:[^;,]+;base64,(.*)$/);
+    if (dataUrlMatch) {
+        return dataUrlMatch[1];
+    }
+
+    try {
+        console.log('🔍 Converting to base64:', imageUrl.substring(0, 100));
+        console.log('🔍 File type:', imageUrl.split('.').pop());
+        
+        const response = await axios.get(imageUrl, { 
+            responseType: 'arraybuffer',
+            timeout: 10000
+        });
+        
+        console.log('🔍 Image downloaded successfully, size:', response.data.byteLength, 'bytes');
+        
+        const base64 = Buffer.from(response.data, 'binary').toString('base64');
+        console.log('🔍 Base64 conversion successful, length:', base64.length);
+        
+        return base64;
+    } catch (error) {
+        console.log('❌ Image conversion failed:', error.message);
+        throw new Error(`Failed to fetch image: ${error.message}`);
+    }
+}
+
+// Media type for Claude image blocks - handles uploaded data URLs as well as file extensions
+function getImageMediaType(imageUrl) {
+    const dataUrlMatch = (imageUrl || '').match(/^data:(image\/[a-z+]+);/i);
+    if (dataUrlMatch) return dataUrlMatch[1].toLowerCase();
+
+    const lower = (imageUrl || '').toLowerCase();
+    if (lower.includes('.png')) return 'image/png';
+    if (lower.includes('.gif')) return 'image/gif';
+    if (lower.includes('.webp')) return 'image/webp';
+    return 'image/jpeg';
+}
+
+// 🔧 LAZY LOAD EPC Vision Extractor with correct model
+// Add this validation function at the top of your file (before the Vision API call)
+function validateEPCFromDescription(visionText) {
+    console.log('🔍 Validating EPC from Vision API description:', visionText);
+    
+    // Extract information from the description
+    const currentMatch = visionText.match(/current rating[:\s]*([a-g])\s*(?:band\s*)?(?:with\s*score\s*)?(\d+)?/i);
+    const scoreMatch = visionText.match(/(?:score|points?)[:\s]*(\d+)/i);
+    const orangeArrowMatch = visionText.match(/orange arrow.*?([a-g])\s*band/i);
+    const fBandMatch = visionText.match(/([a-g])\s*band.*?(\d+)/i);
+    
+    // Try to extract rating from various patterns
+    let detectedRating = null;
+    let detectedScore = null;
+    
+    if (currentMatch) {
+        detectedRating = currentMatch[1].toUpperCase();
+        detectedScore = currentMatch[2] ? parseInt(currentMatch[2]) : null;
+    } else if (orangeArrowMatch) {
+        detectedRating = orangeArrowMatch[1].toUpperCase();
+    } else if (scoreMatch) {
+        detectedScore = parseInt(scoreMatch[1]);
+    }
+    
+    if (!detectedScore && scoreMatch) {
+        detectedScore = parseInt(scoreMatch[1]);
+    }
+    
+    // Score-based rating detection
     if (detectedScore && !detectedRating) {
         if (detectedScore >= 92) detectedRating = 'A';
         else if (detectedScore >= 81) detectedRating = 'B';
@@ -1734,15 +2570,27 @@ const getEPCExtractor = () => {
 const CLAUDE_API_KEY = process.env.CLAUDE_API_KEY;
 const CLAUDE_API_URL = 'https://api.anthropic.com/v1/messages';
 
+// Feature labels for criteria a listing photo settles (as calculateAccessibleFeaturesScore() words them)
+const PHOTO_CRITERIA_FEATURES = {
+    stepFreeOrLift: 'Stairlift',
+    externalLevelAccess: 'External level/ramp access',
+    garden: 'Garden access',
+    balcony: 'Balcony/terrace',
+    privateParking: 'Off-street/private parking'
+};
+const CONFIDENCE_LEVELS = ['low', 'medium', 'high'];
+
 // REVISED: Accessible Features Detection with 8 Criteria
-async function calculateAccessibleFeaturesScore(property) {
+async function calculateAccessibleFeaturesScore(property, criteriaWeights = SCORING_PROFILES.standard.criteriaWeights, photoObservations = [], floorplanLevels = null) {
     let score = 0;
     const features = [];
     
     const description = (property.description || '').toLowerCase();
     const title = (property.title || '').toLowerCase();
     const propertyFeatures = (property.features || []).join(' ').toLowerCase();
-    const fullText = `${title} ${description} ${propertyFeatures}`.toLowerCase();    console.log('🏠 DEBUG: fullText length:', fullText.length);
+    const fullText = `${title} ${description} ${propertyFeatures}`.toLowerCase();
+    const evidence = createEvidenceRecorder(`${property.title || ''} ${property.description || ''} ${(property.features || []).join(' ')}`);
+    const criteriaEvidence = {};    console.log('🏠 DEBUG: fullText length:', fullText.length);
     console.log('🏠 DEBUG: fullText includes "front garden:"?', fullText.includes('front garden:'));
     console.log('🏠 DEBUG: fullText includes "rear garden:"?', fullText.includes('rear garden:'));
     console.log('🏠 DEBUG: Sample fullText (chars 5000-5500):', fullText.substring(5000, 5500));    
@@ -1781,25 +2629,33 @@ const multiLevelIndicators = [
 const liftKeywords = ['lift', 'elevator', 'passenger lift', 'serviced by lift', 'lift access', 'lift available'];
 const stairliftKeywords = ['stairlift', 'stair lift', 'platform lift'];
 
-const hasLift = liftKeywords.some(keyword => fullText.includes(keyword));
-const hasStairlift = stairliftKeywords.some(keyword => fullText.includes(keyword));
+const liftMatch = findKeyword(fullText, liftKeywords);
+const stairliftMatch = findKeyword(fullText, stairliftKeywords);
+const hasLift = !!liftMatch;
+const hasStairlift = !!stairliftMatch;
 const hasAnyLift = hasLift || hasStairlift;
 
-const hasSingleLevelKeywords = lateralLivingKeywords.some(keyword => fullText.includes(keyword));
+const singleLevelMatch = findKeyword(fullText, lateralLivingKeywords);
+const multiLevelMatch = findKeyword(fullText, multiLevelIndicators);
+const hasSingleLevelKeywords = !!singleLevelMatch;
 const isUpperFloor = upperFloorIndicators.some(indicator => fullText.includes(indicator));
-const hasMultipleLevels = multiLevelIndicators.some(indicator => fullText.includes(indicator));
+// Floorplans labelled with two or more storeys settle it even when the text doesn't say
+const floorplanStoreys = (floorplanLevels?.levels || []).filter(level => level.order !== null).map(level => level.label.toLowerCase());
+const hasMultipleLevels = !!multiLevelMatch || !!floorplanLevels?.multiLevel;
 
 // Additional check for multi-level evidence in description
-const hasMultiFloorEvidence = 
-    /first floor/i.test(fullText) ||
-    /second floor/i.test(fullText) ||
-    /loft conversion/i.test(fullText) ||
-    /loft bedroom/i.test(fullText) ||
-    /upstairs/i.test(fullText) ||
-    /upper floor/i.test(fullText) ||
-    /ground floor.*first floor/i.test(fullText) ||
-    /bedroom.*(first|upper|top) floor/i.test(fullText) ||
-    /(first|upper|top) floor.*bedroom/i.test(fullText);
+const multiFloorMatch = findPattern(fullText, [
+    /first floor/i,
+    /second floor/i,
+    /loft conversion/i,
+    /loft bedroom/i,
+    /upstairs/i,
+    /upper floor/i,
+    /ground floor.*first floor/i,
+    /bedroom.*(first|upper|top) floor/i,
+    /(first|upper|top) floor.*bedroom/i
+]);
+const hasMultiFloorEvidence = !!multiFloorMatch;
 
 // If property has a lift but no single-level keywords, assume it's multi-level
 const isMultiLevel = hasMultipleLevels || hasMultiFloorEvidence || (hasAnyLift && !hasSingleLevelKeywords);
@@ -1828,10 +2684,16 @@ const isGroundFloorFlat = isFlat && (
 );
 const isUpperFloorFlat = isFlat && floorLevel && floorLevel !== 'ground';
 
+// The listing wording behind the flat's floor level, for the evidence trail
+const floorLevelEvidence = Array.isArray(floorLevelMatch)
+    ? { keyword: floorLevelMatch[0], index: floorLevelMatch.index, length: floorLevelMatch[0].length }
+    : findPattern(fullText, [/garden (flat|apartment)/i]);
+
 console.log(`🏠 Property type: Flat=${isFlat}, Floor level=${floorLevel}, Ground floor flat=${isGroundFloorFlat}, Upper floor=${isUpperFloorFlat}`);
 
 // CRITERIA 1: Step-free internal access OR lift (mutually exclusive)
 let hasStepFreeInternal = false;
+let hasStepFreeOrLift = false;
 
 // Check for retirement property indicators
 const retirementKeywords = [
@@ -1843,9 +2705,8 @@ const retirementKeywords = [
     'retirement village', 
     'retirement scheme'
 ];
-const isRetirementProperty = retirementKeywords.some(keyword => 
-    fullText.toLowerCase().includes(keyword)
-);
+const retirementMatch = findKeyword(fullText, retirementKeywords);
+const isRetirementProperty = !!retirementMatch;
 
 // Check for evidence of upper floor/loft conversion
 const upperFloorKeywords = [
@@ -1867,25 +2728,42 @@ const hasUpperFloorEvidence = upperFloorKeywords.some(keyword =>
 // Single-level property OR ground floor flat
 if ((isSingleLevel && !hasMultipleLevels) || isGroundFloorFlat) {
     hasStepFreeInternal = true;
+    hasStepFreeOrLift = true;
     score += 1;
     features.push('Step-free internal access');
+    criteriaEvidence.stepFreeOrLift = isGroundFloorFlat
+        ? evidence.fromInference('Ground floor flat, so no internal stairs', floorLevelEvidence, 'medium')
+        : evidence.fromInference('Single-level property with no upper floors mentioned', singleLevelMatch, 'high');
     console.log('✓ Step-free internal access (single level / ground floor flat)');
 } else if (isSingleLevel && isRetirementProperty && !hasUpperFloorEvidence) {
     // Single-level retirement property with no mention of upper floors - infer step-free
     hasStepFreeInternal = true;
+    hasStepFreeOrLift = true;
     score += 1;
     features.push('Step-free internal access');
+    criteriaEvidence.stepFreeOrLift = evidence.fromInference('Single-level retirement property with no upper floors mentioned', retirementMatch, 'low');
     console.log('✓ Step-free internal access (inferred: single-level retirement property, no upper floor mentioned)');
 } else if (hasMultipleLevels && hasAnyLift) {
+    hasStepFreeOrLift = true;
     score += 1;
     if (hasStairlift) {
         features.push('Stairlift');
+        criteriaEvidence.stepFreeOrLift = evidence.fromListing(stairliftMatch);
         console.log('✓ Stairlift (compensates for internal stairs)');
     } else {
         features.push('Lift');
+        // "lift" is a short keyword, so it's less certain than a named stairlift
+        criteriaEvidence.stepFreeOrLift = evidence.fromListing(liftMatch, 'medium');
         console.log('✓ Lift (compensates for internal stairs)');
     }
 } else {
+    if (hasAnyLift) {
+        criteriaEvidence.stepFreeOrLift = evidence.fromInference('A lift is mentioned, but not one serving floors inside the property', stairliftMatch || liftMatch, 'low');
+    } else if (multiLevelMatch || multiFloorMatch) {
+        criteriaEvidence.stepFreeOrLift = evidence.fromInference('Internal stairs mentioned and no lift or stairlift found', multiLevelMatch || multiFloorMatch);
+    } else if (floorplanLevels?.multiLevel) {
+        criteriaEvidence.stepFreeOrLift = evidence.fromFloorplan(`Floorplans show a ${floorplanStoreys.join(' and ')}, and no lift or stairlift was found`);
+    }
     console.log('✗ No step-free internal access or lift');
 }
 
@@ -1904,24 +2782,41 @@ if (!isUpperFloorFlat) {
         /\bbedroom\b[:\s\S]{0,200}?ground floor/gi
     ];
 
-    hasDownstairsBedroom = downstairsBedroomKeywords.some(keyword => fullText.includes(keyword));
+    const bedroomKeywordMatch = findKeyword(fullText, downstairsBedroomKeywords);
+    const bedroomPatternMatch = bedroomKeywordMatch ? null : findPattern(fullText, groundFloorBedroomPatterns);
+    hasDownstairsBedroom = !!(bedroomKeywordMatch || bedroomPatternMatch);
 
-    if (!hasDownstairsBedroom) {
-        hasDownstairsBedroom = groundFloorBedroomPatterns.some(pattern => pattern.test(fullText));
+    if (bedroomKeywordMatch) {
+        criteriaEvidence.downstairsBedroom = evidence.fromListing(bedroomKeywordMatch);
+    } else if (bedroomPatternMatch) {
+        // A bedroom mentioned near "ground floor" rather than in one phrase
+        criteriaEvidence.downstairsBedroom = evidence.fromListing(bedroomPatternMatch, 'medium');
     }
 
     // Infer for single level properties (houses/bungalows/ground floor flats)
     if (!hasDownstairsBedroom && isSingleLevel && (fullText.includes('bedroom') || fullText.includes('bed'))) {
         hasDownstairsBedroom = true;
+        criteriaEvidence.downstairsBedroom = evidence.fromInference('Single-level property, so every bedroom is on the entrance level', singleLevelMatch);
         console.log('✓ Inferred downstairs bedroom from single level property');
     }
 
+    // A labelled ground floor plan shows what is really there, so it overrides the wording
+    if (floorplanLevels?.groundFloor) {
+        const groundFloorBedroom = floorplanLevels.groundFloor.bedroom;
+        hasDownstairsBedroom = !!groundFloorBedroom;
+        criteriaEvidence.downstairsBedroom = groundFloorBedroom
+            ? evidence.fromFloorplan(`${groundFloorBedroom} is on the ground floor plan`, 'high')
+            : evidence.fromFloorplan(`No bedroom on the ground floor plan (${floorplanLevels.groundFloor.rooms.join(', ')})`);
+        console.log(`📐 Ground floor plan: ${groundFloorBedroom ? `bedroom (${groundFloorBedroom})` : 'no bedroom'}`);
+    }
+
     if (hasDownstairsBedroom) {
         score += 1;
         features.push('Downstairs bedroom');
         console.log('✓ Downstairs bedroom');
     }
 } else {
+    criteriaEvidence.downstairsBedroom = evidence.fromInference('Upper floor flat, so no bedroom at street level', floorLevelEvidence);
     console.log('✗ Upper floor flat - downstairs bedroom not applicable');
 }
 
@@ -1943,10 +2838,14 @@ const groundFloorBathroomPatterns = [
     /\b(bathroom|shower room|wc|toilet)\b[:\s\S]{0,200}?ground floor/gi
 ];
 
-hasDownstairsBathroom = downstairsBathroomKeywords.some(keyword => fullText.includes(keyword));
+const bathroomKeywordMatch = findKeyword(fullText, downstairsBathroomKeywords);
+const bathroomPatternMatch = bathroomKeywordMatch ? null : findPattern(fullText, groundFloorBathroomPatterns);
+hasDownstairsBathroom = !!(bathroomKeywordMatch || bathroomPatternMatch);
 
-if (!hasDownstairsBathroom) {
-    hasDownstairsBathroom = groundFloorBathroomPatterns.some(pattern => pattern.test(fullText));
+if (bathroomKeywordMatch) {
+    criteriaEvidence.downstairsBathroom = evidence.fromListing(bathroomKeywordMatch);
+} else if (bathroomPatternMatch) {
+    criteriaEvidence.downstairsBathroom = evidence.fromListing(bathroomPatternMatch, 'medium');
 }
 
 // If single-level living detected (regardless of property type), bathroom must be accessible
@@ -1956,6 +2855,7 @@ if (!hasDownstairsBathroom && isSingleLevel) {
                             fullText.includes('en suite') || fullText.includes('ensuite');
     if (hasBathroomMention) {
         hasDownstairsBathroom = true;
+        criteriaEvidence.downstairsBathroom = evidence.fromInference('Single-level property, so the bathroom is on the entrance level', singleLevelMatch);
         console.log('✓ Inferred downstairs bathroom from single level living');
     }
 }
@@ -1987,10 +2887,25 @@ if (!hasDownstairsBathroom && !isSingleLevel && property.bathrooms >= 2) {
     
     if (hasOnlyOneUpstairsBedroom && hasGroundFloorBedrooms) {
         hasDownstairsBathroom = true;
+        criteriaEvidence.downstairsBathroom = evidence.fromInference(
+            `${property.bathrooms} bathrooms with ground floor bedrooms and only one bedroom upstairs`,
+            findPattern(fullText, upstairsBedroomPatterns),
+            'low'
+        );
         console.log('✓ Inferred downstairs bathroom: ground floor bedrooms with 2+ bathrooms, only 1 upstairs');
     }
 }
 
+// As with bedrooms, a labelled ground floor plan overrides the wording
+if (floorplanLevels?.groundFloor) {
+    const groundFloorBathroom = floorplanLevels.groundFloor.bathroom;
+    hasDownstairsBathroom = !!groundFloorBathroom;
+    criteriaEvidence.downstairsBathroom = groundFloorBathroom
+        ? evidence.fromFloorplan(`${groundFloorBathroom} is on the ground floor plan`, 'high')
+        : evidence.fromFloorplan(`No bathroom or WC on the ground floor plan (${floorplanLevels.groundFloor.rooms.join(', ')})`);
+    console.log(`📐 Ground floor plan: ${groundFloorBathroom ? `bathroom/WC (${groundFloorBathroom})` : 'no bathroom/WC'}`);
+}
+
 if (hasDownstairsBathroom) {
     score += 1;
     features.push('Downstairs bathroom/WC');
@@ -2007,8 +2922,12 @@ let hasGroundFloorEntry = false;
 if (isFlat) {
     hasGroundFloorEntry = isGroundFloorFlat;
     if (hasGroundFloorEntry) {
+        criteriaEvidence.groundFloorEntry = evidence.fromInference('Ground floor flat', floorLevelEvidence);
         console.log('✓ Ground floor entry (ground floor flat)');
     } else {
+        if (isUpperFloorFlat) {
+            criteriaEvidence.groundFloorEntry = evidence.fromInference('Upper floor flat, so the front door is above street level', floorLevelEvidence);
+        }
         console.log('✗ Upper floor flat - no ground floor entry');
     }
 } else {
@@ -2021,9 +2940,13 @@ if (isFlat) {
         'single storey', 'single story', 'ranch style'
     ];
     
-    hasGroundFloorEntry = isGroundFloor || groundFloorEntryKeywords.some(keyword => fullText.includes(keyword));
+    const entryMatch = findKeyword(fullText, groundFloorEntryKeywords);
+    hasGroundFloorEntry = isGroundFloor || !!entryMatch;
     
     if (hasGroundFloorEntry) {
+        criteriaEvidence.groundFloorEntry = isGroundFloor
+            ? evidence.fromInference('Single-level property on the ground floor', singleLevelMatch)
+            : evidence.fromInference('Houses and bungalows are entered from street level', entryMatch);
         console.log('✓ Ground floor entry');
     }
 }
@@ -2056,13 +2979,20 @@ const parkingExclusions = [
     'roadside parking', 'permit parking'
 ];
 
-const hasPrivateParking = hasStructuredParking || parkingKeywords.some(keyword => fullText.includes(keyword));
-const hasOnStreetOnly = parkingExclusions.some(exclusion => fullText.includes(exclusion)) && !hasPrivateParking;
+const parkingMatch = findKeyword(fullText, parkingKeywords);
+const onStreetMatch = findKeyword(fullText, parkingExclusions);
+const hasPrivateParking = hasStructuredParking || !!parkingMatch;
+const hasOnStreetOnly = !!onStreetMatch && !hasPrivateParking;
 
 if (hasPrivateParking && !hasOnStreetOnly) {
     score += 1;
     features.push('Off-street/private parking');
+    criteriaEvidence.privateParking = hasStructuredParking
+        ? evidence.fromSection('Parking', structuredParking)
+        : evidence.fromListing(parkingMatch);
     console.log('✓ Off-street/private parking');
+} else if (hasOnStreetOnly) {
+    criteriaEvidence.privateParking = evidence.fromInference('Only on-street or permit parking mentioned', onStreetMatch);
 }
 
     // CRITERIA 6: Garden access
@@ -2081,12 +3011,16 @@ if (hasPrivateParking && !hasOnStreetOnly) {
         'rear garden:', 'front garden:'  // NEW - catches "FRONT GARDEN:" and "REAR GARDEN:" headings
     ];
     
-    const hasGarden = hasStructuredGarden || gardenKeywords.some(keyword => fullText.includes(keyword));
+    const gardenMatch = findKeyword(fullText, gardenKeywords);
+    const hasGarden = hasStructuredGarden || !!gardenMatch;
 
     
     if (hasGarden) {
         score += 1;
         features.push('Garden access');
+        criteriaEvidence.garden = hasStructuredGarden
+            ? evidence.fromSection('Garden', structuredGarden)
+            : evidence.fromListing(gardenMatch);
         console.log('✓ Garden access');
     }
     
@@ -2097,12 +3031,17 @@ if (hasPrivateParking && !hasOnStreetOnly) {
         'private patio', 'covered balcony'
     ];
     
-    let hasBalcony = balconyKeywords.some(keyword => fullText.includes(keyword));
+    const balconyMatch = findKeyword(fullText, balconyKeywords);
+    let hasBalcony = !!balconyMatch;
+    if (balconyMatch) {
+        criteriaEvidence.balcony = evidence.fromListing(balconyMatch);
+    }
     
     if (!hasBalcony && property.floorplan) {
-        const floorplanBalcony = await analyzeFloorPlanForBalcony(property.floorplan);
+        const floorplanBalcony = await cachedVision('floorplan-balcony', property.floorplan, analyzeFloorPlanForBalcony);
         if (floorplanBalcony === true) {
             hasBalcony = true;
+            criteriaEvidence.balcony = evidence.fromFloorplan('Balcony or terrace shown on the floorplan');
             console.log('✓ Balcony detected via floor plan');
         }
     }
@@ -2125,23 +3064,62 @@ if (hasPrivateParking && !hasOnStreetOnly) {
         'accessible entrance', 'level entrance', 'no step access'
     ];
 
-    let hasLevelAccess = levelAccessKeywords.some(keyword => fullText.includes(keyword));
+    const levelAccessMatch = findKeyword(fullText, levelAccessKeywords);
+    let hasLevelAccess = !!levelAccessMatch;
 
     if (hasLevelAccess) {
         score += 1;
         features.push('External level/ramp access');
+        criteriaEvidence.externalLevelAccess = evidence.fromListing(levelAccessMatch);
         externalAccessVerified = true;
         console.log('✓ External level/ramp access');
     } else {
         console.log('✗ External level/ramp access not mentioned');
     }
 
-    // Calculate final score (max 8 features)
+    // Calculate final score (max 8 features), weighted by the scoring profile
     const maxScore = 8;
-    const preciseScore = Math.min(5, (score / maxScore) * 5);
+    const criteriaMet = {
+        stepFreeOrLift: hasStepFreeOrLift,
+        downstairsBedroom: hasDownstairsBedroom,
+        downstairsBathroom: hasDownstairsBathroom,
+        groundFloorEntry: hasGroundFloorEntry,
+        privateParking: hasPrivateParking && !hasOnStreetOnly,
+        garden: hasGarden,
+        balcony: hasBalcony,
+        externalLevelAccess: hasLevelAccess
+    };
+
+    // Listing photos settle criteria the text didn't, unless another photo shows the opposite
+    // at least as clearly. Photos only explain a miss when the text gave no reason.
+    const photoSignals = photoSignalsByCriterion(photoObservations);
+    let photoStairlift = false;
+    for (const [key, signal] of Object.entries(photoSignals)) {
+        const contradicted = signal.notMet && CONFIDENCE_LEVELS.indexOf(signal.notMet.confidence) >= CONFIDENCE_LEVELS.indexOf(signal.met?.confidence);
+        if (!criteriaMet[key] && signal.met && signal.met.confidence !== 'low' && !contradicted) {
+            criteriaMet[key] = true;
+            score += 1;
+            features.push(PHOTO_CRITERIA_FEATURES[key]);
+            criteriaEvidence[key] = evidence.fromPhoto(signal.met);
+            if (signal.met.feature === 'stairlift') photoStairlift = true;
+            if (key === 'externalLevelAccess') externalAccessVerified = true;
+            console.log(`✓ ${PHOTO_CRITERIA_FEATURES[key]} (photo ${signal.met.image.index}: ${signal.met.detail})`);
+        } else if (!criteriaMet[key] && signal.notMet && !criteriaEvidence[key]) {
+            criteriaEvidence[key] = evidence.fromPhoto(signal.notMet);
+        }
+    }
+
+    const weightedScore = calculateWeightedCriteriaScore(criteriaMet, criteriaWeights);
+    const preciseScore = weightedScore.score;
+
+    // Every criterion gets an entry, so the results page can explain misses as well as hits
+    const evidenceTrail = {};
+    for (const key of Object.keys(criteriaMet)) {
+        evidenceTrail[key] = { met: criteriaMet[key], ...(criteriaEvidence[key] || notMentioned()) };
+    }
     const displayScore = Math.round(preciseScore);
 
-    console.log(`🏠 Accessible Features Score: ${displayScore}/5 (${score}/${maxScore} features found)`);
+    console.log(`🏠 Accessible Features Score: ${displayScore}/5 (${score}/${maxScore} features found, ${weightedScore.percentage}% weighted)`);
     console.log('✓ Features found:', features);
 
     return {
@@ -2149,8 +3127,11 @@ if (hasPrivateParking && !hasOnStreetOnly) {
         displayScore: displayScore,
         maxScore: 5,
         features: features,
-        percentage: Math.round((score / maxScore) * 100),
+        percentage: weightedScore.percentage,
         externalAccessWarning: externalAccessWarning,
+        criteriaMet: criteriaMet,
+        evidence: evidenceTrail,
+        photoObservations: photoObservations,
         applicableCriteria: {
             stepFreeOrLift: true,
             downstairsBedroom: true,
@@ -2163,21 +3144,22 @@ if (hasPrivateParking && !hasOnStreetOnly) {
         },
         details: {
             stepFreeInternal: hasStepFreeInternal,
-            lift: hasAnyLift && !hasStepFreeInternal,
-            liftType: hasStairlift ? 'stairlift' : hasLift ? 'lift' : null,
+            lift: (hasAnyLift || photoStairlift) && !hasStepFreeInternal,
+            liftType: hasStairlift || photoStairlift ? 'stairlift' : hasLift ? 'lift' : null,
             downstairsBedroom: hasDownstairsBedroom,
             downstairsBathroom: hasDownstairsBathroom,
             groundFloorEntry: hasGroundFloorEntry,
-            privateParking: hasPrivateParking && !hasOnStreetOnly,
-            garden: hasGarden,
-            balcony: hasBalcony,
-            externalLevelAccess: hasLevelAccess,
+            privateParking: criteriaMet.privateParking,
+            garden: criteriaMet.garden,
+            balcony: criteriaMet.balcony,
+            externalLevelAccess: criteriaMet.externalLevelAccess,
             externalAccessVerified: externalAccessVerified,
             isSingleLevel: isSingleLevel,
             isGroundFloor: isGroundFloor,
             isSingleLevel: isSingleLevel,
+            isMultiLevel: isMultiLevel,
             isFlat: isFlat,
-            hasAnyLift: hasAnyLift,
+            hasAnyLift: hasAnyLift || photoStairlift,
             isUpperFloorFlat: isUpperFloorFlat,
             floorLevel: floorLevel
             }
@@ -2218,14 +3200,14 @@ if (hasPrivateParking && !hasOnStreetOnly) {
     };
 }    
 
-// Try to access dedicated floorplan page
-async function tryFloorplanURL(propertyId) {
+// Find every floorplan on the listing page. The #/floorplan?activePlan=N viewer is
+// rendered in the browser, so all plans are read from the page's scripts at once.
+async function tryFloorplanURLs(propertyId) {
     try {
-        // Try the dedicated floorplan URL first
-        const floorplanURL = `https://www.rightmove.co.uk/properties/${propertyId}#/floorplan?activePlan=1&channel=RES_BUY`;
-        console.log('Trying floorplan URL:', floorplanURL);
+        const listingURL = `https://www.rightmove.co.uk/properties/${propertyId}`;
+        console.log('Looking for floorplans on:', listingURL);
         
-        const floorplanResponse = await axios.get(floorplanURL, {
+        const floorplanResponse = await axios.get(listingURL, {
             headers: {
                 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36',
                 'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8',
@@ -2246,32 +3228,7 @@ async function tryFloorplanURL(propertyId) {
         
         const floorplanImages = [];
         
-        // Extract ALL images first for debugging
-        console.log('🔍 All found images:');
-        $('img').each((i, img) => {
-            const src = $(img).attr('src') || $(img).attr('data-src');
-            if (src) {
-                console.log(`   ${i}: ${src}`);
-            }
-        });
-
-        // Now extract property images with better filtering
-        $('img').each((i, img) => {
-            const src = $(img).attr('src') || $(img).attr('data-src');
-            if (src && 
-                (src.includes('media.rightmove') || src.includes('rightmove.co.uk')) &&
-                !src.includes('logo') && 
-                !src.includes('icon') &&
-                !src.includes('marker') &&
-                !src.includes('svg')) {
-                images.push(src);
-                console.log('✅ Added property image:', src);
-            }
-        });
-
-        console.log('📊 Total property images found:', images.length);
-        
-        // NEW: Look in script tags for full-resolution URLs
+        // Look in script tags for full-resolution URLs
         $('script').each((i, script) => {
             const scriptContent = $(script).html() || '';
             
@@ -2293,26 +3250,23 @@ async function tryFloorplanURL(propertyId) {
             }
         });
         
-        console.log(`Found ${floorplanImages.length} full-size floorplans`);
-        
-        if (floorplanImages.length > 0) {
-            // Return the first full-size image
-            const fullSizeUrl = floorplanImages[0];
-            console.log('Using full-size floor plan:', fullSizeUrl);
-            return fullSizeUrl;
-        }
-        
-        // Fallback to original method if no full-size found
-        console.log('No full-size images found, falling back to thumbnails...');
-        // ... rest of your existing code ...
+        // The same plan appears in several scripts and sizes
+        const plans = new Map();
+        floorplanImages.forEach(url => {
+            const key = url.split('?')[0].replace(/_max_\d+x\d+/i, '');
+            if (!plans.has(key)) plans.set(key, url);
+        });
+
+        console.log(`Found ${plans.size} full-size floorplans`);
+        return [...plans.values()];
         
     } catch (error) {
         console.log('Floorplan URL not accessible:', error.message);
-        return null;
+        return [];
     }
 }
 
-// ✅ ADD THE NEW FUNCTION HERE - RIGHT AFTER tryFloorplanURL
+// ✅ ADD THE NEW FUNCTION HERE - RIGHT AFTER tryFloorplanURLs
 async function analyzeFloorPlanForBalcony(floorplanUrl) {
     try {
         console.log('👁️ Analyzing floor plan for balcony:', floorplanUrl?.substring(0, 100) + '...');
@@ -2349,7 +3303,7 @@ Be conservative - only say BALCONY_FOUND if you're confident.`;
                     type: 'image',
                     source: {
                         type: 'base64',
-                        media_type: floorplanUrl.toLowerCase().includes('.png') ? 'image/png' : 'image/jpeg',
+                        media_type: getImageMediaType(floorplanUrl),
                         data: await convertImageToBase64(floorplanUrl)
                     }
                 }]
@@ -2380,7 +3334,7 @@ async function analyzeFloorPlanForRooms(floorplanUrl) {
     }
     
     try {
-        console.log('👁️ Analyzing floor plan for rooms:', floorplanUrl);
+        console.log('👁️ Analyzing floor plan for rooms:', floorplanUrl.substring(0, 100));
         
         // Download and convert image
         const response = await axios.get(floorplanUrl, { 
@@ -2390,12 +3344,7 @@ async function analyzeFloorPlanForRooms(floorplanUrl) {
         
         const base64Data = Buffer.from(response.data, 'binary').toString('base64');
         
-        // Determine media type from URL
-        const extension = floorplanUrl.split('.').pop().toLowerCase();
-        let mediaType = 'image/jpeg';
-        if (extension === 'png') mediaType = 'image/png';
-        else if (extension === 'gif') mediaType = 'image/gif';
-        else if (extension === 'webp') mediaType = 'image/webp';
+        const mediaType = getImageMediaType(floorplanUrl);
         
         console.log('🔍 Floor plan image size:', response.data.byteLength, 'bytes, type:', mediaType);
         
@@ -2557,22 +3506,24 @@ function analyzeCostInformation(property, dimensions) {
 
     // Determine if it's rental or sale
     if (property.price) {
-        cost.isRental = property.price.toLowerCase().includes('pcm') || 
-                       property.price.toLowerCase().includes('per month') ||
-                       property.price.toLowerCase().includes('monthly');
+        cost.isRental = isRentalListing(property);
     }
 
-    // Calculate price per sq m
+    // Calculate price per sq m (rent per sq m per month for homes to let)
     if (property.price && dimensions && dimensions.totalSqM) {
-        const priceNumber = extractPriceNumber(property.price);
-        console.log('💷 DEBUG: Extracted price number:', priceNumber);
-        if (priceNumber) {
-            const pricePerSqM = Math.round(priceNumber / dimensions.totalSqM);
-            cost.pricePerSqM = `£${pricePerSqM.toLocaleString()} per sq m`;
-            
-            if (cost.isRental) {
+        if (cost.isRental) {
+            const rent = parseRent(property.price);
+            if (rent) {
+                cost.pricePerSqM = `${formatRentAmount(Math.round(rent.monthly / dimensions.totalSqM * 100) / 100)} per sq m per month`;
                 cost.pricePerSqMNote = "Based on monthly rent";
             }
+        } else {
+            const priceNumber = extractPriceNumber(property.price);
+            console.log('💷 DEBUG: Extracted price number:', priceNumber);
+            if (priceNumber) {
+                const pricePerSqM = Math.round(priceNumber / dimensions.totalSqM);
+                cost.pricePerSqM = `£${pricePerSqM.toLocaleString()} per sq m`;
+            }
         }
     } else if (property.price) {
         cost.pricePerSqM = "N/A";
@@ -2587,10 +3538,10 @@ function analyzeCostInformation(property, dimensions) {
     // ENHANCED: Extract council tax (prioritize actual bands over TBC)
     const description = property.description || '';
     const councilTaxPatterns = [
-        /council\s*tax\s*band[:\s]*([a-h])/i,
-        /band[:\s]*([a-h])\s*council\s*tax/i,
-        /council\s*tax[:\s]*([a-h])/i,
-        /band[:\s]*([a-h])/i
+        /council\s*tax\s*band[:\s]*([a-h]|i\b)/i,
+        /band[:\s]*([a-h]|i\b)\s*council\s*tax/i,
+        /council\s*tax[:\s]*([a-h]|i\b)/i,
+        /band[:\s]*([a-h]|i\b)/i
     ];
 
     // First, look for actual council tax bands (A-H)
@@ -4193,6 +5144,196 @@ function getCityFromCoordinates(coordinates) {
     return null; // City not identified
 }
 
+// Read the current rating from an EPC chart image (URL or data URL) with Claude Vision
+async function analyzeEPCImageWithVision(imageUrl) {
+    const visionResponse = await axios.post('https://api.anthropic.com/v1/messages', {
+        model: 'claude-sonnet-4-20250514',
+        max_tokens: 600,
+        messages: [{
+            role: 'user',
+            content: [{
+                type: 'text',
+                text: `You are analyzing an EPC (Energy Performance Certificate) chart. 
+
+CRITICAL INSTRUCTIONS:
+1. There are TWO columns: "Current" (left) and "Potential" (right)
+2. I need the CURRENT rating only (left column)
+3. Look for the arrow in the CURRENT column that points to a letter band (A-G)
+4. The arrow color often matches the band color (F=orange, D=yellow, etc.)
+
+CURRENT RATING IDENTIFICATION:
+- Find the arrow in the LEFT column labeled "Current"
+- Identify which letter band (A, B, C, D, E, F, or G) the arrow points to
+- Note the numerical score if visible
+- Ignore the "Potential" column on the right
+
+SCORING RANGES (for validation):
+- A: 92-100 (dark green)
+- B: 81-91 (light green) 
+- C: 69-80 (yellow-green)
+- D: 55-68 (yellow)
+- E: 39-54 (orange)
+- F: 21-38 (red-orange)
+- G: 1-20 (red)
+
+Look carefully at the CURRENT column and tell me:
+1. Which letter band the arrow points to
+2. The numerical score if visible
+3. Verify the score matches the expected range for that letter
+
+RESPOND EXACTLY IN THIS FORMAT:
+Current Rating: [LETTER]
+Current Score: [NUMBER or "not visible"]
+Confidence: [PERCENTAGE]%
+
+Focus ONLY on the current rating (left column). Do not get confused by the potential rating.`
+            }, {
+                type: 'image',
+                source: {
+                    type: 'base64',
+                    media_type: getImageMediaType(imageUrl),
+                    data: await convertImageToBase64(imageUrl)
+                }
+            }]
+        }]
+    }, {
+        headers: {
+            'Content-Type': 'application/json',
+            'x-api-key': process.env.CLAUDE_API_KEY,
+            'anthropic-version': '2023-06-01'
+        },
+        timeout: 15000
+    });
+
+    const text = visionResponse.data.content[0].text;
+    console.log('🔍 IMPROVED Vision API response:', text);
+
+    // Try both the standard parsing AND the validation function
+    let epcResult = null;
+
+    // Standard parsing
+    const ratingMatch = text.match(/(?:Current\s+)?Rating:\s*([A-G])/i);
+    const scoreMatch = text.match(/(?:Current\s+)?Score:\s*(\d+)/i);
+
+    if (ratingMatch) {
+        epcResult = {
+            rating: ratingMatch[1].toUpperCase(),
+            score: scoreMatch ? parseInt(scoreMatch[1]) : null,
+            confidence: 75
+        };
+    }
+
+    // If standard parsing fails or gives weird results, use validation
+    if (!epcResult || !epcResult.rating) {
+        console.log('🔍 Standard parsing failed, trying validation approach...');
+        epcResult = validateEPCFromDescription(text);
+    }
+
+    // Final validation
+    if (epcResult && epcResult.rating && epcResult.score) {
+        const correctedResult = validateEPCFromDescription(`rating ${epcResult.rating} score ${epcResult.score}`);
+        if (correctedResult.rating !== epcResult.rating) {
+            console.log(`🔧 Final correction: ${epcResult.rating} → ${correctedResult.rating}`);
+            epcResult.rating = correctedResult.rating;
+        }
+    }
+
+    return epcResult;
+}
+
+// Accessibility observations from one listing photo with Claude Vision
+async function analyzeListingPhotoWithVision(imageUrl) {
+    const visionResponse = await axios.post('https://api.anthropic.com/v1/messages', {
+        model: 'claude-sonnet-4-20250514',
+        max_tokens: 500,
+        messages: [{
+            role: 'user',
+            content: [{
+                type: 'image',
+                source: {
+                    type: 'base64',
+                    media_type: getImageMediaType(imageUrl),
+                    data: await convertImageToBase64(imageUrl)
+                }
+            }, {
+                type: 'text',
+                text: PHOTO_VISION_PROMPT
+            }]
+        }]
+    }, {
+        headers: {
+            'Content-Type': 'application/json',
+            'x-api-key': process.env.CLAUDE_API_KEY,
+            'anthropic-version': '2023-06-01'
+        },
+        timeout: API_TIMEOUT_STANDARD
+    });
+
+    return parsePhotoObservations(visionResponse.data.content[0].text);
+}
+
+// Each labelled room's name, floor and written dimensions from one floorplan with Claude Vision
+async function analyzeFloorPlanForRoomDimensions(floorplanUrl) {
+    const visionResponse = await axios.post('https://api.anthropic.com/v1/messages', {
+        model: 'claude-sonnet-4-20250514',
+        max_tokens: 1500,
+        messages: [{
+            role: 'user',
+            content: [{
+                type: 'image',
+                source: {
+                    type: 'base64',
+                    media_type: getImageMediaType(floorplanUrl),
+                    data: await convertImageToBase64(floorplanUrl)
+                }
+            }, {
+                type: 'text',
+                text: FLOORPLAN_ROOMS_PROMPT
+            }]
+        }]
+    }, {
+        headers: {
+            'Content-Type': 'application/json',
+            'x-api-key': process.env.CLAUDE_API_KEY,
+            'anthropic-version': '2023-06-01'
+        },
+        timeout: API_TIMEOUT_STANDARD
+    });
+
+    return parseFloorplanRooms(visionResponse.data.content[0].text);
+}
+
+// Staircase shape, width and landing space from a floorplan with Claude Vision
+async function analyzeFloorPlanForStairs(floorplanUrl) {
+    const visionResponse = await axios.post('https://api.anthropic.com/v1/messages', {
+        model: 'claude-sonnet-4-20250514',
+        max_tokens: 400,
+        messages: [{
+            role: 'user',
+            content: [{
+                type: 'image',
+                source: {
+                    type: 'base64',
+                    media_type: getImageMediaType(floorplanUrl),
+                    data: await convertImageToBase64(floorplanUrl)
+                }
+            }, {
+                type: 'text',
+                text: STAIRS_VISION_PROMPT
+            }]
+        }]
+    }, {
+        headers: {
+            'Content-Type': 'application/json',
+            'x-api-key': process.env.CLAUDE_API_KEY,
+            'anthropic-version': '2023-06-01'
+        },
+        timeout: API_TIMEOUT_STANDARD
+    });
+
+    return parseStairsObservation(visionResponse.data.content[0].text);
+}
+
 // ✅ FULL PROPERTY SCRAPING - Restore all functionality
 async function scrapeRightmoveProperty(url) {
     try {
@@ -4230,9 +5371,14 @@ async function scrapeRightmoveProperty(url) {
         const propertyIdMatch = url.match(/properties\/(\d+)/);
         const propertyId = propertyIdMatch ? propertyIdMatch[1] : 'unknown';
 
+        // Structured fields from the embedded PAGE_MODEL; the heuristics below only fill what it lacks
+        const pageModel = readPageModelFields(extractPageModel(rightmoveResponse.data)) || {};
+        const fieldSources = {};
+        console.log(Object.keys(pageModel).length > 0 ? '🧩 Found PAGE_MODEL' : '⚠️ No PAGE_MODEL - falling back to HTML heuristics');
+
         // Extract coordinates
-        let coordinates = null;
-        let address = '';
+        let coordinates = pageModel.coordinates || null;
+        let address = pageModel.address || '';
         const scripts = $('script').toArray();
 
         scripts.forEach(script => {
@@ -4240,7 +5386,7 @@ async function scrapeRightmoveProperty(url) {
             const latLngMatch = scriptContent.match(/(?:lat|latitude)["\s]*[:=]\s*([+-]?\d+\.?\d*)/i);
             const lngMatch = scriptContent.match(/(?:lng|longitude|long)["\s]*[:=]\s*([+-]?\d+\.?\d*)/i);
 
-            if (latLngMatch && lngMatch) {
+            if (latLngMatch && lngMatch && !pageModel.coordinates) {
                 coordinates = {
                     lat: parseFloat(latLngMatch[1]),
                     lng: parseFloat(lngMatch[1])
@@ -4282,72 +5428,90 @@ async function scrapeRightmoveProperty(url) {
             });
         }
 
+        recordFieldSource(fieldSources, 'coordinates', coordinates, !!pageModel.coordinates);
+        recordFieldSource(fieldSources, 'address', address, !!pageModel.address);
+
         // Extract title, price, description
         const fullTitle = $('title').text();
-        const titleMatch = fullTitle.match(/(.+?) for sale/i);
-        const title = titleMatch ? titleMatch[1].trim() : fullTitle.split('open-rightmove')[0].trim();
+        const titleMatch = fullTitle.match(/(.+?) (?:for sale|to rent)/i);
+        const title = pageModel.title || (titleMatch ? titleMatch[1].trim() : fullTitle.split('open-rightmove')[0].trim());
+        recordFieldSource(fieldSources, 'title', title, !!pageModel.title);
+
+        // Lettings use the same page template; the URL channel or title says which this is
+        const listingType = pageModel.listingType ||
+            (/[?&#]channel=RES_LET\b/i.test(url) || /\bto rent\b/i.test(fullTitle) ? 'rent' : null);
+        recordFieldSource(fieldSources, 'listingType', listingType, !!pageModel.listingType);
 
 
         // Inside scrapeRightmoveProperty, after const $ = cheerio.load(rightmoveResponse.data);
 
         // Extract property images
-        const images = [];
+        const images = [...(pageModel.images || [])];
         console.log('🔍 Extracting property images...');
-        $('img').each((i, img) => {
-            const src = $(img).attr('src') || $(img).attr('data-src');
-            if (src) {
-                console.log(`   Image ${i}: ${src}`);
+        if (images.length === 0) {
+            $('img').each((i, img) => {
+                const src = $(img).attr('src') || $(img).attr('data-src');
+                if (src) {
+                    console.log(`   Image ${i}: ${src}`);
                 
-                // Filter for ACTUAL property photos
-                if ((src.includes('media.rightmove') || src.includes('rightmove.co.uk')) &&
-                    (src.includes('/property-photo/') || src.match(/IMG_\d+_\d+\.(jpeg|jpg|png)/i)) &&  // ← Accept EITHER format
-                    !src.includes('logo') && 
-                    !src.includes('icon') &&
-                    !src.includes('marker') &&
-                    !src.includes('epc') &&
-                    !src.includes('flp') &&
-                    !src.includes('_bp_') &&
-                    !src.includes('branch_logo') &&
-                    !src.includes('affiliation') &&
-                    !src.includes('svg')) {
-                    images.push(src);
-                    console.log('   ✅ Added as property image');
+                    // Filter for ACTUAL property photos
+                    if ((src.includes('media.rightmove') || src.includes('rightmove.co.uk')) &&
+                        (src.includes('/property-photo/') || src.match(/IMG_\d+_\d+\.(jpeg|jpg|png)/i)) &&  // ← Accept EITHER format
+                        !src.includes('logo') && 
+                        !src.includes('icon') &&
+                        !src.includes('marker') &&
+                        !src.includes('epc') &&
+                        !src.includes('flp') &&
+                        !src.includes('_bp_') &&
+                        !src.includes('branch_logo') &&
+                        !src.includes('affiliation') &&
+                        !src.includes('svg')) {
+                        images.push(src);
+                        console.log('   ✅ Added as property image');
+                    }
                 }
-            }
-        });
+            });
+        }
 
         console.log(`📊 Total property images found: ${images.length}`);
+        recordFieldSource(fieldSources, 'images', images, !!pageModel.images?.length);
         
         // Extract parking section
-        let parkingInfo = '';
-        $('dt, .key, [class*="key"]').each((i, el) => {
-            const keyText = $(el).text().toLowerCase().trim();
-            if (keyText === 'parking') {
-                const valueElement = $(el).next();
-                if (valueElement.length) {
-                    parkingInfo = valueElement.text().trim();
-                    console.log('🅿️ Found parking section:', parkingInfo);
+        let parkingInfo = pageModel.parkingInfo || '';
+        if (!parkingInfo) {
+            $('dt, .key, [class*="key"]').each((i, el) => {
+                const keyText = $(el).text().toLowerCase().trim();
+                if (keyText === 'parking') {
+                    const valueElement = $(el).next();
+                    if (valueElement.length) {
+                        parkingInfo = valueElement.text().trim();
+                        console.log('🅿️ Found parking section:', parkingInfo);
+                    }
                 }
-            }
-        });
+            });
+        }
+        recordFieldSource(fieldSources, 'parkingInfo', parkingInfo, !!pageModel.parkingInfo);
 
         // Extract garden section
-        let gardenInfo = '';
-        $('dt, .key, [class*="key"]').each((i, el) => {
-            const keyText = $(el).text().toLowerCase().trim();
-            if (keyText === 'garden') {
-                const valueElement = $(el).next();
-                if (valueElement.length) {
-                    gardenInfo = valueElement.text().trim();
-                    console.log('🌱 Found garden section:', gardenInfo);
+        let gardenInfo = pageModel.gardenInfo || '';
+        if (!gardenInfo) {
+            $('dt, .key, [class*="key"]').each((i, el) => {
+                const keyText = $(el).text().toLowerCase().trim();
+                if (keyText === 'garden') {
+                    const valueElement = $(el).next();
+                    if (valueElement.length) {
+                        gardenInfo = valueElement.text().trim();
+                        console.log('🌱 Found garden section:', gardenInfo);
+                    }
                 }
-            }
-        });
+            });
+        }
+        recordFieldSource(fieldSources, 'gardenInfo', gardenInfo, !!pageModel.gardenInfo);
 
         
         
         // Extract location (street and area) - appears above the map
-        let location = '';
+        let location = pageModel.address || '';
         
         // Try to find the location heading above the map
         const locationSelectors = [
@@ -4359,42 +5523,44 @@ async function scrapeRightmoveProperty(url) {
             '.PropertyTitle' // Another common class name
         ];
         
-        for (const selector of locationSelectors) {
-            const locationElements = $(selector);
-            locationElements.each((i, el) => {
-                const locationText = $(el).text().trim();
-                console.log(`🔍 Checking selector element: "${locationText}" (length: ${locationText.length})`);
+        if (!location) {
+            for (const selector of locationSelectors) {
+                const locationElements = $(selector);
+                locationElements.each((i, el) => {
+                    const locationText = $(el).text().trim();
+                    console.log(`🔍 Checking selector element: "${locationText}" (length: ${locationText.length})`);
                 
-                // Check if this looks like a location (has street/area pattern)
-                if (locationText && 
-                    locationText.length > 5 && 
-                    locationText.length < 70 && 
-                    !locationText.includes('£') &&
-                    !locationText.includes('bedroom') &&
-                    !locationText.includes('bathroom') &&
-                    !locationText.includes('Property') &&
-                    !locationText.includes('for sale') &&
-                    (locationText.includes('Street') || 
-                     locationText.includes('Road') || 
-                     locationText.includes('Avenue') || 
-                     locationText.includes('Lane') || 
-                     locationText.includes('Close') ||
-                     locationText.includes('Drive') ||
-                     locationText.includes('Place') ||
-                     locationText.includes(','))) {
+                    // Check if this looks like a location (has street/area pattern)
+                    if (locationText && 
+                        locationText.length > 5 && 
+                        locationText.length < 70 && 
+                        !locationText.includes('£') &&
+                        !locationText.includes('bedroom') &&
+                        !locationText.includes('bathroom') &&
+                        !locationText.includes('Property') &&
+                        !locationText.includes('for sale') &&
+                        (locationText.includes('Street') || 
+                         locationText.includes('Road') || 
+                         locationText.includes('Avenue') || 
+                         locationText.includes('Lane') || 
+                         locationText.includes('Close') ||
+                         locationText.includes('Drive') ||
+                         locationText.includes('Place') ||
+                         locationText.includes(','))) {
                     
-                    // Validate against coordinates if available
-                    if (!coordinates || validateLocationAgainstCoordinates(locationText, coordinates)) {
-                        location = locationText;
-                        console.log('Found location:', location);
-                        return false; // Break out of loop
-                    } else {
-                        console.log('🏠 Skipping location due to coordinate mismatch:', locationText);
+                        // Validate against coordinates if available
+                        if (!coordinates || validateLocationAgainstCoordinates(locationText, coordinates)) {
+                            location = locationText;
+                            console.log('Found location:', location);
+                            return false; // Break out of loop
+                        } else {
+                            console.log('🏠 Skipping location due to coordinate mismatch:', locationText);
+                        }
                     }
-                }
-            });
+                });
             
-            if (location) break;
+                if (location) break;
+            }
         }
         
         // Alternative: Look for location in the immediate vicinity of map-related elements
@@ -4488,11 +5654,14 @@ async function scrapeRightmoveProperty(url) {
                 .trim(); // Final trim
             console.log('Cleaned location:', location);
         }
+        recordFieldSource(fieldSources, 'location', location, !!pageModel.address);
         
-        const priceMatch = pageText.match(/£[\d,]+/g);
-        const price = priceMatch ? priceMatch[0] : 'Price not available';
+        const priceMatch = pageModel.price ? null :
+            ((listingType === 'rent' && pageText.match(/£[\d,]+\s*(?:pcm|pw)\b/i)) || pageText.match(/£[\d,]+/g));
+        const price = pageModel.price || (priceMatch ? priceMatch[0] : 'Price not available');
+        recordFieldSource(fieldSources, 'price', pageModel.price || priceMatch?.[0], !!pageModel.price);
 
-        let description = '';
+        let description = pageModel.description || '';
         const descriptionSelectors = [
             '[data-testid="property-description"]',
             '.property-description',
@@ -4503,20 +5672,22 @@ async function scrapeRightmoveProperty(url) {
             'main'
         ];
 
-        for (const selector of descriptionSelectors) {
-            const desc = $(selector).text().trim();
-            if (desc && desc.length > 50) {
-                description = desc;
-                console.log('🏠 DEBUG: Description length:', desc.length);
-                console.log('🏠 DEBUG: Description includes "council tax"?', desc.toLowerCase().includes('council tax'));
-                console.log('🏠 DEBUG: Description includes "front garden"?', desc.toLowerCase().includes('front garden'));
-                console.log('🏠 DEBUG: First 500 chars:', desc.substring(0, 500));
-                break;
+        if (!description) {
+            for (const selector of descriptionSelectors) {
+                const desc = $(selector).text().trim();
+                if (desc && desc.length > 50) {
+                    description = desc;
+                    console.log('🏠 DEBUG: Description length:', desc.length);
+                    console.log('🏠 DEBUG: Description includes "council tax"?', desc.toLowerCase().includes('council tax'));
+                    console.log('🏠 DEBUG: Description includes "front garden"?', desc.toLowerCase().includes('front garden'));
+                    console.log('🏠 DEBUG: First 500 chars:', desc.substring(0, 500));
+                    break;
+                }
             }
         }
 
         // If description doesn't include garden info, try to find and append it
-        if (description && !description.toLowerCase().includes('front garden') && !description.toLowerCase().includes('rear garden')) {
+        if (description && !pageModel.description && !description.toLowerCase().includes('front garden') && !description.toLowerCase().includes('rear garden')) {
             console.log('🌱 Description missing garden info, searching for Outside section...');
             const bodyText = $('body').text();
             const outsideMatch = bodyText.match(/Outside:[\s\S]*?(?=WORKSHOP:|Agent's Note|Mortgage|$)/i);
@@ -4526,6 +5697,8 @@ async function scrapeRightmoveProperty(url) {
             }
         }
 
+        recordFieldSource(fieldSources, 'description', description, !!pageModel.description);
+
         if (!description) {
             const textSections = pageText.split('\n').filter(line =>
                 line.length > 100 &&
@@ -4544,29 +5717,39 @@ async function scrapeRightmoveProperty(url) {
         console.log('🔍 All found images:', images?.slice(0, 5));
         console.log('🔍 Total images found:', images?.length);
         
-        let floorplan = await tryFloorplanURL(propertyId);
-        if (!floorplan) {
+        // Every plan: ground floor, first floor, outbuildings...
+        let floorplans = pageModel.floorplans?.length
+            ? pageModel.floorplans
+            : (await tryFloorplanURLs(propertyId)).map(url => ({ url: url, caption: null }));
+        if (floorplans.length === 0) {
             $('img').each((i, img) => {
                 const src = $(img).attr('src') || $(img).attr('data-src') || $(img).attr('data-lazy-src');
                 const alt = $(img).attr('alt') || '';
                 if (src && (alt.toLowerCase().includes('floorplan') ||
                     alt.toLowerCase().includes('floor plan') ||
-                    src.includes('floorplan') || src.includes('FLP'))) {
-                    floorplan = src;
+                    src.includes('floorplan') || src.includes('FLP')) &&
+                    !floorplans.some(plan => plan.url === src)) {
+                    floorplans.push({ url: src, caption: alt || null });
                 }
             });
         }
+        const floorplan = floorplans[0]?.url || null;
+        console.log(`📐 ${floorplans.length} floorplan${floorplans.length === 1 ? '' : 's'} found`);
 
         // Extract from Rightmove property details panel (format: "BEDROOMS  3" and "BATHROOMS  2")
         const bedroomMatch = pageText.match(/BEDROOMS\s*(\d+)/i);
         const bathroomMatch = pageText.match(/BATHROOMS\s*(\d+)/i);
+        const bedrooms = pageModel.bedrooms ?? (bedroomMatch ? parseInt(bedroomMatch[1]) : null);
+        const bathrooms = pageModel.bathrooms ?? (bathroomMatch ? parseInt(bathroomMatch[1]) : null);
 
-        console.log('🛏️ Bedroom match from panel:', bedroomMatch ? bedroomMatch[1] : 'not found');
-        console.log('🚿 Bathroom match from panel:', bathroomMatch ? bathroomMatch[1] : 'not found');
+        console.log('🛏️ Bedrooms:', bedrooms ?? 'not found');
+        console.log('🚿 Bathrooms:', bathrooms ?? 'not found');
+        recordFieldSource(fieldSources, 'bedrooms', bedrooms, pageModel.bedrooms != null);
+        recordFieldSource(fieldSources, 'bathrooms', bathrooms, pageModel.bathrooms != null);
 
         const features = [];
-        if (bedroomMatch) features.push(`${bedroomMatch[1]} bedroom${bedroomMatch[1] > 1 ? 's' : ''}`);
-        if (bathroomMatch) features.push(`${bathroomMatch[1]} bathroom${bathroomMatch[1] > 1 ? 's' : ''}`);
+        if (bedrooms) features.push(`${bedrooms} bedroom${bedrooms > 1 ? 's' : ''}`);
+        if (bathrooms) features.push(`${bathrooms} bathroom${bathrooms > 1 ? 's' : ''}`);
 
         if (description.toLowerCase().includes('garage')) features.push('garage');
         if (description.toLowerCase().includes('garden')) features.push('garden');
@@ -4575,9 +5758,14 @@ async function scrapeRightmoveProperty(url) {
         if (description.toLowerCase().includes('gas central heating')) features.push('gas central heating');
         if (description.toLowerCase().includes('double glazing')) features.push('double glazing');
 
+        // The agent's key features bullet list, as written
+        const keyFeatures = pageModel.keyFeatures || [];
+        features.push(...keyFeatures);
+        recordFieldSource(fieldSources, 'keyFeatures', keyFeatures, true);
+
         // ADD THIS SECTION: Extract tenure information
         console.log('🏠 Extracting tenure information...');
-        let tenure = null;
+        let tenure = pageModel.tenure || null;
         
         // Method 1: Look for structured tenure data
         const tenureSelectors = [
@@ -4587,12 +5775,14 @@ async function scrapeRightmoveProperty(url) {
             '[class*="tenure"]'
         ];
         
-        for (const selector of tenureSelectors) {
-            const tenureElement = $(selector);
-            if (tenureElement.length && tenureElement.text().trim()) {
-                tenure = tenureElement.text().trim();
-                console.log('Found tenure in structured data:', tenure);
-                break;
+        if (!tenure) {
+            for (const selector of tenureSelectors) {
+                const tenureElement = $(selector);
+                if (tenureElement.length && tenureElement.text().trim()) {
+                    tenure = tenureElement.text().trim();
+                    console.log('Found tenure in structured data:', tenure);
+                    break;
+                }
             }
         }
         
@@ -4650,10 +5840,11 @@ async function scrapeRightmoveProperty(url) {
         }
         
         console.log('Final tenure result:', tenure);
+        recordFieldSource(fieldSources, 'tenure', tenure, !!pageModel.tenure);
 
         // Extract Council Tax Band from structured section
         console.log('🏠 Extracting council tax band...');
-        let councilTaxBand = null;
+        let councilTaxBand = pageModel.councilTaxBand || null;
 
         // Method 1: Look for structured council tax data
         const councilTaxSelectors = [
@@ -4662,15 +5853,17 @@ async function scrapeRightmoveProperty(url) {
             '[class*="council"]'
         ];
 
-        for (const selector of councilTaxSelectors) {
-            const element = $(selector);
-            if (element.length) {
-                const text = element.text();
-                const bandMatch = text.match(/band[:\s]*([a-h])\b/i);
-                if (bandMatch) {
-                    councilTaxBand = `Band ${bandMatch[1].toUpperCase()}`;
-                    console.log('Found council tax in structured element:', councilTaxBand);
-                    break;
+        if (!councilTaxBand) {
+            for (const selector of councilTaxSelectors) {
+                const element = $(selector);
+                if (element.length) {
+                    const text = element.text();
+                    const bandMatch = text.match(/band[:\s]*([a-i])\b/i);
+                    if (bandMatch) {
+                        councilTaxBand = `Band ${bandMatch[1].toUpperCase()}`;
+                        console.log('Found council tax in structured element:', councilTaxBand);
+                        break;
+                    }
                 }
             }
         }
@@ -4683,7 +5876,7 @@ async function scrapeRightmoveProperty(url) {
                     const valueElement = $(el).next('dd, td, .property-detail-value, .value, span, div');
                     if (valueElement.length) {
                         const valueText = valueElement.text().trim();
-                        const bandMatch = valueText.match(/band[:\s]*([a-h])\b/i);
+                        const bandMatch = valueText.match(/band[:\s]*([a-i])\b/i);
                         if (bandMatch) {
                             councilTaxBand = `Band ${bandMatch[1].toUpperCase()}`;
                             console.log('Found council tax in key-value pair:', councilTaxBand);
@@ -4700,7 +5893,7 @@ async function scrapeRightmoveProperty(url) {
             const allText = `${description} ${features.join(' ')} ${fullPageText}`;
             
             // Priority pattern: "Council band E" from key features
-            const councilBandMatch = allText.match(/council\s+band\s+([a-h])\b/i);
+            const councilBandMatch = allText.match(/council\s+band\s+([a-i])\b/i);
             if (councilBandMatch) {
                 councilTaxBand = `Band ${councilBandMatch[1].toUpperCase()}`;
                 console.log('💷 Found "Council band" in text:', councilTaxBand);
@@ -4714,9 +5907,9 @@ async function scrapeRightmoveProperty(url) {
             
             // Look for other common patterns
             const patterns = [
-                /council\s+tax:\s+band\s+([a-h])\b/i,
-                /council\s+tax\s+band[:\s]+([a-h])\b/i,
-                /tax\s+band[:\s]+([a-h])\b/i
+                /council\s+tax:\s+band\s+([a-i])\b/i,
+                /council\s+tax\s+band[:\s]+([a-i])\b/i,
+                /tax\s+band[:\s]+([a-i])\b/i
             ];
             
             for (const pattern of patterns) {
@@ -4751,6 +5944,9 @@ async function scrapeRightmoveProperty(url) {
             leaseYears: null
         };
         
+        // PAGE_MODEL living costs win over these text heuristics, field by field
+        const modelLeasehold = pageModel.leaseholdDetails || {};
+        
         // Look for expandable sections or detailed property info
         const detailSections = $('.property-details, .leasehold-details, .expandable-section, .property-information');
         detailSections.each((i, section) => {
@@ -4877,6 +6073,14 @@ if (!leaseholdDetails.leaseYears) {
             }
         }
 
+        for (const field of ['serviceCharge', 'groundRent', 'leaseYears']) {
+            if (modelLeasehold[field]) leaseholdDetails[field] = modelLeasehold[field];
+            recordFieldSource(fieldSources, field, leaseholdDetails[field], !!modelLeasehold[field]);
+        }
+        // Ground rent review terms only come from the page model
+        leaseholdDetails.groundRentReviewYears = modelLeasehold.groundRentReviewYears || null;
+        leaseholdDetails.groundRentIncrease = modelLeasehold.groundRentIncrease || null;
+
         // ADD THIS NEW SECTION HERE - Handle null/empty ground rent values
         if (leaseholdDetails.groundRent === 'null' || 
             leaseholdDetails.groundRent === null || 
@@ -4899,6 +6103,10 @@ if (!leaseholdDetails.leaseYears) {
             numericalScore: 0
         };
 
+        // EPC graphs listed in PAGE_MODEL save re-fetching the page to find them
+        const epcGraphUrls = pageModel.epcGraphs?.length ? splitEpcUrls(pageModel.epcGraphs) : null;
+        let epcFromGraph = false;
+
         try {
             // STEP 1: Look for CLEAR text declarations first (highest priority)
             console.log('🔍 Step 1: Checking for clear EPC declarations in text...');
@@ -4952,7 +6160,7 @@ if (!leaseholdDetails.leaseYears) {
             if (!epcData.rating) {
                 console.log('🔍 Step 2: Searching for EPC files...');
                 
-                const epcUrls = await extractEPCFromRightmoveDropdown(url);
+                const epcUrls = epcGraphUrls || await extractEPCFromRightmoveDropdown(url);
                 
                 // Try PDFs first (text extraction - faster and more reliable)
                 for (const pdfUrl of epcUrls.pdfs.slice(0, 2)) {
@@ -4965,6 +6173,7 @@ if (!leaseholdDetails.leaseYears) {
                             reason: 'Extracted from EPC PDF',
                             numericalScore: 0
                         };
+                        epcFromGraph = true;
                         break;
                     }
                 }
@@ -4990,7 +6199,7 @@ if (!leaseholdDetails.leaseYears) {
             if (!epcData.rating) {
                 console.log('🔍 Step 3: Using enhanced text pattern matching...');
                 
-                const epcUrls = await extractEPCFromRightmoveDropdown(url);
+                const epcUrls = epcGraphUrls || await extractEPCFromRightmoveDropdown(url);
                 const epcImageUrls = [...epcUrls.images];  // Convert to array, copy the images array
 
                 // ENHANCED: Additional EPC image search
@@ -5024,111 +6233,20 @@ if (!leaseholdDetails.leaseYears) {
                         try {
                             console.log(`👁️ IMPROVED Vision API call for: ${imageUrl.substring(0, 100)}...`);
                             
-                            // Replace your existing Vision API call with this updated version:
-                            const visionResponse = await axios.post('https://api.anthropic.com/v1/messages', {
-                                model: 'claude-sonnet-4-20250514',
-                                max_tokens: 600,
-                                messages: [{
-                                    role: 'user',
-                                    content: [{
-                                        type: 'text',
-                                        text: `You are analyzing an EPC (Energy Performance Certificate) chart. 
-
-CRITICAL INSTRUCTIONS:
-1. There are TWO columns: "Current" (left) and "Potential" (right)
-2. I need the CURRENT rating only (left column)
-3. Look for the arrow in the CURRENT column that points to a letter band (A-G)
-4. The arrow color often matches the band color (F=orange, D=yellow, etc.)
-
-CURRENT RATING IDENTIFICATION:
-- Find the arrow in the LEFT column labeled "Current"
-- Identify which letter band (A, B, C, D, E, F, or G) the arrow points to
-- Note the numerical score if visible
-- Ignore the "Potential" column on the right
-
-SCORING RANGES (for validation):
-- A: 92-100 (dark green)
-- B: 81-91 (light green) 
-- C: 69-80 (yellow-green)
-- D: 55-68 (yellow)
-- E: 39-54 (orange)
-- F: 21-38 (red-orange)
-- G: 1-20 (red)
-
-Look carefully at the CURRENT column and tell me:
-1. Which letter band the arrow points to
-2. The numerical score if visible
-3. Verify the score matches the expected range for that letter
-
-RESPOND EXACTLY IN THIS FORMAT:
-Current Rating: [LETTER]
-Current Score: [NUMBER or "not visible"]
-Confidence: [PERCENTAGE]%
-
-Focus ONLY on the current rating (left column). Do not get confused by the potential rating.`
-        }, {
-            type: 'image',
-            source: {
-                type: 'base64',
-                media_type: imageUrl.toLowerCase().includes('.gif') ? 'image/gif' : 
-                          imageUrl.toLowerCase().includes('.png') ? 'image/png' : 'image/jpeg',
-                data: await convertImageToBase64(imageUrl)
-            }
-        }]
-    }]
-}, {
-    headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': process.env.CLAUDE_API_KEY,
-        'anthropic-version': '2023-06-01'
-    },
-    timeout: 15000
-});
-
-const text = visionResponse.data.content[0].text;
-console.log('🔍 IMPROVED Vision API response:', text);
-
-// Try both the standard parsing AND the validation function
-let epcResult = null;
-
-// Standard parsing
-const ratingMatch = text.match(/(?:Current\s+)?Rating:\s*([A-G])/i);
-const scoreMatch = text.match(/(?:Current\s+)?Score:\s*(\d+)/i);
-
-if (ratingMatch) {
-    epcResult = {
-        rating: ratingMatch[1].toUpperCase(),
-        score: scoreMatch ? parseInt(scoreMatch[1]) : null,
-        confidence: 75
-    };
-}
-
-// If standard parsing fails or gives weird results, use validation
-if (!epcResult || !epcResult.rating) {
-    console.log('🔍 Standard parsing failed, trying validation approach...');
-    epcResult = validateEPCFromDescription(text);
-}
+                            const epcResult = await cachedVision('epc', imageUrl, analyzeEPCImageWithVision, result => result && result.rating);
 
-// Final validation
-if (epcResult && epcResult.rating && epcResult.score) {
-    const correctedResult = validateEPCFromDescription(`rating ${epcResult.rating} score ${epcResult.score}`);
-    if (correctedResult.rating !== epcResult.rating) {
-        console.log(`🔧 Final correction: ${epcResult.rating} → ${correctedResult.rating}`);
-        epcResult.rating = correctedResult.rating;
-    }
-}
+                            if (epcResult && epcResult.rating) {
+                                epcData = {
+                                    rating: epcResult.rating,
+                                    score: epcResult.score,
+                                    confidence: epcResult.confidence,
+                                    reason: 'Improved Vision API analysis with validation',
+                                    numericalScore: epcResult.score || 0
+                                };
 
-if (epcResult && epcResult.rating) {
-    epcData = {
-        rating: epcResult.rating,
-        score: epcResult.score,
-        confidence: epcResult.confidence,
-        reason: 'Improved Vision API analysis with validation',
-        numericalScore: epcResult.score || 0
-    };
-    
-    console.log(`✅ Vision API result: ${epcData.rating} (score: ${epcData.score})`);
-           break;
+                                console.log(`✅ Vision API result: ${epcData.rating} (score: ${epcData.score})`);
+                                epcFromGraph = true;
+                                break;
                             }
                         } catch (imageError) {
                             console.log(`❌ Vision analysis failed: ${imageError.message}`);
@@ -5259,6 +6377,7 @@ if (epcResult && epcResult.rating) {
                             epcData.confidence > 70 ? 'Vision API (Medium)' : 
                             epcData.confidence > 60 ? 'Text Pattern (Medium)' : 'Not Found');
         console.log('Reason:', epcData.reason);
+        recordFieldSource(fieldSources, 'epcRating', epcData.rating, epcFromGraph && !!epcGraphUrls);
 
         console.log('Property scraping completed:', {
             title: title,
@@ -5277,12 +6396,27 @@ if (epcResult && epcResult.rating) {
             const fullPageText = $('body').text();
             const allTextSources = `${title} ${description} ${features.join(' ')} ${fullPageText}`.toLowerCase();
             
-            const councilTaxMatch = allTextSources.match(/council\s+tax:\s+band\s+([a-h])\b/i);
+            const councilTaxMatch = allTextSources.match(/council\s+tax:\s+band\s+([a-i])\b/i);
             if (councilTaxMatch) {
                 councilTaxBand = `Band ${councilTaxMatch[1].toUpperCase()}`;
                 console.log('✅ Found council tax in full text:', councilTaxBand);
             }
         }
+        recordFieldSource(fieldSources, 'councilTaxBand', councilTaxBand, !!pageModel.councilTaxBand);
+
+        // Listing status: the PAGE_MODEL flags, else the banner Rightmove shows on the page;
+        // left unknown when neither says, rather than guessed as available
+        let status = pageModel.status || null;
+        if (!status) {
+            const bannerText = $('[class*="tag"], [class*="Tag"], [class*="status"], [data-testid*="status"]').text().toLowerCase();
+            if (/this property has been removed/i.test(pageText)) status = 'removed';
+            else if (/sold\s*stc|sold subject to contract/.test(bannerText)) status = 'sold-stc';
+            else if (bannerText.includes('under offer')) status = 'under-offer';
+            else if (bannerText.includes('let agreed')) status = 'let-agreed';
+        }
+        recordFieldSource(fieldSources, 'status', status, !!pageModel.status);
+        recordFieldSource(fieldSources, 'floorplan', floorplan, !!pageModel.floorplans?.length);
+        console.log('🧩 Field sources:', fieldSources);
 
         // Just before return statement in scrapeRightmoveProperty()
         const fullPageText = $('body').text();
@@ -5298,16 +6432,27 @@ if (epcResult && epcResult.rating) {
             fullPageText: fullPageText,
             features: features,
             images: images.slice(0, 5),
+            photos: images,
             floorplan: floorplan,
             epc: epcData,
             epcRating: epcData.rating,
             address: address || 'Address not found',
+            // Full postcode when the page model has the incode, else just the outcode
+            postcode: pageModel.postcode || null,
             coordinates: coordinates,
             tenure: tenure,
             leaseholdDetails: leaseholdDetails,
             councilTaxBand: councilTaxBand,
             dimensions: await extractDimensions(description, title, features),
-            bathrooms: bathroomMatch ? parseInt(bathroomMatch[1]) : null
+            bedrooms: bedrooms,
+            bathrooms: bathrooms,
+            keyFeatures: keyFeatures,
+            rooms: pageModel.rooms || [],
+            floorplans: floorplans,
+            status: status,
+            listingType: listingType,
+            lettings: pageModel.lettings || null,
+            fieldSources: fieldSources
         };
 
     } catch (error) {
@@ -5324,217 +6469,546 @@ if (epcResult && epcResult.rating) {
     }
 }
 
-// ✅ UPDATED ACCESSIBILITY ANALYSIS with new Accessible Features
-async function analyzePropertyAccessibility(property) {
-    console.log('Starting comprehensive property analysis...');
-    
-    // Step 1: Analyze GP proximity
-    let gpProximity = null;
-    if (property.coordinates) {
-        try {
-            const gpResult = await analyzeGPProximity(property.coordinates.lat, property.coordinates.lng);
-            
-            // Transform new structure to match what frontend expects
-            gpProximity = {
-                score: gpResult.score,
-                rating: gpResult.rating,
-                details: gpResult.details,
-                nearestGPs: gpResult.nearestGPs  // Pass the array through
-            };
-        } catch (error) {
-            console.error('GP proximity analysis failed:', error.message);
-            gpProximity = {
-                score: 0,
-                rating: 'Very Poor',
-                nearestGPs: [],
-                details: 'Unable to analyze GP proximity'
-            };
-        }
+// =============================================
+// LISTING SOURCES
+// =============================================
+
+// Rightmove keeps its dedicated scraper; other portals live in listing-sources.js
+class RightmoveSource extends ListingSource {
+    constructor() {
+        super('rightmove', 'Rightmove', ['rightmove.co.uk']);
     }
 
-    
-    // Step 2: Get EPC rating from property data
-let epcRating = null;
-if (property.epc && property.epc.rating && property.epc.confidence >= 50) {
-    epcRating = property.epc.rating;
-} else if (property.epcRating) {
-    epcRating = property.epcRating;
-}
+    // Plain numeric IDs, as stored before other portals were supported
+    getListingId(url) {
+        const match = url.match(/properties\/(\d+)/);
+        return match ? match[1] : super.getListingId(url);
+    }
 
-// Calculate score and details
-const epcAnalysis = calculateEPCScore(epcRating);
-const epcScore = epcAnalysis.score;
-const epcDetails = epcAnalysis.description;
-    
-    // Step 3: NEW - Analyze Accessible Features (replaces internal facilities)
-    console.log('🏠 Analyzing accessible features...');
-    const accessibleFeatures = await calculateAccessibleFeaturesScore(property);
-    
-    // Step 4: NEW - Analyze Public Transport
-    let publicTransport = null;
-    if (property.coordinates) {
-        console.log('🚌 Analyzing public transport...');
-        try {
-            publicTransport = await analyzePublicTransport(property.coordinates.lat, property.coordinates.lng);
-        } catch (error) {
-            console.error('Public transport analysis failed:', error.message);
-            publicTransport = {
-                score: 2,
-                busStops: [],
-                trainStations: [],
-                summary: 'Public transport analysis unavailable'
-            };
-        }
-    } else {
-        publicTransport = {
-            score: 2,
-            busStops: [],
-            trainStations: [],
-            summary: 'Property location coordinates not available for public transport analysis'
-        };
+    async scrape(url) {
+        const property = await scrapeRightmoveProperty(url);
+        return { ...property, source: this.name };
     }
+}
 
-    // Step 5: NEW - Analyze Property Dimensions  
-    console.log('📐 Analyzing property dimensions...');
-    const dimensions = property.dimensions || null;
+const listingSources = createListingSourceRegistry().register(new RightmoveSource());
 
-    // Step 5b: Calculate Room Score
-    console.log('🏠 Calculating room accommodation score...');
-    const roomScore = await calculateRoomScore(property);
-    console.log(`🏠 Room Score: ${roomScore.rawScore}/${roomScore.maxPossible} → ${roomScore.score}/5`);
-    console.log('✅ Rooms found:', roomScore.roomsFound);
+/**
+ * Scrape a listing from any supported portal into the normalised property object
+ * @param {string} url - Listing URL (Rightmove, Zoopla, OnTheMarket or an agent website)
+ * @returns {Promise<Object>} Normalised property, with source and listingId set
+ */
+async function scrapeListing(url) {
+    const source = listingSources.resolve(url);
+    if (!source) {
+        throw new Error('Unsupported listing URL');
+    }
 
-    
+    console.log(`🌐 Using ${source.label} adapter for:`, url);
 
-    // ADD THIS NEW STEP 6:
-    // Step 6: NEW - Analyze Cost Information
-    console.log('💷 Analyzing cost information...');
-    const cost = analyzeCostInformation(property, dimensions);
-    
-    // Step 6b: Calculate Council Tax Score
-console.log('💷 Calculating council tax score...');
-console.log('💷 DEBUG: cost.councilTax value:', cost.councilTax);
-const councilTaxAnalysis = calculateCouncilTaxScore(cost.councilTax);
+    let property;
+    try {
+        property = await source.scrape(url);
+    } catch (error) {
+        console.error(`❌ ${source.label} scrape failed:`, error.message);
+        throw new Error(`Failed to scrape property data from ${source.label}`);
+    }
 
+    if (!property.dimensions) {
+        property.dimensions = await extractDimensions(property.description, property.title, property.features || []);
+    }
+    if (!property.coordinates) {
+        property.coordinates = await getPropertyCoordinates(property.address, null);
+    }
+    property.source = property.source || source.name;
+    property.listingId = source.getListingId(url);
 
-// Step 6c: Calculate Price Per Sq M Score
-console.log('💷 Calculating price per sq m score...');
-let pricePerSqMAnalysis = { score: null, rating: 'Unknown', description: 'Not available' };
+    return property;
+}
 
-if (cost.pricePerSqM && !cost.pricePerSqM.includes('Unable')) {
-    // Extract numeric value from "£4,412 per sq m"
-    const priceMatch = cost.pricePerSqM.match(/£([\d,]+)/);
-    if (priceMatch) {
-        const priceNumber = parseInt(priceMatch[1].replace(/,/g, ''));
-        pricePerSqMAnalysis = calculatePricePerSqMScore(priceNumber);
+/**
+ * A council's band charges, resolving the council from the postcode or coordinates.
+ * Null when the charges table isn't configured, or the council can't be found or isn't in it.
+ * @param {string|null} postcode - Full postcode or district
+ * @param {{lat: number, lng: number}|null} coordinates
+ * @returns {Promise<Object|null>}
+ */
+async function findCouncilTaxCharges(postcode, coordinates) {
+    if (!councilTaxCharges.isConfigured() || (!postcode && !coordinates)) return null;
+    try {
+        // Same order resolveAuthority() tries: full postcode, coordinates, then district
+        const compact = String(postcode || '').replace(/\s+/g, '').toUpperCase();
+        const key = /\d[A-Z]{2}$/.test(compact) || !coordinates ? compact : coordinateKey(coordinates.lat, coordinates.lng);
+        const authority = await analysisCache.remember('council-authority', key, GEODATA_CACHE_TTL,
+            () => councilTaxCharges.resolveAuthority({ postcode, coordinates }), result => !!result);
+        const charges = await councilTaxCharges.find(authority);
+        if (authority && !charges) console.log(`⚠️ No council tax charges for ${authority.name}`);
+        return charges;
+    } catch (error) {
+        console.log('⚠️ Council tax charges lookup failed:', error.message);
+        return null;
     }
 }
 
-// Step 6d: Calculate Property Tax Score (SDLT/LTT/LBTT based on location)
-console.log('💷 Calculating property tax score...');
+/**
+ * Cost step of the analysis: council tax, price per sq m, property tax and monthly
+ * running costs, combined into the Property Cost score
+ * @param {Object} property - Normalised property object
+ * @param {Object|null} dimensions - From extractDimensions()
+ * @param {Object|null} [epcCertificate] - From the EPC register, for floor area and heating
+ * @param {Object} [buyerProfile] - From validateBuyerProfile(): property tax rates and council tax discounts
+ * @returns {Promise<Object>}
+ */
+async function analyzePropertyCosts(property, dimensions, epcCertificate = null, buyerProfile = DEFAULT_BUYER_PROFILE) {
+    console.log('💷 Analyzing cost information...');
+    const cost = analyzeCostInformation(property, dimensions);
 
-// Extract postcode from location string (e.g., "Knights Green, Flint, CH6")
-let postcode = null;
-if (property.location) {
-    const postcodeMatch = property.location.match(/\b([A-Z]{1,2}\d{1,2}[A-Z]?)(?:\s*\d[A-Z]{2})?\b/i);
-    if (postcodeMatch) {
-        postcode = postcodeMatch[1].toUpperCase();
-        console.log('📮 Extracted postcode from location:', postcode);
+    // Postcode district: picks the local price benchmark, which property tax applies and
+    // whether the home pays council tax or (in Northern Ireland) domestic rates
+    // Extract postcode from location string (e.g., "Knights Green, Flint, CH6")
+    let postcode = null;
+    if (property.location) {
+        const postcodeMatch = property.location.match(/\b([A-Z]{1,2}\d{1,2}[A-Z]?)(?:\s*\d[A-Z]{2})?\b/i);
+        if (postcodeMatch) {
+            postcode = postcodeMatch[1].toUpperCase();
+            console.log('📮 Extracted postcode from location:', postcode);
+        }
     }
-}
 
-// Fallback: reverse geocode from coordinates to get postcode
-if (!postcode && property.coordinates) {
-    try {
-        const geocodeUrl = `https://maps.googleapis.com/maps/api/geocode/json?latlng=${property.coordinates.lat},${property.coordinates.lng}&key=${process.env.GOOGLE_MAPS_API_KEY}`;
-        const geocodeResponse = await axios.get(geocodeUrl);
-        
-        if (geocodeResponse.data.results && geocodeResponse.data.results[0]) {
-            const components = geocodeResponse.data.results[0].address_components;
-            const postcodeComponent = components.find(c => c.types.includes('postal_code'));
-            if (postcodeComponent) {
-                postcode = postcodeComponent.short_name.split(' ')[0].toUpperCase();
-                console.log('📮 Extracted postcode from reverse geocoding:', postcode);
+    // Fallback: reverse geocode from coordinates to get postcode
+    if (!postcode && property.coordinates) {
+        try {
+            const geocodeUrl = `https://maps.googleapis.com/maps/api/geocode/json?latlng=${property.coordinates.lat},${property.coordinates.lng}&key=${process.env.GOOGLE_MAPS_API_KEY}`;
+            const geocodeResponse = await axios.get(geocodeUrl);
+
+            if (geocodeResponse.data.results && geocodeResponse.data.results[0]) {
+                const components = geocodeResponse.data.results[0].address_components;
+                const postcodeComponent = components.find(c => c.types.includes('postal_code'));
+                if (postcodeComponent) {
+                    postcode = postcodeComponent.short_name.split(' ')[0].toUpperCase();
+                    console.log('📮 Extracted postcode from reverse geocoding:', postcode);
+                }
             }
+        } catch (error) {
+            console.log('📮 Reverse geocoding failed:', error.message);
         }
-    } catch (error) {
-        console.log('📮 Reverse geocoding failed:', error.message);
     }
-}
 
-if (!postcode) {
-    console.log('📮 No postcode found, defaulting to England');
-}
+    if (!postcode) {
+        console.log('📮 No postcode found, defaulting to England');
+    }
+    const taxPostcode = property.postcode || postcode;
+    const country = detectCountryFromPostcode(taxPostcode);
+    cost.country = country;
 
-let stampDutyAnalysis = { 
-    score: null, 
-    rating: 'Unknown', 
-    description: 'Not available', 
-    amount: null, 
-    percentage: null,
-    taxName: 'Stamp Duty',
-    taxNameFull: 'Stamp Duty Land Tax',
-    country: 'england'
-};
+    // Calculate Council Tax Score (domestic rates in Northern Ireland, where bands don't exist)
+    console.log('💷 Calculating council tax score...');
+    const reliefs = { singlePerson: !!buyerProfile.singlePerson, disabilityReduction: !!buyerProfile.disabilityReduction };
+    if (country === 'northern-ireland') {
+        cost.councilTax = null;
+        cost.domesticRates = estimateDomesticRates({
+            price: cost.isRental ? null : extractPriceNumber(property.price),
+            listingText: `${property.description || ''} ${(property.features || []).join(' ')}`,
+            ...reliefs
+        });
+        console.log('💷 Domestic rates:', cost.domesticRates ? `£${cost.domesticRates.annual} (${cost.domesticRates.basis})` : 'not known');
+    } else if (normaliseBand(cost.councilTax, country)) {
+        // The council's own charges when the table covers it, else the national average
+        const charges = await findCouncilTaxCharges(taxPostcode, property.coordinates);
+        cost.councilTaxEstimate = estimateCouncilTax(cost.councilTax, country, { charges, ...reliefs });
+        console.log(`💷 Council tax: £${cost.councilTaxEstimate.annual} a year (${cost.councilTaxEstimate.basis})`);
+    }
+    console.log('💷 DEBUG: cost.councilTax value:', cost.councilTax);
+    const councilTaxAnalysis = calculateCouncilTaxScore(cost.councilTax, country, cost.domesticRates || cost.councilTaxEstimate);
+
+    // Calculate Price Per Sq M Score
+    console.log('💷 Calculating price per sq m score...');
+    let pricePerSqMAnalysis = { score: null, rating: 'Unknown', description: 'Not available' };
+
+    if (cost.pricePerSqM && cost.isRental) {
+        // Extract numeric value from "£15.40 per sq m per month"
+        const rentMatch = cost.pricePerSqM.match(/£([\d,.]+)/);
+        if (rentMatch) {
+            pricePerSqMAnalysis = calculateRentPerSqMScore(parseFloat(rentMatch[1].replace(/,/g, '')));
+        }
+    } else if (cost.pricePerSqM && !cost.pricePerSqM.includes('Unable')) {
+        // Extract numeric value from "£4,412 per sq m"
+        const priceMatch = cost.pricePerSqM.match(/£([\d,]+)/);
+        if (priceMatch) {
+            const priceNumber = parseInt(priceMatch[1].replace(/,/g, ''));
+            // Ranked against local sales when the dataset covers the area, else the national ladder
+            const benchmark = await priceBenchmarks.compare(priceNumber, property.postcode || postcode).catch(error => {
+                console.log('⚠️ Price benchmark lookup failed:', error.message);
+                return null;
+            });
+            if (benchmark) {
+                console.log(`💷 Local benchmark: ${benchmark.percentile}th percentile of ${benchmark.sales} sales in ${benchmark.area}`);
+            }
+            pricePerSqMAnalysis = calculatePricePerSqMScore(priceNumber, benchmark);
+        }
+    }
+
+    // Calculate Property Tax Score (SDLT/LTT/LBTT based on location)
+    console.log('💷 Calculating property tax score...');
+    let stampDutyAnalysis = { 
+        score: null, 
+        rating: 'Unknown', 
+        description: 'Not available', 
+        amount: null, 
+        percentage: null,
+        taxName: 'Stamp Duty',
+        taxNameFull: 'Stamp Duty Land Tax',
+        country
+    };
 
-// Parse property price
-let propertyPriceNumber = null;
-if (property.price) {
-    const priceMatch = String(property.price).match(/[\d,]+/);
-    if (priceMatch) {
-        propertyPriceNumber = parseInt(priceMatch[0].replace(/,/g, ''));
-        stampDutyAnalysis = calculatePropertyTaxScore(propertyPriceNumber, postcode);
-        console.log(`💷 ${stampDutyAnalysis.taxName} (${stampDutyAnalysis.country}): £${stampDutyAnalysis.amount}`);
+    // Tenants pay no SDLT/LTT/LBTT; the deposit caps for the nation apply instead
+    let propertyPriceNumber = null;
+    if (cost.isRental) {
+        const { taxName, taxNameFull } = calculatePropertyTax(0, taxPostcode);
+        stampDutyAnalysis = { ...stampDutyAnalysis, taxName, taxNameFull, rating: 'Not applicable', description: `No ${taxName} is payable when renting`, notApplicable: true };
+        cost.rental = analyzeRentalCosts(property, country);
+        if (cost.rental) {
+            console.log(`💷 Rental: ${cost.rental.rentText}, deposit cap ${cost.rental.depositCap !== null ? formatRentAmount(cost.rental.depositCap) : 'none'} (${country})`);
+        }
+    } else if (property.price) {
+        const priceMatch = String(property.price).match(/[\d,]+/);
+        if (priceMatch) {
+            propertyPriceNumber = parseInt(priceMatch[0].replace(/,/g, ''));
+            stampDutyAnalysis = calculatePropertyTaxScore(propertyPriceNumber, taxPostcode, buyerProfile);
+            console.log(`💷 ${stampDutyAnalysis.taxName} (${stampDutyAnalysis.country}): £${stampDutyAnalysis.amount}`);
+        }
     }
-}
 
-// Step 6e: Calculate combined Property Cost Score
-let propertyCostScore = null;
-let propertyCostRating = 'Unknown';
-const availableScores = [];
+    // Monthly running costs: energy, council tax, service charge and ground rent
+    cost.runningCosts = estimateRunningCosts({
+        epcRating: property.epc?.confidence >= EPC_CONFIDENCE_THRESHOLD ? property.epc.rating : property.epcRating,
+        floorAreaSqM: dimensions?.totalSqM || null,
+        certificateFloorAreaSqM: epcCertificate?.floorAreaSqM || null,
+        bedrooms: property.bedrooms ?? null,
+        certificateHeating: [epcCertificate?.heating?.description, epcCertificate?.heating?.fuel].filter(Boolean).join(', '),
+        listingText: `${property.description || ''} ${(property.features || []).join(' ')}`,
+        councilTax: cost.councilTaxEstimate || null,
+        country: country,
+        domesticRates: cost.domesticRates || null,
+        serviceCharge: cost.serviceCharge,
+        groundRent: cost.groundRent,
+        isRental: cost.isRental
+    });
+    const runningCostAnalysis = calculateRunningCostScore(cost.runningCosts);
+    console.log(`💷 Running costs: £${cost.runningCosts.totalMonthly} a month`, cost.runningCosts.items.map(item => `${item.label} £${item.monthly}`));
+
+    // Lease terms a buyer should raise with a solicitor; tenants don't carry them
+    if (!cost.isRental) {
+        cost.leaseholdRisk = assessLeaseholdRisk({
+            tenure: property.tenure,
+            leaseholdInfo: cost.leaseholdInfo,
+            leaseholdDetails: property.leaseholdDetails,
+            serviceCharge: cost.serviceCharge,
+            groundRent: cost.groundRent,
+            price: propertyPriceNumber,
+            listingText: `${property.description || ''} ${(property.features || []).join(' ')}`
+        });
+        if (cost.leaseholdRisk) {
+            console.log(`🏢 Leasehold: ${cost.leaseholdRisk.rating}`, cost.leaseholdRisk.risks.map(risk => risk.label));
+        }
+    }
 
-if (councilTaxAnalysis.score !== null) {
-    availableScores.push(councilTaxAnalysis.score);
-}
-if (pricePerSqMAnalysis.score !== null) {
-    availableScores.push(pricePerSqMAnalysis.score);
-}
-if (stampDutyAnalysis.score !== null) {
-    availableScores.push(stampDutyAnalysis.score);
-}
+    // Calculate combined Property Cost Score
+    let propertyCostScore = null;
+    let propertyCostRating = 'Unknown';
+    const availableScores = [];
 
-if (availableScores.length > 0) {
-    propertyCostScore = availableScores.reduce((a, b) => a + b, 0) / availableScores.length;
-    propertyCostRating = getScoreRating(propertyCostScore);
-    console.log(`💷 Property Cost: ${availableScores.length} score(s) available, averaged to ${propertyCostScore.toFixed(1)}`);
+    if (councilTaxAnalysis.score !== null) {
+        availableScores.push(councilTaxAnalysis.score);
+    }
+    if (pricePerSqMAnalysis.score !== null) {
+        availableScores.push(pricePerSqMAnalysis.score);
+    }
+    if (stampDutyAnalysis.score !== null) {
+        availableScores.push(stampDutyAnalysis.score);
+    }
+    if (runningCostAnalysis.score !== null) {
+        availableScores.push(runningCostAnalysis.score);
+    }
+
+    if (availableScores.length > 0) {
+        propertyCostScore = availableScores.reduce((a, b) => a + b, 0) / availableScores.length;
+        propertyCostRating = getScoreRating(propertyCostScore);
+        console.log(`💷 Property Cost: ${availableScores.length} score(s) available, averaged to ${propertyCostScore.toFixed(1)}`);
+    }
+
+    return {
+        cost,
+        councilTaxAnalysis,
+        pricePerSqMAnalysis,
+        stampDutyAnalysis,
+        runningCostAnalysis,
+        propertyCostScore,
+        propertyCostRating
+    };
 }
 
+// ✅ UPDATED ACCESSIBILITY ANALYSIS with new Accessible Features
+// Each step runs through job.runStep() so progress can be streamed and a slow or
+// failed step is marked unavailable instead of failing the whole analysis
+async function analyzePropertyAccessibility(property, scoringProfile = resolveScoringProfile('standard'), job = new AnalysisJob(), buyerProfile = DEFAULT_BUYER_PROFILE) {
+    console.log(`Starting comprehensive property analysis (${scoringProfile.name} profile)...`);
+    
+    // Step 1: Analyze GP proximity
+    let gpProximity = null;
+    if (property.coordinates) {
+        gpProximity = await job.runStep('gp', async () => {
+            const gpResult = await analysisCache.remember(
+                'gp',
+                coordinateKey(property.coordinates.lat, property.coordinates.lng),
+                GEODATA_CACHE_TTL,
+                () => analyzeGPProximity(property.coordinates.lat, property.coordinates.lng),
+                result => result && result.details !== 'Unable to analyze GP proximity'
+            );
+            
+            // Transform new structure to match what frontend expects
+            return {
+                score: gpResult.score,
+                rating: gpResult.rating,
+                details: gpResult.details,
+                nearestGPs: gpResult.nearestGPs  // Pass the array through
+            };
+        }, {
+            timeout: ANALYSIS_STEP_TIMEOUT,
+            fallback: {
+                score: 0,
+                rating: 'Very Poor',
+                nearestGPs: [],
+                details: 'Unable to analyze GP proximity'
+            }
+        });
+    } else {
+        gpProximity = await job.runStep('gp', () => ({
+            score: 0,
+            rating: 'Very Poor',
+            nearestGPs: [],
+            details: 'Property location not available for GP analysis'
+        }));
+    }
+
+    
+    // Step 2: Get EPC rating, from the official register when the address matches a
+    // certificate, otherwise from what was scraped off the listing
+    let epcCertificate = null;
+    const epcAnalysis = await job.runStep('epc', async () => {
+        epcCertificate = await analysisCache.remember(
+            'epc-register',
+            `${property.postcode || ''}|${property.address || ''}`.toLowerCase(),
+            GEODATA_CACHE_TTL,
+            () => epcRegister.lookup({ address: property.address, postcode: property.postcode }).catch(error => {
+                // The scraped rating still stands if the register is down
+                console.log('⚠️ EPC register lookup failed:', error.message);
+                return null;
+            }),
+            certificate => !!certificate
+        );
+
+        if (epcCertificate?.currentRating) {
+            console.log(`📜 EPC register: ${epcCertificate.currentRating} (${epcCertificate.lodgementDate}) for ${epcCertificate.address}`);
+            property.epc = {
+                rating: epcCertificate.currentRating,
+                score: epcCertificate.currentEfficiency,
+                confidence: 100,
+                reason: `EPC register certificate lodged ${epcCertificate.lodgementDate || 'on an unknown date'}`,
+                numericalScore: epcCertificate.currentEfficiency || 0
+            };
+            property.epcRating = epcCertificate.currentRating;
+        }
 
-// Updated overall score calculation - only include available metrics
-let scoresToAverage = [
-    gpProximity.score, 
-    accessibleFeatures.score, 
-    publicTransport.score, 
-    roomScore.score
-];
+        let epcRating = null;
+        if (property.epc && property.epc.rating && property.epc.confidence >= EPC_CONFIDENCE_THRESHOLD) {
+            epcRating = property.epc.rating;
+        } else if (property.epcRating) {
+            epcRating = property.epcRating;
+        }
+        return calculateEPCScore(epcRating);
+    }, {
+        timeout: ANALYSIS_STEP_TIMEOUT,
+        fallback: { score: null, description: 'EPC rating unavailable' }
+    });
+    const epcScore = epcAnalysis.score;
+    const epcDetails = epcAnalysis.description;
+    
+    // Step 3: Look at every listing photo for steps, stairlifts, showers, rails and gardens.
+    // Each photo is cached, so a pass that times out still speeds up the next analysis.
+    const photos = property.photos || property.images || [];
+    const photoObservations = await job.runStep('photos', async () => {
+        if (photos.length === 0 || !process.env.CLAUDE_API_KEY) return [];
+        console.log(`📷 Analyzing ${photos.length} listing photos...`);
+        const observations = await observeListingPhotos(photos, url => cachedVision('photo', url, analyzeListingPhotoWithVision, Array.isArray));
+        console.log(`📷 ${observations.length} photo observations:`, observations.map(o => `${o.feature} (photo ${o.image.index})`));
+        return observations;
+    }, {
+        timeout: PHOTO_STEP_TIMEOUT,
+        fallback: []
+    });
 
-// Only include EPC if it was actually found
-if (epcScore !== null) {
-    scoresToAverage.push(epcScore);
-}
+    // Step 4: Read every floorplan and group its rooms by floor
+    const floorplans = property.floorplans?.length ? property.floorplans : (property.floorplan ? [{ url: property.floorplan, caption: null }] : []);
+    const floorplanRooms = await job.runStep('floorplans', async () => {
+        if (floorplans.length === 0 || !process.env.CLAUDE_API_KEY) return [];
+        console.log(`📐 Reading ${floorplans.length} floorplan${floorplans.length === 1 ? '' : 's'}...`);
+        return readFloorplans(floorplans, url => cachedVision('floorplan-levels', url, analyzeFloorPlanForRoomDimensions, Array.isArray));
+    }, {
+        timeout: ANALYSIS_STEP_TIMEOUT,
+        fallback: []
+    });
+    const floorplanLevels = floorplanRooms.length > 0 ? summariseFloorLevels(floorplanRooms) : null;
+    if (floorplanLevels) {
+        console.log('📐 Floorplan levels:', floorplanLevels.levels.map(level => `${level.label}: ${level.rooms.map(room => room.name).join(', ')}`));
+    }
+
+    // Step 5: Analyze Accessible Features and Room Score (both may use floorplan vision)
+    const { accessibleFeatures, roomScore } = await job.runStep('features', async () => {
+        console.log('🏠 Analyzing accessible features...');
+        const accessibleFeatures = await calculateAccessibleFeaturesScore(property, scoringProfile.criteriaWeights, photoObservations, floorplanLevels);
+
+        console.log('🏠 Calculating room accommodation score...');
+        const roomScore = await calculateRoomScore(property);
+        console.log(`🏠 Room Score: ${roomScore.rawScore}/${roomScore.maxPossible} → ${roomScore.score}/5`);
+        console.log('✅ Rooms found:', roomScore.roomsFound);
+
+        return { accessibleFeatures, roomScore };
+    }, {
+        timeout: ANALYSIS_STEP_TIMEOUT,
+        fallback: {
+            accessibleFeatures: {
+                score: 0,
+                displayScore: 0,
+                maxScore: 5,
+                features: [],
+                percentage: 0,
+                externalAccessWarning: false,
+                details: { isSingleLevel: false, isFlat: false, hasAnyLift: false, isUpperFloorFlat: false, floorLevel: null }
+            },
+            roomScore: { score: 0, roomsFound: [], rawScore: 0, maxPossible: 6 }
+        }
+    });
+    
+    // Step 6: Could the stairs take a stairlift? Only asked of homes with internal stairs.
+    const stairlift = await job.runStep('stairlift', async () => {
+        const details = accessibleFeatures.details || {};
+        const hasInternalStairs = !details.stepFreeInternal && !details.isSingleLevel && (!!details.isMultiLevel || !!floorplanLevels?.multiLevel);
+        const hasStairlift = details.liftType === 'stairlift';
 
-// Only include property cost if available
-if (propertyCostScore !== null) {
-    scoresToAverage.push(propertyCostScore);
-}
+        // The stairs start on the ground floor plan
+        const stairsPlan = floorplanRooms.find(room => room.level.key === 'ground')?.plan.url || floorplans[0]?.url;
+        let floorplanStairs = null;
+        if (hasInternalStairs && !hasStairlift && stairsPlan && process.env.CLAUDE_API_KEY) {
+            try {
+                floorplanStairs = await cachedVision('floorplan-stairs', stairsPlan, analyzeFloorPlanForStairs, result => !!result);
+            } catch (error) {
+                console.log('⚠️ Floorplan staircase analysis failed:', error.message);
+            }
+        }
+
+        const assessment = assessStairlift({
+            floorplanStairs: floorplanStairs,
+            text: `${property.title || ''} ${property.description || ''} ${(property.features || []).join(' ')}`,
+            hasInternalStairs: hasInternalStairs,
+            hasStairlift: hasStairlift
+        });
+        console.log(`🪜 Stairlift suitability: ${assessment.rating}${assessment.staircaseLabel ? ` (${assessment.staircaseLabel} staircase)` : ''}${assessment.costText ? `, ${assessment.costText}` : ''}`);
+        return assessment;
+    }, {
+        timeout: ANALYSIS_STEP_TIMEOUT,
+        fallback: null
+    });
+
+    // Step 7: NEW - Analyze Public Transport
+    let publicTransport = null;
+    if (property.coordinates) {
+        console.log('🚌 Analyzing public transport...');
+        publicTransport = await job.runStep('transport', () => analysisCache.remember(
+            'transport',
+            coordinateKey(property.coordinates.lat, property.coordinates.lng),
+            GEODATA_CACHE_TTL,
+            () => analyzePublicTransport(property.coordinates.lat, property.coordinates.lng),
+            result => result && result.busAccessibility !== 'Unable to analyze'
+        ), {
+            timeout: ANALYSIS_STEP_TIMEOUT,
+            fallback: {
+                score: 2,
+                busStops: [],
+                trainStations: [],
+                summary: 'Public transport analysis unavailable'
+            }
+        });
+    } else {
+        publicTransport = await job.runStep('transport', () => ({
+            score: 2,
+            busStops: [],
+            trainStations: [],
+            summary: 'Property location coordinates not available for public transport analysis'
+        }));
+    }
+
+    // Step 8: Analyze Property Dimensions - the total area, then each room checked for wheelchair space
+    console.log('📐 Analyzing property dimensions...');
+    const dimensions = property.dimensions || null;
+    const roomDimensions = await job.runStep('rooms', async () => {
+        const roomDimensions = buildRoomDimensions(floorplanRooms, extractListedRooms(property));
+        console.log(`📐 ${roomDimensions.summary.roomsMeasured} rooms measured (${roomDimensions.source || 'no dimensions found'}):`,
+            roomDimensions.rooms.filter(room => room.flags.length > 0).map(room => `${room.name}: ${room.flags.join(', ')}`));
+        return roomDimensions;
+    }, {
+        timeout: ANALYSIS_STEP_TIMEOUT,
+        fallback: null
+    });
 
-const overallScore = scoresToAverage.reduce((sum, score) => sum + score, 0) / scoresToAverage.length;
 
-console.log('📊 Scores included in overall:', scoresToAverage.length);
+    // Step 9: Analyze Cost Information
+    const { cost, councilTaxAnalysis, pricePerSqMAnalysis, stampDutyAnalysis, runningCostAnalysis, propertyCostScore, propertyCostRating } =
+        await job.runStep('cost', () => analyzePropertyCosts(property, dimensions, epcCertificate, buyerProfile), {
+            timeout: ANALYSIS_STEP_TIMEOUT,
+            fallback: () => ({
+                cost: { price: property.price || null, isRental: false, pricePerSqM: null, councilTax: null },
+                councilTaxAnalysis: { score: null, rating: 'Unknown', description: 'Not available' },
+                pricePerSqMAnalysis: { score: null, rating: 'Unknown', description: 'Not available' },
+                stampDutyAnalysis: { score: null, rating: 'Unknown', description: 'Not available', amount: null, percentage: null },
+                runningCostAnalysis: { score: null, rating: 'Unknown', description: 'Not available' },
+                propertyCostScore: null,
+                propertyCostRating: 'Unknown'
+            })
+        });
+
+// Overall score - weighted by the scoring profile, EPC and property cost only when available.
+// Steps that timed out or failed are left out rather than scored as zero.
+const categoryScores = {
+    gpProximity: job.isUnavailable('gp') ? null : gpProximity.score || 0,
+    accessibleFeatures: job.isUnavailable('features') ? null : accessibleFeatures.score || 0,
+    publicTransport: job.isUnavailable('transport') ? null : publicTransport.score || 0,
+    roomAccommodation: job.isUnavailable('features') ? null : roomScore.score || 0,
+    epcRating: epcScore,
+    propertyCost: propertyCostScore
+};
+
+const overallScore = calculateWeightedOverall(categoryScores, scoringProfile.categoryWeights) || 0;
+
+console.log('📊 Scores included in overall:', Object.values(categoryScores).filter(score => score !== null).length);
+console.log('⚖️ Scoring profile:', scoringProfile.name);
 console.log('💷 Property Cost Score:', propertyCostScore);
 console.log('⚡ EPC Score:', epcScore);
 console.log('🎯 Overall Score:', overallScore);
 
+// What it would take to fix the missing criteria, and the score with the work done
+const adaptationPlan = job.isUnavailable('features') ? null : planAdaptations({
+    criteriaMet: accessibleFeatures.criteriaMet || {},
+    propertyType: accessibleFeatures.details,
+    stairlift: stairlift,
+    criteriaWeights: scoringProfile.criteriaWeights,
+    categoryScores: categoryScores,
+    categoryWeights: scoringProfile.categoryWeights
+});
+if (adaptationPlan?.suggestions.length) {
+    console.log(`🔧 Adaptations: ${adaptationPlan.suggestions.map(suggestion => suggestion.label).join(', ')} (${adaptationPlan.totalText}), features ${adaptationPlan.currentScore} → ${adaptationPlan.projectedScore}`);
+}
+
 
 // Debug logging before summary generation
 console.log('📝 About to generate summary with:', {
@@ -5549,35 +7023,33 @@ console.log('📝 About to generate summary with:', {
 
 
 // Generate comprehensive summary
-let summary;
-try {
-    summary = generateComprehensiveSummary(
-        gpProximity, 
-        epcScore, 
-        accessibleFeatures, 
-        publicTransport, 
-        cost,
-        councilTaxAnalysis,
-        pricePerSqMAnalysis,
-        stampDutyAnalysis,
-        overallScore, 
-        property.title, 
-        property.epcRating, 
-        property.location,
-        roomScore,
-        accessibleFeatures.details.isSingleLevel,      // From returned object
-        accessibleFeatures.details.isFlat,             // From returned object
-        accessibleFeatures.details.hasAnyLift,         // From returned object
-        accessibleFeatures.details.isUpperFloorFlat,   // From returned object
-        accessibleFeatures.details.floorLevel          // From returned object
-    );
-    
-    console.log('✅ Summary generated successfully');
-} catch (error) {
-    console.error('❌ Summary generation failed:', error.message);
-    console.error('Stack trace:', error.stack);
-    throw error;
-}
+const summary = await job.runStep('summary', () => generateComprehensiveSummary(
+    gpProximity, 
+    epcScore, 
+    accessibleFeatures, 
+    publicTransport, 
+    cost,
+    councilTaxAnalysis,
+    pricePerSqMAnalysis,
+    stampDutyAnalysis,
+    overallScore, 
+    property.title, 
+    property.epcRating, 
+    property.location,
+    roomScore,
+    accessibleFeatures.details.isSingleLevel,      // From returned object
+    accessibleFeatures.details.isFlat,             // From returned object
+    accessibleFeatures.details.hasAnyLift,         // From returned object
+    accessibleFeatures.details.isUpperFloorFlat,   // From returned object
+    accessibleFeatures.details.floorLevel          // From returned object
+), {
+    fallback: error => {
+        console.error('❌ Summary generation failed:', error.message);
+        console.error('Stack trace:', error.stack);
+        return 'Summary unavailable. The scores below are still based on the listing.';
+    }
+});
+console.log('✅ Summary step finished');
     
     return {
         gpProximity: {
@@ -5591,16 +7063,23 @@ try {
             rating: getScoreRating(epcScore || 0),
             details: epcDetails || 'No EPC details available',
             actualRating: property.epc?.rating || property.epcRating || null,
+            epcNumber: epcCertificate?.currentEfficiency || null,
             confidence: property.epc?.confidence || 0,
-            method: property.epc?.confidence > 80 ? 'Vision API' : 
-                    property.epc?.confidence > 50 ? 'Text Search' : 'Default'
+            method: epcCertificate ? 'EPC register' :
+                    property.epc?.confidence > 80 ? 'Vision API' : 
+                    property.epc?.confidence > 50 ? 'Text Search' : 'Default',
+            // The register certificate: potential rating, floor area, age, heating and recommendations
+            register: epcCertificate
         },
         accessibleFeatures: {
             score: accessibleFeatures.score || 0,
             rating: getScoreRating(accessibleFeatures.score || 0),
             details: `${accessibleFeatures.percentage}% - ${accessibleFeatures.score} out of 5 accessible features found`,
             features: accessibleFeatures.features || [],
-            percentage: accessibleFeatures.percentage || 0
+            percentage: accessibleFeatures.percentage || 0,
+            criteriaMet: accessibleFeatures.criteriaMet || {},
+            evidence: accessibleFeatures.evidence || null,
+            floorLevel: accessibleFeatures.details.floorLevel || null
         },
         roomAccommodation: {
             score: roomScore.score,
@@ -5620,13 +7099,16 @@ try {
             score: councilTaxAnalysis.score,
             rating: councilTaxAnalysis.score !== null ? getScoreRating(councilTaxAnalysis.score) : 'Unknown',
             details: councilTaxAnalysis.description,
-            band: cost.councilTax
+            band: cost.councilTax,
+            estimate: cost.councilTaxEstimate || null,
+            domesticRates: cost.domesticRates || null
         },
         pricePerSqM: {
             score: pricePerSqMAnalysis.score,
             rating: pricePerSqMAnalysis.rating,
             details: pricePerSqMAnalysis.description,
             percentile: pricePerSqMAnalysis.percentile,
+            benchmark: pricePerSqMAnalysis.benchmark || null,
             value: cost.pricePerSqM
         },
         stampDuty: {
@@ -5637,20 +7119,42 @@ try {
             percentage: stampDutyAnalysis.percentage,
             taxName: stampDutyAnalysis.taxName || 'Stamp Duty',
             taxNameFull: stampDutyAnalysis.taxNameFull || 'Stamp Duty Land Tax',
-            country: stampDutyAnalysis.country || 'england'
+            country: stampDutyAnalysis.country || 'england',
+            notApplicable: !!stampDutyAnalysis.notApplicable
         },
         propertyCost: {
             score: propertyCostScore,
             rating: propertyCostRating,
-            details: propertyCostScore !== null ? `Combined score from council tax, price per sq m, and ${stampDutyAnalysis.taxName || 'stamp duty'}` : 'Property cost information not available',
+            details: propertyCostScore === null ? 'Property cost information not available'
+                : cost.isRental ? 'Combined score from council tax, rent per sq m and running costs'
+                : `Combined score from council tax, price per sq m, ${stampDutyAnalysis.taxName || 'stamp duty'} and running costs`,
             councilTaxRating: councilTaxAnalysis.rating,
+            runningCostMonthly: cost.runningCosts?.totalMonthly ?? null,
+            runningCostScore: runningCostAnalysis.score,
+            runningCostDetails: runningCostAnalysis.description,
             pricePerSqMPercentile: pricePerSqMAnalysis.percentile,
+            pricePerSqMBenchmark: pricePerSqMAnalysis.benchmark || null,
             stampDutyAmount: stampDutyAnalysis.amount,
-            stampDutyPercentage: stampDutyAnalysis.percentage
+            stampDutyPercentage: stampDutyAnalysis.percentage,
+            stampDutyBreakdown: stampDutyAnalysis.breakdown
+                ? { ...stampDutyAnalysis.breakdown, lines: describeTaxBreakdown(stampDutyAnalysis.breakdown) }
+                : null
         },
         dimensions: property.dimensions || null,
+        roomDimensions: roomDimensions,
+        floorplanLevels: floorplanLevels,
+        stairlift: stairlift,
+        adaptationPlan: adaptationPlan,
         cost: cost,
+        scoringProfile: {
+            id: scoringProfile.id,
+            name: scoringProfile.name,
+            categoryWeights: scoringProfile.categoryWeights,
+            criteriaWeights: scoringProfile.criteriaWeights
+        },
+        buyerProfile: buyerProfile,
         overall: Math.round((overallScore || 0) * 10) / 10,
+        unavailableSteps: Object.keys(job.steps).filter(step => job.isUnavailable(step)),
         summary: summary || 'Analysis completed successfully'
     };
 }
@@ -5698,8 +7202,28 @@ function generateComprehensiveSummary(gpProximity, epcScore, accessibleFeatures,
     const overallRating = getScoreRating(overallScore);
     summary += ` has achieved an overall accessibility score of ${Math.round(overallScore * 10) / 10}/5 (${overallRating}). `;
 
-    // 2. FIXED: Simplified stamp duty - just state the amount
-    if (cost && cost.price) {
+    // 2. Rent and deposit caps for homes to let, stamp duty for sales
+    if (cost && cost.isRental && cost.rental) {
+        const rental = cost.rental;
+        summary += `The rent is ${rental.rentText}`;
+
+        const deposits = [];
+        if (rental.depositCap !== null) deposits.push(`a deposit capped at ${formatRentAmount(rental.depositCap)} (${rental.depositRule})`);
+        if (rental.holdingDepositCap !== null) deposits.push(`a holding deposit of no more than ${formatRentAmount(rental.holdingDepositCap)}`);
+        if (deposits.length > 0) summary += `, with ${deposits.join(' and ')}`;
+        summary += '. ';
+
+        if (rental.depositAboveCap) {
+            summary += `The advertised deposit of ${formatRentAmount(rental.advertisedDeposit)} is above the legal cap, so ask the agent about it before paying. `;
+        }
+
+        const terms = [];
+        if (rental.furnishing) terms.push(rental.furnishing.toLowerCase());
+        if (rental.availableFrom) terms.push(rental.availableFrom === 'Now' ? 'available now' : `available from ${rental.availableFrom}`);
+        if (terms.length > 0) summary += `It is let ${terms.join(' and ')}. `;
+    } else if (cost && cost.isRental && cost.price) {
+        summary += `The rent is ${cost.price}. `;
+    } else if (cost && cost.price) {
         const priceComponents = [];
         priceComponents.push(`The property is priced at ${cost.price}`);
         
@@ -5872,9 +7396,16 @@ function generateComprehensiveSummary(gpProximity, epcScore, accessibleFeatures,
     // 8. Ongoing costs
     const costElements = [];
     
-    if (cost.councilTax && councilTaxAnalysis) {
+    if (cost.councilTaxEstimate) {
+        const where = cost.councilTaxEstimate.authority ? `, ${cost.councilTaxEstimate.authority}` : '';
+        costElements.push(`council tax of about £${cost.councilTaxEstimate.annual.toLocaleString()} a year (Band ${cost.councilTaxEstimate.band}${where})`);
+    } else if (cost.councilTax && councilTaxAnalysis) {
         const bandInfo = cost.councilTax.includes('Band') ? cost.councilTax : `Band ${cost.councilTax}`;
         costElements.push(`${councilTaxAnalysis.rating.toLowerCase()} council tax (${bandInfo})`);
+    } else if (cost.domesticRates) {
+        // Northern Ireland: rates on the home's capital value rather than a council tax band
+        const estimate = cost.domesticRates.source === 'listing' ? '' : 'an estimated ';
+        costElements.push(`${estimate}£${cost.domesticRates.annual.toLocaleString()} a year in domestic rates`);
     }
     
     if (cost.serviceCharge && !cost.serviceCharge.includes('Not mentioned') && !cost.serviceCharge.includes('No service')) {
@@ -5888,293 +7419,1006 @@ function generateComprehensiveSummary(gpProximity, epcScore, accessibleFeatures,
     if (costElements.length > 0) {
         summary += `Ongoing costs include ${costElements.join(', ')}. `;
     }
+
+    summary += describeLeaseholdRisks(cost.leaseholdRisk);
     
     // 9. Accessibility limitations with transport considerations
     const criticalMissing = [];
     const transportNeeds = [];
 
-    const hasInternalStairs = !isSingleLevel && !isFlat && !hasAnyLift;
-    if (hasInternalStairs) {
-        criticalMissing.push("single-level living");
-    }
+    const hasInternalStairs = !isSingleLevel && !isFlat && !hasAnyLift;
+    if (hasInternalStairs) {
+        criticalMissing.push("single-level living");
+    }
+
+    const hasLevelAccessEntry = foundFeatures.some(f => 
+        f.toLowerCase().includes('level') || 
+        f.toLowerCase().includes('ramp') ||
+        f.toLowerCase().includes('ground floor entry')
+    );
+
+    if (!hasLevelAccessEntry) {
+        criticalMissing.push("level access entry");
+    }
+
+    if (gpProximity.score === 0 || (gpProximity.nearestGPs?.[0]?.tooFar)) {
+        transportNeeds.push("medical appointments");
+    }
+    if (publicTransport.score <= 1) {
+        transportNeeds.push("general travel");
+    }
+
+    if (criticalMissing.length > 0 || transportNeeds.length > 0) {
+        summary += "Important considerations: ";
+        
+        if (criticalMissing.length > 0) {
+            summary += `the property lacks ${criticalMissing.join(' and ')}`;
+            
+            if (isUpperFloorFlat && criticalMissing.includes("level access entry")) {
+                summary += " (first floor location requires stairs or lift access)";
+            } else if (isFlat && floorLevel && floorLevel !== 'ground' && criticalMissing.includes("level access entry")) {
+                summary += ` (${floorLevel} floor location requires stairs or lift access)`;
+            }
+            
+            summary += ", which may limit suitability for wheelchair users or those with significant mobility challenges. ";
+        }
+        
+        if (transportNeeds.length > 0) {
+            summary += `${cost?.isRental ? 'Tenants' : 'Residents'} will require personal transport or taxi services for `;
+            if (transportNeeds.length === 2) {
+                summary += `both ${transportNeeds[0]} and ${transportNeeds[1]}. `;
+            } else {
+                summary += `${transportNeeds[0]}. `;
+            }
+        }
+    }
+
+    // 10. FIXED: Specific final recommendation based on actual features
+    summary += "Overall, this property is ";
+    
+    // Build specific recommendation based on what the property has
+    const positives = [];
+    const considerations = [];
+    
+    // Check key features
+    const hasDownstairsBedroom = foundFeatures.some(f => f.toLowerCase().includes('downstairs bedroom'));
+    const hasDownstairsBathroom = foundFeatures.some(f => 
+        f.toLowerCase().includes('downstairs bathroom') || 
+        f.toLowerCase().includes('downstairs wc')
+    );
+    const hasStepFreeAccess = foundFeatures.some(f => 
+        f.toLowerCase().includes('step-free') || 
+        f.toLowerCase().includes('level access')
+    );
+    const hasGarden = foundFeatures.some(f => f.toLowerCase().includes('garden'));
+    const hasParking = foundFeatures.some(f => f.toLowerCase().includes('parking'));
+    
+    // Build positives
+    if (isSingleLevel || isFlat) positives.push("single-level living");
+    if (hasDownstairsBedroom && hasDownstairsBathroom) positives.push("ground floor sleeping and bathing");
+    else if (hasDownstairsBedroom) positives.push("a downstairs bedroom");
+    else if (hasDownstairsBathroom) positives.push("a downstairs bathroom");
+    if (hasStepFreeAccess) positives.push("step-free access");
+    if (gpProximity.score >= 4) positives.push("excellent GP proximity");
+    if (publicTransport.score >= 4) positives.push("great transport links");
+    if (epcScore >= 4) positives.push("low running costs");
+    
+    // Build considerations
+    if (hasInternalStairs) considerations.push("internal stairs");
+    if (!hasLevelAccessEntry) considerations.push("steps at entry");
+    if (gpProximity.score <= 1) considerations.push("distant GP");
+    if (publicTransport.score <= 1) considerations.push("limited transport");
+    if (epcScore <= 2) considerations.push("higher energy costs");
+    
+    // Generate specific recommendation
+    if (overallScore >= 4.5) {
+        summary += cost?.isRental ? "an excellent long-term let for tenants with mobility needs" : "excellent for aging in place";
+        if (positives.length > 0) {
+            summary += `, offering ${positives.slice(0, 3).join(', ')}`;
+        }
+        summary += ".";
+    } else if (overallScore >= 3.5) {
+        summary += cost?.isRental ? "well-suited to a long-term tenancy" : "well-suited for long-term residence";
+        if (positives.length > 0) {
+            summary += ` with ${positives.slice(0, 2).join(' and ')}`;
+        }
+        if (considerations.length > 0) {
+            summary += `, though ${considerations[0]} may require consideration`;
+        }
+        summary += ".";
+    } else if (overallScore >= 2.5) {
+        summary += "suitable for those with moderate mobility";
+        if (positives.length > 0) {
+            summary += `, benefiting from ${positives[0]}`;
+        }
+        if (considerations.length > 0) {
+            summary += `. Note that ${considerations.slice(0, 2).join(' and ')} may present challenges`;
+        }
+        summary += ".";
+    } else if (overallScore >= 1.5) {
+        summary += "best suited for those with good mobility";
+        if (considerations.length > 0) {
+            summary += ` as ${considerations.slice(0, 2).join(' and ')} will need to be managed`;
+        }
+        summary += ".";
+    } else {
+        summary += "likely to require significant adaptations for accessibility";
+        if (considerations.length > 0) {
+            summary += `, particularly addressing ${considerations.slice(0, 2).join(' and ')}`;
+        }
+        summary += ".";
+    }
+
+    // Tenants can't adapt a home without the landlord's say-so
+    if (cost?.isRental && overallScore < 3.5 && considerations.length > 0) {
+        summary += " As a tenant you will need the landlord's written consent before making adaptations, including any funded by a Disabled Facilities Grant.";
+    }
+
+    return summary;
+}
+
+// Routes
+app.get('/', (req, res) => {
+    res.sendFile(__dirname + '/index.html');
+});
+
+app.get('/health', (req, res) => {
+    res.json({ status: 'OK', timestamp: new Date().toISOString() });
+});
+
+// Save an analysis result to the properties table and record it in the user's search history.
+// Results served from the cache are already stored, so only the search is recorded.
+// properties is shared by every user, so its scores are only replaced by a standard-profile
+// analysis; results for the user's own scoring or buyer profile go to user_property_analyses.
+async function saveAnalysisToDatabase(req, result, url, contentHash = null, userId = null) {
+    let savedProperty = null;
+    try {
+        // rightmove_id holds the listing ID for every portal (source-prefixed for non-Rightmove)
+        const rightmoveId = result.listingId;
+        const requestUserId = await getRequestUserId(req);
+        const ownerId = userId || requestUserId;
+
+        if (result.cached) {
+            savedProperty = { id: result.propertyId };
+        } else {
+            // Extract data from result
+            const priceMatch = result.property.price?.match(/[\d,]+/);
+            const priceNumber = priceMatch ? parseInt(priceMatch[0].replace(/,/g, '')) : null;
+            const bedroomMatch = result.property.title?.match(/(\d+)\s*bed/i);
+            const postcodeMatch = result.property.location?.match(/\b([A-Z]{1,2}\d{1,2}[A-Z]?)(?:\s*\d[A-Z]{2})?\b/i);
+            const standard = isStandardAnalysis(result.analysis);
+            const analysedAt = new Date().toISOString();
+
+            const { data } = await supabase
+                .from('properties')
+                .upsert({
+                    rightmove_id: rightmoveId,
+                    rightmove_url: url || null,
+                    address: result.property.location,
+                    title: result.property.title,
+                    postcode: postcodeMatch ? postcodeMatch[1].toUpperCase() : null,
+                    price: priceNumber,
+                    bedrooms: bedroomMatch ? parseInt(bedroomMatch[1]) : null,
+                    property_type: result.property.title,
+                    property_json: result.property,
+                    ...(standard ? {
+                        overall_score: result.analysis.overall,
+                        scores_json: result.analysis,
+                        content_hash: contentHash,
+                        analysed_at: analysedAt
+                    } : {})
+                }, { onConflict: url ? 'rightmove_url' : 'rightmove_id' })
+                .select()
+                .single();
+            
+            savedProperty = data;
+
+            if (!standard && ownerId && rightmoveId) {
+                const { error: ownError } = await supabase
+                    .from('user_property_analyses')
+                    .upsert({
+                        user_id: ownerId,
+                        property_id: rightmoveId,
+                        overall_score: result.analysis.overall,
+                        scores_json: result.analysis,
+                        content_hash: contentHash,
+                        analysed_at: analysedAt
+                    }, { onConflict: 'user_id,property_id' });
+
+                if (ownError) console.log('❌ Profile analysis save error:', ownError.message);
+            }
+        }
+        
+        // Log search history if user is logged in (bulk runs pass no request)
+        if (requestUserId && rightmoveId) {
+            const { error: historyError } = await supabase
+                .from('search_history')
+                .insert({
+                    user_id: requestUserId,
+                    property_id: rightmoveId
+                });
+            
+            if (historyError) {
+                console.log('❌ Search history insert error:', historyError.message);
+            } else {
+                console.log('📝 Search recorded for listing:', rightmoveId);
+            }
+        }
+    } catch (dbError) {
+        console.log('⚠️ Database save error:', dbError.message);
+    }
+
+    return savedProperty;
+}
+
+// =============================================
+// ANALYSIS JOBS
+// =============================================
+
+// Analyses run as background jobs: POST returns a job id straight away and the
+// browser follows progress at /api/analyze/jobs/:id/events
+const analysisJobs = new AnalysisJobStore(supabase);
+
+// Add the map and save the result once a job's analysis is done
+async function finishAnalysisResult(req, result, url, contentHash = null) {
+    // Generate map URL
+    console.log('Calling generateStaticMapURL...');
+    result.mapUrl = generateStaticMapURL(
+        result.property,
+        result.analysis.gpProximity,
+        result.analysis.publicTransport
+    );
+
+    console.log('Generated mapUrl:', result.mapUrl);
+
+    // Save property to database
+    const savedProperty = await saveAnalysisToDatabase(req, result, url, contentHash);
+    
+    // Add property ID to result for saving
+    result.propertyId = savedProperty?.id;
+
+    // Show the user's own corrections on top of the stored analysis
+    const userId = result.listingId ? await getRequestUserId(req) : null;
+    const overrides = (await loadAnalysisOverrides(userId, result.listingId ? [result.listingId] : [])).get(result.listingId);
+    if (overrides) {
+        const corrected = applyAnalysisOverrides(result.analysis, result.property, overrides);
+        result.analysis = corrected.analysis;
+        result.property = corrected.property;
+        result.corrections = corrected.corrections;
+    }
+
+    return result;
+}
+
+/**
+ * Scrape and analyse a listing, reusing the stored analysis while the listing is unchanged
+ * @param {string} url - Listing URL
+ * @param {Object} scoringProfile - From resolveScoringProfile()
+ * @param {AnalysisJob} [job] - Receives step progress
+ * @param {boolean} [force] - Skip the stored analysis
+ * @param {Object} [buyerProfile] - From validateBuyerProfile(); sets the property tax rates
+ * @param {string|null} [userId] - Signed-in user, whose own profile results can be reused
+ * @returns {Promise<{result: Object, contentHash: string}>}
+ */
+async function analyzeListingUrl(url, scoringProfile, job = new AnalysisJob(), force = false, buyerProfile = DEFAULT_BUYER_PROFILE, userId = null) {
+    const property = await job.runStep('scrape', () => scrapeListing(url), { timeout: SCRAPE_STEP_TIMEOUT });
+    const contentHash = hashListingContent(property);
+
+    if (!force) {
+        const stored = await analysisCache.getStoredAnalysis(url, contentHash, scoringProfile, ANALYSIS_CACHE_TTL, buyerProfile, userId);
+        if (stored) {
+            return {
+                result: {
+                    property: stored.property_json,
+                    listingId: stored.rightmove_id,
+                    analysis: stored.scores_json,
+                    timestamp: stored.analysed_at,
+                    cached: true,
+                    propertyId: stored.id
+                },
+                contentHash
+            };
+        }
+    }
+
+    return analyzeScrapedListing(property, url, scoringProfile, job, buyerProfile);
+}
+
+/**
+ * Analyse a listing that has already been scraped
+ * @param {Object} property - Normalised property from scrapeListing()
+ * @param {string} url - Listing URL
+ * @param {Object} scoringProfile - From resolveScoringProfile()
+ * @param {AnalysisJob} [job] - Receives step progress
+ * @param {Object} [buyerProfile] - From validateBuyerProfile()
+ * @returns {Promise<{result: Object, contentHash: string}>}
+ */
+async function analyzeScrapedListing(property, url, scoringProfile, job = new AnalysisJob(), buyerProfile = DEFAULT_BUYER_PROFILE) {
+    const contentHash = hashListingContent(property);
+    const analysis = await analyzePropertyAccessibility(property, scoringProfile, job, buyerProfile);
+    
+    const result = {
+        property: {
+            title: property.title,
+            price: property.price,
+            location: property.location,
+            coordinates: property.coordinates,
+            images: property.images,  // ADD THIS LINE
+            url: url,
+            source: property.source
+        },
+        listingId: property.listingId,
+        analysis: analysis,
+        timestamp: new Date().toISOString()
+    };
+
+    // Debug property coordinates
+    console.log('Property coordinates:', result.property.coordinates);
+
+    // Debug GP data
+    console.log('GP data exists:', !!result.analysis.gpProximity);
+    console.log('GP has nearestGPs array:', !!result.analysis.gpProximity?.nearestGPs);
+    console.log('First GP location:', result.analysis.gpProximity?.nearestGPs?.[0]?.location);
+
+    // Debug transport data
+    console.log('Bus stops:', result.analysis.publicTransport?.busStops?.length);
+    console.log('Train stations:', result.analysis.publicTransport?.trainStations?.length);
+
+    return { result, contentHash };
+}
+
+// Who is asking for a job: the signed-in account, and the access key from starting it
+async function getJobReader(req) {
+    return {
+        userId: await getRequestUserId(req),
+        accessKey: typeof req.query.key === 'string' ? req.query.key : null
+    };
+}
+
+app.get('/api/analyze/jobs/:id', async (req, res) => {
+    const job = await analysisJobs.get(req.params.id, await getJobReader(req));
+    if (!job) {
+        return res.status(404).json({ error: 'Analysis not found' });
+    }
+    res.json(typeof job.toJSON === 'function' ? job.toJSON() : job);
+});
+
+// Server-Sent Events: snapshot, then step updates, then complete or failed.
+// EventSource can't send an Authorization header, so the browser passes the job's access key.
+app.get('/api/analyze/jobs/:id/events', async (req, res) => {
+    const job = await analysisJobs.get(req.params.id, await getJobReader(req));
+    if (!job) {
+        return res.status(404).json({ error: 'Analysis not found' });
+    }
+    analysisJobs.stream(job, req, res);
+});
+
+app.post('/api/analyze', async (req, res) => {
+    try {
+        const { url } = req.body;
+        const force = req.body.force === true || req.query.force === 'true';
+
+        if (!url || !listingSources.resolve(url)) {
+            return res.status(400).json({ 
+                error: 'Please provide a valid property listing URL (Rightmove, Zoopla, OnTheMarket or an estate agent website)' 
+            });
+        }
+
+        const profileError = validateRequestedProfile(req.body.scoringProfile);
+        if (profileError) {
+            return res.status(400).json({ error: profileError });
+        }
+        const scoringProfile = await getScoringProfileForRequest(req);
+        const { buyerProfile, error: buyerError } = validateBuyerProfile(req.body.buyerProfile);
+        if (buyerError) {
+            return res.status(400).json({ error: buyerError });
+        }
+
+        const userId = await getRequestUserId(req);
+
+        console.log('Analyzing property:', url);
+
+        // A Rightmove search results page (for sale or to rent) is analysed as its top listing
+        const { job, accessKey } = analysisJobs.start(async job => {
+            let listingUrl = url;
+            if (isRightmoveSearchUrl(url)) {
+                [listingUrl] = await collectSearchResultUrls(url, 1);
+                if (!listingUrl) throw new Error('No listings found on that search results page');
+                console.log('📋 Analysing top search result:', listingUrl);
+            }
+
+            const { result, contentHash } = await analyzeListingUrl(listingUrl, scoringProfile, job, force, buyerProfile, userId);
+            return finishAnalysisResult(req, result, listingUrl, contentHash);
+        }, { source: listingSources.resolve(url).name, userId });
+
+        res.status(202).json({ jobId: job.id, accessKey, status: job.status, steps: job.steps });
+
+    } catch (error) {
+        console.error('Analysis error:', error.message);
+        res.status(500).json({ 
+            error: error.message || 'Failed to analyze property' 
+        });
+    }
+});
+
+// =============================================
+// MANUAL PROPERTY ENTRY
+// =============================================
+
+// Off-market, private-sale and current homes have no listing to scrape, so the
+// user's details are normalised into the same property object a portal adapter returns
+
+/**
+ * Read the EPC rating from an uploaded certificate (PDF text first, then Vision for images)
+ * @param {string} dataUrl - Uploaded EPC as a data URL
+ * @returns {Promise<Object|null>} epc object in the scraper's shape, or null if unreadable
+ */
+async function readUploadedEPC(dataUrl) {
+    const upload = parseUploadedFile(dataUrl, EPC_TYPES);
+    if (!upload) return null;
+
+    if (upload.mediaType === 'application/pdf') {
+        const rating = await extractTextFromPDFFirstPage(dataUrl);
+        return rating ? {
+            rating: rating,
+            score: null,
+            confidence: 90,
+            reason: 'Extracted from uploaded EPC PDF',
+            numericalScore: 0
+        } : null;
+    }
+
+    if (!process.env.CLAUDE_API_KEY) {
+        console.log('⚠️ No Claude API key - cannot read uploaded EPC image');
+        return null;
+    }
+
+    try {
+        const epcResult = await cachedVision('epc', dataUrl, analyzeEPCImageWithVision, result => result && result.rating);
+        if (epcResult && epcResult.rating) {
+            return {
+                rating: epcResult.rating,
+                score: epcResult.score,
+                confidence: epcResult.confidence,
+                reason: 'Vision analysis of uploaded EPC',
+                numericalScore: epcResult.score || 0
+            };
+        }
+    } catch (error) {
+        console.log('❌ Uploaded EPC analysis failed:', error.message);
+    }
+    return null;
+}
+
+/**
+ * Build the normalised property object from manually entered details
+ * @param {Object} input - Request body from the manual entry form
+ * @returns {Promise<Object>} Property object ready for analyzePropertyAccessibility()
+ */
+async function buildManualProperty(entry) {
+    const { postcode, bedrooms, bathrooms } = entry;
+    const address = [entry.address, postcode].filter(Boolean).join(', ');
+    const propertyType = (entry.propertyType || 'property').toLowerCase();
+
+    const property = buildNormalisedProperty('manual', {
+        id: `manual-${crypto.randomUUID()}`,
+        title: bedrooms ? `${bedrooms} bedroom ${propertyType}` : propertyType,
+        description: entry.description || '',
+        price: entry.price,
+        address: address,
+        postcode: postcode,
+        location: address,
+        tenure: entry.tenure,
+        councilTaxBand: entry.councilTaxBand ? `Band ${entry.councilTaxBand}` : null,
+        bedrooms: bedrooms,
+        bathrooms: bathrooms,
+        floorplan: entry.floorplan
+    });
+
+    if (entry.epcDocument) {
+        const uploadedEpc = await readUploadedEPC(entry.epcDocument);
+        if (uploadedEpc) {
+            property.epc = uploadedEpc;
+            property.epcRating = uploadedEpc.rating;
+        }
+    }
+
+    property.listingId = property.id;
+    property.dimensions = await extractDimensions(property.description, property.title, property.features);
+    property.coordinates = await getPropertyCoordinates(address, null);
+
+    return property;
+}
+
+app.post('/api/analyze/manual', async (req, res) => {
+    try {
+        const { entry: input, error: entryError } = validateManualEntry(req.body);
+        if (entryError) {
+            return res.status(400).json({ error: entryError });
+        }
+        const profileError = validateRequestedProfile(input.scoringProfile);
+        if (profileError) {
+            return res.status(400).json({ error: profileError });
+        }
+        const scoringProfile = await getScoringProfileForRequest(req);
+        const { buyerProfile, error: buyerError } = validateBuyerProfile(input.buyerProfile);
+        if (buyerError) {
+            return res.status(400).json({ error: buyerError });
+        }
+
+        const userId = await getRequestUserId(req);
+
+        console.log('📝 Analyzing manually entered property:', input.postcode);
+
+        const { job, accessKey } = analysisJobs.start(async job => {
+            const property = await job.runStep('scrape', () => buildManualProperty(input), { timeout: SCRAPE_STEP_TIMEOUT });
+            const analysis = await analyzePropertyAccessibility(property, scoringProfile, job, buyerProfile);
+
+            return finishAnalysisResult(req, {
+                property: {
+                    title: property.title,
+                    price: property.price,
+                    location: property.location,
+                    coordinates: property.coordinates,
+                    images: [],
+                    url: null,
+                    source: property.source
+                },
+                listingId: property.listingId,
+                analysis: analysis,
+                timestamp: new Date().toISOString()
+            }, null);
+        }, { source: 'manual', userId });
+
+        res.status(202).json({ jobId: job.id, accessKey, status: job.status, steps: job.steps });
+
+    } catch (error) {
+        console.error('Manual analysis error:', error.message);
+        res.status(500).json({ 
+            error: error.message || 'Failed to analyze property' 
+        });
+    }
+});
+
+// =============================================
+// BULK ANALYSIS (TEAM PLAN)
+// =============================================
+
+const bulkAnalyses = new BulkAnalysisStore(supabase);
+
+/**
+ * Resolve the signed-in user and check they're on a Team plan, either through
+ * their own subscription or membership of a team with an active one
+ * @returns {Promise<{dbUser: Object}|{status: number, error: string}>}
+ */
+async function getTeamPlanUser(req) {
+    const authHeader = req.headers.authorization;
+    if (!authHeader) return { status: 401, error: 'Not authenticated' };
+
+    const token = authHeader.replace('Bearer ', '');
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+    if (authError || !user) return { status: 401, error: 'Invalid token' };
+
+    const { data: dbUser } = await supabase
+        .from('users')
+        .select('id, email, subscription_tier, subscription_status')
+        .eq('email', user.email)
+        .single();
+
+    if (!dbUser) return { status: 404, error: 'User not found' };
+
+    const hasTeamTier = ['team', 'team-annual'].includes(dbUser.subscription_tier) && dbUser.subscription_status === 'active';
+    if (hasTeamTier) return { dbUser };
+
+    const { data: membership } = await supabase
+        .from('team_members')
+        .select('team_id, teams(subscription_status)')
+        .eq('user_id', dbUser.id)
+        .single();
+
+    if (membership?.teams?.subscription_status === 'active') return { dbUser };
+
+    return { status: 403, error: 'Bulk analysis is available on the Team plan' };
+}
+
+// Random politeness delay between scrapes, as a person browsing would
+function scrapeDelay() {
+    return SCRAPE_DELAY_MIN + Math.random() * SCRAPE_DELAY_RANDOM;
+}
+
+// Start a bulk run from a Rightmove search-results URL or a CSV of listing URLs
+app.post('/api/bulk-analyze', async (req, res) => {
+    try {
+        const access = await getTeamPlanUser(req);
+        if (access.error) return res.status(access.status).json({ error: access.error });
+
+        const { searchUrl, csv } = req.body;
+        let urls = [];
+
+        if (searchUrl) {
+            if (!isRightmoveSearchUrl(searchUrl)) {
+                return res.status(400).json({ error: 'Please provide a Rightmove search results URL' });
+            }
+            try {
+                urls = await collectSearchResultUrls(searchUrl, MAX_BULK_LISTINGS);
+            } catch (error) {
+                console.log('❌ Search results fetch failed:', error.message);
+                return res.status(502).json({ error: 'Could not load the search results page' });
+            }
+        } else if (csv) {
+            urls = parseListingCsv(csv);
+        } else {
+            return res.status(400).json({ error: 'Provide a search results URL or a CSV of listing URLs' });
+        }
+
+        const supported = urls.filter(url => listingSources.resolve(url));
+        if (supported.length === 0) {
+            return res.status(400).json({ error: 'No property listing URLs found' });
+        }
+        if (supported.length > MAX_BULK_LISTINGS) {
+            return res.status(400).json({ error: `A bulk analysis can include up to ${MAX_BULK_LISTINGS} listings` });
+        }
+
+        const profileError = validateRequestedProfile(req.body.scoringProfile);
+        if (profileError) {
+            return res.status(400).json({ error: profileError });
+        }
+        const scoringProfile = await getScoringProfileForRequest(req);
+        const { buyerProfile, error: buyerError } = validateBuyerProfile(req.body.buyerProfile);
+        if (buyerError) {
+            return res.status(400).json({ error: buyerError });
+        }
+
+        const run = bulkAnalyses.start(supported, {
+            userId: access.dbUser.id,
+            delay: scrapeDelay,
+            analyze: async url => {
+                const { result, contentHash } = await analyzeListingUrl(url, scoringProfile, undefined, false, buyerProfile, access.dbUser.id);
+                const savedProperty = await saveAnalysisToDatabase(null, result, url, contentHash, access.dbUser.id);
+                result.propertyId = savedProperty?.id;
+                return result;
+            }
+        });
+
+        console.log(`📋 Bulk analysis started for ${access.dbUser.email}: ${supported.length} listings`);
+        res.status(202).json(summariseRun(run));
+
+    } catch (error) {
+        console.error('Bulk analysis error:', error.message);
+        res.status(500).json({ error: 'Failed to start bulk analysis' });
+    }
+});
+
+app.get('/api/bulk-analyze/:id', async (req, res) => {
+    const access = await getTeamPlanUser(req);
+    if (access.error) return res.status(access.status).json({ error: access.error });
+
+    const run = await bulkAnalyses.get(req.params.id);
+    if (!run || run.userId !== access.dbUser.id) {
+        return res.status(404).json({ error: 'Bulk analysis not found' });
+    }
+
+    res.json(summariseRun(run));
+});
+
+// Ranked table as a CSV download
+app.get('/api/bulk-analyze/:id/download', async (req, res) => {
+    const access = await getTeamPlanUser(req);
+    if (access.error) return res.status(access.status).json({ error: access.error });
+
+    const run = await bulkAnalyses.get(req.params.id);
+    if (!run || run.userId !== access.dbUser.id) {
+        return res.status(404).json({ error: 'Bulk analysis not found' });
+    }
+    if (run.status === 'running') {
+        return res.status(409).json({ error: 'Bulk analysis is still running' });
+    }
+
+    const date = new Date(run.createdAt).toISOString().slice(0, 10);
+    res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="accessibility-scores-${date}.csv"`
+    });
+    res.send(rankedTableToCsv(buildRankedTable(run.items)));
+});
+
+// =============================================
+// SAVED LISTING MONITORING
+// =============================================
+
+// Saved listings are re-scraped every LISTING_RECHECK_INTERVAL; see listing-monitor.js
+
+function escapeEmailHtml(text) {
+    return String(text ?? '').replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+}
+
+async function sendListingChangeEmail(email, report) {
+    const changeRows = report.changes.map(change => {
+        const { title, lines } = describeListingChange(change);
+        return `
+            <tr style="border-top: 1px solid #e5e7eb;">
+                <td style="padding: 10px 0; vertical-align: top;">
+                    <div style="font-weight: 600; color: #1e3a5f;">${escapeEmailHtml(title)}</div>
+                    ${lines.map(line => `<div style="color: #374151; font-size: 13px; margin-top: 4px;">${escapeEmailHtml(line)}</div>`).join('')}
+                </td>
+            </tr>
+        `;
+    }).join('');
+
+    const formatScore = score => (typeof score === 'number' ? `${score.toFixed(1)}/5` : 'not scored');
+    const scoreMoved = typeof report.scoreBefore === 'number' && typeof report.scoreAfter === 'number' &&
+        Math.abs(report.scoreAfter - report.scoreBefore) >= 0.05;
+    const scoreNote = scoreMoved
+        ? `Accessibility score ${report.scoreAfter > report.scoreBefore ? 'rose' : 'fell'} from <strong>${formatScore(report.scoreBefore)}</strong> to <strong>${formatScore(report.scoreAfter)}</strong>.`
+        : `Accessibility score unchanged at <strong>${formatScore(report.scoreAfter)}</strong>.`;
+
+    try {
+        await resend.emails.send({
+            from: 'Home Accessibility Score <noreply@homeaccessibilityscore.co.uk>',
+            to: email,
+            subject: `Update on your saved property: ${report.address}`,
+            html: `
+                <!DOCTYPE html>
+                <html>
+                <body style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; color: #1f2937;">
+
+                    <div style="text-align: center; margin-bottom: 32px;">
+                        <h1 style="color: #1e3a5f; margin-bottom: 4px;">Home Accessibility Score</h1>
+                        <p style="color: #6b7280; margin: 0;">Saved Property Update</p>
+                    </div>
+
+                    <div style="background: #eff6ff; border: 1px solid #bfdbfe; border-radius: 12px; padding: 20px; margin-bottom: 24px;">
+                        <h2 style="color: #1e3a5f; margin: 0 0 8px 0; font-size: 18px;">${escapeEmailHtml(report.address)}</h2>
+                        <p style="color: #374151; margin: 0; font-size: 14px;">${scoreNote}</p>
+                    </div>
+
+                    <div style="background: #f9fafb; border: 1px solid #e5e7eb; border-radius: 12px; padding: 20px; margin-bottom: 24px;">
+                        <h3 style="color: #1e3a5f; margin: 0 0 8px 0;">What changed</h3>
+                        <table style="width: 100%; border-collapse: collapse;">
+                            ${changeRows}
+                        </table>
+                    </div>
+
+                    <div style="text-align: center; margin-bottom: 24px;">
+                        <a href="${escapeEmailHtml(report.url)}" style="display: inline-block; background: #1e3a5f; color: white; padding: 12px 24px; border-radius: 8px; text-decoration: none; font-weight: 600;">View Listing</a>
+                    </div>
 
-    const hasLevelAccessEntry = foundFeatures.some(f => 
-        f.toLowerCase().includes('level') || 
-        f.toLowerCase().includes('ramp') ||
-        f.toLowerCase().includes('ground floor entry')
-    );
+                    <div style="text-align: center; color: #9ca3af; font-size: 12px; border-top: 1px solid #e5e7eb; padding-top: 20px;">
+                        <p style="margin: 0 0 4px 0;">Home Accessibility Score · homeaccessibilityscore.co.uk</p>
+                        <p style="margin: 0 0 4px 0;">You're receiving this because you saved this property. Remove it from your saved properties to stop these updates.</p>
+                        <p style="margin: 0;">This is an automated email.</p>
+                    </div>
 
-    if (!hasLevelAccessEntry) {
-        criticalMissing.push("level access entry");
+                </body>
+                </html>
+            `
+        });
+        console.log('📧 Listing change email sent to:', email);
+    } catch (error) {
+        console.log('❌ Failed to send listing change email:', error.message);
     }
+}
 
-    if (gpProximity.score === 0 || (gpProximity.nearestGPs?.[0]?.tooFar)) {
-        transportNeeds.push("medical appointments");
-    }
-    if (publicTransport.score <= 1) {
-        transportNeeds.push("general travel");
+const listingMonitor = new ListingMonitor(supabase, {
+    scrape: scrapeListing,
+    // Through the listing's own adapter, so agent-site URLs are still refused if they now resolve to an internal address
+    fetchPage: async url => {
+        const source = listingSources.resolve(url);
+        if (!source) throw new Error('Unsupported listing URL');
+        return source.fetchPage(url);
+    },
+    delay: scrapeDelay,
+    recheckAfter: LISTING_RECHECK_INTERVAL,
+    notify: sendListingChangeEmail,
+    // Re-score the shared analysis, which is always standard. Users' own profile results
+    // carry the old content hash, so they are redone on their next analysis of the listing.
+    rescore: async (property, row) => {
+        const url = row.rightmove_url || row.url;
+
+        const { result, contentHash } = await analyzeScrapedListing(property, url, resolveScoringProfile('standard'), undefined, DEFAULT_BUYER_PROFILE);
+        await saveAnalysisToDatabase(null, result, row.rightmove_url ? url : null, contentHash);
+        return result.analysis.overall;
     }
+});
 
-    if (criticalMissing.length > 0 || transportNeeds.length > 0) {
-        summary += "Important considerations: ";
-        
-        if (criticalMissing.length > 0) {
-            summary += `the property lacks ${criticalMissing.join(' and ')}`;
-            
-            if (isUpperFloorFlat && criticalMissing.includes("level access entry")) {
-                summary += " (first floor location requires stairs or lift access)";
-            } else if (isFlat && floorLevel && floorLevel !== 'ground' && criticalMissing.includes("level access entry")) {
-                summary += ` (${floorLevel} floor location requires stairs or lift access)`;
-            }
-            
-            summary += ", which may limit suitability for wheelchair users or those with significant mobility challenges. ";
-        }
-        
-        if (transportNeeds.length > 0) {
-            summary += "Residents will require personal transport or taxi services for ";
-            if (transportNeeds.length === 2) {
-                summary += `both ${transportNeeds[0]} and ${transportNeeds[1]}. `;
-            } else {
-                summary += `${transportNeeds[0]}. `;
-            }
+// =============================================
+// PDF REPORTS
+// =============================================
+
+const BRANDING_FIELDS = ['agencyName', 'address', 'phone', 'email', 'website'];
+const MAX_BRANDING_FIELD_LENGTH = 200;
+const MAX_LOGO_BYTES = 500 * 1024;
+
+// Team membership (with the team's report branding) for a signed-in user, or null
+async function getTeamMembership(userId) {
+    const { data: membership } = await supabase
+        .from('team_members')
+        .select('team_id, role, teams(subscription_status, report_branding)')
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    return membership || null;
+}
+
+/**
+ * Check submitted report branding
+ * @param {Object} input - { agencyName, address, phone, email, website, logo }
+ * @returns {{branding: Object}|{error: string}}
+ */
+function validateReportBranding(input = {}) {
+    const branding = {};
+
+    for (const field of BRANDING_FIELDS) {
+        const value = input[field];
+        if (value === undefined || value === null || value === '') continue;
+        if (typeof value !== 'string' || value.trim().length > MAX_BRANDING_FIELD_LENGTH) {
+            return { error: `${field} must be text of up to ${MAX_BRANDING_FIELD_LENGTH} characters` };
         }
+        branding[field] = value.trim();
     }
 
-    // 10. FIXED: Specific final recommendation based on actual features
-    summary += "Overall, this property is ";
-    
-    // Build specific recommendation based on what the property has
-    const positives = [];
-    const considerations = [];
-    
-    // Check key features
-    const hasDownstairsBedroom = foundFeatures.some(f => f.toLowerCase().includes('downstairs bedroom'));
-    const hasDownstairsBathroom = foundFeatures.some(f => 
-        f.toLowerCase().includes('downstairs bathroom') || 
-        f.toLowerCase().includes('downstairs wc')
-    );
-    const hasStepFreeAccess = foundFeatures.some(f => 
-        f.toLowerCase().includes('step-free') || 
-        f.toLowerCase().includes('level access')
-    );
-    const hasGarden = foundFeatures.some(f => f.toLowerCase().includes('garden'));
-    const hasParking = foundFeatures.some(f => f.toLowerCase().includes('parking'));
-    
-    // Build positives
-    if (isSingleLevel || isFlat) positives.push("single-level living");
-    if (hasDownstairsBedroom && hasDownstairsBathroom) positives.push("ground floor sleeping and bathing");
-    else if (hasDownstairsBedroom) positives.push("a downstairs bedroom");
-    else if (hasDownstairsBathroom) positives.push("a downstairs bathroom");
-    if (hasStepFreeAccess) positives.push("step-free access");
-    if (gpProximity.score >= 4) positives.push("excellent GP proximity");
-    if (publicTransport.score >= 4) positives.push("great transport links");
-    if (epcScore >= 4) positives.push("low running costs");
-    
-    // Build considerations
-    if (hasInternalStairs) considerations.push("internal stairs");
-    if (!hasLevelAccessEntry) considerations.push("steps at entry");
-    if (gpProximity.score <= 1) considerations.push("distant GP");
-    if (publicTransport.score <= 1) considerations.push("limited transport");
-    if (epcScore <= 2) considerations.push("higher energy costs");
-    
-    // Generate specific recommendation
-    if (overallScore >= 4.5) {
-        summary += "excellent for aging in place";
-        if (positives.length > 0) {
-            summary += `, offering ${positives.slice(0, 3).join(', ')}`;
-        }
-        summary += ".";
-    } else if (overallScore >= 3.5) {
-        summary += "well-suited for long-term residence";
-        if (positives.length > 0) {
-            summary += ` with ${positives.slice(0, 2).join(' and ')}`;
-        }
-        if (considerations.length > 0) {
-            summary += `, though ${considerations[0]} may require consideration`;
-        }
-        summary += ".";
-    } else if (overallScore >= 2.5) {
-        summary += "suitable for those with moderate mobility";
-        if (positives.length > 0) {
-            summary += `, benefiting from ${positives[0]}`;
-        }
-        if (considerations.length > 0) {
-            summary += `. Note that ${considerations.slice(0, 2).join(' and ')} may present challenges`;
-        }
-        summary += ".";
-    } else if (overallScore >= 1.5) {
-        summary += "best suited for those with good mobility";
-        if (considerations.length > 0) {
-            summary += ` as ${considerations.slice(0, 2).join(' and ')} will need to be managed`;
-        }
-        summary += ".";
-    } else {
-        summary += "likely to require significant adaptations for accessibility";
-        if (considerations.length > 0) {
-            summary += `, particularly addressing ${considerations.slice(0, 2).join(' and ')}`;
+    if (input.logo) {
+        const upload = parseUploadedFile(input.logo, ['image/png', 'image/jpeg']);
+        if (!upload || upload.bytes > MAX_LOGO_BYTES) {
+            return { error: 'Logo must be a PNG or JPEG of up to 500KB' };
         }
-        summary += ".";
+        branding.logo = input.logo;
     }
 
-    return summary;
+    return { branding };
 }
 
-// Routes
-app.get('/', (req, res) => {
-    res.sendFile(__dirname + '/index.html');
-});
-
-app.get('/health', (req, res) => {
-    res.json({ status: 'OK', timestamp: new Date().toISOString() });
-});
+// Static map as image bytes for the report, or null if there's no map
+async function fetchReportMap(property, analysis) {
+    const mapUrl = generateStaticMapURL(property, analysis.gpProximity, analysis.publicTransport);
+    if (!mapUrl || !property.coordinates) return null;
 
-app.post('/api/analyze', async (req, res) => {
     try {
-        const { url } = req.body;
+        const response = await axios.get(mapUrl, { responseType: 'arraybuffer', timeout: API_TIMEOUT_STANDARD });
+        return Buffer.from(response.data);
+    } catch (error) {
+        console.log('⚠️ Report map download failed:', error.message);
+        return null;
+    }
+}
 
-        if (!url || !url.includes('rightmove.co.uk')) {
-            return res.status(400).json({ 
-                error: 'Please provide a valid Rightmove property URL' 
-            });
-        }
+// Save report branding (team owner or admin)
+app.put('/api/teams/branding', async (req, res) => {
+    const authHeader = req.headers.authorization;
+    if (!authHeader) return res.status(401).json({ error: 'Not authenticated' });
 
-        console.log('Analyzing property:', url);
+    const token = authHeader.replace('Bearer ', '');
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+    if (authError || !user) return res.status(401).json({ error: 'Invalid token' });
 
-        // Overall timeout for the request
-        const timeoutPromise = new Promise((_, reject) => 
-            setTimeout(() => reject(new Error('Analysis timeout')), 60000) // 30 seconds
-        );
+    const { data: dbUser } = await supabase
+        .from('users')
+        .select('id')
+        .eq('email', user.email)
+        .single();
 
-        const analysisPromise = async () => {
-            const property = await scrapeRightmoveProperty(url);
-            const analysis = await analyzePropertyAccessibility(property);
-            
-            return {
-                property: {
-                    title: property.title,
-                    price: property.price,
-                    location: property.location,
-                    coordinates: property.coordinates,
-                    images: property.images,  // ADD THIS LINE
-                    url: url
-                },
-                analysis: analysis,
-                timestamp: new Date().toISOString()
-            };
-        };
+    if (!dbUser) return res.status(404).json({ error: 'User not found' });
 
-        const result = await Promise.race([analysisPromise(), timeoutPromise]);
+    const membership = await getTeamMembership(dbUser.id);
+    if (!membership || !['owner', 'admin'].includes(membership.role)) {
+        return res.status(403).json({ error: 'Only team owner or admin can change report branding' });
+    }
 
-        // Debug property coordinates
-        console.log('Property coordinates:', result.property.coordinates);
+    const { branding, error: validationError } = validateReportBranding(req.body);
+    if (validationError) return res.status(400).json({ error: validationError });
 
-        // Debug GP data
-        console.log('GP data exists:', !!result.analysis.gpProximity);
-        console.log('GP has nearestGPs array:', !!result.analysis.gpProximity?.nearestGPs);
-        console.log('First GP location:', result.analysis.gpProximity?.nearestGPs?.[0]?.location);
+    // Keep the current logo unless a new one is uploaded or it's removed
+    const current = membership.teams?.report_branding || {};
+    if (!branding.logo && current.logo && !req.body.removeLogo) {
+        branding.logo = current.logo;
+    }
 
-        // Debug transport data
-        console.log('Bus stops:', result.analysis.publicTransport?.busStops?.length);
-        console.log('Train stations:', result.analysis.publicTransport?.trainStations?.length);
+    const { error } = await supabase
+        .from('teams')
+        .update({ report_branding: Object.keys(branding).length > 0 ? branding : null })
+        .eq('id', membership.team_id);
 
-        // Generate map URL
-        console.log('Calling generateStaticMapURL...');
-        result.mapUrl = generateStaticMapURL(
-            result.property,
-            result.analysis.gpProximity,
-            result.analysis.publicTransport
-        );
+    if (error) {
+        console.log('❌ Error saving report branding:', error.message);
+        return res.status(500).json({ error: 'Failed to save report branding' });
+    }
 
-        console.log('Generated mapUrl:', result.mapUrl);
+    console.log('🎨 Report branding updated for team:', membership.team_id);
+    res.json({ branding });
+});
 
-        // Save property to database
-        let savedProperty = null;
+// The report renderer needs node-canvas's native binding, so it is loaded with the
+// first report rather than at startup: without the binding only reports are lost
+let renderAccessibilityReport = null;
+const getReportRenderer = () => {
+    if (renderAccessibilityReport === null) {
         try {
-            // Extract data from result
-            const priceMatch = result.property.price?.match(/[\d,]+/);
-            const priceNumber = priceMatch ? parseInt(priceMatch[0].replace(/,/g, '')) : null;
-            const bedroomMatch = result.property.title?.match(/(\d+)\s*bed/i);
-            const postcodeMatch = result.property.location?.match(/\b([A-Z]{1,2}\d{1,2}[A-Z]?)(?:\s*\d[A-Z]{2})?\b/i);
-            
-            // Extract Rightmove ID
-            // Extract Rightmove ID
-            const rmMatch = url.match(/properties\/(\d+)/);
-            const rightmoveId = rmMatch ? rmMatch[1] : null;
+            ({ renderAccessibilityReport } = require('./report-pdf'));
+        } catch (error) {
+            console.warn('⚠️ PDF report renderer not available:', error.message);
+            renderAccessibilityReport = false;
+        }
+    }
+    return renderAccessibilityReport || null;
+};
 
-            const { data } = await supabase
-                .from('properties')
-                .upsert({
-                    rightmove_id: rightmoveId,
-                    rightmove_url: url,
-                    address: result.property.location,
-                    title: result.property.title,
-                    postcode: postcodeMatch ? postcodeMatch[1].toUpperCase() : null,
-                    price: priceNumber,
-                    bedrooms: bedroomMatch ? parseInt(bedroomMatch[1]) : null,
-                    property_type: result.property.title,
-                    overall_score: result.analysis.overall,
-                    scores_json: result.analysis,
-                    analysed_at: new Date().toISOString()
-                }, { onConflict: 'rightmove_url' })
-                .select()
-                .single();
-            
-            savedProperty = data;
-            
-            // Log search history if user is logged in
-            const authHeader = req.headers.authorization;
-            console.log('🔍 Auth header present:', !!authHeader);
-
-            if (authHeader) {
-                const token = authHeader.replace('Bearer ', '');
-                const { data: { user } } = await supabase.auth.getUser(token);
-                console.log('🔍 User from token:', user?.email);
-                
-                if (user) {
-                    const { data: dbUser } = await supabase
-                        .from('users')
-                        .select('id')
-                        .eq('email', user.email)
-                        .single();
-                    console.log('🔍 DB user found:', !!dbUser);
-                    
-                    if (dbUser) {
-                        // Extract Rightmove ID from URL
-                        const rmMatch = url.match(/properties\/(\d+)/);
-                        const rightmoveId = rmMatch ? rmMatch[1] : null;
-                        console.log('🔍 Rightmove ID extracted:', rightmoveId);
-                        
-                        if (rightmoveId) {
-                            const { error: historyError } = await supabase
-                                .from('search_history')
-                                .insert({
-                                    user_id: dbUser.id,
-                                    property_id: rightmoveId
-                                });
-                            
-                            if (historyError) {
-                                console.log('❌ Search history insert error:', historyError.message);
-                            } else {
-                                console.log('📝 Search recorded for:', user.email);
-                            }
-                        }
-                    }
-                }
-            }
-        } catch (dbError) {
-            console.log('⚠️ Database save error:', dbError.message);
+// Paginated PDF report for a stored analysis, branded for Team accounts
+app.get('/api/reports/:listingId', async (req, res) => {
+    const authHeader = req.headers.authorization;
+    if (!authHeader) return res.status(401).json({ error: 'Not authenticated' });
+
+    const token = authHeader.replace('Bearer ', '');
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+    if (authError || !user) return res.status(401).json({ error: 'Invalid token' });
+
+    const renderReport = getReportRenderer();
+    if (!renderReport) return res.status(503).json({ error: 'PDF reports unavailable' });
+
+    try {
+        const { data: dbUser } = await supabase
+            .from('users')
+            .select('id')
+            .eq('email', user.email)
+            .single();
+
+        if (!dbUser) return res.status(404).json({ error: 'User not found' });
+
+        const { data: stored } = await supabase
+            .from('properties')
+            .select('rightmove_id, rightmove_url, address, title, price, scores_json, property_json, analysed_at')
+            .eq('rightmove_id', req.params.listingId)
+            .maybeSingle();
+        const row = await withUserAnalysis(dbUser.id, stored);
+
+        if (!row?.scores_json) {
+            return res.status(404).json({ error: 'No stored analysis for this property. Please analyse it first.' });
         }
-        
-        // Add property ID to result for saving
-        result.propertyId = savedProperty?.id;
 
-        res.json(result);
+        // Analyses saved before property_json was stored only have the columns
+        const property = {
+            title: row.title,
+            location: row.address,
+            price: row.price ? `£${row.price.toLocaleString('en-GB')}` : null,
+            ...row.property_json,
+            url: row.property_json?.url || row.rightmove_url
+        };
 
-    } catch (error) {
-        console.error('Analysis error:', error.message);
-        res.status(500).json({ 
-            error: error.message || 'Failed to analyze property' 
+        // Team reports carry the agency's branding while the team's plan is active
+        const membership = await getTeamMembership(dbUser.id);
+        const branding = membership?.teams?.subscription_status === 'active'
+            ? membership.teams.report_branding || {}
+            : {};
+
+        const overrides = (await loadAnalysisOverrides(dbUser.id, [row.rightmove_id])).get(row.rightmove_id);
+        const corrected = overrides
+            ? applyAnalysisOverrides(row.scores_json, property, overrides)
+            : { analysis: row.scores_json, property };
+        // The adaptation plan at the prices the user set on the results page
+        if (corrected.analysis.adaptationPlan) {
+            corrected.analysis = {
+                ...corrected.analysis,
+                adaptationPlan: repricePlan(corrected.analysis.adaptationPlan, await loadAdaptationPrices(dbUser.id))
+            };
+        }
+
+        const pdf = await renderReport({
+            property: corrected.property,
+            analysis: corrected.analysis,
+            analysedAt: row.analysed_at,
+            mapImage: await fetchReportMap(property, row.scores_json),
+            branding
+        });
+
+        console.log(`📄 PDF report generated for ${row.rightmove_id} (${pdf.length} bytes)`);
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `attachment; filename="accessibility-report-${row.rightmove_id}.pdf"`
         });
+        res.send(pdf);
+
+    } catch (error) {
+        console.error('Report generation error:', error.message);
+        res.status(500).json({ error: 'Failed to generate report' });
     }
 });
 
@@ -6786,6 +9030,9 @@ app.listen(PORT, '0.0.0.0', async () => {
     console.log('🎯 Updated with Accessible Features scoring system');
     console.log('');
 
+    listingMonitor.start();
+    console.log(`🔔 Saved listings re-checked every ${LISTING_RECHECK_INTERVAL / (60 * 60 * 1000)} hours`);
+
     // Test Supabase connection
     supabase.from('users').select('count', { count: 'exact', head: true })
         .then(({ count, error }) => {
@@ -6818,4 +9065,4 @@ app.listen(PORT, '0.0.0.0', async () => {
     console.log('   • Off-street/private parking');
 });
 
-module.exports = app;
\ No newline at end of file
+module.exports = app;
\ No newline at end of file
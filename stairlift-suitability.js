@@ -0,0 +1,195 @@
+// stairlift-suitability.js
+// Stairlift suitability for Home Accessibility Score
+// Many buyers plan to adapt a house rather than find one already step-free, so for
+// homes with internal stairs the question is whether the staircase could take a
+// stairlift. The staircase shape, width and landing space are read from the floorplan
+// (Claude Vision) and the description, and turned into a rating and an indicative cost.
+
+// Indicative fitted prices for a new stairlift. Straight rails are off the shelf;
+// anything that turns needs a rail made to measure.
+const STAIRCASE_TYPES = {
+    straight: { label: 'Straight', rating: 'Good', costBand: { min: 2000, max: 4000 } },
+    winder: { label: 'Winder (turning treads)', rating: 'Possible', costBand: { min: 4500, max: 9000 } },
+    'split-level': { label: 'Split-level with a half landing', rating: 'Possible', costBand: { min: 4500, max: 9000 } },
+    curved: { label: 'Curved', rating: 'Possible', costBand: { min: 5000, max: 10000 } },
+    spiral: { label: 'Spiral', rating: 'Difficult', costBand: { min: 8000, max: 15000 } }
+};
+
+// Best first; a problem moves the rating one step down
+const RATINGS = ['Good', 'Possible', 'Difficult', 'Not suitable'];
+
+// Most stairlifts need 700mm of stair width; slimline models go down to about 610mm
+const STANDARD_MIN_WIDTH_MM = 700;
+const SLIMLINE_MIN_WIDTH_MM = 610;
+
+// A hinged or folding rail stops the parked rail blocking a tight landing
+const HINGED_RAIL_COST = { min: 500, max: 1000 };
+
+// First match wins, so "spiral" isn't read as "curved"
+const STAIRCASE_PATTERNS = [
+    ['spiral', /\bspiral\s+stair/i],
+    ['split-level', /\b(?:split[\s-]level|half[\s-]landing|mid[\s-]landing)\b/i],
+    ['curved', /\b(?:curved|curving|sweeping)\s+stair/i],
+    ['winder', /\b(?:winder|winding\s+stair|turning\s+stair|dog[\s-]leg|l[\s-]shaped\s+stair|quarter[\s-]turn)/i],
+    ['straight', /\bstraight\s+(?:flight\s+of\s+)?stair/i]
+];
+
+const STAIRS_VISION_PROMPT = `You are an occupational therapist looking at a UK property floorplan to judge whether the internal staircase could take a stairlift.
+
+Report:
+- staircase: the shape of the main staircase: "straight", "winder" (turning treads at a corner), "split-level" (two flights with a half landing), "curved", "spiral", "none" if there are no internal stairs on this plan, or "unclear"
+- widthMm: the stair width in millimetres, only if it can be read from written dimensions or a scale bar, otherwise null
+- topLanding and bottomLanding: "ample" if there is clear floor space to get on and off a stairlift, "tight" if a door, wall or turn is right at the end of the stairs, or "unclear"
+- detail: one short sentence describing the staircase
+
+Respond with JSON only, in this exact format:
+{"staircase": "...", "widthMm": null, "topLanding": "...", "bottomLanding": "...", "detail": "..."}`;
+
+/**
+ * Read the staircase out of a vision response
+ * @param {string} text - Raw model response
+ * @returns {{staircase: string|null, widthMm: number|null, topLanding: string|null, bottomLanding: string|null, detail: string|null}|null}
+ */
+function parseStairsObservation(text) {
+    const json = String(text || '').match(/\{[\s\S]*\}/);
+    if (!json) return null;
+
+    let parsed;
+    try {
+        parsed = JSON.parse(json[0]);
+    } catch (error) {
+        console.log('⚠️ Could not parse staircase observation:', error.message);
+        return null;
+    }
+
+    const landing = value => (['ample', 'tight'].includes(value) ? value : null);
+    const width = Number(parsed.widthMm);
+
+    return {
+        staircase: (Object.hasOwn(STAIRCASE_TYPES, parsed.staircase) || parsed.staircase === 'none') ? parsed.staircase : null,
+        // Anything outside this range is a misread, not a domestic staircase
+        widthMm: width >= 400 && width <= 2000 ? Math.round(width) : null,
+        topLanding: landing(parsed.topLanding),
+        bottomLanding: landing(parsed.bottomLanding),
+        detail: parsed.detail ? String(parsed.detail).slice(0, 200) : null
+    };
+}
+
+/**
+ * What the listing text says about the stairs
+ * @param {string} text - Title, description and key features
+ * @returns {{staircase: string|null, width: string|null, landing: string|null}}
+ */
+function readStairsFromText(text) {
+    const value = String(text || '');
+    return {
+        staircase: STAIRCASE_PATTERNS.find(([, pattern]) => pattern.test(value))?.[0] || null,
+        width: /\bnarrow\s+(?:stair|staircase|flight)/i.test(value) ? 'narrow'
+            : /\b(?:wide|broad)\s+(?:stair|staircase|flight)/i.test(value) ? 'wide' : null,
+        landing: /\b(?:spacious|large|generous|galleried|wide)\s+landing\b/i.test(value) ? 'ample'
+            : /\b(?:small|compact|narrow)\s+landing\b/i.test(value) ? 'tight' : null
+    };
+}
+
+function lowerRating(rating) {
+    return RATINGS[Math.min(RATINGS.indexOf(rating) + 1, RATINGS.length - 1)];
+}
+
+function formatCostBand(band) {
+    return `£${band.min.toLocaleString('en-GB')}–£${band.max.toLocaleString('en-GB')}`;
+}
+
+/**
+ * Stairlift suitability rating and indicative cost for a home with internal stairs
+ * @param {Object} input
+ * @param {Object|null} input.floorplanStairs - From parseStairsObservation()
+ * @param {string} input.text - Title, description and key features
+ * @param {boolean} input.hasInternalStairs - From the accessible-features analysis
+ * @param {boolean} input.hasStairlift - A stairlift is already fitted
+ * @returns {Object} { applicable, rating, staircase, staircaseLabel, staircaseSource, widthMm, widthMeasured, landings, costBand, costText, notes }
+ */
+function assessStairlift({ floorplanStairs = null, text = '', hasInternalStairs = false, hasStairlift = false }) {
+    const fromText = readStairsFromText(text);
+    const floorplanShape = floorplanStairs?.staircase && floorplanStairs.staircase !== 'none' ? floorplanStairs.staircase : null;
+
+    if (!hasInternalStairs && !hasStairlift) {
+        return { applicable: false, rating: 'Not applicable', notes: ['No internal stairs found'] };
+    }
+
+    const staircase = floorplanShape || fromText.staircase;
+    const notes = [];
+    const result = {
+        applicable: true,
+        staircase: staircase,
+        staircaseLabel: staircase ? STAIRCASE_TYPES[staircase].label : 'Not known',
+        staircaseSource: floorplanShape ? 'floorplan' : fromText.staircase ? 'listing' : null,
+        widthMm: floorplanStairs?.widthMm || null,
+        widthMeasured: !!floorplanStairs?.widthMm,
+        landings: {
+            top: floorplanStairs?.topLanding || fromText.landing,
+            bottom: floorplanStairs?.bottomLanding || fromText.landing
+        },
+        detail: floorplanStairs?.detail || null
+    };
+
+    if (hasStairlift) {
+        return {
+            ...result,
+            rating: 'Already fitted',
+            costBand: null,
+            costText: null,
+            notes: ['A stairlift is already fitted. Ask whether it stays with the house and when it was last serviced.']
+        };
+    }
+
+    let rating = staircase ? STAIRCASE_TYPES[staircase].rating : 'Possible';
+    const costBand = staircase ? { ...STAIRCASE_TYPES[staircase].costBand } : { min: STAIRCASE_TYPES.straight.costBand.min, max: STAIRCASE_TYPES.curved.costBand.max };
+
+    if (!staircase) {
+        notes.push('The staircase shape isn\'t shown, so the cost could be anywhere from a straight to a curved rail.');
+    } else if (staircase === 'spiral') {
+        notes.push('Spiral stairs need a bespoke rail and are often too tight to turn a seat; a through-floor lift may suit better.');
+    } else if (staircase !== 'straight') {
+        notes.push('A turning staircase needs a made-to-measure curved rail, or two straight stairlifts on a wide half landing.');
+    }
+
+    // Width: measured from the floorplan if possible, otherwise only what the description implies
+    const widthMm = result.widthMm;
+    if (widthMm !== null && widthMm < SLIMLINE_MIN_WIDTH_MM) {
+        rating = 'Not suitable';
+        notes.push(`The stairs measure about ${widthMm}mm wide, narrower than even a slimline stairlift needs (${SLIMLINE_MIN_WIDTH_MM}mm).`);
+    } else if ((widthMm !== null && widthMm < STANDARD_MIN_WIDTH_MM) || (widthMm === null && fromText.width === 'narrow')) {
+        rating = lowerRating(rating);
+        notes.push(`The stairs look narrow, so a slimline model may be needed (most stairlifts need ${STANDARD_MIN_WIDTH_MM}mm).`);
+    } else if (widthMm === null) {
+        notes.push('Stair width couldn\'t be measured; most stairlifts need at least 700mm.');
+    }
+
+    // Landings: somewhere to get on and off safely at both ends
+    if (result.landings.bottom === 'tight') {
+        rating = lowerRating(rating);
+        costBand.min += HINGED_RAIL_COST.min;
+        costBand.max += HINGED_RAIL_COST.max;
+        notes.push('The bottom landing is tight, so the rail may need to hinge or fold out of the way.');
+    }
+    if (result.landings.top === 'tight') {
+        rating = lowerRating(rating);
+        notes.push('The top landing is tight; a powered swivel seat helps getting off safely.');
+    }
+
+    return {
+        ...result,
+        rating: rating,
+        costBand: rating === 'Not suitable' ? null : costBand,
+        costText: rating === 'Not suitable' ? null : formatCostBand(costBand),
+        notes: notes
+    };
+}
+
+module.exports = {
+    STAIRCASE_TYPES,
+    STAIRS_VISION_PROMPT,
+    parseStairsObservation,
+    readStairsFromText,
+    assessStairlift
+};
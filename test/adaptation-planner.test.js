@@ -0,0 +1,93 @@
+// Adaptation planner: what can be fixed, ground-floor entry by floor, edited prices and repricing
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ADAPTATION_PRICES, planAdaptations, validateAdaptationPrices, repricePlan } = require('../adaptation-planner');
+const { CRITERIA_KEYS, SCORING_PROFILES } = require('../scoring-profiles');
+
+const ALL_MET = Object.fromEntries(CRITERIA_KEYS.map(key => [key, true]));
+
+function plan(missing, propertyType, extra = {}) {
+    const criteriaMet = { ...ALL_MET };
+    for (const key of missing) criteriaMet[key] = false;
+    return planAdaptations({ criteriaMet, propertyType, criteriaWeights: SCORING_PROFILES.standard.criteriaWeights, ...extra });
+}
+
+function reasonFor(result, criterion) {
+    return result.notAdaptable.find(item => item.criterion === criterion)?.reason || null;
+}
+
+test('an upper-floor flat\'s front door can\'t be brought to street level', () => {
+    const result = plan(['groundFloorEntry'], { isFlat: true, floorLevel: '2nd' });
+    assert.equal(reasonFor(result, 'groundFloorEntry'), 'The front door is on an upper floor of the building.');
+    assert.deepEqual(result.suggestions, []);
+});
+
+test('a ground-floor flat with a raised entrance gets a ramp', () => {
+    const result = plan(['groundFloorEntry'], { isFlat: true, floorLevel: 'ground' });
+    assert.deepEqual(result.notAdaptable, []);
+    assert.deepEqual(result.suggestions.map(suggestion => [suggestion.key, suggestion.criterion, suggestion.reason]), [
+        ['ramp', 'groundFloorEntry', 'Reach the front door from street level']
+    ]);
+    assert.equal(result.currentPercentage, 88);
+    assert.equal(result.projectedPercentage, 100);
+});
+
+test('basement and lower ground flats are not upper floors', () => {
+    for (const floorLevel of ['basement', 'lower ground', 'garden level']) {
+        const result = plan(['groundFloorEntry', 'downstairsBedroom'], { isFlat: true, floorLevel, isUpperFloorFlat: true });
+        assert.equal(result.propertyType.isUpperFloorFlat, false, floorLevel);
+        assert.deepEqual(result.notAdaptable, [], floorLevel);
+        assert.deepEqual(result.suggestions.map(suggestion => suggestion.key), ['ramp'], floorLevel);
+    }
+});
+
+test('one ramp meets level access and ground-floor entry together', () => {
+    const result = plan(['groundFloorEntry', 'externalLevelAccess'], { isFlat: false, isSingleLevel: true });
+    assert.equal(result.suggestions.length, 1, 'the ramp is costed once');
+    assert.equal(result.suggestions[0].key, 'ramp');
+    assert.deepEqual(result.suggestions[0].alsoMeets, ['groundFloorEntry']);
+    assert.equal(result.suggestions[0].criterionLabel.split(' and ').length, 2);
+    assert.equal(result.totalMin, ADAPTATION_PRICES.ramp.min);
+    assert.equal(result.currentPercentage, 75);
+    assert.equal(result.projectedPercentage, 100);
+});
+
+test('a flat whose floor isn\'t known is checked on a viewing, not planned', () => {
+    const result = plan(['groundFloorEntry', 'externalLevelAccess'], { isFlat: true, floorLevel: null });
+    assert.match(reasonFor(result, 'groundFloorEntry'), /doesn't say which floor/);
+    assert.deepEqual(result.suggestions.map(suggestion => [suggestion.key, suggestion.alsoMeets]), [['ramp', []]]);
+    assert.equal(result.projectedPercentage, 88);
+});
+
+test('edited prices are whole pounds for known adaptations, lowest first', () => {
+    assert.deepEqual(validateAdaptationPrices(undefined), { prices: {} });
+    assert.deepEqual(validateAdaptationPrices(null), { prices: {} });
+    assert.deepEqual(validateAdaptationPrices({ ramp: { min: 1000, max: 4000, label: 'Free ramp' } }), { prices: { ramp: { min: 1000, max: 4000 } } });
+    assert.deepEqual(validateAdaptationPrices({ ramp: { min: 0, max: 0 } }), { prices: { ramp: { min: 0, max: 0 } } });
+
+    assert.match(validateAdaptationPrices({ hoist: { min: 1, max: 2 } }).error, /Unknown adaptation: hoist/);
+    assert.match(validateAdaptationPrices({ constructor: { min: 1, max: 2 } }).error, /Unknown adaptation/);
+    assert.match(validateAdaptationPrices({ ramp: { min: 1500.5, max: 5000 } }).error, /whole pounds/);
+    assert.match(validateAdaptationPrices({ ramp: { min: '1500', max: 5000 } }).error, /whole pounds/);
+    assert.match(validateAdaptationPrices({ ramp: { min: 1500, max: 250001 } }).error, /from 0 to 250,000/);
+    assert.match(validateAdaptationPrices({ ramp: { min: 5000, max: 1500 } }).error, /lower price is above the upper price/);
+    assert.match(validateAdaptationPrices({ ramp: null }).error, /needs a min and max price/);
+    assert.match(validateAdaptationPrices([]).error, /must be an object/);
+});
+
+test('a plan is repriced at the user\'s prices, keeping the ones they haven\'t edited', () => {
+    const original = plan(['downstairsBedroom', 'externalLevelAccess'], { isFlat: false, isSingleLevel: false });
+    assert.deepEqual(original.suggestions.map(suggestion => suggestion.key), ['bedroomConversion', 'ramp', 'doorWidening']);
+
+    const repriced = repricePlan(original, { doorWidening: { min: 1000, max: 1000 }, wetRoom: { min: 1, max: 2 } });
+    const doors = repriced.suggestions.find(suggestion => suggestion.key === 'doorWidening');
+    assert.equal(doors.costText, '£2,000');
+    assert.deepEqual(repriced.prices.doorWidening, { ...ADAPTATION_PRICES.doorWidening, min: 1000, max: 1000 });
+    assert.equal(repriced.prices.wetRoom, undefined, 'prices for work not in the plan stay out of it');
+    assert.equal(repriced.totalMin, 500 + 1500 + 2000);
+    assert.equal(repriced.totalMax, 3000 + 5000 + 2000);
+    assert.equal(repriced.totalText, '£4,000–£10,000');
+    assert.equal(repriced.projectedScore, original.projectedScore);
+    assert.equal(repricePlan(original, {}), original);
+});
@@ -0,0 +1,148 @@
+// Analysis cache: listing hashes, sub-step results, and stored analyses. The shared
+// properties row holds only standard-profile analyses, and a user's own profile results
+// are reused only for that user
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AnalysisCache, isStandardAnalysis, hashListingContent, coordinateKey, imageKey } = require('../analysis-cache');
+const { resolveScoringProfile } = require('../scoring-profiles');
+const { DEFAULT_BUYER_PROFILE } = require('../property-tax');
+
+const DAY = 24 * 60 * 60 * 1000;
+const STANDARD = resolveScoringProfile('standard');
+const WHEELCHAIR = resolveScoringProfile('wheelchair');
+const FIRST_TIME_BUYER = { ...DEFAULT_BUYER_PROFILE, buyerType: 'first-time' };
+
+// Just enough of the Supabase query builder for maybeSingle() lookups and upserts
+function fakeSupabase(tables) {
+    return {
+        from(table) {
+            const filters = [];
+            const query = {
+                select: () => query,
+                eq: (column, value) => {
+                    filters.push([column, value]);
+                    return query;
+                },
+                maybeSingle: async () => ({
+                    data: (tables[table] || []).find(row => filters.every(([column, value]) => row[column] === value)) || null,
+                    error: null
+                }),
+                upsert: async (row, { onConflict }) => {
+                    tables[table] = (tables[table] || []).filter(existing => existing[onConflict] !== row[onConflict]).concat(row);
+                    return { error: null };
+                }
+            };
+            return query;
+        }
+    };
+}
+
+function storedAnalysis(scoringProfile, buyerProfile, overall) {
+    return { scoringProfile, buyerProfile, overall };
+}
+
+const URL = 'https://www.rightmove.co.uk/properties/123';
+const now = new Date().toISOString();
+const tables = {
+    properties: [{
+        id: 1,
+        rightmove_id: '123',
+        rightmove_url: URL,
+        property_json: { title: '2 bed flat' },
+        scores_json: storedAnalysis(STANDARD, DEFAULT_BUYER_PROFILE, 3.1),
+        content_hash: 'hash',
+        analysed_at: now
+    }],
+    user_property_analyses: [{
+        user_id: 'alice',
+        property_id: '123',
+        scores_json: storedAnalysis(WHEELCHAIR, FIRST_TIME_BUYER, 2.4),
+        content_hash: 'hash',
+        analysed_at: now
+    }]
+};
+
+test('isStandardAnalysis needs the standard weights and the default buyer profile', () => {
+    assert.equal(isStandardAnalysis(storedAnalysis(STANDARD, DEFAULT_BUYER_PROFILE)), true);
+    assert.equal(isStandardAnalysis({}), true, 'analyses from before profiles were standard');
+    assert.equal(isStandardAnalysis(storedAnalysis(WHEELCHAIR, DEFAULT_BUYER_PROFILE)), false);
+    assert.equal(isStandardAnalysis(storedAnalysis(STANDARD, FIRST_TIME_BUYER)), false);
+    assert.equal(isStandardAnalysis(storedAnalysis(resolveScoringProfile('custom', { categoryWeights: { gpProximity: 3 } }))), false);
+});
+
+test('the shared analysis is reused for the standard profile', async () => {
+    const cache = new AnalysisCache(fakeSupabase(tables));
+    const stored = await cache.getStoredAnalysis(URL, 'hash', STANDARD, DAY, DEFAULT_BUYER_PROFILE);
+    assert.equal(stored.scores_json.overall, 3.1);
+});
+
+test('a user gets back their own profile analysis, and nobody else does', async () => {
+    const cache = new AnalysisCache(fakeSupabase(tables));
+    const own = await cache.getStoredAnalysis(URL, 'hash', WHEELCHAIR, DAY, FIRST_TIME_BUYER, 'alice');
+    assert.equal(own.scores_json.overall, 2.4);
+    assert.equal(own.rightmove_id, '123');
+
+    assert.equal(await cache.getStoredAnalysis(URL, 'hash', WHEELCHAIR, DAY, FIRST_TIME_BUYER, 'bob'), null);
+    assert.equal(await cache.getStoredAnalysis(URL, 'hash', WHEELCHAIR, DAY, FIRST_TIME_BUYER), null);
+    assert.equal(await cache.getStoredAnalysis(URL, 'hash', WHEELCHAIR, DAY, DEFAULT_BUYER_PROFILE, 'alice'), null);
+});
+
+test('a stored analysis is not reused once the listing changes or it expires', async () => {
+    const cache = new AnalysisCache(fakeSupabase(tables));
+    assert.equal(await cache.getStoredAnalysis(URL, 'new-hash', STANDARD, DAY, DEFAULT_BUYER_PROFILE), null);
+    assert.equal(await cache.getStoredAnalysis(URL, 'new-hash', WHEELCHAIR, DAY, FIRST_TIME_BUYER, 'alice'), null);
+
+    const old = fakeSupabase({ properties: [{ ...tables.properties[0], analysed_at: new Date(Date.now() - 2 * DAY).toISOString() }] });
+    assert.equal(await new AnalysisCache(old).getStoredAnalysis(URL, 'hash', STANDARD, DAY, DEFAULT_BUYER_PROFILE), null);
+});
+
+test('the listing hash changes with the price or description, not with formatting', () => {
+    const listing = { price: '£350,000', description: 'Level access.  Ground floor bedroom.' };
+    assert.equal(hashListingContent(listing), hashListingContent({ price: '350000', description: 'level access. ground floor bedroom.' }));
+    assert.notEqual(hashListingContent(listing), hashListingContent({ ...listing, price: '£340,000' }));
+    assert.notEqual(hashListingContent(listing), hashListingContent({ ...listing, description: 'Stairs to all floors.' }));
+});
+
+test('coordinate and image keys are stable and compact', () => {
+    assert.equal(coordinateKey(51.5007292, -0.1246254), '51.50073,-0.12463');
+    assert.equal(coordinateKey('51.50073', '-0.12463'), coordinateKey(51.500731, -0.124629));
+    assert.match(imageKey(`data:image/png;base64,${'A'.repeat(10000)}`), /^[0-9a-f]{64}$/);
+});
+
+test('remember computes once, then serves from memory and from the table', async () => {
+    const tables = {};
+    const cache = new AnalysisCache(fakeSupabase(tables));
+    let calls = 0;
+    const compute = async () => {
+        calls++;
+        return { score: 4 };
+    };
+
+    assert.deepEqual(await cache.remember('gp', '51.5,-0.1', DAY, compute), { score: 4 });
+    assert.deepEqual(await cache.remember('gp', '51.5,-0.1', DAY, compute), { score: 4 });
+    assert.equal(calls, 1);
+    assert.equal(tables.analysis_cache.length, 1);
+    assert.equal(tables.analysis_cache[0].kind, 'gp');
+
+    // A restarted server starts with an empty memory but the same table
+    const restarted = new AnalysisCache(fakeSupabase(tables));
+    assert.deepEqual(await restarted.remember('gp', '51.5,-0.1', DAY, compute), { score: 4 });
+    assert.equal(calls, 1);
+    assert.equal(restarted.hits, 1);
+});
+
+test('failed results and expired entries are computed again', async () => {
+    const tables = {};
+    const cache = new AnalysisCache(fakeSupabase(tables));
+    let calls = 0;
+
+    await cache.remember('vision', 'a', DAY, async () => (calls++, null));
+    await cache.remember('vision', 'a', DAY, async () => (calls++, null));
+    assert.equal(calls, 2);
+    assert.equal(tables.analysis_cache, undefined);
+
+    await cache.remember('vision', 'b', -1, async () => (calls++, 'old'));
+    assert.equal(await cache.remember('vision', 'b', DAY, async () => (calls++, 'new')), 'new');
+    assert.equal(calls, 4);
+});
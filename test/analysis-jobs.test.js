@@ -0,0 +1,124 @@
+// Analysis jobs: step timeouts and fallbacks, slim throttled saves, and who can read a job
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { summariseStep, AnalysisJob, AnalysisJobStore } = require('../analysis-jobs');
+
+// Records analysis_jobs upserts and serves them back to maybeSingle()
+function fakeSupabase() {
+    const rows = new Map();
+    const writes = [];
+    return {
+        rows,
+        writes,
+        from() {
+            let id = null;
+            const query = {
+                select: () => query,
+                eq: (column, value) => {
+                    id = value;
+                    return query;
+                },
+                maybeSingle: async () => ({ data: rows.get(id) || null, error: null }),
+                upsert: async row => {
+                    writes.push(row);
+                    rows.set(row.id, row);
+                    return { error: null };
+                }
+            };
+            return query;
+        }
+    };
+}
+
+const finished = job => new Promise(resolve => {
+    if (job.finished) return resolve();
+    job.on('update', ({ type }) => {
+        if (type === 'complete' || type === 'failed') setImmediate(resolve);
+    });
+});
+
+test('a step that times out uses its fallback and is marked unavailable', async () => {
+    const job = new AnalysisJob();
+    const value = await job.runStep('gp', () => new Promise(() => {}), { timeout: 10, fallback: error => error.name });
+    assert.equal(value, 'StepTimeoutError');
+    assert.equal(job.isUnavailable('gp'), true);
+    assert.match(job.steps.gp.error, /timed out/);
+});
+
+test('a step without a fallback fails the job', async () => {
+    const job = new AnalysisJob();
+    await assert.rejects(job.runStep('scrape', () => {
+        throw new Error('Listing not found');
+    }), /Listing not found/);
+    assert.equal(job.steps.scrape.status, 'failed');
+});
+
+test('step summaries keep short values and drop uploads and long text', () => {
+    const summary = summariseStep({
+        title: '2 bed flat',
+        score: 3.5,
+        hasLift: false,
+        floorplan: `data:image/png;base64,${'A'.repeat(5000)}`,
+        description: 'x'.repeat(1000),
+        images: ['a.jpg', 'b.jpg'],
+        observations: { stairs: 'straight' }
+    });
+    assert.deepEqual(summary, { title: '2 bed flat', score: 3.5, hasLift: false, images: { count: 2 } });
+    assert.deepEqual(summariseStep([1, 2, 3]), { count: 3 });
+    assert.equal(summariseStep(undefined), null);
+    assert.equal(summariseStep(4), 4);
+});
+
+test('a quick job is saved when it starts and when it finishes, with slim step results', async () => {
+    const supabase = fakeSupabase();
+    const store = new AnalysisJobStore(supabase);
+    const { job } = store.start(async job => {
+        await job.runStep('scrape', () => ({ title: 'Bungalow', floorplan: `data:image/png;base64,${'A'.repeat(5000)}` }));
+        await job.runStep('gp', () => ({ score: 4 }));
+        await job.runStep('transport', () => ({ score: 3 }));
+        return { overall: 3.5 };
+    }, { source: 'rightmove', userId: 'user-1' });
+
+    await finished(job);
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    assert.equal(supabase.writes.length, 2);
+    const saved = supabase.rows.get(job.id);
+    assert.equal(saved.status, 'complete');
+    assert.equal(saved.user_id, 'user-1');
+    assert.deepEqual(saved.partial_result.scrape, { title: 'Bungalow' });
+    assert.deepEqual(saved.result, { overall: 3.5 });
+    assert.equal(JSON.stringify(saved).includes('base64'), false);
+});
+
+test('only the starting account or the access key can read a job', async () => {
+    const supabase = fakeSupabase();
+    const store = new AnalysisJobStore(supabase);
+    const { job, accessKey } = store.start(async () => ({ overall: 4 }), { userId: 'owner' });
+    await finished(job);
+
+    assert.equal(await store.get(job.id), null);
+    assert.equal(await store.get(job.id, { userId: 'someone-else' }), null);
+    assert.equal(await store.get(job.id, { accessKey: 'guess' }), null);
+    assert.equal(await store.get(job.id, { userId: 'owner' }), job);
+    assert.equal(await store.get(job.id, { accessKey }), job);
+
+    // After a restart the job is read back from the table with the same rules
+    await new Promise(resolve => setTimeout(resolve, 10));
+    const restarted = new AnalysisJobStore(supabase);
+    assert.equal(await restarted.get(job.id, { userId: 'someone-else' }), null);
+    const snapshot = await restarted.get(job.id, { accessKey });
+    assert.deepEqual(snapshot.result, { overall: 4 });
+    assert.equal('accessKeyHash' in snapshot, false);
+    assert.equal(JSON.stringify(job.toJSON()).includes(job.accessKeyHash), false);
+});
+
+test('an anonymous job can only be read with its access key', async () => {
+    const store = new AnalysisJobStore(fakeSupabase());
+    const { job, accessKey } = store.start(async () => ({ overall: 2 }));
+    await finished(job);
+
+    assert.equal(await store.get(job.id, { userId: null }), null);
+    assert.equal(await store.get(job.id, { accessKey }), job);
+});
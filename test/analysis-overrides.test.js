@@ -0,0 +1,75 @@
+// Analysis overrides: validating corrections and rebuilding the facts they change
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    validateOverrides,
+    mergeOverrides,
+    detectedFacts,
+    criteriaFromFloorLevel,
+    setFeature,
+    rebuildRooms,
+    describeCorrections
+} = require('../analysis-overrides');
+
+test('overrides are checked field by field', () => {
+    assert.deepEqual(validateOverrides({ garden: true, bedrooms: 3, epcRating: ' c ', tenure: 'share of freehold', balcony: null }).overrides, {
+        garden: true,
+        bedrooms: 3,
+        epcRating: 'C',
+        tenure: 'Share of Freehold',
+        balcony: null
+    });
+    assert.match(validateOverrides({ garden: 'yes' }).error, /true or false/);
+    assert.match(validateOverrides({ bedrooms: 2.5 }).error, /whole number from 0 to 20/);
+    assert.match(validateOverrides({ bathrooms: 11 }).error, /0 to 10/);
+    assert.match(validateOverrides({ councilTaxBand: 'J' }).error, /one of A, B/);
+    assert.match(validateOverrides({ swimmingPool: true }).error, /Unknown field/);
+    assert.match(validateOverrides(JSON.parse('{"constructor": "x"}')).error, /Unknown field/);
+    assert.ok(validateOverrides([]).error);
+});
+
+test('merging drops cleared fields', () => {
+    assert.deepEqual(mergeOverrides({ garden: true, bedrooms: 2 }, { bedrooms: null, balcony: false }), { garden: true, balcony: false });
+});
+
+test('detected facts are read from the stored analysis and property', () => {
+    const facts = detectedFacts({
+        accessibleFeatures: { features: ['Garden access (rear)'], floorLevel: 'garden level' },
+        roomAccommodation: { roomsFound: ['Bathroom/toilet 1', 'Bathroom/toilet 2', 'Bedroom 1'] },
+        epcRating: { actualRating: 'd' },
+        councilTax: { band: 'Band B (estimated)' },
+        cost: { leaseholdInfo: 'Leasehold, 95 years remaining' }
+    }, { title: '3 bedroom flat' });
+
+    assert.equal(facts.garden, true);
+    assert.equal(facts.balcony, false);
+    assert.equal(facts.bathrooms, 2);
+    assert.equal(facts.bedrooms, 3);
+    assert.equal(facts.epcRating, 'D');
+    assert.equal(facts.councilTaxBand, 'B');
+    assert.equal(facts.tenure, 'Leasehold');
+    assert.equal(facts.floorLevel, 'ground');
+});
+
+test('a corrected floor level settles the ground floor criteria', () => {
+    assert.deepEqual(criteriaFromFloorLevel('ground'), { groundFloorEntry: true });
+    assert.deepEqual(criteriaFromFloorLevel('second'), { groundFloorEntry: false, downstairsBedroom: false });
+    assert.deepEqual(criteriaFromFloorLevel('basement'), {});
+});
+
+test('features and rooms are rebuilt from corrections', () => {
+    assert.deepEqual(setFeature(['Lift to all floors', 'Garden access'], 'garden', false), ['Lift to all floors']);
+    assert.deepEqual(setFeature(['Lift to all floors'], 'balcony', true), ['Lift to all floors', 'Balcony/terrace']);
+
+    const rooms = rebuildRooms(['Living room', 'Kitchen', 'Bedroom 1', 'Bathroom/toilet 1'], 1, 3);
+    assert.deepEqual(rooms.roomsFound, ['Living room', 'Kitchen', 'Bathroom/toilet 1', 'Bedroom 1', 'Bedroom 2', 'Bedroom 3+']);
+    assert.equal(rooms.rawScore, 5);
+    assert.equal(rooms.score, 4.2);
+});
+
+test('only overrides that change a fact are described as corrections', () => {
+    const corrections = describeCorrections({ garden: false, bedrooms: 2, tenure: 'Leasehold' }, { garden: true, bedrooms: 2, tenure: 'Freehold' });
+    assert.deepEqual(corrections.map(correction => correction.field), ['garden', 'tenure']);
+    assert.deepEqual(corrections[1], { field: 'tenure', label: 'Tenure', original: 'Leasehold', corrected: 'Freehold' });
+});
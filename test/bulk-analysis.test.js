@@ -0,0 +1,85 @@
+// Bulk analysis: reading listing URLs, ranking the results and the CSV download
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isRightmoveSearchUrl, parseListingCsv, buildRankedTable, rankedTableToCsv, summariseRun } = require('../bulk-analysis');
+
+function item(url, overall, extra = {}) {
+    return {
+        url,
+        status: 'complete',
+        result: {
+            property: { location: `${url} address`, price: '£250,000', ...extra.property },
+            analysis: { overall, gpProximity: { score: overall }, accessibleFeatures: { score: 3, features: ['Lift'] } }
+        },
+        error: null
+    };
+}
+
+test('only Rightmove search pages count as searches', () => {
+    assert.equal(isRightmoveSearchUrl('https://www.rightmove.co.uk/property-for-sale/find.html?locationIdentifier=REGION%5E87490'), true);
+    assert.equal(isRightmoveSearchUrl('https://www.rightmove.co.uk/property-to-rent/Leeds.html'), true);
+    assert.equal(isRightmoveSearchUrl('https://www.rightmove.co.uk/properties/123456789'), false);
+    assert.equal(isRightmoveSearchUrl('https://notrightmove.co.uk/property-for-sale/find.html'), false);
+    assert.equal(isRightmoveSearchUrl('not a url'), false);
+});
+
+test('listing URLs are found in any column of a CSV, once each', () => {
+    const csv = [
+        'Name,URL',
+        'Flat,"https://www.rightmove.co.uk/properties/111111"',
+        'House;https://www.zoopla.co.uk/for-sale/details/222222/',
+        'Duplicate,https://www.rightmove.co.uk/properties/111111',
+        'Not a link,www.example.com'
+    ].join('\r\n');
+    assert.deepEqual(parseListingCsv(csv), [
+        'https://www.rightmove.co.uk/properties/111111',
+        'https://www.zoopla.co.uk/for-sale/details/222222/'
+    ]);
+});
+
+test('listings are ranked by overall score with failures last', () => {
+    const rows = buildRankedTable([
+        item('a', 2.14),
+        { url: 'b', status: 'failed', result: null, error: 'Listing removed' },
+        item('c', 4.06),
+        { url: 'd', status: 'pending', result: null, error: null }
+    ]);
+    assert.deepEqual(rows.map(row => [row.rank, row.url]), [[1, 'c'], [2, 'a'], [null, 'b']]);
+    assert.equal(rows[0].overall, 4.1);
+    assert.equal(rows[0].categories.gpProximity, 4.1);
+    assert.equal(rows[2].error, 'Listing removed');
+});
+
+test('the CSV quotes commas and neutralises spreadsheet formulas', () => {
+    const csv = rankedTableToCsv(buildRankedTable([
+        item('https://www.rightmove.co.uk/properties/1', 3, { property: { location: '=HYPERLINK("http://evil.example","Click")' } }),
+        item('https://www.rightmove.co.uk/properties/2', 2, { property: { location: '12 High St, Leeds', price: '+44 1234' } }),
+        item('https://www.rightmove.co.uk/properties/3', 1, { property: { location: '@SUM(A1:A2)', price: '-£5' } }),
+        item('https://www.rightmove.co.uk/properties/4', 0.5, { property: { location: '\tTabbed' } })
+    ]));
+    const lines = csv.split('\r\n');
+
+    assert.match(lines[0], /^Rank,Address,Price,Overall Score,/);
+    assert.match(lines[1], /^1,"'=HYPERLINK\(""http:\/\/evil\.example"",""Click""\)","£250,000",3,/);
+    assert.match(lines[2], /^2,"12 High St, Leeds",'\+44 1234,2,/);
+    assert.match(lines[3], /^3,'@SUM\(A1:A2\),'-£5,1,/);
+    assert.match(lines[4], /^4,'\tTabbed,/);
+    for (const line of lines.slice(1)) {
+        assert.doesNotMatch(line.split(',')[1], /^[=+\-@]/);
+    }
+});
+
+test('numbers in the CSV stay numbers', () => {
+    const csv = rankedTableToCsv([{ rank: 1, address: 'Flat', price: '', overall: -1, categories: {}, keyFeatures: [], url: 'u', error: null }]);
+    assert.match(csv.split('\r\n')[1], /^1,Flat,,-1,/);
+});
+
+test('the run summary includes the ranked table once the run has finished', () => {
+    const run = { id: 'run', status: 'running', items: [item('a', 3), { url: 'b', status: 'pending' }], createdAt: 't', completedAt: null };
+    const running = summariseRun(run);
+    assert.deepEqual([running.total, running.completed, running.pending, running.table], [2, 1, 1, null]);
+
+    const done = summariseRun({ ...run, status: 'complete', items: [item('a', 3)] });
+    assert.equal(done.table.length, 1);
+});
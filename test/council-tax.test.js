@@ -0,0 +1,121 @@
+// Council tax: band ratios per nation, reductions, imported council charges and resolving the council
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { normaliseBand, estimateCouncilTax, billRatio, CouncilTaxCharges } = require('../council-tax');
+
+test('band letters are read only when the nation uses them', () => {
+    assert.equal(normaliseBand('band c'), 'C');
+    assert.equal(normaliseBand(' Band I ', 'wales'), 'I');
+    assert.equal(normaliseBand('I'), null, 'England has no Band I');
+    assert.equal(normaliseBand('I', 'scotland'), null);
+    assert.equal(normaliseBand(null), null);
+});
+
+test('each nation has its own band ratios', () => {
+    assert.equal(estimateCouncilTax('A').annual, 1520);
+    assert.equal(estimateCouncilTax('C').annual, 2027);
+    assert.equal(estimateCouncilTax('D').annual, 2280);
+    assert.equal(estimateCouncilTax('H').annual, 4560);
+    assert.equal(estimateCouncilTax('I', 'wales').annual, 5063);
+    assert.equal(estimateCouncilTax('E', 'scotland').annual, 2027);
+    assert.equal(estimateCouncilTax('H', 'scotland').annual, 3780);
+    assert.equal(estimateCouncilTax('Band D').basis, 'average Band D charge in England');
+    assert.equal(estimateCouncilTax('J'), null);
+});
+
+test('the Disability Reduction charges one band lower, or Band A less a ninth of Band D', () => {
+    const reduced = estimateCouncilTax('C', 'england', { disabilityReduction: true });
+    assert.equal(reduced.chargedBand, 'B');
+    assert.equal(reduced.annual, 1773);
+    assert.equal(reduced.fullCharge, 2027);
+    assert.deepEqual(reduced.reductions, ['Disability Reduction: charged as Band B']);
+
+    const bandA = estimateCouncilTax('A', 'england', { disabilityReduction: true });
+    assert.equal(bandA.chargedBand, 'A');
+    assert.equal(bandA.annual, 1267);
+});
+
+test('the single person discount takes a quarter off, after any Disability Reduction', () => {
+    assert.equal(estimateCouncilTax('D', 'england', { singlePerson: true }).annual, 1710);
+    const both = estimateCouncilTax('C', 'england', { singlePerson: true, disabilityReduction: true });
+    assert.equal(both.annual, 1330);
+    assert.equal(both.reductions.length, 2);
+});
+
+test('the bill is compared with the nation\'s average Band D', () => {
+    assert.equal(billRatio(estimateCouncilTax('D')), 1);
+    assert.equal(billRatio(estimateCouncilTax('D', 'scotland'), 'scotland'), 1);
+});
+
+function withDataset(files, run) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'council-tax-'));
+    for (const [name, text] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), text);
+    return run(dir).finally(() => fs.rmSync(dir, { recursive: true, force: true }));
+}
+
+test('a council\'s own charges are used, its published band figures first', () => withDataset({
+    'band-charges.csv': [
+        'Authority Code,Authority,Nation,Year,Band D,Band C',
+        'E08000035,Leeds City Council,England,2025/26,"£2,100.50","1,900"',
+        ',Cheshire West & Chester,England,2025/26,2350,',
+        'E06000001,No Band D,England,2025/26,,'
+    ].join('\n')
+}, async dir => {
+    const charges = new CouncilTaxCharges({ datasetDir: dir });
+    const leeds = await charges.find({ code: 'e08000035', name: 'Somewhere else' });
+    assert.equal(leeds.bandD, 2100.5);
+    assert.deepEqual(leeds.bands, { C: 1900, D: 2100.5 });
+
+    assert.equal(await charges.find({ code: null, name: 'LEEDS' }), leeds);
+    assert.equal((await charges.find({ code: null, name: 'Cheshire West and Chester' })).bandD, 2350);
+    assert.equal(await charges.find({ code: 'E06000001', name: 'No Band D' }), null);
+
+    const councilTax = estimateCouncilTax('C', 'england', { charges: leeds });
+    assert.equal(councilTax.annual, 1900);
+    assert.equal(councilTax.authority, 'Leeds City Council');
+    assert.equal(councilTax.basis, 'Leeds City Council 2025/26 charge');
+    assert.equal(estimateCouncilTax('B', 'england', { charges: leeds }).annual, 1634);
+}));
+
+test('without a table there are no council charges', async () => {
+    const charges = new CouncilTaxCharges();
+    assert.equal(charges.isConfigured(), false);
+    assert.equal(await charges.find({ code: 'E08000035', name: 'Leeds' }), null);
+});
+
+// A stand-in for the postcodes.io routes resolveAuthority() uses
+async function withPostcodeApi(run) {
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const routes = {
+            '/postcodes/LS1 4AP': { admin_district: 'Leeds', codes: { admin_district: 'E08000035' } },
+            '/postcodes': url.searchParams.get('lat') === '53.79' ? [{ admin_district: 'Bradford', codes: { admin_district: 'E08000032' } }] : [],
+            '/outcodes/CH6': { admin_district: ['Flintshire'] },
+            '/outcodes/LS1': { admin_district: ['Leeds'] },
+            '/outcodes/M1': { admin_district: ['Manchester', 'Salford'] }
+        };
+        const result = routes[decodeURIComponent(url.pathname)];
+        res.writeHead(result ? 200 : 404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(result ? { status: 200, result } : { status: 404, error: 'Not found' }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+        await run(new CouncilTaxCharges({ postcodeApiUrl: `http://127.0.0.1:${server.address().port}` }));
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+}
+
+test('the council is resolved from the postcode, then coordinates, then a single-council district', () => withPostcodeApi(async charges => {
+    assert.deepEqual(await charges.resolveAuthority({ postcode: 'LS1 4AP' }), { code: 'E08000035', name: 'Leeds' });
+    assert.deepEqual(await charges.resolveAuthority({ postcode: 'BD1 9ZZ', coordinates: { lat: 53.79, lng: -1.75 } }), { code: 'E08000032', name: 'Bradford' });
+    assert.deepEqual(await charges.resolveAuthority({ postcode: 'LS1 9ZZ' }), { code: null, name: 'Leeds' }, 'an unknown postcode falls back to its district');
+    assert.deepEqual(await charges.resolveAuthority({ postcode: 'CH6' }), { code: null, name: 'Flintshire' });
+    assert.equal(await charges.resolveAuthority({ postcode: 'M1' }), null, 'a district split between councils is not guessed');
+    assert.equal(await charges.resolveAuthority({}), null);
+}));
@@ -0,0 +1,67 @@
+// Domestic rates: the stated bill, capital value estimates and the cap for Northern Ireland homes
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { readStatedRates, estimateDomesticRates } = require('../domestic-rates');
+
+test('a rates bill stated in the listing is read', () => {
+    assert.equal(readStatedRates('Rates: £1,234.56 per annum'), 1235);
+    assert.equal(readStatedRates('Rates payable approx £1,102 pa'), 1102);
+    assert.equal(readStatedRates('Domestic rates £980'), 980);
+    assert.equal(readStatedRates('Mortgage rates from £200 a month'), null);
+    assert.equal(readStatedRates('Interest rates £450'), null);
+    assert.equal(readStatedRates('Rates £95 per month'), null, 'a monthly figure is a misread');
+    assert.equal(readStatedRates('Rates £250,000'), null);
+    assert.equal(readStatedRates(null), null);
+});
+
+test('a stated bill is used before any estimate', () => {
+    const rates = estimateDomesticRates({ price: 250000, listingText: 'Rates: £1,100 per annum' });
+    assert.deepEqual(rates, {
+        annual: 1100,
+        fullCharge: 1100,
+        source: 'listing',
+        capitalValue: null,
+        capitalValueEstimated: false,
+        basis: 'stated in the listing',
+        reductions: [],
+        notes: []
+    });
+});
+
+test('the capital value is estimated from the asking price at 2005 prices', () => {
+    const rates = estimateDomesticRates({ price: 250000, listingText: 'Rates £95 per month' });
+    assert.equal(rates.capitalValue, 158000);
+    assert.equal(rates.capitalValueEstimated, true);
+    assert.equal(rates.source, 'estimate');
+    assert.equal(rates.annual, 1454);
+    assert.equal(rates.basis, 'estimated capital value £158,000, average NI rate');
+});
+
+test('capital values over £400,000 are rated at the cap', () => {
+    const rates = estimateDomesticRates({ price: 800000 });
+    assert.equal(rates.capitalValue, 504000);
+    assert.equal(rates.annual, 3680);
+    assert.equal(rates.basis, 'estimated capital value £504,000 (rated at the £400,000 cap), average NI rate');
+    assert.equal(estimateDomesticRates({ capitalValue: 400000 }).annual, 3680);
+});
+
+test('a known capital value is used as is', () => {
+    const rates = estimateDomesticRates({ price: 250000, capitalValue: 150000 });
+    assert.equal(rates.annual, 1380);
+    assert.equal(rates.source, 'capital value');
+    assert.equal(rates.basis, 'capital value £150,000, average NI rate');
+});
+
+test('the Disabled Persons Allowance takes a quarter off and there is no single person discount', () => {
+    const rates = estimateDomesticRates({ capitalValue: 150000, disabilityReduction: true, singlePerson: true });
+    assert.equal(rates.annual, 1035);
+    assert.equal(rates.fullCharge, 1380);
+    assert.deepEqual(rates.reductions, ['Disabled Persons Allowance: 25% off']);
+    assert.match(rates.notes[0], /no single person discount/);
+});
+
+test('nothing to go on gives no estimate', () => {
+    assert.equal(estimateDomesticRates({}), null);
+    assert.equal(estimateDomesticRates({ price: 0, listingText: 'Lovely home' }), null);
+});
@@ -0,0 +1,92 @@
+// EPC register: postcodes, address matching, the bulk CSV and lookups against a local dataset
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EpcRegister, findPostcode, addressTokens, scoreAddressMatch, parseCsv } = require('../epc-register');
+
+test('the full postcode is preferred, then the last outward code', () => {
+    assert.deepEqual(findPostcode('12 High Street, Leeds ls14ap'), { postcode: 'LS1 4AP', full: true });
+    assert.deepEqual(findPostcode('Church Lane, Flint, CH6'), { postcode: 'CH6', full: false });
+    assert.equal(findPostcode('Somewhere nice'), null);
+    assert.equal(findPostcode(null), null);
+});
+
+test('address words are normalised before matching', () => {
+    assert.deepEqual(addressTokens('Apt 4, 12 Mill Rd, The Old Mill, LS1 4AP'), ['flat', '4', '12', 'mill', 'road', 'old', 'mill']);
+    assert.deepEqual(addressTokens('1 Constructor Road'), ['1', 'constructor', 'road']);
+});
+
+test('house and flat numbers must all match', () => {
+    const tokens = addressTokens('Flat 4, 12 Mill Road');
+    assert.equal(scoreAddressMatch(tokens, 'FLAT 4, 12 MILL ROAD, LEEDS'), 1);
+    assert.equal(scoreAddressMatch(tokens, 'FLAT 5, 12 MILL ROAD'), 0);
+    assert.equal(scoreAddressMatch(addressTokens('Mill Road'), '3 Mill Lane'), 0.5);
+    assert.equal(scoreAddressMatch([], 'anything'), 0);
+});
+
+test('CSV fields can hold quotes, commas and line breaks', () => {
+    const rows = parseCsv('LMK_KEY,ADDRESS,NOTE\r\n1,"Flat 4, 12 Mill Road","said ""hello""\nthen left"\r\n\r\n2,The Barn\n');
+    assert.deepEqual(rows, [
+        { LMK_KEY: '1', ADDRESS: 'Flat 4, 12 Mill Road', NOTE: 'said "hello"\nthen left' },
+        { LMK_KEY: '2', ADDRESS: 'The Barn', NOTE: '' }
+    ]);
+    assert.deepEqual(parseCsv(''), []);
+});
+
+function withDataset(files, run) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'epc-register-'));
+    for (const [name, text] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), text);
+    return run(dir).finally(() => fs.rmSync(dir, { recursive: true, force: true }));
+}
+
+const CERTIFICATES = [
+    'LMK_KEY,ADDRESS1,ADDRESS2,POSTCODE,POSTTOWN,BUILDING_REFERENCE_NUMBER,CURRENT_ENERGY_RATING,POTENTIAL_ENERGY_RATING,CURRENT_ENERGY_EFFICIENCY,TOTAL_FLOOR_AREA,CONSTRUCTION_AGE_BAND,MAINHEAT_DESCRIPTION,LODGEMENT_DATE',
+    'old,12 Mill Road,,LS1 4AP,Leeds,100,e,c,48,72.5,England and Wales: 1930-1949,"Boiler and radiators, mains gas",2015-03-01',
+    'new,12 Mill Road,,LS1 4AP,Leeds,100,d,b,61,72.5,NO DATA!,"Boiler and radiators, mains gas",2023-06-10',
+    'other,14 Mill Road,,LS1 4AP,Leeds,101,c,b,70,80,,,2022-01-01',
+    'flat-a,Flat A,3 Station Road,LS1 4AP,Leeds,200,c,c,72,50,,,2021-01-01',
+    'flat-b,Flat B,3 Station Road,LS1 4AP,Leeds,201,c,c,72,50,,,2021-01-01'
+].join('\n');
+
+const RECOMMENDATIONS = [
+    'LMK_KEY,IMPROVEMENT_ITEM,IMPROVEMENT_SUMMARY_TEXT,IMPROVEMENT_DESCR_TEXT,INDICATIVE_COST',
+    'new,2,Solar panels,,"£3,500 - £5,500"',
+    'new,1,,Cavity wall insulation,£500 - £1500',
+    'old,1,Loft insulation,,£100'
+].join('\n');
+
+test('the latest certificate for the matching home is returned', () => withDataset({ 'certificates.csv': CERTIFICATES, 'recommendations.csv': RECOMMENDATIONS }, async dir => {
+    const register = new EpcRegister({ datasetDir: dir });
+    assert.equal(register.isConfigured(), true);
+
+    const certificate = await register.lookup({ address: '12 Mill Road, Leeds', postcode: 'LS1 4AP' });
+    assert.equal(certificate.lmkKey, 'new');
+    assert.equal(certificate.currentRating, 'D');
+    assert.equal(certificate.currentEfficiency, 61);
+    assert.equal(certificate.floorAreaSqM, 72.5);
+    assert.equal(certificate.ageBand, null);
+    assert.equal(certificate.heating.description, 'Boiler and radiators, mains gas');
+    assert.deepEqual(certificate.recommendations.map(rec => rec.summary), ['Cavity wall insulation', 'Solar panels']);
+}));
+
+test('no certificate is guessed for an ambiguous or unmatched address', () => withDataset({ 'certificates.csv': CERTIFICATES }, async dir => {
+    const register = new EpcRegister({ datasetDir: dir });
+    assert.equal(await register.lookup({ address: 'Station Road, Leeds LS1 4AP' }), null, 'two flats match equally well');
+    assert.equal(await register.lookup({ address: '99 Mill Road, Leeds LS1 4AP' }), null);
+    assert.equal(await register.lookup({ address: 'Mill Road, Leeds' }), null, 'no postcode to search');
+
+    const flat = await register.lookup({ address: 'Flat B, 3 Station Road, Leeds LS1 4AP' });
+    assert.equal(flat.lmkKey, 'flat-b');
+    assert.deepEqual(flat.recommendations, [], 'a missing recommendations file is no recommendations');
+}));
+
+test('the live register needs credentials', async () => {
+    const register = new EpcRegister();
+    assert.equal(register.isConfigured(), false);
+    assert.equal(await register.lookup({ address: '12 Mill Road, LS1 4AP' }), null);
+    assert.equal(new EpcRegister({ email: 'a@example.com', apiKey: 'key' }).isConfigured(), true);
+    assert.equal(new EpcRegister({ baseUrl: 'http://localhost:4010/' }).baseUrl, 'http://localhost:4010');
+});
@@ -0,0 +1,58 @@
+// Feature evidence: matches in the listing and the excerpts shown for them
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findKeyword, findPattern, createEvidenceRecorder, notMentioned } = require('../feature-evidence');
+
+const LISTING = 'Charming bungalow in a quiet cul-de-sac. Level access from the driveway to the front door. Ground floor wet room with walk-in shower.\nLarge rear garden.';
+
+test('findKeyword returns the first keyword in list order, not text order', () => {
+    const text = LISTING.toLowerCase();
+    assert.deepEqual(findKeyword(text, ['wet room', 'level access']), { keyword: 'wet room', index: text.indexOf('wet room'), length: 8 });
+    assert.equal(findKeyword(text, ['stairlift']), null);
+});
+
+test('findPattern shortens long proximity matches and resets global patterns', () => {
+    const pattern = /level[\s\S]{0,200}front door/gi;
+    const match = findPattern(LISTING, [/stairlift/i, pattern]);
+    assert.equal(match.index, LISTING.indexOf('Level'));
+    assert.equal(match.keyword, 'Level access from the driveway to the front door');
+    assert.equal(pattern.lastIndex, 0);
+
+    const long = `level ${'x '.repeat(60)}front door`;
+    assert.match(findPattern(long, [pattern]).keyword, /^level .* … .*front door$/);
+});
+
+test('listing evidence quotes the sentence as the agent wrote it', () => {
+    const evidence = createEvidenceRecorder(LISTING);
+    const match = findKeyword(LISTING.toLowerCase(), ['wet room']);
+    assert.deepEqual(evidence.fromListing(match), {
+        source: 'listing',
+        keyword: 'wet room',
+        excerpt: '…Ground floor wet room with walk-in shower.',
+        confidence: 'high'
+    });
+
+    const garden = evidence.fromListing(findKeyword(LISTING.toLowerCase(), ['garden']), 'medium');
+    assert.equal(garden.excerpt, '…Large rear garden.');
+    assert.equal(garden.confidence, 'medium');
+});
+
+test('other sources record what was seen and how sure we are', () => {
+    const evidence = createEvidenceRecorder(LISTING);
+    assert.equal(evidence.fromSection('Parking', 'Driveway, Garage').source, 'section');
+    assert.equal(evidence.fromFloorplan('Bedroom on the ground floor').confidence, 'medium');
+
+    const photo = evidence.fromPhoto({ label: 'Grab rails', detail: 'Rails beside the toilet', confidence: 'high', image: 'https://example.com/3.jpg' });
+    assert.deepEqual(photo, { source: 'photo', keyword: 'Grab rails', excerpt: 'Rails beside the toilet', image: 'https://example.com/3.jpg', confidence: 'high' });
+
+    const inferred = evidence.fromInference('Bungalows have all rooms on one level', findKeyword(LISTING.toLowerCase(), ['bungalow']));
+    assert.equal(inferred.keyword, 'bungalow');
+    assert.match(inferred.excerpt, /^Charming bungalow/);
+    assert.equal(evidence.fromInference('No stairs mentioned').excerpt, null);
+});
+
+test('a missed criterion with no reason says it was not mentioned', () => {
+    assert.equal(notMentioned().rule, 'Not mentioned in the listing');
+    assert.equal(notMentioned().confidence, 'low');
+});
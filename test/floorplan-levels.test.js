@@ -0,0 +1,80 @@
+// Floorplan levels: reading floor labels and grouping floorplan rooms by floor
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { readFloorLevel, readFloorplans, summariseFloorLevels } = require('../floorplan-levels');
+
+test('floor labels are read, outbuildings and lower ground before ground', () => {
+    assert.deepEqual(readFloorLevel('Ground Floor Approx. 45 sq m'), { key: 'ground', label: 'Ground floor', order: 0 });
+    assert.equal(readFloorLevel('Lower Ground Floor').key, 'lower-ground');
+    assert.equal(readFloorLevel('Annexe - Ground Floor').key, 'outbuilding');
+    assert.equal(readFloorLevel('1st floor').key, 'first');
+    assert.equal(readFloorLevel('Cellar').key, 'basement');
+    assert.equal(readFloorLevel('Attic room').key, 'loft');
+    assert.deepEqual(readFloorLevel(null), { key: 'unlabelled', label: 'Floor not labelled', order: null });
+    assert.equal(readFloorLevel('Floorplan').key, 'unlabelled');
+});
+
+test('every plan is read, rooms fall back to the plan caption and failed plans are skipped', async () => {
+    const plans = [
+        { url: 'ground.png', caption: 'Ground Floor' },
+        { caption: 'No URL' },
+        { url: 'broken.png', caption: 'First Floor' },
+        { url: 'first.png', caption: null }
+    ];
+    const rooms = await readFloorplans(plans, async url => {
+        if (url === 'broken.png') throw new Error('Vision timeout');
+        if (url === 'ground.png') return [{ name: 'Kitchen', floor: null }, { name: 'Studio', floor: 'Garden Studio' }];
+        return [{ name: 'Bedroom 1', floor: 'First Floor' }];
+    });
+
+    assert.deepEqual(rooms.map(room => [room.name, room.floor, room.level.key, room.plan.index]), [
+        ['Kitchen', 'Ground Floor', 'ground', 1],
+        ['Studio', 'Garden Studio', 'outbuilding', 1],
+        ['Bedroom 1', 'First Floor', 'first', 3]
+    ]);
+    assert.deepEqual(await readFloorplans(null, async () => []), []);
+});
+
+test('no more than six plans are read', async () => {
+    const plans = Array.from({ length: 8 }, (_, i) => ({ url: `plan-${i}.png`, caption: null }));
+    const read = [];
+    await readFloorplans(plans, async url => {
+        read.push(url);
+        return [];
+    });
+    assert.equal(read.length, 6);
+});
+
+test('rooms are grouped by floor and the ground floor rooms are named', async () => {
+    const rooms = await readFloorplans([{ url: 'plan.png', caption: null }], async () => [
+        { name: 'Bedroom 2', floor: 'First Floor' },
+        { name: 'Shed', floor: 'Outbuilding' },
+        { name: 'Kitchen/Diner', floor: 'Ground Floor' },
+        { name: 'Bedroom 1', floor: 'Ground Floor' },
+        { name: 'WC', floor: 'Ground Floor' },
+        { name: 'Lounge', floor: 'Ground Floor' }
+    ]);
+    const summary = summariseFloorLevels(rooms);
+
+    assert.equal(summary.plans, 1);
+    assert.deepEqual(summary.levels.map(level => level.key), ['ground', 'first', 'outbuilding']);
+    assert.equal(summary.multiLevel, true);
+    assert.deepEqual(summary.groundFloor, {
+        rooms: ['Kitchen/Diner', 'Bedroom 1', 'WC', 'Lounge'],
+        bedroom: 'Bedroom 1',
+        bathroom: 'WC',
+        kitchen: 'Kitchen/Diner',
+        living: 'Lounge'
+    });
+});
+
+test('a single unlabelled floor has no ground floor and is not multi-level', () => {
+    const summary = summariseFloorLevels([
+        { name: 'Bedroom', level: readFloorLevel(null), plan: { url: 'a.png' } },
+        { name: 'Kitchen', level: readFloorLevel(null), plan: { url: 'b.png' } }
+    ]);
+    assert.equal(summary.plans, 2);
+    assert.equal(summary.multiLevel, false);
+    assert.equal(summary.groundFloor, null);
+});
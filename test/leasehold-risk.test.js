@@ -0,0 +1,98 @@
+// Leasehold risk: lease length thresholds, ground rent, service charge and fees on resale
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { readLeaseYears, readGroundRentReview, readEventFees, assessLeaseholdRisk, describeLeaseholdRisks } = require('../leasehold-risk');
+
+const AS_OF = new Date('2026-06-01T00:00:00Z');
+
+function assess(input) {
+    return assessLeaseholdRisk({ tenure: 'Leasehold', asOf: AS_OF, ...input });
+}
+
+function shortLease(years) {
+    return assess({ leaseholdDetails: { leaseYears: years } }).risks.find(risk => risk.key === 'shortLease') || null;
+}
+
+test('lease years come from the details, the description, the original term, then the cost summary', () => {
+    assert.deepEqual(readLeaseYears({ leaseYears: '95', text: '120 years remaining' }), { years: 95, source: 'listing details' });
+    assert.deepEqual(readLeaseYears({ text: 'Remaining lease term of approx. 84 years.' }), { years: 84, source: 'description' });
+    assert.deepEqual(readLeaseYears({ text: '125 year lease from 1 January 1990.', asOf: AS_OF }), { years: 89, source: '125 year lease from 1990' });
+    assert.deepEqual(readLeaseYears({ leaseholdInfo: '136 years remaining' }), { years: 136, source: 'listing' });
+    assert.equal(readLeaseYears({ text: 'Leasehold' }), null);
+});
+
+test('short leases are flagged at 70, 80 and 100 years', () => {
+    assert.equal(shortLease(69).label, 'Lease under 70 years');
+    assert.equal(shortLease(69).severity, 'high');
+    assert.equal(shortLease(70).label, 'Lease under 80 years');
+    assert.equal(shortLease(79).severity, 'high');
+    assert.equal(shortLease(80).label, 'Lease under 100 years');
+    assert.equal(shortLease(80).severity, 'low');
+    assert.equal(shortLease(99).severity, 'low');
+    assert.equal(shortLease(100), null);
+});
+
+test('ground rent reviews are read from the description or the structured terms', () => {
+    assert.deepEqual(readGroundRentReview({ text: 'Ground rent of £250 per annum, doubling every 25 years.' }), {
+        type: 'doubling',
+        periodYears: 25,
+        increasePercent: 100,
+        text: 'Ground rent of £250 per annum, doubling every 25 years.'
+    });
+    assert.equal(readGroundRentReview({ text: 'Ground rent is reviewed in line with RPI every 10 years.' }).type, 'index-linked');
+    assert.equal(readGroundRentReview({ text: 'Ground rent increases by 50% on each 20-year review.' }).increasePercent, 50);
+    assert.equal(readGroundRentReview({ text: 'Ground rent is fixed for the term and will not increase.' }), null);
+    assert.deepEqual(readGroundRentReview({ reviewYears: '15', increasePercent: '100' }), { type: 'doubling', periodYears: 15, increasePercent: 100, text: null });
+});
+
+test('ground rent over 0.1% of the price is onerous', () => {
+    const onerous = risk => risk.key === 'onerousGroundRent';
+    assert.ok(assess({ price: 250000, groundRent: '£300 per annum', leaseholdDetails: { leaseYears: 150 } }).risks.some(onerous));
+    assert.ok(!assess({ price: 250000, groundRent: '£250 per annum', leaseholdDetails: { leaseYears: 150 } }).risks.some(onerous));
+});
+
+test('service charges over 1% of the price are high, over 2% very high', () => {
+    const serviceCharge = charge => assess({ price: 200000, serviceCharge: charge, leaseholdDetails: { leaseYears: 150 } }).risks.find(risk => risk.key === 'highServiceCharge') || null;
+    assert.equal(serviceCharge('£2,000 per annum'), null);
+    assert.equal(serviceCharge('£2,400 per annum').severity, 'medium');
+    assert.equal(serviceCharge('£4,000 per annum').severity, 'medium');
+    assert.equal(serviceCharge('£350 per month').severity, 'high');
+});
+
+test('only event, exit, transfer and deferred management fees on a sale or assignment count', () => {
+    assert.deepEqual(readEventFees('Retirement flat. A 1% event fee is payable on resale. Lovely views.'), [{ text: 'A 1% event fee is payable on resale.', percent: 1 }]);
+    assert.equal(readEventFees('A deferred management charge of 10% applies when the lease is assigned.')[0].percent, 10);
+    assert.equal(readEventFees('An exit fee is charged when the property is sold.').length, 1);
+    assert.deepEqual(readEventFees('Contingency charges apply to the reserve fund. Selling fees are payable to the agent.'), []);
+    assert.deepEqual(readEventFees('A transfer fee of £50 applies to parking permits.'), []);
+    assert.deepEqual(readEventFees('There is no event fee on sale.'), []);
+});
+
+test('an event fee is a high risk, costed at today\'s price', () => {
+    const risk = assess({ price: 200000, listingText: 'A 1% event fee is payable on resale.', leaseholdDetails: { leaseYears: 150 } });
+    assert.equal(risk.level, 'high');
+    assert.match(risk.risks[0].detail, /about £2,000 at today's price/);
+
+    const retirement = assess({ listingText: 'Retirement apartment for over 60s. Contingency charges apply.', leaseholdDetails: { leaseYears: 150 } });
+    assert.equal(retirement.retirement, true);
+    assert.deepEqual(retirement.eventFees, []);
+    assert.ok(retirement.notes.some(note => /ask whether this lease has one/.test(note)));
+});
+
+test('freehold and commonhold homes have no lease to assess', () => {
+    assert.equal(assessLeaseholdRisk({ tenure: 'Freehold', listingText: 'A lovely home.' }), null);
+    assert.equal(assessLeaseholdRisk({ tenure: 'Commonhold', leaseholdInfo: '99 years remaining' }), null);
+
+    const share = assess({ tenure: 'Share of Freehold', leaseholdDetails: { leaseYears: 999 }, serviceCharge: '£600 per annum', price: 300000 });
+    assert.equal(share.shareOfFreehold, true);
+    assert.equal(share.level, 'none');
+    assert.equal(share.rating, 'No leasehold risks found');
+});
+
+test('the summary sentence names the risks worth raising and leaves out minor points', () => {
+    const risk = assess({ price: 200000, groundRent: '£250 per annum', listingText: 'Ground rent doubles every 25 years.', leaseholdDetails: { leaseYears: 90 } });
+    assert.equal(describeLeaseholdRisks(risk), 'Leasehold risks to check with a solicitor: doubling ground rent, high ground rent. ');
+    assert.equal(describeLeaseholdRisks(assess({ leaseholdDetails: { leaseYears: 90 } })), '');
+    assert.equal(describeLeaseholdRisks(null), '');
+});
@@ -0,0 +1,156 @@
+// Listing monitor: snapshots, what changed between checks, and which saved listings are due
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { snapshotListing, diffSnapshots, needsRescore, describeListingChange, ListingMonitor } = require('../listing-monitor');
+
+function snapshot(overrides = {}) {
+    return { price: 300000, priceText: '£300,000', status: 'available', description: 'Level access. Ground floor bedroom.', floorplans: ['plan-1'], ...overrides };
+}
+
+test('a snapshot keeps the comparable facts, with floorplan URLs reduced to their paths', () => {
+    const current = snapshotListing({
+        price: '£300,000',
+        status: 'available',
+        description: '  Level   access.\n Ground floor bedroom. ',
+        floorplans: [{ url: 'https://media.rightmove.co.uk/plan_max_296x197.png?x=1' }, { url: 'https://media.rightmove.co.uk/plan.png' }]
+    });
+    assert.equal(current.price, 300000);
+    assert.equal(current.description, 'Level access. Ground floor bedroom.');
+    assert.deepEqual(current.floorplans, ['https://media.rightmove.co.uk/plan.png']);
+});
+
+test('the first check has nothing to compare with', () => {
+    assert.deepEqual(diffSnapshots(null, snapshot()), []);
+    assert.deepEqual(diffSnapshots(snapshot(), snapshot()), []);
+});
+
+test('price, status, description and new floorplans are reported', () => {
+    const changes = diffSnapshots(snapshot(), snapshot({
+        price: 285000,
+        priceText: '£285,000',
+        status: 'under-offer',
+        description: 'Level access. Ground floor bedroom. New wet room fitted.',
+        floorplans: ['plan-1', 'plan-2']
+    }));
+
+    assert.deepEqual(changes.map(change => change.type), ['price', 'status', 'description', 'floorplan']);
+    assert.equal(changes[0].difference, -15000);
+    assert.deepEqual(changes[2], { type: 'description', added: ['New wet room fitted.'], removed: [] });
+    assert.deepEqual(changes[3].added, ['plan-2']);
+    assert.equal(needsRescore(changes), true);
+});
+
+test('a status change alone does not need a re-score', () => {
+    const changes = diffSnapshots(snapshot(), snapshot({ status: 'sold-stc' }));
+    assert.equal(needsRescore(changes), false);
+    assert.deepEqual(describeListingChange(changes[0]), { title: 'Status changed', lines: ['Available → Sold STC'] });
+});
+
+test('changes are described for the alert email', () => {
+    assert.deepEqual(describeListingChange({ type: 'price', before: '£300,000', after: '£285,000', difference: -15000 }), {
+        title: 'Price reduced',
+        lines: ['£300,000 → £285,000 (-£15,000)']
+    });
+    assert.equal(describeListingChange({ type: 'status', before: 'available', after: 'removed' }).title, 'Listing removed');
+    assert.equal(describeListingChange({ type: 'floorplan', added: ['a', 'b'] }).title, '2 new floorplans added');
+});
+
+// Enough of the Supabase query builder for findDueListings(); the recheck cutoff is left to the database
+function fakeSupabase(tables) {
+    const calls = [];
+    return {
+        calls,
+        from(table) {
+            let rows = tables[table];
+            let limit = Infinity;
+            let range = null;
+            const query = {
+                select: () => query,
+                order: () => query,
+                or: () => query,
+                in: (column, values) => {
+                    calls.push({ table, in: values.length });
+                    rows = rows.filter(row => values.includes(row[column]));
+                    return query;
+                },
+                range: (from, to) => {
+                    range = [from, to + 1];
+                    return query;
+                },
+                limit: count => {
+                    limit = count;
+                    return query;
+                },
+                then: (resolve, reject) => {
+                    let data = [...rows];
+                    if (table === 'properties') data.sort((a, b) => String(a.listing_checked_at || '').localeCompare(String(b.listing_checked_at || '')));
+                    if (range) data = data.slice(...range);
+                    return Promise.resolve({ data: data.slice(0, limit), error: null }).then(resolve, reject);
+                }
+            };
+            return query;
+        }
+    };
+}
+
+test('every saved listing is considered however many there are, oldest check first', async () => {
+    const saved = [];
+    const properties = [];
+    for (let i = 0; i < 1500; i++) {
+        const id = String(100000 + i);
+        saved.push({ property_id: id, user_id: 'a' }, { property_id: id, user_id: 'b' });
+        properties.push({ rightmove_id: id, rightmove_url: `https://www.rightmove.co.uk/properties/${id}`, listing_checked_at: `2026-01-01T00:00:00.${String(1499 - i).padStart(4, '0')}Z` });
+    }
+    properties[1499].listing_checked_at = null;
+    properties[1498].rightmove_url = null;
+
+    const supabase = fakeSupabase({ saved_properties: saved, properties });
+    const due = await new ListingMonitor(supabase, { recheckAfter: 0 }).findDueListings();
+
+    assert.equal(due.length, 50);
+    assert.equal(due[0].rightmove_id, '101499', 'never checked comes first');
+    assert.equal(due[1].rightmove_id, '101497', 'listings without a URL are skipped');
+    assert.ok(supabase.calls.every(call => call.in <= 200), 'ids are sent in chunks');
+});
+
+// Records updates; checkListing() awaits update().eq() and nothing else when a re-check fails
+function recordingSupabase() {
+    const updates = [];
+    return {
+        updates,
+        from: table => ({
+            update: values => ({
+                eq: async () => {
+                    updates.push({ table, values });
+                    return { error: null };
+                }
+            })
+        })
+    };
+}
+
+test('a failed re-check asks the listing\'s source whether the page has gone', async () => {
+    const row = { rightmove_id: 'agent-1', url: 'https://www.smith-and-co.co.uk/property/42', listing_snapshot: snapshot() };
+    const scrape = async () => { throw new Error('Failed to scrape'); };
+    const fetched = [];
+
+    const refused = recordingSupabase();
+    await new ListingMonitor(refused, {
+        scrape,
+        fetchPage: async url => {
+            fetched.push(url);
+            throw new Error('Refusing to fetch www.smith-and-co.co.uk: it resolves to a private address');
+        }
+    }).checkListing(row);
+    assert.deepEqual(fetched, [row.url]);
+    assert.deepEqual(Object.keys(refused.updates[0].values), ['listing_checked_at'], 'a refused fetch is retried, not taken as removed');
+
+    const removed = recordingSupabase();
+    await new ListingMonitor(removed, {
+        scrape,
+        fetchPage: async () => { throw Object.assign(new Error('Not found'), { response: { status: 404 } }); },
+        notify: async () => {}
+    }).checkListing({ ...row, listing_snapshot: null });
+    assert.equal(removed.updates[0].values.listing_snapshot.status, 'removed');
+});
@@ -0,0 +1,44 @@
+// Listing photos: reading vision responses and turning observations into criterion signals
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePhotoObservations, observeListingPhotos, photoSignalsByCriterion } = require('../listing-photos');
+
+test('observations are read from the JSON in a vision response', () => {
+    const text = 'Here you go:\n{"observations": [{"feature": "ramp", "detail": "A concrete ramp to the door", "confidence": "high"}, {"feature": "hotTub", "detail": "x"}, {"feature": "constructor"}, {"feature": "grabRails", "confidence": "certain"}]}';
+    assert.deepEqual(parsePhotoObservations(text), [
+        { feature: 'ramp', detail: 'A concrete ramp to the door', confidence: 'high' },
+        { feature: 'grabRails', detail: 'Grab rails', confidence: 'medium' }
+    ]);
+    assert.deepEqual(parsePhotoObservations('No JSON here'), []);
+    assert.deepEqual(parsePhotoObservations('{"observations": [broken'), []);
+    assert.deepEqual(parsePhotoObservations('{"observations": "none"}'), []);
+});
+
+test('each photo is analysed once, in listing order, and failures are skipped', async () => {
+    const seen = [];
+    const observations = await observeListingPhotos(['a.jpg', 'b.jpg', 'a.jpg', 'c.jpg'], async url => {
+        seen.push(url);
+        if (url === 'b.jpg') throw new Error('Vision timeout');
+        return [{ feature: url === 'a.jpg' ? 'stepsToEntrance' : 'stairlift', detail: url, confidence: 'high' }];
+    });
+
+    assert.deepEqual([...seen].sort(), ['a.jpg', 'b.jpg', 'c.jpg']);
+    assert.deepEqual(observations.map(observation => [observation.label, observation.image]), [
+        ['Steps up to the entrance', { index: 1, url: 'a.jpg' }],
+        ['Stairlift', { index: 3, url: 'c.jpg' }]
+    ]);
+});
+
+test('the most confident observation for and against each criterion wins', () => {
+    const signals = photoSignalsByCriterion([
+        { feature: 'levelEntrance', confidence: 'low' },
+        { feature: 'ramp', confidence: 'high' },
+        { feature: 'stepsToEntrance', confidence: 'medium' },
+        { feature: 'grabRails', confidence: 'high' }
+    ]);
+
+    assert.equal(signals.externalLevelAccess.met.feature, 'ramp');
+    assert.equal(signals.externalLevelAccess.notMet.feature, 'stepsToEntrance');
+    assert.deepEqual(Object.keys(signals), ['externalLevelAccess'], 'grab rails are reported but settle no criterion');
+});
@@ -0,0 +1,65 @@
+// Listing source adapters: which URLs reach which adapter, and that agent-site URLs
+// can't point the server at internal addresses
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    AgentSiteSource,
+    createListingSourceRegistry,
+    fetchListingPage,
+    isPublicAddress,
+    isPublicUrl,
+    publicLookup
+} = require('../listing-sources');
+
+test('isPublicAddress rejects loopback, private, link-local and metadata addresses', () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1']) {
+        assert.equal(isPublicAddress(address), false, address);
+    }
+    for (const address of ['93.184.216.34', '151.101.0.81', '2a00:1450:4009:81f::200e']) {
+        assert.equal(isPublicAddress(address), true, address);
+    }
+    assert.equal(isPublicAddress('not-an-ip'), false);
+});
+
+test('isPublicUrl accepts https on public names only', () => {
+    assert.equal(isPublicUrl('https://www.example-agents.co.uk/property/123'), true);
+    assert.equal(isPublicUrl('http://www.example-agents.co.uk/property/123'), false);
+    assert.equal(isPublicUrl('https://localhost/admin'), false);
+    assert.equal(isPublicUrl('https://printer.local/'), false);
+    assert.equal(isPublicUrl('https://169.254.169.254/latest/meta-data/'), false);
+    assert.equal(isPublicUrl('https://[::1]/'), false);
+    // WHATWG URL parsing turns the decimal form into 127.0.0.1
+    assert.equal(isPublicUrl('https://2130706433/'), false);
+    assert.equal(isPublicUrl('https://intranet/'), false);
+    assert.equal(isPublicUrl('file:///etc/passwd'), false);
+    assert.equal(isPublicUrl('not a url'), false);
+});
+
+test('the agent-site fallback only takes public https URLs', () => {
+    const registry = createListingSourceRegistry();
+    assert.equal(registry.resolve('https://www.zoopla.co.uk/for-sale/details/12345678/').name, 'zoopla');
+    assert.equal(registry.resolve('https://www.onthemarket.com/details/1234567/').name, 'onthemarket');
+    assert.equal(registry.resolve('https://www.smith-and-co.co.uk/property/42').name, 'agent');
+    assert.equal(registry.resolve('http://www.smith-and-co.co.uk/property/42'), null);
+    assert.equal(registry.resolve('https://127.0.0.1:8080/'), null);
+    assert.equal(registry.resolve('https://10.0.0.5/listing'), null);
+    assert.equal(new AgentSiteSource().matches('https://192.168.0.1/'), false);
+});
+
+test('publicLookup refuses names that resolve to private addresses', async () => {
+    await assert.rejects(
+        new Promise((resolve, reject) => publicLookup('localhost', {}, (error, addresses) => (error ? reject(error) : resolve(addresses)))),
+        /private address/
+    );
+});
+
+test('fetchListingPage refuses a non-public URL before fetching it', async () => {
+    await assert.rejects(fetchListingPage('http://127.0.0.1:9/', { publicOnly: true }), /public https/);
+    await assert.rejects(fetchListingPage('https://169.254.169.254/latest/meta-data/', { publicOnly: true }), /public https/);
+});
+
+test('the agent-site adapter fetches its pages with the public-address guard', async () => {
+    await assert.rejects(new AgentSiteSource().fetchPage('https://10.0.0.5/listing'), /public https/);
+    await assert.rejects(new AgentSiteSource().fetchPage('http://www.smith-and-co.co.uk/property/42'), /public https/);
+});
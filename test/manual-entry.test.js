@@ -0,0 +1,74 @@
+// Manual property entry: field types and formats are checked before the analysis runs
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_UPLOAD_BYTES, parseUploadedFile, validateManualEntry } = require('../manual-entry');
+
+const PNG = 'data:image/png;base64,iVBORw0KGgo=';
+
+test('a complete entry is normalised', () => {
+    const { entry, error } = validateManualEntry({
+        address: ' 12 Station Road ',
+        postcode: ' sw1a1aa ',
+        price: '£350,000',
+        propertyType: 'Bungalow',
+        tenure: 'Freehold',
+        councilTaxBand: 'd',
+        bedrooms: '3',
+        bathrooms: 2,
+        description: 'Level access throughout.',
+        floorplan: PNG,
+        epcDocument: 'data:application/pdf;base64,JVBERi0='
+    });
+    assert.equal(error, undefined);
+    assert.equal(entry.postcode, 'SW1A 1AA');
+    assert.equal(entry.address, '12 Station Road');
+    assert.equal(entry.price, '£350,000');
+    assert.equal(entry.councilTaxBand, 'D');
+    assert.equal(entry.bedrooms, 3);
+    assert.equal(entry.bathrooms, 2);
+    assert.equal(entry.floorplan, PNG);
+});
+
+test('only the postcode is required', () => {
+    const { entry } = validateManualEntry({ postcode: 'M1 1AE', bedrooms: '', tenure: '' });
+    assert.equal(entry.postcode, 'M1 1AE');
+    assert.equal(entry.bedrooms, null);
+    assert.equal(entry.tenure, null);
+    assert.equal(entry.description, null);
+    assert.equal(entry.epcDocument, null);
+});
+
+test('a studio\'s 0 bedrooms is kept, not read as unknown', () => {
+    assert.equal(validateManualEntry({ postcode: 'M1 1AE', bedrooms: '0' }).entry.bedrooms, 0);
+    assert.equal(validateManualEntry({ postcode: 'M1 1AE', bedrooms: 0 }).entry.bedrooms, 0);
+});
+
+test('fields of the wrong type are rejected rather than throwing', () => {
+    assert.match(validateManualEntry({ postcode: 12345 }).error, /postcode/);
+    assert.match(validateManualEntry({ postcode: ['SW1A 1AA'] }).error, /postcode/);
+    assert.match(validateManualEntry({ postcode: 'SW1A 1AA', address: { line1: 'x' } }).error, /address/);
+    assert.match(validateManualEntry({ postcode: 'SW1A 1AA', propertyType: 7 }).error, /propertyType/);
+    assert.match(validateManualEntry({ postcode: 'SW1A 1AA', description: ['a'] }).error, /description/);
+    assert.match(validateManualEntry({ postcode: 'SW1A 1AA', price: { amount: 1 } }).error, /Price/);
+    assert.match(validateManualEntry({ postcode: 'SW1A 1AA', councilTaxBand: 4 }).error, /Council tax band/);
+    assert.match(validateManualEntry({ postcode: 'SW1A 1AA', tenure: ['Freehold'] }).error, /tenure/);
+    assert.match(validateManualEntry({ postcode: 'SW1A 1AA', bedrooms: 'three' }).error, /bedrooms/);
+    assert.match(validateManualEntry({ postcode: 'SW1A 1AA', bathrooms: 1.5 }).error, /bathrooms/);
+    assert.match(validateManualEntry({ postcode: 'SW1A 1AA', floorplan: 42 }).error, /Floorplan/);
+    assert.match(validateManualEntry({ postcode: 'SW1A 1AA', epcDocument: true }).error, /EPC/);
+});
+
+test('a body that is not an object is rejected', () => {
+    for (const body of [undefined, null, 'SW1A 1AA', [], 3]) {
+        assert.ok(validateManualEntry(body).error);
+    }
+});
+
+test('uploads must be an allowed type under the size limit', () => {
+    assert.deepEqual(parseUploadedFile(PNG, ['image/png']), { mediaType: 'image/png', bytes: 9 });
+    assert.equal(parseUploadedFile(PNG, ['application/pdf']), null);
+    assert.equal(parseUploadedFile('https://example.com/plan.png', ['image/png']), null);
+    const tooBig = `data:image/png;base64,${'A'.repeat(Math.ceil(MAX_UPLOAD_BYTES * 4 / 3) + 4)}`;
+    assert.equal(parseUploadedFile(tooBig, ['image/png']), null);
+});
@@ -0,0 +1,106 @@
+// Price benchmarks: joining sales to floor areas and ranking a price per sq m against local sales
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MIN_SALES, PriceBenchmarks, outcodeOf, joinFloorAreas } = require('../price-benchmarks');
+
+test('the postcode district is read with or without a space', () => {
+    assert.equal(outcodeOf('ch6 5ab'), 'CH6');
+    assert.equal(outcodeOf('CH65AB'), 'CH6');
+    assert.equal(outcodeOf('CH65 9AB'), 'CH65');
+    assert.equal(outcodeOf('SW1A1AA'), 'SW1A');
+    assert.equal(outcodeOf('LS1'), 'LS1');
+    assert.equal(outcodeOf('Leeds'), null);
+    assert.equal(outcodeOf(null), null);
+});
+
+test('sales take the floor area of the best matching certificate, the later one on a tie', () => {
+    const sales = [
+        { price_paid: '£250,000', postcode: 'LS1 4AP', paon: '12', street: 'MILL ROAD', district: 'LEEDS', deed_date: '2024-05-01' },
+        { price_paid: '180000', postcode: 'LS1 4AP', saon: 'FLAT 2', paon: '3', street: 'STATION ROAD', deed_date: '2024-06-01' },
+        { price_paid: '90000', postcode: 'LS2 1AA', paon: '1', street: 'NOWHERE LANE' }
+    ];
+    const certificates = [
+        { postcode: 'LS14AP', address1: '12 Mill Road', total_floor_area: '80', lodgement_date: '2012-01-01' },
+        { postcode: 'LS1 4AP', address1: '12 Mill Road', total_floor_area: '95', lodgement_date: '2020-01-01' },
+        { postcode: 'LS1 4AP', address1: 'Flat 2', address2: '3 Station Road', total_floor_area: '55', lodgement_date: '2019-01-01', local_authority_label: 'Leeds' },
+        { postcode: 'LS1 4AP', address1: 'Flat 2', address2: '3 Stn Road', total_floor_area: '60', lodgement_date: '2023-01-01' }
+    ];
+
+    assert.deepEqual(joinFloorAreas(sales, certificates), [
+        { price: 250000, postcode: 'LS1 4AP', floorAreaSqM: 95, localAuthority: 'LEEDS', date: '2024-05-01' },
+        { price: 180000, postcode: 'LS1 4AP', floorAreaSqM: 55, localAuthority: 'Leeds', date: '2024-06-01' }
+    ]);
+});
+
+function withDataset(files, run) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'price-benchmarks-'));
+    for (const [name, text] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), text);
+    return run(dir).finally(() => fs.rmSync(dir, { recursive: true, force: true }));
+}
+
+// £/sq m of 2,000, 2,100 ... for each postcode, all on 100 sq m
+function salesCsv(rows) {
+    return ['Price,Postcode,Floor Area,Local Authority,Date', ...rows.map(row => row.join(','))].join('\n');
+}
+
+test('a price is ranked against its postcode district', () => withDataset({
+    'sales.csv': salesCsv(Array.from({ length: MIN_SALES }, (_, i) => [200000 + i * 10000, 'LS1 4AP', 100, 'LEEDS', '2024-01-01']))
+}, async dir => {
+    const benchmarks = new PriceBenchmarks({ datasetDir: dir });
+    const result = await benchmarks.compare(2450, 'LS14AP');
+    assert.deepEqual(result, {
+        area: 'LS1',
+        areaType: 'postcode district',
+        sales: 20,
+        median: 3000,
+        lowerQuartile: 2500,
+        upperQuartile: 3500,
+        percentile: 25
+    });
+    assert.equal(await benchmarks.compare(2450, 'LS9 1AA'), null, 'no local sales');
+    assert.equal(await benchmarks.compare(0, 'LS1 4AP'), null);
+}));
+
+test('a thin district falls back to its local authority', () => withDataset({
+    'sales.csv': salesCsv([
+        ...Array.from({ length: 15 }, (_, i) => [200000 + i * 10000, 'CH65 9AB', 100, 'CHESHIRE WEST AND CHESTER', '2024-01-01']),
+        ...Array.from({ length: 10 }, () => [300000, 'CH1 1AA', 100, 'CHESHIRE WEST AND CHESTER', '2024-01-01'])
+    ])
+}, async dir => {
+    const result = await new PriceBenchmarks({ datasetDir: dir }).compare(3000, 'CH65 9AB');
+    assert.equal(result.area, 'Cheshire West and Chester');
+    assert.equal(result.areaType, 'local authority');
+    assert.equal(result.sales, 25);
+}));
+
+test('old sales and implausible prices or floor areas are left out', () => withDataset({
+    'sales.csv': salesCsv([
+        ...Array.from({ length: MIN_SALES - 1 }, () => [250000, 'LS1 4AP', 100, 'LEEDS', '2024-01-01']),
+        [250000, 'LS1 4AP', 100, 'LEEDS', '2018-12-31'],
+        [250000, 'LS1 4AP', 10, 'LEEDS', '2024-01-01'],
+        [25000000, 'LS1 4AP', 100, 'LEEDS', '2024-01-01'],
+        [250000, 'Leeds', 100, 'LEEDS', '2024-01-01']
+    ])
+}, async dir => {
+    assert.equal(await new PriceBenchmarks({ datasetDir: dir }).compare(2500, 'LS1 4AP'), null);
+}));
+
+test('without sales.csv the price paid extract is joined to the certificates', () => withDataset({
+    'price-paid.csv': ['price_paid,postcode,paon,street,district,deed_date', ...Array.from({ length: MIN_SALES }, (_, i) => `${150000 + i * 5000},LS1 4AP,${i + 1},MILL ROAD,LEEDS,2024-01-01`)].join('\n'),
+    'certificates.csv': ['POSTCODE,ADDRESS1,TOTAL_FLOOR_AREA,LODGEMENT_DATE', ...Array.from({ length: MIN_SALES }, (_, i) => `LS1 4AP,${i + 1} Mill Road,50,2020-01-01`)].join('\n')
+}, async dir => {
+    const result = await new PriceBenchmarks({ datasetDir: dir }).compare(4000, 'LS1');
+    assert.equal(result.sales, 20);
+    assert.equal(result.median, 4000);
+    assert.equal(result.percentile, 50);
+}));
+
+test('benchmarks need a dataset', async () => {
+    const benchmarks = new PriceBenchmarks();
+    assert.equal(benchmarks.isConfigured(), false);
+    assert.equal(await benchmarks.compare(3000, 'LS1 4AP'), null);
+});
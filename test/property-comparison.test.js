@@ -0,0 +1,66 @@
+// Property comparison: values from stored analyses and which property is best on each row
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getCriteriaMet, buildComparison } = require('../property-comparison');
+
+function row(id, analysis, extra = {}) {
+    return { id: `p-${id}`, rightmove_id: id, address: `${id} Road`, price: 300000, scores_json: analysis, ...extra };
+}
+
+const bungalow = row('bungalow', {
+    overall: 4.2,
+    gpProximity: { score: 4, nearestGPs: [{ name: 'Station Surgery', adjustedTime: '6 mins' }] },
+    accessibleFeatures: { score: 4, criteriaMet: { stepFreeOrLift: true, downstairsBedroom: true } },
+    cost: { councilTax: 'Band C', serviceCharge: null },
+    stampDuty: { amount: 2500, taxName: 'Stamp Duty' },
+    publicTransport: { busStops: [{ name: 'High St', walkingTime: '4 min walk' }] }
+}, { price: 275000 });
+
+const flat = row('flat', {
+    overall: 3.1,
+    gpProximity: { score: 2, nearestGPs: [{ name: 'Park Surgery', adjustedTime: 14 }] },
+    accessibleFeatures: { score: 2, features: ['Lift to all floors', 'Balcony/terrace'] },
+    cost: { councilTax: 'Band B', serviceCharge: '£150 per month' },
+    stampDuty: { amount: 0 }
+});
+
+test('criteria come from criteriaMet, or from feature labels for older analyses', () => {
+    assert.deepEqual(getCriteriaMet({ criteriaMet: { garden: true } }), { garden: true });
+    assert.deepEqual(getCriteriaMet({ features: ['Lift to all floors', 'Garden access (private)', 'Something else'] }), { stepFreeOrLift: true, garden: true });
+    assert.deepEqual(getCriteriaMet(undefined), {});
+});
+
+test('each property is flattened into comparable values', () => {
+    const { properties } = buildComparison([bungalow, flat]);
+    const [first, second] = properties;
+
+    assert.equal(first.values.gpMinutes, 6);
+    assert.equal(first.values.busMinutes, 4);
+    assert.equal(first.values['criteria.downstairsBedroom'], true);
+    assert.equal(first.values['criteria.garden'], false);
+    assert.equal(second.values.gpMinutes, 14);
+    assert.equal(second.values.serviceCharge, 1800);
+    assert.equal(second.values['criteria.balcony'], true);
+    assert.equal(second.details.stampDutyName, 'Stamp Duty');
+});
+
+test('the best property is marked per row, in the right direction', () => {
+    const { properties, dimensions } = buildComparison([bungalow, flat]);
+    const best = key => dimensions.find(dimension => dimension.key === key).best;
+
+    assert.deepEqual(best('overall'), ['bungalow']);
+    assert.deepEqual(best('price'), ['bungalow']);
+    assert.deepEqual(best('councilTax'), ['flat'], 'band B is cheaper than band C');
+    assert.deepEqual(best('stampDuty'), ['flat']);
+    assert.deepEqual(best('criteria.stepFreeOrLift'), [], 'both meet it, so neither stands out');
+    assert.deepEqual(best('serviceCharge'), [], 'only one property has a service charge');
+    assert.ok(properties[0].wins > properties[1].wins);
+});
+
+test('a property without a stored analysis has no values rather than failing', () => {
+    const { properties } = buildComparison([bungalow, row('unanalysed', null, { overall_score: null })]);
+    assert.equal(properties[1].hasAnalysis, false);
+    assert.equal(properties[1].values['criteria.garden'], null);
+    assert.equal(properties[1].values.overall, null);
+});
@@ -0,0 +1,136 @@
+// Property tax: buyer profiles and the SDLT, LTT and LBTT bands, reliefs and supplements by date
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_BUYER_PROFILE, validateBuyerProfile, sameBuyerProfile, calculateTransactionTax, describeTaxBreakdown } = require('../property-tax');
+
+function tax(price, country, profile) {
+    return calculateTransactionTax(price, country, { ...DEFAULT_BUYER_PROFILE, ...profile });
+}
+
+test('buyer profiles are checked and missing fields take the defaults', () => {
+    assert.deepEqual(validateBuyerProfile(undefined), { buyerProfile: DEFAULT_BUYER_PROFILE });
+    assert.deepEqual(validateBuyerProfile({ buyerType: 'first-time', completionDate: '2024-02-29' }).buyerProfile, {
+        ...DEFAULT_BUYER_PROFILE,
+        buyerType: 'first-time',
+        completionDate: '2024-02-29'
+    });
+    assert.match(validateBuyerProfile({ buyerType: 'investor' }).error, /one of standard, first-time, additional/);
+    assert.ok(validateBuyerProfile({ buyerType: 'constructor' }).error);
+    assert.ok(validateBuyerProfile({ buyerType: ['additional'] }).error);
+    assert.match(validateBuyerProfile({ nonResident: 'yes' }).error, /Non-resident must be true or false/);
+    assert.ok(validateBuyerProfile([]).error);
+    assert.match(validateBuyerProfile({ firstTimeBuyer: true }).error, /Unknown buyer profile field: firstTimeBuyer/);
+    assert.match(validateBuyerProfile({ buyerType: 'first-time', constructor: {} }).error, /Unknown buyer profile field/);
+});
+
+test('completion dates must be real calendar dates', () => {
+    for (const completionDate of ['2025-02-30', '2025-02-29', '2025-04-31', '2025-13-01', '1 June 2025', 20250601, { toString: () => '2025-06-01' }]) {
+        assert.match(validateBuyerProfile({ completionDate }).error, /Completion date must be a date/, String(completionDate));
+    }
+    assert.equal(validateBuyerProfile({ completionDate: '2025-12-31' }).buyerProfile.completionDate, '2025-12-31');
+});
+
+test('profiles saved before buyer profiles existed count as the default', () => {
+    assert.equal(sameBuyerProfile(undefined, DEFAULT_BUYER_PROFILE), true);
+    assert.equal(sameBuyerProfile({ buyerType: 'first-time' }, undefined), false);
+});
+
+test('England and Northern Ireland: standard rates from April 2025', () => {
+    const breakdown = tax(300000, 'england', { completionDate: '2025-06-01' });
+    assert.equal(breakdown.amount, 5000);
+    assert.equal(breakdown.ratesFrom, '2025-04-01');
+    assert.deepEqual(describeTaxBreakdown(breakdown), [
+        { label: '£0–£125,000 at 0%', value: '£0' },
+        { label: '£125,001–£250,000 at 2%', value: '£2,500' },
+        { label: '£250,001–£925,000 at 5%', value: '£2,500' }
+    ]);
+    assert.equal(tax(2000000, 'england', { completionDate: '2025-06-01' }).amount, 153750);
+
+    const northernIreland = tax(300000, 'northern-ireland', { completionDate: '2025-06-01' });
+    assert.equal(northernIreland.amount, 5000);
+    assert.equal(northernIreland.taxNameFull, 'Stamp Duty Land Tax');
+});
+
+test('England: the nil rate band and first-time buyer relief before April 2025', () => {
+    assert.equal(tax(300000, 'england', { completionDate: '2025-03-31' }).amount, 2500);
+    assert.equal(tax(450000, 'england', { buyerType: 'first-time', completionDate: '2025-03-31' }).amount, 1250);
+    assert.equal(tax(625000, 'england', { buyerType: 'first-time', completionDate: '2025-03-31' }).amount, 10000);
+});
+
+test('England: first-time buyer relief from April 2025, up to £500,000', () => {
+    const relieved = tax(300000, 'england', { buyerType: 'first-time', completionDate: '2025-06-01' });
+    assert.equal(relieved.amount, 0);
+    assert.deepEqual(relieved.reliefs, [{ label: 'First-time buyer relief', saving: 5000 }]);
+    assert.equal(tax(450000, 'england', { buyerType: 'first-time', completionDate: '2025-06-01' }).amount, 7500);
+
+    const overLimit = tax(550000, 'england', { buyerType: 'first-time', completionDate: '2025-06-01' });
+    assert.equal(overLimit.amount, 17500);
+    assert.deepEqual(overLimit.reliefs, []);
+    assert.match(overLimit.notes[0], /doesn't apply above £500,000/);
+});
+
+test('England: higher rates went from 3% to 5% on 31 October 2024', () => {
+    assert.equal(tax(300000, 'england', { buyerType: 'additional', completionDate: '2024-10-30' }).amount, 11500);
+    assert.equal(tax(300000, 'england', { buyerType: 'additional', completionDate: '2024-10-31' }).amount, 17500);
+
+    const additional = tax(300000, 'england', { buyerType: 'additional', nonResident: true, completionDate: '2025-06-01' });
+    assert.equal(additional.amount, 26000);
+    assert.deepEqual(additional.supplements.map(supplement => [supplement.label, supplement.amount]), [
+        ['Higher rates for additional dwellings', 15000],
+        ['Non-UK resident surcharge', 6000]
+    ]);
+    assert.equal(describeTaxBreakdown(additional).at(-1).label, 'Non-UK resident surcharge (2% of the price)');
+});
+
+test('higher rates and the ADS do not apply below £40,000', () => {
+    const cheap = tax(39999, 'england', { buyerType: 'additional', completionDate: '2025-06-01' });
+    assert.equal(cheap.amount, 0);
+    assert.match(cheap.notes[0], /below £40,000/);
+    assert.equal(tax(39999, 'scotland', { buyerType: 'additional', completionDate: '2025-06-01' }).amount, 0);
+    assert.equal(tax(40000, 'england', { buyerType: 'additional', completionDate: '2025-06-01' }).amount, 2000);
+});
+
+test('Wales: the £225,000 nil rate band starts on 10 October 2022', () => {
+    const breakdown = tax(300000, 'wales', { completionDate: '2022-10-10' });
+    assert.equal(breakdown.amount, 4500);
+    assert.equal(breakdown.ratesFrom, '2022-10-10');
+    assert.deepEqual(breakdown.notes, []);
+    assert.equal(tax(1600000, 'wales', { completionDate: '2025-06-01' }).amount, 123750);
+
+    const earlier = tax(300000, 'wales', { completionDate: '2022-10-09' });
+    assert.deepEqual(earlier.notes, ['Rates before 2022-10-10 aren\'t held; the 2022-10-10 rates are used.']);
+});
+
+test('Wales: the higher residential rates go up a point on 11 December 2024', () => {
+    for (const completionDate of ['2022-10-10', '2022-12-21', '2022-12-22', '2024-12-10']) {
+        assert.equal(tax(300000, 'wales', { buyerType: 'additional', completionDate }).amount, 16950, completionDate);
+    }
+    assert.equal(tax(300000, 'wales', { buyerType: 'additional', completionDate: '2022-12-21' }).ratesFrom, '2022-10-10');
+    assert.equal(tax(300000, 'wales', { buyerType: 'additional', completionDate: '2024-12-11' }).amount, 19950);
+});
+
+test('Wales has no first-time buyer relief or non-resident surcharge', () => {
+    const breakdown = tax(300000, 'wales', { buyerType: 'first-time', nonResident: true, completionDate: '2025-06-01' });
+    assert.equal(breakdown.amount, 4500);
+    assert.deepEqual(breakdown.notes, [
+        'Land Transaction Tax has no first-time buyer relief.',
+        'There is no non-resident surcharge on Land Transaction Tax.'
+    ]);
+});
+
+test('Scotland: first-time buyers start at £175,000 and the ADS rose in 2022 and 2024', () => {
+    assert.equal(tax(300000, 'scotland', { completionDate: '2025-06-01' }).amount, 4600);
+
+    const firstTime = tax(300000, 'scotland', { buyerType: 'first-time', completionDate: '2025-06-01' });
+    assert.equal(firstTime.amount, 4000);
+    assert.deepEqual(firstTime.reliefs, [{ label: 'First-time buyer relief', saving: 600 }]);
+
+    assert.equal(tax(300000, 'scotland', { buyerType: 'additional', completionDate: '2022-12-15' }).amount, 16600);
+    assert.equal(tax(300000, 'scotland', { buyerType: 'additional', completionDate: '2022-12-16' }).amount, 22600);
+    assert.equal(tax(300000, 'scotland', { buyerType: 'additional', completionDate: '2024-12-05' }).amount, 28600);
+});
+
+test('an unknown nation is taxed as England', () => {
+    assert.equal(tax(300000, 'atlantis', { completionDate: '2025-06-01' }).country, 'england');
+});
@@ -0,0 +1,74 @@
+// Rental costs: reading the rent, the legal deposit caps per nation and the letting terms
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isRentalListing, parseRent, calculateDepositCaps, readLettingTerms, analyzeRentalCosts, formatRentAmount } = require('../rental-costs');
+
+test('rentals are recognised from the page model or the price', () => {
+    assert.equal(isRentalListing({ listingType: 'rent', price: '£300,000' }), true);
+    assert.equal(isRentalListing({ listingType: 'sale', price: '£1,250 pcm' }), false);
+    assert.equal(isRentalListing({ price: '£1,250 pcm' }), true);
+    assert.equal(isRentalListing({ price: '£288 pw' }), true);
+    assert.equal(isRentalListing({ price: '£300,000' }), false);
+});
+
+test('rent is converted between weekly, monthly and annual', () => {
+    assert.deepEqual(parseRent('£1,250 pcm'), { monthly: 1250, weekly: 288.46, annual: 15000, period: 'month' });
+    assert.deepEqual(parseRent('£300 per week'), { monthly: 1300, weekly: 300, annual: 15600, period: 'week' });
+    assert.deepEqual(parseRent('£18,000 pa'), { monthly: 1500, weekly: 346.15, annual: 18000, period: 'year' });
+    assert.equal(parseRent('£950').period, 'month', 'Rightmove rents are monthly unless stated');
+    assert.equal(parseRent('POA'), null);
+    assert.equal(parseRent('£0 pcm'), null);
+});
+
+test('England caps the deposit at five weeks, or six from £50,000 a year', () => {
+    const caps = calculateDepositCaps(parseRent('£1,250 pcm'), 'england');
+    assert.equal(caps.depositCap, 1442.3, 'rounded down to the penny, never above the cap');
+    assert.equal(caps.depositRule, "5 weeks' rent");
+    assert.equal(caps.holdingDepositCap, 288.46);
+
+    assert.equal(calculateDepositCaps(parseRent('£49,999 pa')).depositRule, "5 weeks' rent");
+    const higher = calculateDepositCaps(parseRent('£50,000 pa'));
+    assert.equal(higher.depositRule, "6 weeks' rent");
+    assert.equal(higher.depositCap, 5769.23);
+});
+
+test('Wales, Scotland and Northern Ireland have their own caps', () => {
+    const rent = parseRent('£1,250 pcm');
+
+    const wales = calculateDepositCaps(rent, 'wales');
+    assert.equal(wales.depositCap, null);
+    assert.equal(wales.holdingDepositCap, 288.46);
+
+    const scotland = calculateDepositCaps(rent, 'scotland');
+    assert.equal(scotland.depositCap, 2500);
+    assert.equal(scotland.holdingDepositCap, null);
+
+    assert.equal(calculateDepositCaps(rent, 'northern-ireland').depositCap, 1250);
+    assert.equal(calculateDepositCaps(rent, 'atlantis').country, 'england');
+});
+
+test('letting terms come from the page model first, then the listing text', () => {
+    const fromText = readLettingTerms({
+        description: 'Available from 1st March 2026. Part furnished. Deposit: £1,442. Minimum term of 12 months.'
+    });
+    assert.deepEqual(fromText, { availableFrom: '1st March 2026', furnishing: 'Part furnished', advertisedDeposit: 1442, minimumTermMonths: 12, letType: null });
+
+    const fromModel = readLettingTerms({ description: 'Furnished.', lettings: { furnishing: 'Unfurnished', deposit: 1000, minimumTermMonths: 6, letType: 'Long term' } });
+    assert.equal(fromModel.furnishing, 'Unfurnished');
+    assert.equal(fromModel.advertisedDeposit, 1000);
+    assert.equal(readLettingTerms({ description: 'Available now.' }).availableFrom, 'Now');
+});
+
+test('a deposit above the legal cap is flagged', () => {
+    const costs = analyzeRentalCosts({ price: '£1,250 pcm', description: 'Deposit: £1,875' });
+    assert.equal(costs.rentText, '£1,250 pcm');
+    assert.equal(costs.depositAboveCap, true);
+    assert.equal(analyzeRentalCosts({ price: '£1,250 pcm', description: 'Deposit: £1,442' }).depositAboveCap, false);
+    assert.equal(analyzeRentalCosts({ price: 'POA' }), null);
+});
+
+test('rent amounts show pence only when there are some', () => {
+    assert.equal(formatRentAmount(1250), '£1,250');
+    assert.equal(formatRentAmount(288.5), '£288.50');
+});
@@ -0,0 +1,52 @@
+// PDF report: renders sparse and full analyses. Needs the canvas native module, so the
+// tests are skipped where it hasn't been built.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { assessLeaseholdRisk } = require('../leasehold-risk');
+const { planAdaptations } = require('../adaptation-planner');
+const { SCORING_PROFILES } = require('../scoring-profiles');
+
+let renderAccessibilityReport = null;
+try {
+    ({ renderAccessibilityReport } = require('../report-pdf'));
+} catch (error) {
+    // canvas installed without its native binary
+}
+const skip = renderAccessibilityReport ? false : 'canvas native module is not available';
+
+test('an analysis with most steps missing still renders', { skip }, async () => {
+    const pdf = await renderAccessibilityReport({
+        property: { title: '2 bedroom flat' },
+        analysis: { overall: 2.5 }
+    });
+    assert.ok(Buffer.isBuffer(pdf));
+    assert.equal(pdf.subarray(0, 4).toString(), '%PDF');
+});
+
+test('a full analysis with branding renders', { skip }, async () => {
+    const pdf = await renderAccessibilityReport({
+        property: { title: '3 bedroom bungalow', location: '12 Station Road, Leeds LS1 1AA', price: '£300,000', url: 'https://www.rightmove.co.uk/properties/1' },
+        analysis: {
+            overall: 3.8,
+            scoringProfile: { name: 'Wheelchair user' },
+            gpProximity: { score: 4, details: 'Station Surgery, 6 mins' },
+            accessibleFeatures: { score: 3.5, features: ['Step-free internal access'], criteriaMet: { stepFreeOrLift: true } },
+            cost: {
+                councilTax: 'Band C',
+                serviceCharge: '£1,200 per annum',
+                leaseholdRisk: assessLeaseholdRisk({ tenure: 'Leasehold', leaseholdDetails: { leaseYears: 85 }, serviceCharge: '£1,200 per annum', price: 300000 })
+            },
+            stampDuty: { amount: 2500, taxName: 'Stamp Duty' },
+            adaptationPlan: planAdaptations({
+                criteriaMet: { stepFreeOrLift: false, downstairsBedroom: false, externalLevelAccess: false },
+                propertyType: { isFlat: false, isSingleLevel: false },
+                criteriaWeights: SCORING_PROFILES.standard.criteriaWeights
+            }),
+            summary: 'A bungalow with level access.'
+        },
+        analysedAt: '2026-01-15T10:00:00Z',
+        branding: { agencyName: 'Smith & Co', phone: '0113 000 0000' }
+    });
+    assert.equal(pdf.subarray(0, 4).toString(), '%PDF');
+});
@@ -0,0 +1,103 @@
+// Rightmove PAGE_MODEL: finding the embedded JSON and reading listing fields from it
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FIELD_SOURCES, extractPageModel, readPageModelFields, splitEpcUrls, recordFieldSource } = require('../rightmove-page-model');
+const { extractListedRooms } = require('../room-dimensions');
+
+const PROPERTY_DATA = {
+    channel: 'RES_BUY',
+    text: { propertyPhrase: '2 bedroom flat for sale', description: 'Lift to all floors.<br>Level access from the street.</p><p>Communal gardens.' },
+    prices: { primaryPrice: '£250,000' },
+    address: { displayAddress: 'High Street, Leeds', outcode: 'LS1', incode: '4AP' },
+    location: { latitude: 53.797, longitude: -1.546 },
+    keyFeatures: ['Lift', '', 'Allocated parking'],
+    bedrooms: 2,
+    bathrooms: 1,
+    rooms: [{ name: 'Bedroom', description: '<p>Double room</p>', dimension: '3.40m x 2.90m' }, { name: 'Hallway' }],
+    images: [{ url: 'https://media.rightmove.co.uk/1.jpg' }, {}],
+    floorplans: [{ url: 'https://media.rightmove.co.uk/plan.png', caption: 'Floor plan' }, { caption: 'broken' }],
+    epcGraphs: [{ url: 'https://media.rightmove.co.uk/epc.pdf' }],
+    tenure: { tenureType: 'SHARE_OF_FREEHOLD', yearsRemainingOnLease: 120 },
+    livingCosts: { councilTaxBand: 'c', annualServiceCharge: 1200, annualGroundRent: 0 },
+    tags: ['UNDER OFFER'],
+    status: { published: true, archived: false },
+    features: { parking: [{ displayText: 'Allocated' }, 'Permit'] }
+};
+
+function page(model) {
+    return `<html><script>window.jsonModel = {};\nwindow.PAGE_MODEL = ${JSON.stringify(model)};\nwindow.other = {"a": 1};</script></html>`;
+}
+
+test('the page model is read even when strings contain braces', () => {
+    const model = { propertyData: { text: { description: 'A {quirky} home with "quotes" and \\ slashes }' } } };
+    assert.deepEqual(extractPageModel(page(model)), model);
+    assert.equal(extractPageModel('<html>no model</html>'), null);
+    assert.equal(extractPageModel('window.PAGE_MODEL = {"unterminated": '), null);
+});
+
+test('listing fields are read from the model', () => {
+    const fields = readPageModelFields({ propertyData: PROPERTY_DATA });
+    assert.equal(fields.listingType, 'sale');
+    assert.equal(fields.title, '2 bedroom flat');
+    assert.equal(fields.postcode, 'LS1 4AP');
+    assert.deepEqual(fields.coordinates, { lat: 53.797, lng: -1.546 });
+    assert.equal(fields.description, 'Lift to all floors.\nLevel access from the street.\n\nCommunal gardens.');
+    assert.deepEqual(fields.keyFeatures, ['Lift', 'Allocated parking']);
+    assert.deepEqual(fields.images, ['https://media.rightmove.co.uk/1.jpg']);
+    assert.deepEqual(fields.floorplans, [{ url: 'https://media.rightmove.co.uk/plan.png', caption: 'Floor plan' }]);
+    assert.equal(fields.tenure, 'Share of Freehold');
+    assert.deepEqual(fields.leaseholdDetails, { serviceCharge: '1200', groundRent: '0', leaseYears: '120', groundRentReviewYears: null, groundRentIncrease: null });
+    assert.equal(fields.councilTaxBand, 'Band C');
+    assert.equal(fields.status, 'under-offer');
+    assert.equal(fields.parkingInfo, 'Allocated, Permit');
+    assert.equal(fields.gardenInfo, null);
+    assert.equal(fields.lettings, null);
+    assert.equal(fields.nearestStations, undefined, 'stations come from the transport lookup, not the listing');
+});
+
+test('the model\'s room list is what the room size checks use', () => {
+    const fields = readPageModelFields({ propertyData: PROPERTY_DATA });
+    assert.deepEqual(fields.rooms.map(room => [room.name, room.description, room.dimension]), [
+        ['Bedroom', 'Double room', '3.40m x 2.90m'],
+        ['Hallway', null, null]
+    ]);
+    assert.deepEqual(extractListedRooms(fields).map(room => [room.name, room.source]), [['Bedroom', 'listing']]);
+});
+
+test('rentals carry their letting terms', () => {
+    const fields = readPageModelFields({
+        propertyData: { channel: 'RES_LET', lettings: { deposit: '1385', minimumTermInMonths: 6, furnishType: 'Unfurnished' }, status: {} }
+    });
+    assert.equal(fields.listingType, 'rent');
+    assert.deepEqual(fields.lettings, { availableFrom: null, deposit: 1385, furnishing: 'Unfurnished', letType: null, minimumTermMonths: 6 });
+});
+
+test('missing or unusable models give null, and unknown values are null', () => {
+    assert.equal(readPageModelFields(null), null);
+    assert.equal(readPageModelFields({ propertyData: 'nope' }), null);
+
+    const fields = readPageModelFields({ propertyData: { location: { latitude: 0, longitude: 0 }, status: { archived: true } } });
+    assert.equal(fields.coordinates, null);
+    assert.equal(fields.status, 'removed');
+    assert.equal(fields.listingType, null);
+    assert.equal(fields.councilTaxBand, null);
+
+    const unknown = readPageModelFields({ propertyData: { channel: 'RES_BUY' } });
+    assert.equal(unknown.status, null, 'no status in the model is unknown, not available');
+    const sources = {};
+    recordFieldSource(sources, 'status', unknown.status, false);
+    assert.equal(sources.status, null);
+});
+
+test('EPC URLs split into PDFs and images', () => {
+    assert.deepEqual(splitEpcUrls(['a.pdf', 'b.png', 'c.pdf?v=2']), { pdfs: ['a.pdf', 'c.pdf?v=2'], images: ['b.png'] });
+});
+
+test('field sources record where each value came from', () => {
+    const sources = {};
+    recordFieldSource(sources, 'price', '£250,000', true);
+    recordFieldSource(sources, 'tenure', 'Freehold', false);
+    recordFieldSource(sources, 'images', [], true);
+    assert.deepEqual(sources, { price: FIELD_SOURCES.pageModel, tenure: FIELD_SOURCES.heuristic, images: null });
+});
@@ -0,0 +1,94 @@
+// Room dimensions: reading room sizes and checking them against wheelchair space guidance
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDimensionText, classifyRoom, extractListedRooms, parseFloorplanRooms, buildRoomDimensions } = require('../room-dimensions');
+
+test('metric and imperial dimensions are read into millimetres, shorter side first', () => {
+    assert.deepEqual(parseDimensionText('Bedroom 3.45m x 2.90m'), { widthMm: 2900, lengthMm: 3450, text: '3.45m x 2.90m' });
+    assert.deepEqual(parseDimensionText('345cm by 290cm'), { widthMm: 2900, lengthMm: 3450, text: '345cm by 290cm' });
+    assert.equal(parseDimensionText('3.45 x 2.90m').widthMm, 2900, 'the first side takes the second side\'s unit');
+    assert.deepEqual(parseDimensionText('11\'4" x 9\'6"'), { widthMm: 2896, lengthMm: 3454, text: '11\'4" x 9\'6"' });
+    assert.equal(parseDimensionText('3.45m x 2.90m (11\'4" x 9\'6")').text, '3.45m x 2.90m', 'metric wins when both are given');
+});
+
+test('sizes that cannot be a room are misreads', () => {
+    assert.equal(parseDimensionText('0.4m x 2m'), null);
+    assert.equal(parseDimensionText('31m x 2m'), null);
+    assert.equal(parseDimensionText('Spacious bedroom'), null);
+    assert.equal(parseDimensionText(null), null);
+});
+
+test('rooms are classified by their first matching name', () => {
+    assert.equal(classifyRoom('Kitchen/Diner'), 'kitchen');
+    assert.equal(classifyRoom('En-suite bathroom'), 'bathroom');
+    assert.equal(classifyRoom('Master Bedroom'), 'bedroom');
+    assert.equal(classifyRoom('Under-stairs cupboard'), 'storage');
+    assert.equal(classifyRoom('Entrance Hall'), 'hallway');
+    assert.equal(classifyRoom('Garage'), 'outdoor');
+    assert.equal(classifyRoom('Sitting Room'), 'living');
+    assert.equal(classifyRoom('Games'), 'other');
+    assert.equal(classifyRoom(undefined), 'other');
+});
+
+test('listed rooms come from the room list, else the description', () => {
+    const fromList = extractListedRooms({
+        rooms: [
+            { name: ' Lounge ', dimension: '4.5m x 3.6m' },
+            { name: 'Bedroom', width: 3.2, length: 2.8, unit: 'm' },
+            { name: 'Kitchen', description: 'Fitted units' }
+        ],
+        description: 'Bathroom 2.1m x 1.8m'
+    });
+    assert.deepEqual(fromList.map(room => [room.name, room.widthMm, room.lengthMm, room.source]), [
+        ['Lounge', 3600, 4500, 'listing'],
+        ['Bedroom', 2800, 3200, 'listing']
+    ]);
+
+    const fromText = extractListedRooms({ description: 'Living Room: 4.5m x 3.6m. Bathroom 2.1m x 1.8m. Lovely views 3m x 4m.' });
+    assert.deepEqual(fromText.map(room => room.name), ['Living Room', 'Bathroom']);
+});
+
+test('floorplan rooms keep unmeasured rooms for their floor', () => {
+    const rooms = parseFloorplanRooms('```json\n{"rooms": [{"name": "Bedroom 1", "floor": "First Floor", "dimensions": "3.45m x 2.90m"}, {"name": "Landing", "floor": "First Floor", "dimensions": null}, {"floor": "Ground Floor"}]}\n```');
+    assert.deepEqual(rooms, [
+        { name: 'Bedroom 1', floor: 'First Floor', widthMm: 2900, lengthMm: 3450, text: '3.45m x 2.90m', source: 'floorplan' },
+        { name: 'Landing', floor: 'First Floor', widthMm: null, lengthMm: null, text: null, source: 'floorplan' }
+    ]);
+    assert.deepEqual(parseFloorplanRooms('No rooms'), []);
+    assert.deepEqual(parseFloorplanRooms('{"rooms": [broken'), []);
+});
+
+test('rooms are checked for turning space, bed transfer space and hallway width', () => {
+    const floorplan = parseFloorplanRooms(JSON.stringify({
+        rooms: [
+            { name: 'Bedroom 1', floor: 'First Floor', dimensions: '2.90m x 2.35m' },
+            { name: 'Bedroom 2', floor: 'First Floor', dimensions: '2.80m x 2.80m' },
+            { name: 'Hall', floor: 'Ground Floor', dimensions: '4.0m x 0.85m' },
+            { name: 'Shower Room', floor: 'Ground Floor', dimensions: '1.4m x 2.0m' },
+            { name: 'Cupboard', floor: 'Ground Floor', dimensions: '1.0m x 0.6m' },
+            { name: 'Study', floor: 'Ground Floor', dimensions: null }
+        ]
+    }));
+    const result = buildRoomDimensions(floorplan, [{ name: 'Lounge', floor: null, widthMm: 3600, lengthMm: 4500, text: '4.5m x 3.6m', source: 'listing' }]);
+
+    assert.equal(result.source, 'floorplan');
+    assert.deepEqual(result.rooms.map(room => room.name), ['Bedroom 1', 'Bedroom 2', 'Hall', 'Shower Room', 'Cupboard']);
+    assert.deepEqual(result.rooms[0].checks, { turningCircle: true, bedTransfer: true, hallwayWidth: null }, 'exactly 2350mm by 2900mm fits');
+    assert.equal(result.rooms[1].checks.bedTransfer, false);
+    assert.deepEqual(result.rooms[2].flags, ['Narrower than 900mm']);
+    assert.deepEqual(result.rooms[3].flags, ['Too small for a 1500mm wheelchair turning circle']);
+    assert.deepEqual(result.rooms[4].checks, { turningCircle: null, bedTransfer: null, hallwayWidth: null });
+    assert.equal(result.rooms[0].areaSqM, 6.82);
+    assert.deepEqual(result.summary, { roomsMeasured: 5, tooSmallToTurn: 1, bedroomsWithoutTransferSpace: 1, narrowHallways: 1 });
+});
+
+test('listed rooms are used when the floorplan has no sizes', () => {
+    const listed = extractListedRooms({ rooms: [{ name: 'Lounge', dimension: '4.5m x 3.6m' }] });
+    assert.equal(buildRoomDimensions([{ name: 'Hall', widthMm: null }], listed).source, 'listing');
+    assert.deepEqual(buildRoomDimensions([], []), {
+        source: null,
+        rooms: [],
+        summary: { roomsMeasured: 0, tooSmallToTurn: 0, bedroomsWithoutTransferSpace: 0, narrowHallways: 0 }
+    });
+});
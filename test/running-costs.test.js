@@ -0,0 +1,97 @@
+// Running costs: heating fuel, energy estimates, leasehold charges and the monthly total
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { readHeatingFuel, estimateEnergyCost, readAnnualCharge, estimateRunningCosts, reviseRunningCosts } = require('../running-costs');
+
+const COUNCIL_TAX = { band: 'C', basis: 'Leeds 2025/26', annual: 1920, reductions: ['Single person discount: 25% off'] };
+
+test('heating fuel comes from the EPC first, then the listing, then an assumption', () => {
+    assert.deepEqual(readHeatingFuel('Air source heat pump, radiators, electric', 'Gas central heating'), { fuel: 'heat-pump', assumed: false });
+    assert.deepEqual(readHeatingFuel('', 'Oil fired central heating'), { fuel: 'oil', assumed: false });
+    assert.deepEqual(readHeatingFuel(null, 'Electric storage heaters'), { fuel: 'electric', assumed: false });
+    assert.deepEqual(readHeatingFuel('', ''), { fuel: 'gas', assumed: true });
+    assert.deepEqual(readHeatingFuel('', '', 'northern-ireland'), { fuel: 'oil', assumed: true });
+});
+
+test('energy is priced by fuel from the rating and floor area', () => {
+    assert.deepEqual(estimateEnergyCost({ epcRating: 'C', floorAreaSqM: 80, fuel: 'gas' }), { annual: 1585, heatingKwh: 8800, electricityKwh: 2700 });
+    assert.deepEqual(estimateEnergyCost({ epcRating: 'C', floorAreaSqM: 80, fuel: 'electric' }), { annual: 3226, heatingKwh: 8800, electricityKwh: 11500 });
+    assert.deepEqual(estimateEnergyCost({ epcRating: 'C', floorAreaSqM: 80, fuel: 'heat-pump' }), { annual: 1680, heatingKwh: 8800, electricityKwh: 5633 });
+    assert.equal(estimateEnergyCost({ epcRating: 'C', floorAreaSqM: 80, fuel: 'oil' }).annual, 1523);
+});
+
+test('leasehold charges are brought to a yearly amount', () => {
+    assert.equal(readAnnualCharge('£1,200 per annum'), 1200);
+    assert.equal(readAnnualCharge('£95 per month'), 1140);
+    assert.equal(readAnnualCharge('£300 per quarter'), 1200);
+    assert.equal(readAnnualCharge('£25.50 per week'), 1326);
+    assert.equal(readAnnualCharge('£250'), 250, 'yearly unless stated');
+    assert.equal(readAnnualCharge('Peppercorn ground rent'), 0);
+    assert.equal(readAnnualCharge('Ask agent'), null);
+    assert.equal(readAnnualCharge(null), null);
+});
+
+test('the monthly total adds energy, council tax and leasehold charges', () => {
+    const costs = estimateRunningCosts({
+        epcRating: 'c',
+        floorAreaSqM: 80,
+        listingText: 'Gas central heating',
+        councilTax: COUNCIL_TAX,
+        serviceCharge: '£1,200 per annum',
+        groundRent: 'Ask agent'
+    });
+
+    assert.deepEqual(costs.items.map(item => [item.key, item.annual, item.monthly]), [
+        ['energy', 1585, 132],
+        ['councilTax', 1920, 160],
+        ['serviceCharge', 1200, 100]
+    ]);
+    assert.equal(costs.items[1].detail, 'Band C, Leeds 2025/26, single person discount');
+    assert.equal(costs.totalAnnual, 4705);
+    assert.equal(costs.totalMonthly, 392);
+    assert.deepEqual(costs.notes, ['Ground rent amount not given; ask the agent.']);
+});
+
+test('missing facts are assumed and noted', () => {
+    const costs = estimateRunningCosts({ epcRating: null, floorAreaSqM: null, bedrooms: 0, serviceCharge: '£1,200 per annum', isRental: true });
+    assert.equal(costs.energy.epcRating, 'D');
+    assert.equal(costs.energy.epcAssumed, true);
+    assert.equal(costs.energy.floorAreaSqM, 45);
+    assert.equal(costs.energy.floorAreaEstimated, true);
+    assert.deepEqual(costs.items.map(item => item.key), ['energy'], 'tenants pay no service charge');
+    assert.deepEqual(costs.notes, [
+        'Floor area not known; energy is based on a typical 45 sq m studio.',
+        'No EPC rating; energy assumes a typical band D home.',
+        'Heating fuel not stated; mains gas assumed.',
+        'Council tax band not known, so council tax is not included.'
+    ]);
+
+    assert.equal(estimateRunningCosts({ epcRating: 'B', floorAreaSqM: null, certificateFloorAreaSqM: 62.4 }).energy.floorAreaSqM, 62);
+    assert.equal(estimateRunningCosts({ epcRating: 'B', floorAreaSqM: null, bedrooms: 9 }).energy.floorAreaSqM, 140);
+});
+
+test('Northern Ireland uses domestic rates and heating oil', () => {
+    const costs = estimateRunningCosts({
+        epcRating: 'D',
+        floorAreaSqM: 90,
+        country: 'northern-ireland',
+        councilTax: COUNCIL_TAX,
+        domesticRates: { annual: 1100, basis: 'Belfast, £150,000 capital value', reductions: [], notes: ['Rates are estimated.'] }
+    });
+    assert.equal(costs.energy.fuel, 'oil');
+    assert.deepEqual(costs.items.map(item => item.key), ['energy', 'domesticRates']);
+    assert.ok(costs.notes.includes('Rates are estimated.'));
+    assert.ok(estimateRunningCosts({ epcRating: 'D', floorAreaSqM: 90, country: 'northern-ireland' }).notes.includes('Domestic rates not known, so they are not included.'));
+});
+
+test('a corrected rating or band is re-estimated and its note dropped', () => {
+    const first = estimateRunningCosts({ epcRating: null, floorAreaSqM: 80, listingText: 'Gas central heating', serviceCharge: '£1,200 per annum' });
+    const revised = reviseRunningCosts(first, { epcRating: 'c', councilTax: COUNCIL_TAX });
+
+    assert.equal(revised.energy.epcRating, 'C');
+    assert.equal(revised.energy.epcAssumed, false);
+    assert.deepEqual(revised.items.map(item => [item.key, item.annual]), [['energy', 1585], ['councilTax', 1920], ['serviceCharge', 1200]]);
+    assert.deepEqual(revised.notes, []);
+    assert.deepEqual(reviseRunningCosts(first, { epcRating: 'Z' }).energy, first.energy);
+});
@@ -0,0 +1,74 @@
+// Scoring profiles: weights, custom-weight validation and the weighted scores
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    CATEGORY_KEYS,
+    CRITERIA_KEYS,
+    SCORING_PROFILES,
+    validateCustomWeights,
+    resolveScoringProfile,
+    calculateWeightedOverall,
+    calculateWeightedCriteriaScore,
+    listScoringProfiles
+} = require('../scoring-profiles');
+
+test('every built-in profile weights every category and criterion', () => {
+    for (const [id, profile] of Object.entries(SCORING_PROFILES)) {
+        assert.deepEqual(Object.keys(profile.categoryWeights).sort(), [...CATEGORY_KEYS].sort(), id);
+        assert.deepEqual(Object.keys(profile.criteriaWeights).sort(), [...CRITERIA_KEYS].sort(), id);
+    }
+    assert.deepEqual(listScoringProfiles().map(profile => profile.id), Object.keys(SCORING_PROFILES));
+});
+
+test('unknown profile ids fall back to standard, including inherited property names', () => {
+    assert.equal(resolveScoringProfile('wheelchair').id, 'wheelchair');
+    assert.equal(resolveScoringProfile('nonsense').id, 'standard');
+    assert.equal(resolveScoringProfile('constructor').id, 'standard');
+    assert.equal(resolveScoringProfile('__proto__').id, 'standard');
+    assert.equal(resolveScoringProfile(undefined).id, 'standard');
+});
+
+test('a resolved profile is a copy, not the built-in weights', () => {
+    const profile = resolveScoringProfile('standard');
+    profile.categoryWeights.gpProximity = 5;
+    assert.equal(SCORING_PROFILES.standard.categoryWeights.gpProximity, 1);
+});
+
+test('custom weights fill missing keys with 1, and invalid ones fall back to standard', () => {
+    const custom = resolveScoringProfile('custom', { categoryWeights: { gpProximity: 3 } });
+    assert.equal(custom.id, 'custom');
+    assert.equal(custom.categoryWeights.gpProximity, 3);
+    assert.equal(custom.categoryWeights.epcRating, 1);
+    assert.equal(custom.criteriaWeights.garden, 1);
+
+    assert.equal(resolveScoringProfile('custom', { categoryWeights: { gpProximity: 99 } }).id, 'standard');
+});
+
+test('validateCustomWeights rejects unknown keys, out-of-range values and all-zero groups', () => {
+    assert.equal(validateCustomWeights({ categoryWeights: { gpProximity: 2 } }), null);
+    assert.match(validateCustomWeights(null), /required/);
+    assert.match(validateCustomWeights({ categoryWeights: { swimmingPool: 1 } }), /Unknown weight/);
+    assert.match(validateCustomWeights({ criteriaWeights: { garden: -1 } }), /between 0 and 5/);
+    assert.match(validateCustomWeights({ criteriaWeights: { garden: '2' } }), /between 0 and 5/);
+    const allZero = Object.fromEntries(CATEGORY_KEYS.map(key => [key, 0]));
+    assert.match(validateCustomWeights({ categoryWeights: allZero }), /At least one category/);
+});
+
+test('the weighted overall leaves out categories with no data', () => {
+    assert.equal(calculateWeightedOverall({ gpProximity: 4, epcRating: 2, publicTransport: null }, { gpProximity: 1, epcRating: 1 }), 3);
+    assert.equal(calculateWeightedOverall({ gpProximity: 4, epcRating: 1 }, { gpProximity: 2, epcRating: 1 }), 3);
+    assert.equal(calculateWeightedOverall({ gpProximity: null }, {}), null);
+});
+
+test('the weighted criteria score counts met criteria by weight', () => {
+    const none = Object.fromEntries(CRITERIA_KEYS.map(key => [key, false]));
+    assert.deepEqual(calculateWeightedCriteriaScore(none, {}), { score: 0, percentage: 0 });
+
+    const half = { ...none, stepFreeOrLift: true, downstairsBedroom: true, downstairsBathroom: true, groundFloorEntry: true };
+    assert.deepEqual(calculateWeightedCriteriaScore(half, SCORING_PROFILES.standard.criteriaWeights), { score: 2.5, percentage: 50 });
+
+    const onlyStepFree = { ...none, stepFreeOrLift: true };
+    const weights = { ...SCORING_PROFILES.standard.criteriaWeights, stepFreeOrLift: 0 };
+    assert.equal(calculateWeightedCriteriaScore(onlyStepFree, weights).score, 0);
+});
@@ -0,0 +1,78 @@
+// Stairlift suitability: reading the staircase and rating it for a stairlift
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseStairsObservation, readStairsFromText, assessStairlift } = require('../stairlift-suitability');
+
+test('the staircase is read from a vision response', () => {
+    assert.deepEqual(parseStairsObservation('{"staircase": "winder", "widthMm": 812.4, "topLanding": "tight", "bottomLanding": "wide", "detail": "Turns at the top"}'), {
+        staircase: 'winder',
+        widthMm: 812,
+        topLanding: 'tight',
+        bottomLanding: null,
+        detail: 'Turns at the top'
+    });
+    assert.equal(parseStairsObservation('{"staircase": "none"}').staircase, 'none');
+    assert.equal(parseStairsObservation('{"staircase": "constructor"}').staircase, null);
+    assert.equal(parseStairsObservation('{"staircase": "straight", "widthMm": 3000}').widthMm, null, 'not a domestic staircase');
+    assert.equal(parseStairsObservation('No staircase'), null);
+    assert.equal(parseStairsObservation('{"staircase": broken}'), null);
+});
+
+test('the listing text gives the shape, width and landing', () => {
+    assert.deepEqual(readStairsFromText('A spiral staircase to a spacious landing'), { staircase: 'spiral', width: null, landing: 'ample' });
+    assert.deepEqual(readStairsFromText('Narrow staircase with a half landing'), { staircase: 'split-level', width: 'narrow', landing: null });
+    assert.equal(readStairsFromText('Dog-leg stairs').staircase, 'winder');
+    assert.equal(readStairsFromText('Straight flight of stairs').staircase, 'straight');
+    assert.deepEqual(readStairsFromText(null), { staircase: null, width: null, landing: null });
+});
+
+test('homes without internal stairs are not rated', () => {
+    assert.deepEqual(assessStairlift({ text: 'Straight staircase' }), { applicable: false, rating: 'Not applicable', notes: ['No internal stairs found'] });
+});
+
+test('a straight staircase with room at both ends is good', () => {
+    const result = assessStairlift({
+        floorplanStairs: { staircase: 'straight', widthMm: 850, topLanding: 'ample', bottomLanding: 'ample', detail: null },
+        hasInternalStairs: true
+    });
+    assert.equal(result.rating, 'Good');
+    assert.equal(result.staircaseSource, 'floorplan');
+    assert.equal(result.widthMeasured, true);
+    assert.equal(result.costText, '£2,000–£4,000');
+    assert.deepEqual(result.notes, []);
+});
+
+test('narrow stairs and tight landings lower the rating and a tight bottom adds a hinged rail', () => {
+    const result = assessStairlift({
+        floorplanStairs: { staircase: 'straight', widthMm: 650, topLanding: null, bottomLanding: 'tight', detail: null },
+        hasInternalStairs: true
+    });
+    assert.equal(result.rating, 'Difficult');
+    assert.deepEqual(result.costBand, { min: 2500, max: 5000 });
+    assert.equal(result.notes.length, 2);
+
+    const tooNarrow = assessStairlift({ floorplanStairs: { staircase: 'straight', widthMm: 600 }, hasInternalStairs: true });
+    assert.equal(tooNarrow.rating, 'Not suitable');
+    assert.equal(tooNarrow.costBand, null);
+    assert.equal(tooNarrow.costText, null);
+});
+
+test('the listing text is used when the floorplan shows no stairs', () => {
+    const result = assessStairlift({ floorplanStairs: { staircase: 'none' }, text: 'Curved staircase, small landing', hasInternalStairs: true });
+    assert.equal(result.staircase, 'curved');
+    assert.equal(result.staircaseSource, 'listing');
+    assert.equal(result.rating, 'Not suitable', 'curved is possible, then each tight landing is a step down');
+    assert.deepEqual(result.landings, { top: 'tight', bottom: 'tight' });
+});
+
+test('an unknown shape spans straight to curved, and a fitted stairlift is reported as such', () => {
+    const unknown = assessStairlift({ hasInternalStairs: true });
+    assert.equal(unknown.rating, 'Possible');
+    assert.equal(unknown.staircaseLabel, 'Not known');
+    assert.equal(unknown.costText, '£2,000–£10,000');
+
+    const fitted = assessStairlift({ text: 'Stairlift', hasStairlift: true });
+    assert.equal(fitted.rating, 'Already fitted');
+    assert.equal(fitted.costBand, null);
+});